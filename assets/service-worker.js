@@ -1,4 +1,4 @@
-const CACHE_NAME = 'data-examiner-cache-v2';
+const CACHE_NAME = 'data-examiner-cache-v15';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -13,8 +13,24 @@ const STATIC_ASSETS = [
   '/src/app.js',
   '/src/api.js',
   '/src/chart.js',
+  '/src/chart-recommender.js',
+  '/src/csv-parser.js',
+  '/src/csv-worker.js',
+  '/src/type-inference.js',
   '/src/file-analyzer.js',
+  '/src/data-preview.js',
+  '/src/dashboard.js',
+  '/src/report.js',
+  '/src/pivot.js',
+  '/src/pivot-panel.js',
+  '/src/markdown.js',
+  '/src/answer-renderer.js',
+  '/src/share-view.js',
   'https://cdn.jsdelivr.net/npm/chart.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+  'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js',
+  'https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
 ];
 
@@ -0,0 +1,296 @@
+// src/answer-renderer.js — Data Examiner — AI answers as HTML
+// Turns the model's markdown (Overview, Key Metrics, Key Insights, Recommendations...) into the
+// summary cards shown in the chat; answers without those sections fall back to plain formatting.
+// Used by the app and by the read-only share page; all model text goes through MarkdownRenderer.
+
+class AnswerRenderer {
+  constructor() {
+    this.markdown = new MarkdownRenderer();
+  }
+
+  // Parse markdown to structured data. Insights and recommendations keep their indented
+  // sub-items; tables, code blocks and other headings are kept verbatim in rawSections.
+  parseMarkdownToStructuredData(markdown) {
+    const lines = markdown.split('\n');
+    const sections = {
+      overview: '',
+      metrics: [],
+      insights: [],
+      recommendations: [],
+      keyFindings: [],
+      rawSections: []
+    };
+
+    let currentSection = '';
+    let other = [];
+    // The list whose last item receives indented continuation lines
+    let openList = null;
+
+    const flushOther = () => {
+      const content = other.join('\n').trim();
+      if (content) sections.rawSections.push({ type: 'markdown', content, title: currentSection });
+      other = [];
+    };
+    const startSection = name => {
+      flushOther();
+      currentSection = name;
+      openList = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const raw = lines[i];
+      const line = raw.trim();
+
+      if (!line) {
+        if (other.length) other.push('');
+        continue;
+      }
+
+      // Code blocks are kept whole
+      if (line.startsWith('```')) {
+        openList = null;
+        other.push(raw);
+        while (++i < lines.length) {
+          other.push(lines[i]);
+          if (lines[i].trim().startsWith('```')) break;
+        }
+      }
+      // Check for main overview heading
+      else if (line.startsWith('# ')) {
+        startSection('overview');
+        sections.overview = line.replace('# ', '');
+      }
+      else if (line.startsWith('## Key Metrics')) {
+        startSection('metrics');
+      }
+      else if (line.startsWith('## Key Insights')) {
+        startSection('insights');
+      }
+      else if (line.startsWith('## Recommendations')) {
+        startSection('recommendations');
+      }
+      else if (line.startsWith('## Key Finding')) {
+        startSection('key finding');
+      }
+      // Any other heading starts a section that is shown as written
+      else if (line.startsWith('#')) {
+        startSection('');
+        other.push(raw);
+      }
+      // Nested items and wrapped lines belong to the insight or recommendation above
+      else if (openList && /^\s/.test(raw)) {
+        openList[openList.length - 1] += '\n' + raw;
+      }
+      // Tables are kept whole
+      else if (line.startsWith('|')) {
+        openList = null;
+        other.push(raw);
+      }
+      // Parse metrics (Key: Value format)
+      else if (currentSection === 'metrics' && line.includes(':')) {
+        const item = line.replace(/^[-*]\s*/, '');
+        const colon = item.indexOf(':');
+        sections.metrics.push({ label: item.slice(0, colon).trim(), value: item.slice(colon + 1).trim() });
+      }
+      // Parse insights (bullet points)
+      else if (currentSection === 'insights' && /^[-*]\s/.test(line)) {
+        const insight = line.replace(/^[-*]\s*/, '').trim();
+        if (insight) sections.insights.push(insight);
+        openList = sections.insights;
+      }
+      // Parse recommendations (numbered list)
+      else if (currentSection === 'recommendations' && line.match(/^\d+\./)) {
+        const rec = line.replace(/^\d+\.\s*/, '').trim();
+        if (rec) sections.recommendations.push(rec);
+        openList = sections.recommendations;
+      }
+      // Parse key finding (paragraph after heading)
+      else if (currentSection === 'key finding') {
+        sections.keyFindings.push(line);
+        currentSection = ''; // Reset after capturing
+      }
+      // Capture other content
+      else {
+        openList = null;
+        other.push(raw);
+      }
+    }
+
+    // Add any remaining content
+    flushOther();
+
+    return sections;
+  }
+
+  // Create beautiful HTML response from markdown
+  // Everything from the model is rendered through MarkdownRenderer, so its HTML never runs
+  createBeautifulResponseFromMarkdown(markdown) {
+    // Try to parse as structured data
+    const structuredData = this.parseMarkdownToStructuredData(markdown);
+    
+    // Check if we got any structured data
+    if (structuredData.overview || 
+        structuredData.metrics.length > 0 || 
+        structuredData.insights.length > 0) {
+      return this.createBeautifulHTML(structuredData);
+    } else {
+      // Fallback: format as plain text with basic styling
+      return `<div class="message-content-plain">${this.simpleMarkdownToHTML(markdown)}</div>`;
+    }
+  }
+
+  // Helper function for simple markdown to HTML conversion
+  simpleMarkdownToHTML(text) {
+    return this.markdown.render(text);
+  }
+
+  // An insight or recommendation: its first line inline, indented sub-items as nested markdown
+  renderItem(text) {
+    const [first, ...rest] = text.split('\n');
+    const indent = Math.min(...rest.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    const nested = rest.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n');
+    return this.markdown.renderInline(first) + (nested.trim() ? this.markdown.render(nested) : '');
+  }
+
+  // Create beautiful HTML from structured data
+  createBeautifulHTML(structuredData) {
+    const { overview, metrics, insights, recommendations, keyFindings, rawSections } = structuredData;
+    
+    let html = '<div class="ai-summary">';
+    
+    // Header
+    html += `
+      <div class="summary-header">
+        <div class="summary-icon">
+          <i class="fas fa-chart-bar"></i>
+        </div>
+        <h2 class="summary-title">Data Analysis Summary</h2>
+      </div>
+    `;
+    
+    // Overview - Always show
+    html += `
+      <div class="summary-section">
+        <div class="section-header">
+          <div class="section-icon">
+            <i class="fas fa-eye"></i>
+          </div>
+          <h3 class="section-title">Overview</h3>
+        </div>
+        <p class="section-content">${overview ? this.markdown.renderInline(overview) : 'Analysis overview will appear here.'}</p>
+      </div>
+    `;
+    
+    // Metrics
+    if (metrics.length > 0) {
+      html += `
+        <div class="summary-section">
+          <div class="section-header">
+            <div class="section-icon">
+              <i class="fas fa-chart-line"></i>
+            </div>
+            <h3 class="section-title">Key Metrics</h3>
+          </div>
+          <div class="metrics-grid">
+      `;
+      
+      metrics.forEach((metric, index) => {
+        html += `
+          <div class="metric-card">
+            <div class="metric-value">${metric.value ? this.markdown.renderInline(metric.value) : 'N/A'}</div>
+            <div class="metric-label">${metric.label ? this.markdown.renderInline(metric.label) : 'Metric ' + (index + 1)}</div>
+          </div>
+        `;
+      });
+      
+      html += `</div></div>`;
+    }
+    
+    // Insights
+    if (insights.length > 0) {
+      html += `
+        <div class="summary-section">
+          <div class="section-header">
+            <div class="section-icon">
+              <i class="fas fa-lightbulb"></i>
+            </div>
+            <h3 class="section-title">Key Insights</h3>
+          </div>
+          <div class="insights-container">
+      `;
+      
+      insights.forEach((insight, index) => {
+        const icons = ['fa-chart-pie', 'fa-trend-up', 'fa-filter', 'fa-bullseye', 'fa-search'];
+        const icon = icons[index] || 'fa-chart-bar';
+        html += `
+          <div class="insight-card">
+            <div class="insight-header">
+              <div class="insight-icon">
+                <i class="fas ${icon}"></i>
+              </div>
+              <h4 class="insight-title">Insight ${index + 1}</h4>
+            </div>
+            <div class="insight-content">${this.renderItem(insight)}</div>
+          </div>
+        `;
+      });
+      
+      html += `</div></div>`;
+    }
+    
+    // Tables, code and sections outside the known headings, as written
+    if (rawSections.length > 0) {
+      html += `
+        <div class="summary-section summary-details message-content-plain">
+          ${rawSections.map(section => this.markdown.render(section.content)).join('')}
+        </div>
+      `;
+    }
+    
+    // Recommendations
+    if (recommendations.length > 0) {
+      html += `
+        <div class="recommendation">
+          <h4 class="recommendation-title"><i class="fas fa-bullseye"></i> Recommendations</h4>
+          <ul class="summary-list">
+      `;
+      
+      recommendations.forEach((rec, index) => {
+        html += `
+          <li class="summary-item">
+            <span class="item-icon"><i class="fas fa-check-circle"></i></span>
+            <span class="item-text">${this.renderItem(rec)}</span>
+          </li>
+        `;
+      });
+      
+      html += `</ul></div>`;
+    }
+    
+    // Key Findings
+    if (keyFindings.length > 0) {
+      html += `
+        <div class="highlight-box">
+          <h4 class="highlight-title"><i class="fas fa-star"></i> Key Finding</h4>
+          <p class="highlight-content">${this.markdown.renderInline(keyFindings[0])}</p>
+        </div>
+      `;
+    } else if (insights.length > 0) {
+      // Use first insight as key finding if none provided
+      html += `
+        <div class="highlight-box">
+          <h4 class="highlight-title"><i class="fas fa-star"></i> Key Finding</h4>
+          <p class="highlight-content">${this.markdown.renderInline(insights[0].split('\n')[0])}</p>
+        </div>
+      `;
+    }
+    
+    html += '</div>';
+    return html;
+  }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnswerRenderer;
+}
@@ -5,13 +5,13 @@ class DataExaminerAPI {
     this.requestQueue = [];
     this.isProcessingQueue = false;
     this.sessionId = null;
+    // How personal data in the dataset is sent to the model: 'mask', 'hash', 'drop' or 'keep'
+    // (null leaves it to the server default)
+    this.piiMode = null;
   }
 
-  async analyzeFile(file, question = 'Analyze this data and create visualizations', conversationId = null) {
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('question', question);
-    if (conversationId) formData.append('conversationId', conversationId);
+  async analyzeFile(file, question = 'Analyze this data and create visualizations', conversationId = null, options = {}) {
+    const formData = this.buildFileForm(file, question, conversationId, options);
 
     try {
       const response = await fetch(`${this.baseURL}/api/analyze/file`, {
@@ -33,6 +33,27 @@ class DataExaminerAPI {
     }
   }
 
+  // options.sheets / options.joinKey pick and join sheets of an Excel workbook;
+  // options.columnTypes overrides detected column types ({ Amount: 'currency' });
+  // options.excludedColumns / options.excludedRows drop data deselected in the preview;
+  // options.pivot ({ spec }) is a pivot the question asks about, rebuilt by the server
+  buildFileForm(file, question, conversationId, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('question', question);
+    if (conversationId) formData.append('conversationId', conversationId);
+    if (options.sheets?.length) formData.append('sheets', JSON.stringify(options.sheets));
+    if (options.joinKey) formData.append('joinKey', options.joinKey);
+    if (options.columnTypes && Object.keys(options.columnTypes).length > 0) {
+      formData.append('columnTypes', JSON.stringify(options.columnTypes));
+    }
+    if (options.excludedColumns) formData.append('excludedColumns', JSON.stringify(options.excludedColumns));
+    if (options.excludedRows) formData.append('excludedRows', JSON.stringify(options.excludedRows));
+    if (options.pivot) formData.append('pivot', JSON.stringify(options.pivot));
+    if (this.piiMode) formData.append('pii', this.piiMode);
+    return formData;
+  }
+
   async analyzeText(text, question = 'Analyze this data and create visualizations', conversationId = null) {
     try {
       const response = await fetch(`${this.baseURL}/api/analyze/text`, {
@@ -41,7 +62,8 @@ class DataExaminerAPI {
         body: JSON.stringify({
           text: text,
           question: question,
-          conversationId: conversationId
+          conversationId: conversationId,
+          pii: this.piiMode || undefined
         })
       });
 
@@ -65,7 +87,8 @@ class DataExaminerAPI {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           question: data.question,
-          conversationId: data.conversationId || this.sessionId
+          conversationId: data.conversationId || this.sessionId,
+          pii: this.piiMode || undefined
         })
       });
 
@@ -76,6 +99,118 @@ class DataExaminerAPI {
     }
   }
 
+  // Streaming variants: handlers receive onStart/onToken/onTool, the promise resolves
+  // with the same payload the non-streaming endpoints return
+  async analyzeFileStream(file, question = 'Analyze this data and create visualizations', conversationId = null, handlers = {}, options = {}) {
+    const formData = this.buildFileForm(file, question, conversationId, options);
+
+    try {
+      return await this.streamRequest('/api/analyze/file/stream', {
+        method: 'POST',
+        body: formData
+      }, handlers);
+    } catch (error) {
+      console.error('File analysis stream error:', error);
+      throw error;
+    }
+  }
+
+  async analyzeTextStream(text, question = 'Analyze this data and create visualizations', conversationId = null, handlers = {}) {
+    try {
+      return await this.streamRequest('/api/analyze/text/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text: text,
+          question: question,
+          conversationId: conversationId,
+          pii: this.piiMode || undefined
+        })
+      }, handlers);
+    } catch (error) {
+      console.error('Text analysis stream error:', error);
+      throw error;
+    }
+  }
+
+  async chatFollowupStream(data, handlers = {}) {
+    try {
+      return await this.streamRequest('/api/chat/followup/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          question: data.question,
+          conversationId: data.conversationId || this.sessionId,
+          pivot: data.pivot || undefined,
+          pii: this.piiMode || undefined
+        })
+      }, handlers);
+    } catch (error) {
+      console.error('Chat follow-up stream error:', error);
+      throw error;
+    }
+  }
+
+  async streamRequest(path, init, handlers = {}) {
+    const response = await fetch(`${this.baseURL}${path}`, init);
+    const contentType = response.headers.get('Content-Type') || '';
+
+    // Validation errors come back as plain JSON before the stream opens
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      return this.handleResponse(response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const { event, data } = this.parseServerEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (event === 'start') handlers.onStart?.(data);
+        else if (event === 'token') handlers.onToken?.(data.text);
+        else if (event === 'tool') handlers.onTool?.(data);
+        else if (event === 'done') result = data;
+      }
+    }
+
+    if (!result) {
+      throw new Error('The analysis stream ended unexpectedly');
+    }
+
+    if (result.conversationId) {
+      this.sessionId = result.conversationId;
+    }
+
+    return result;
+  }
+
+  parseServerEvent(frame) {
+    let event = 'message';
+    const dataLines = [];
+
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+
+    let data = null;
+    try {
+      data = JSON.parse(dataLines.join('\n'));
+    } catch {
+      data = dataLines.join('\n');
+    }
+    return { event, data };
+  }
+
   async getConversation(sessionId) {
     try {
       const response = await fetch(`${this.baseURL}/api/conversation/${sessionId}`);
@@ -98,6 +233,132 @@ class DataExaminerAPI {
     }
   }
 
+  // Replaces the filters the conversation's data is limited to; resolves to { filters, rowCount, totalRows }
+  async setViewFilters(sessionId, filters) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/conversation/${sessionId}/filters`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filters })
+      });
+      return (await this.handleResponse(response)).view;
+    } catch (error) {
+      console.error('View filter error:', error);
+      throw error;
+    }
+  }
+
+  // Pivots the conversation's stored data (narrowed by its view filters); spec as in src/pivot.js
+  async pivot(sessionId, spec, table = null) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/conversation/${sessionId}/pivot`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(table ? { spec, table } : { spec })
+      });
+      return (await this.handleResponse(response)).pivot;
+    } catch (error) {
+      console.error('Pivot error:', error);
+      throw error;
+    }
+  }
+
+  // Snapshots the conversation behind a read-only link; resolves to { token, url, expiresAt, ... }.
+  // options: { includeRows, expiresInDays }
+  async shareConversation(sessionId, options = {}) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/conversation/${sessionId}/share`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(options)
+      });
+      return (await this.handleResponse(response)).share;
+    } catch (error) {
+      console.error('Share conversation error:', error);
+      throw error;
+    }
+  }
+
+  // ---- Account (the session is an HttpOnly cookie, so it rides along on every request) ----
+
+  // Resolves to { id, username, guest }
+  async getSession() {
+    const response = await fetch(`${this.baseURL}/api/auth/me`);
+    return (await this.handleResponse(response)).user;
+  }
+
+  // action: 'login' or 'register'; resolves to the signed-in user
+  async authenticate(action, username, password) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/auth/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      return (await this.handleResponse(response)).user;
+    } catch (error) {
+      console.error(`Account ${action} error:`, error);
+      throw error;
+    }
+  }
+
+  async signOut() {
+    const response = await fetch(`${this.baseURL}/api/auth/logout`, { method: 'POST' });
+    return await this.handleResponse(response);
+  }
+
+  // Returns the PDF as a Blob; report is the model built by DataExaminerApp.buildReport
+  async exportReportPdf(report) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/report/pdf`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(report)
+      });
+      if (!response.ok) await this.handleResponse(response);
+      return await response.blob();
+    } catch (error) {
+      console.error('Report export error:', error);
+      throw error;
+    }
+  }
+
+  // Chart labels/datasets as a file; resolves to { blob, filename }
+  async exportChartData(chart, format) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/export/chart?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chart: { title: chart.title, type: chart.type, data: chart.data } })
+      });
+      return await this.handleDownload(response, `chart-data.${format}`);
+    } catch (error) {
+      console.error('Chart data export error:', error);
+      throw error;
+    }
+  }
+
+  // A table from an answer's derivedTables; resolves to { blob, filename }
+  async exportTable(conversationId, tableId, format) {
+    try {
+      const response = await fetch(
+        `${this.baseURL}/api/export/table/${encodeURIComponent(conversationId)}/${encodeURIComponent(tableId)}?format=${format}`
+      );
+      return await this.handleDownload(response, `table.${format}`);
+    } catch (error) {
+      console.error('Table export error:', error);
+      throw error;
+    }
+  }
+
+  // File responses: the name comes from Content-Disposition, errors are JSON like everywhere else
+  async handleDownload(response, fallbackName) {
+    if (!response.ok) await this.handleResponse(response);
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || fallbackName;
+    return { blob: await response.blob(), filename };
+  }
+
   async handleResponse(response) {
     if (!response.ok) {
       const errorText = await response.text();
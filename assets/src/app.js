@@ -1,19 +1,67 @@
 // src/app.js — Data Examiner — main frontend logic with typewriter effects
+
+// Column type override choices, in the order shown in the column types panel
+const COLUMN_TYPE_OPTIONS = [
+  ['integer', 'Integer'],
+  ['decimal', 'Decimal'],
+  ['currency', 'Currency'],
+  ['percentage', 'Percentage'],
+  ['boolean', 'Boolean'],
+  ['date', 'Date (month first)'],
+  ['date-dmy', 'Date (day first)'],
+  ['datetime', 'Date & time'],
+  ['categorical', 'Category'],
+  ['text', 'Text'],
+  ['id', 'Identifier']
+];
+
 class DataExaminerApp {
   constructor() {
     this.api = new DataExaminerAPI();
+    this.fileAnalyzer = new FileAnalyzer();
     this.currentFile = null;
+    this.currentFileAnalysis = null;
+    this.columnTypeOverrides = {};
     this.currentSessionId = null;
     this.conversationContext = [];
     this.isDarkMode = localStorage.getItem('darkMode') === 'true';
     this.analysisHistory = JSON.parse(localStorage.getItem('analysisHistory')) || [];
     this.currentTypingMessage = null;
+    // Charts the carousel cycles through: the AI chart (if any) followed by local suggestions
+    this.chartSuggestions = [];
+    this.chartSlides = [];
+    this.chartSlideIndex = 0;
+    // One ChartManager per chart rendered under an answer
+    this.messageCharts = [];
+    this.currentProfile = null;
+    // Filters the conversation's data is limited to, from the server's `view`
+    this.currentView = null;
+    // Pivot spec sent with the next question ("Ask AI to interpret" in the pivot panel)
+    this.pendingPivot = null;
+    this.answerRenderer = new AnswerRenderer();
+    this.reportBuilder = new ReportBuilder({
+      renderSummary: markdown => this.createBeautifulResponseFromMarkdown(markdown)
+    });
 
     this.elements = {};
     this.initializeElements();
+    this.dataPreview = new DataPreview(this.elements.dataPreview);
+    this.dashboard = new ChartDashboard(this.elements.dashboardGrid, {
+      onChange: count => this.updateDashboardCount(count)
+    });
+    this.dashboard.render();
+    this.pivotPanel = new PivotPanel(this.elements.pivotBody, {
+      run: spec => this.runPivot(spec),
+      onChart: chart => this.showPivotChart(chart),
+      onAsk: spec => this.askAboutPivot(spec)
+    });
+    this.previewReplacedWelcome = false;
     this.applyTheme();
+    this.api.piiMode = localStorage.getItem('piiMode') || null;
+    if (this.api.piiMode && this.elements.piiMode) this.elements.piiMode.value = this.api.piiMode;
     this.initializeEventListeners();
     this.registerServiceWorker();
+    this.loadSession();
   }
 
   initializeElements() {
@@ -22,9 +70,14 @@ class DataExaminerApp {
       'dataInput', 'analyzePaste', 'analysisHistory', 'statusIndicator',
       'welcomeScreen', 'messagesContainer', 'chatContainer', 'chartSection',
       'dataChart', 'chartType', 'exportChart', 'messageInput', 'attachBtn',
+      'chartCarousel', 'chartCarouselLabel', 'chartPrev', 'chartNext', 'chartReason',
       'sendBtn', 'fileIndicator', 'fileName', 'clearFile', 'quickUpload',
       'quickPaste', 'quickSample', 'loadingOverlay', 'installBtn',
-      'themeToggle', 'toastContainer'
+      'themeToggle', 'toastContainer', 'sheetPicker', 'sheetList', 'joinKey',
+      'columnTypesPanel', 'columnTypeList', 'columnTypesSummary', 'dataPreview',
+      'pinChart', 'dashboardToggle', 'dashboardCount', 'dashboardPanel', 'dashboardGrid',
+      'dashboardClear', 'dashboardClose', 'pivotToggle', 'pivotPanel', 'pivotBody', 'pivotClose', 'exportReportHtml', 'exportReportPdf', 'chartDataMenu', 'shareConversation', 'viewFilters',
+      'piiMode', 'accountName', 'accountForm', 'accountUsername', 'accountPassword', 'signOutBtn'
     ];
 
     ids.forEach(id => {
@@ -58,7 +111,7 @@ class DataExaminerApp {
       this.analyzePastedData()
     );
     this.elements.clearFile?.addEventListener('click', () =>
-      this.clearCurrentFile()
+      this.removeCurrentFile()
     );
 
     this.elements.quickUpload?.addEventListener('click', () =>
@@ -91,12 +144,61 @@ class DataExaminerApp {
     this.elements.exportChart?.addEventListener('click', () =>
       this.exportChart()
     );
+    this.elements.chartDataMenu?.replaceWith(
+      this.buildDataMenu(format => this.exportChartData(this.chartSlides[this.chartSlideIndex], format), 'Data')
+    );
+    this.elements.chartPrev?.addEventListener('click', () =>
+      this.showChartSlide(this.chartSlideIndex - 1)
+    );
+    this.elements.chartNext?.addEventListener('click', () =>
+      this.showChartSlide(this.chartSlideIndex + 1)
+    );
+    this.elements.pinChart?.addEventListener('click', () =>
+      this.pinChart(this.chartSlides[this.chartSlideIndex])
+    );
+    this.elements.dashboardToggle?.addEventListener('click', () =>
+      this.toggleDashboard()
+    );
+    this.elements.pivotToggle?.addEventListener('click', () =>
+      this.togglePivot()
+    );
+    this.elements.pivotClose?.addEventListener('click', () =>
+      this.togglePivot(false)
+    );
+    this.elements.exportReportHtml?.addEventListener('click', () =>
+      this.exportReport('html')
+    );
+    this.elements.exportReportPdf?.addEventListener('click', () =>
+      this.exportReport('pdf')
+    );
+    this.elements.shareConversation?.addEventListener('click', () =>
+      this.shareConversation()
+    );
+    this.elements.dashboardClose?.addEventListener('click', () =>
+      this.toggleDashboard(false)
+    );
+    this.elements.dashboardClear?.addEventListener('click', () => {
+      if (this.dashboard.count > 0 && confirm('Remove all charts from the dashboard?')) {
+        this.dashboard.clear();
+      }
+    });
     this.elements.themeToggle?.addEventListener('click', () =>
       this.toggleTheme()
     );
     this.elements.installBtn?.addEventListener('click', () =>
       this.installPWA()
     );
+    this.elements.piiMode?.addEventListener('change', e => {
+      this.api.piiMode = e.target.value;
+      localStorage.setItem('piiMode', e.target.value);
+    });
+    this.elements.accountForm?.addEventListener('submit', e => {
+      e.preventDefault();
+      this.submitAccount(e.submitter?.dataset.action || 'login');
+    });
+    this.elements.signOutBtn?.addEventListener('click', () =>
+      this.signOut()
+    );
 
     window.addEventListener('online', () => this.updateOnlineStatus(true));
     window.addEventListener('offline', () => this.updateOnlineStatus(false));
@@ -131,14 +233,472 @@ class DataExaminerApp {
     if (!file) return;
 
     this.currentFile = file;
+    this.currentFileAnalysis = null;
     this.elements.fileName.textContent = file.name;
     this.elements.fileIndicator.style.display = 'flex';
+    this.hideSheetPicker();
+    this.hideColumnTypes();
+    this.hideDataPreview();
+
+    // Parse locally so workbooks can offer a sheet choice before anything is uploaded
+    try {
+      const analysis = await this.fileAnalyzer.analyzeFile(file, {
+        onProgress: (loaded, total) => {
+          if (this.currentFile !== file) return;
+          this.elements.fileName.textContent = `${file.name} (${Math.round((loaded / total) * 100)}%)`;
+        }
+      });
+      if (this.currentFile !== file) return;
+      this.elements.fileName.textContent = file.name;
+      this.currentFileAnalysis = analysis;
+
+      if (analysis.sheets?.length > 1) {
+        this.renderSheetPicker(analysis.sheets);
+      }
+      this.renderColumnTypes(analysis);
+      this.showDataPreview(analysis);
+
+      // Suggested charts are available straight away, before the AI has answered
+      this.chartSuggestions = analysis.chartSuggestions || [];
+      if (!this.currentSessionId && this.chartSuggestions.length > 0) {
+        this.setChartSlides(this.chartSuggestions);
+      }
+    } catch (err) {
+      if (this.currentFile !== file) return;
+      this.elements.fileName.textContent = file.name;
+      // The server parses the upload again, so a local failure is not fatal
+      console.warn('Local file parsing failed:', err);
+      this.showToast('warning', 'Could not preview this file locally, it will still be uploaded');
+    }
   }
 
   clearCurrentFile() {
     this.currentFile = null;
+    this.currentFileAnalysis = null;
     this.elements.fileIndicator.style.display = 'none';
     this.elements.fileInput.value = '';
+    this.hideSheetPicker();
+    this.hideColumnTypes();
+    this.hideDataPreview();
+  }
+
+  // The file was removed before sending: drop its suggested charts too
+  removeCurrentFile() {
+    this.clearCurrentFile();
+    if (!this.currentSessionId) {
+      this.chartSuggestions = [];
+      this.setChartSlides([]);
+    }
+  }
+
+  // ---- Chart carousel ----
+
+  // slides: [{ type, title, data, reason }]
+  setChartSlides(slides, index = 0) {
+    this.chartSlides = slides;
+    this.elements.chartCarousel.style.display = slides.length > 1 ? 'flex' : 'none';
+
+    if (slides.length === 0) {
+      this.elements.chartSection.style.display = 'none';
+      this.elements.chartReason.textContent = '';
+      window.chartManager?.showNoData();
+      return;
+    }
+    this.showChartSlide(index);
+  }
+
+  showChartSlide(index) {
+    if (!window.chartManager || this.chartSlides.length === 0) return;
+
+    const count = this.chartSlides.length;
+    this.chartSlideIndex = (index + count) % count;
+    const slide = this.chartSlides[this.chartSlideIndex];
+
+    window.chartManager.updateChart(slide.data, slide.type || 'auto', slide.title || 'Data Visualization');
+    this.elements.chartSection.style.display = 'block';
+    this.elements.chartSection.style.opacity = '1';
+    this.elements.chartCarouselLabel.textContent = `${this.chartSlideIndex + 1} / ${count}`;
+    this.elements.chartReason.textContent = slide.reason || '';
+
+    if (slide.type && this.elements.chartType?.querySelector(`option[value="${slide.type}"]`)) {
+      this.elements.chartType.value = slide.type;
+    }
+  }
+
+  // ---- Charts inside messages ----
+
+  // Older servers only send the single chartData/chartTitle/chartType trio
+  chartsFromResponse(res) {
+    if (Array.isArray(res.charts)) return res.charts;
+    return res.chartData
+      ? [{ title: res.chartTitle || 'Data Visualization', type: res.chartType || 'auto', data: res.chartData }]
+      : [];
+  }
+
+  // charts: [{ title, type, data }], each drawn on its own canvas under the answer
+  renderMessageCharts(messageDiv, charts) {
+    if (!messageDiv || !charts?.length || typeof ChartManager === 'undefined') return;
+
+    const container = document.createElement('div');
+    container.className = 'message-charts';
+    const canvases = charts.map((chart, index) => {
+      const card = document.createElement('div');
+      card.className = 'message-chart';
+
+      const header = document.createElement('div');
+      header.className = 'message-chart-header';
+      const title = document.createElement('span');
+      title.textContent = chart.title || 'Data Visualization';
+      header.appendChild(title);
+      const badge = ChartManager.verificationBadge(chart.verification);
+      if (badge) header.appendChild(badge);
+
+      const expand = document.createElement('button');
+      expand.type = 'button';
+      expand.className = 'chart-btn';
+      expand.title = 'Show in the chart panel';
+      expand.innerHTML = '<i class="fas fa-expand"></i>';
+      expand.addEventListener('click', () => {
+        this.setChartSlides([...this.toChartSlides(charts), ...this.chartSuggestions], index);
+        this.elements.chartSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      });
+
+      const pin = document.createElement('button');
+      pin.type = 'button';
+      pin.className = 'chart-btn';
+      pin.title = 'Pin to dashboard';
+      pin.innerHTML = '<i class="fas fa-thumbtack"></i>';
+      pin.addEventListener('click', () => this.pinChart(chart));
+
+      const download = this.buildDataMenu(format => this.exportChartData(chart, format));
+      header.append(expand, pin, download);
+      const body = document.createElement('div');
+      body.className = 'message-chart-canvas';
+      const canvas = document.createElement('canvas');
+      body.appendChild(canvas);
+      card.append(header, body);
+      container.appendChild(card);
+      return canvas;
+    });
+
+    messageDiv.querySelector('.message-content').appendChild(container);
+
+    // ChartManager mutates the data it draws, so each chart gets its own copy
+    canvases.forEach((canvas, index) => {
+      const chart = charts[index];
+      const manager = new ChartManager(canvas);
+      manager.updateChart(JSON.parse(JSON.stringify(chart.data)), chart.type || 'auto', chart.title || 'Data Visualization');
+      this.messageCharts.push({ manager, chart });
+    });
+  }
+
+  // Tables an answer was computed from (tool results, focused subsets), each downloadable in full
+  renderDerivedTables(messageDiv, tables) {
+    if (!messageDiv || !tables?.length || !this.currentSessionId) return;
+    const conversationId = this.currentSessionId;
+
+    const container = document.createElement('div');
+    container.className = 'message-tables';
+    const heading = document.createElement('div');
+    heading.className = 'message-tables-title';
+    heading.innerHTML = '<i class="fas fa-table"></i> Data behind this answer';
+    container.appendChild(heading);
+
+    tables.forEach(table => {
+      const row = document.createElement('div');
+      row.className = 'message-table';
+      const name = document.createElement('span');
+      name.textContent = `${table.name} · ${table.rowCount ?? '?'} rows`;
+      row.append(name, this.buildDataMenu(format => this.exportTable(conversationId, table, format)));
+      container.appendChild(row);
+    });
+
+    messageDiv.querySelector('.message-content').appendChild(container);
+  }
+
+  // What personal data was masked, hashed or left out before the data went to the model
+  renderRedactions(messageDiv, report) {
+    if (!messageDiv || !report?.redactions?.length) return;
+    const verbs = { mask: 'masked', hash: 'hashed', drop: 'left out' };
+    const note = document.createElement('div');
+    note.className = 'message-redactions';
+    note.innerHTML = '<i class="fas fa-user-shield"></i> ';
+    note.append(report.redactions.map(entry => entry.kind === 'inline'
+      ? `${entry.values} value${entry.values === 1 ? '' : 's'} in ${entry.column || 'the text'} masked`
+      : `${entry.column} (${entry.kind}) ${verbs[entry.action]}`).join(' · '));
+    note.title = 'Personal data is protected before the data is sent to the AI. Change this under Upload Files.';
+    messageDiv.querySelector('.message-content').appendChild(note);
+  }
+
+  // Tokens and estimated cost of the answer, from the server's `usage`
+  renderUsage(messageDiv, usage) {
+    if (!messageDiv || !usage?.totalTokens) return;
+    const footer = document.createElement('div');
+    footer.className = 'message-usage';
+    const cost = usage.estimatedCost === null || usage.estimatedCost === undefined
+      ? 'cost unknown'
+      : `≈ $${usage.estimatedCost < 0.01 ? usage.estimatedCost.toFixed(4) : usage.estimatedCost.toFixed(2)}`;
+    footer.textContent = `${usage.totalTokens.toLocaleString()} tokens · ${cost}`;
+    footer.title = `${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} completion tokens`
+      + ` over ${usage.calls} model call${usage.calls === 1 ? '' : 's'}${usage.model ? ` (${usage.provider}/${usage.model})` : ''}`;
+    messageDiv.querySelector('.message-content').appendChild(footer);
+  }
+
+  toChartSlides(charts) {
+    return charts.map((chart, index) => ({
+      ...chart,
+      reason: [
+        charts.length > 1 ? `Chart ${index + 1} of ${charts.length} from the AI analysis` : 'Chart from the AI analysis',
+        chart.verification?.note
+      ].filter(Boolean).join(' · ')
+    }));
+  }
+
+  clearMessageCharts() {
+    this.messageCharts.forEach(({ manager }) => manager.destroy());
+    this.messageCharts = [];
+  }
+
+  // ---- Dashboard ----
+
+  pinChart(chart) {
+    if (!chart?.data) {
+      this.showToast('info', 'There is no chart to pin yet');
+      return;
+    }
+
+    const { added, saved } = this.dashboard.pin(chart);
+    if (!added) {
+      this.showToast('info', 'This chart is already on the dashboard');
+    } else if (!saved) {
+      this.showToast('warning', 'Chart pinned, but it is too large to keep after a reload');
+    } else {
+      this.showToast('success', 'Chart pinned to the dashboard');
+    }
+  }
+
+  toggleDashboard(open = !this.elements.dashboardPanel.classList.contains('open')) {
+    this.elements.dashboardPanel.classList.toggle('open', open);
+    this.elements.dashboardToggle.classList.toggle('active', open);
+  }
+
+  updateDashboardCount(count) {
+    this.elements.dashboardCount.textContent = count > 0 ? count : '';
+  }
+
+  // ---- Pivot table ----
+
+  // The conversation's stored data (with its view filters) once the server has it, otherwise the
+  // rows parsed locally from the selected file
+  pivotProfile() {
+    if (this.currentSessionId && this.currentProfile?.columns) return this.currentProfile;
+    return this.currentFileAnalysis?.data?.length ? this.currentFileAnalysis.analysis : null;
+  }
+
+  async runPivot(spec) {
+    if (this.currentSessionId && this.currentProfile?.columns) {
+      return this.api.pivot(this.currentSessionId, spec);
+    }
+    if (!this.currentFileAnalysis?.data?.length) throw new Error('No data to pivot');
+    return this.pivotPanel.pivotTable.compute(this.currentFileAnalysis.data, spec);
+  }
+
+  togglePivot(open = !this.elements.pivotPanel.classList.contains('open')) {
+    const profile = this.pivotProfile();
+    if (open && !profile) {
+      this.showToast('warning', 'Upload or paste data to build a pivot table');
+      return;
+    }
+    if (open) this.pivotPanel.setData(profile);
+    this.elements.pivotPanel.classList.toggle('open', open);
+    this.elements.pivotToggle.classList.toggle('active', open);
+  }
+
+  // chart: { title, type, data }; shown first in the chart carousel
+  showPivotChart(chart) {
+    this.togglePivot(false);
+    this.setChartSlides([{ ...chart, reason: 'From the pivot table' }, ...this.chartSlides]);
+    this.elements.chartSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  // Only the spec goes with the question: the server rebuilds the pivot over the data the model
+  // may see (personal data masked) and passes it as data, not as question text
+  askAboutPivot(spec) {
+    this.togglePivot(false);
+    this.pendingPivot = { spec };
+    this.elements.messageInput.value = 'Interpret this pivot table';
+    this.sendMessage();
+  }
+
+  // ---- Data preview ----
+
+  showDataPreview(analysis) {
+    if (this.elements.welcomeScreen.style.display !== 'none') {
+      this.elements.welcomeScreen.style.display = 'none';
+      this.previewReplacedWelcome = true;
+    }
+    this.dataPreview.render(analysis);
+  }
+
+  hideDataPreview() {
+    this.dataPreview.clear();
+    // Nothing was sent: bring the welcome screen back
+    if (this.previewReplacedWelcome && this.elements.messagesContainer.children.length === 0) {
+      this.elements.welcomeScreen.style.display = 'flex';
+    }
+    this.previewReplacedWelcome = false;
+  }
+
+  // ---- Column type overrides ----
+
+  // Detected types of every column (all sheets of a workbook), with a select to override each
+  renderColumnTypes(analysis) {
+    const tables = analysis.sheets?.length ? analysis.sheets.map(sheet => sheet.analysis) : [analysis.analysis];
+    const columns = new Map();
+    tables.forEach(table => {
+      Object.entries(table.typeInfo || {}).forEach(([column, spec]) => {
+        if (!columns.has(column)) columns.set(column, spec);
+      });
+    });
+    if (columns.size === 0) return;
+
+    const list = this.elements.columnTypeList;
+    list.innerHTML = '';
+    this.columnTypeOverrides = {};
+
+    columns.forEach((spec, column) => {
+      const option = document.createElement('label');
+      option.className = 'column-type-option';
+
+      const name = document.createElement('span');
+      name.textContent = column;
+      name.title = column;
+
+      const select = document.createElement('select');
+      select.className = 'chart-select';
+      select.appendChild(new Option(`Auto (${this.describeColumnType(spec)})`, ''));
+      COLUMN_TYPE_OPTIONS.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+      select.addEventListener('change', () => {
+        if (select.value) {
+          this.columnTypeOverrides[column] = select.value;
+        } else {
+          delete this.columnTypeOverrides[column];
+        }
+        option.classList.toggle('overridden', !!select.value);
+        this.updateColumnTypesSummary(columns.size);
+      });
+
+      const confidence = document.createElement('small');
+      confidence.textContent = spec.confidence < 1 ? `${Math.round(spec.confidence * 100)}%` : '';
+      confidence.title = 'Share of sampled values matching the detected type';
+
+      option.append(name, select, confidence);
+      list.appendChild(option);
+    });
+
+    this.updateColumnTypesSummary(columns.size);
+    this.elements.columnTypesPanel.style.display = 'block';
+  }
+
+  describeColumnType(spec) {
+    const label = (COLUMN_TYPE_OPTIONS.find(([value]) => value === spec.type) || [spec.type, spec.type])[1];
+    if (spec.currency) return `${label} ${spec.currency}`;
+    if (spec.dayFirst && (spec.type === 'date' || spec.type === 'datetime')) return `${label}, day first`;
+    return label;
+  }
+
+  updateColumnTypesSummary(total) {
+    const overridden = Object.keys(this.columnTypeOverrides).length;
+    this.elements.columnTypesSummary.textContent = overridden > 0
+      ? `${total} columns, ${overridden} overridden`
+      : `${total} columns detected`;
+  }
+
+  hideColumnTypes() {
+    if (!this.elements.columnTypesPanel) return;
+    this.elements.columnTypesPanel.style.display = 'none';
+    this.elements.columnTypesPanel.open = false;
+    this.elements.columnTypeList.innerHTML = '';
+    this.columnTypeOverrides = {};
+  }
+
+  // ---- Multi-sheet workbooks ----
+
+  renderSheetPicker(sheets) {
+    const list = this.elements.sheetList;
+    list.innerHTML = '';
+
+    sheets.forEach(sheet => {
+      const option = document.createElement('label');
+      option.className = 'sheet-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = sheet.name;
+      checkbox.checked = sheet.data.length > 0;
+      checkbox.disabled = sheet.data.length === 0;
+      checkbox.addEventListener('change', () => this.updateJoinKeyOptions());
+
+      const name = document.createElement('span');
+      name.textContent = sheet.name;
+      const count = document.createElement('small');
+      count.textContent = `${sheet.data.length} rows`;
+
+      option.append(checkbox, name, count);
+      list.appendChild(option);
+    });
+
+    this.elements.sheetPicker.style.display = 'flex';
+    this.updateJoinKeyOptions();
+  }
+
+  hideSheetPicker() {
+    if (!this.elements.sheetPicker) return;
+    this.elements.sheetPicker.style.display = 'none';
+    this.elements.sheetList.innerHTML = '';
+  }
+
+  getSelectedSheetNames() {
+    return Array.from(this.elements.sheetList.querySelectorAll('input:checked'))
+      .map(input => input.value);
+  }
+
+  // Only columns present in every selected sheet can be join keys
+  updateJoinKeyOptions() {
+    const selected = this.getSelectedSheetNames();
+    const sheets = (this.currentFileAnalysis?.sheets || [])
+      .filter(sheet => selected.includes(sheet.name));
+    const select = this.elements.joinKey;
+    const previous = select.value;
+
+    select.innerHTML = '<option value="">Don\'t join</option>';
+    if (sheets.length < 2) {
+      select.disabled = true;
+      return;
+    }
+
+    const shared = sheets
+      .map(sheet => sheet.analysis.columns)
+      .reduce((common, columns) => common.filter(column => columns.includes(column)));
+
+    shared.forEach(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      select.appendChild(option);
+    });
+    select.disabled = shared.length === 0;
+    if (shared.includes(previous)) select.value = previous;
+  }
+
+  getSheetOptions() {
+    if (this.elements.sheetPicker?.style.display !== 'flex') return {};
+
+    const sheets = this.getSelectedSheetNames();
+    if (sheets.length === 0) {
+      throw new Error('Select at least one sheet to analyse');
+    }
+    return { sheets, joinKey: this.elements.joinKey.value || null };
   }
 
   async analyzePastedData() {
@@ -163,6 +723,8 @@ class DataExaminerApp {
   async sendMessage() {
     const input = this.elements.messageInput;
     const message = input.value.trim();
+    const pivot = this.pendingPivot;
+    this.pendingPivot = null;
 
     // Hide welcome screen on first message
     if (this.elements.welcomeScreen.style.display !== 'none') {
@@ -175,19 +737,22 @@ class DataExaminerApp {
 
     input.value = '';
     input.style.height = 'auto';
-    this.showLoading(true);
 
     try {
       let response;
+      // Tokens are rendered into a bot message as they arrive instead of behind the overlay
+      const handlers = this.createStreamHandlers();
 
       // Check if this is a follow-up question (we have an active session)
       if (this.currentSessionId) {
         // This is a follow-up question about previous data
         console.log('Sending follow-up question...');
-        response = await this.api.chatFollowup({
+        this.startStreamingMessage();
+        response = await this.api.chatFollowupStream({
           question: message,
-          conversationId: this.currentSessionId
-        });
+          conversationId: this.currentSessionId,
+          pivot
+        }, handlers);
       } else {
         // This is a new analysis request - need data
         // Validation: require file OR pasted data for first message
@@ -198,21 +763,32 @@ class DataExaminerApp {
         // Case 1: File upload
         if (this.currentFile) {
           console.log('Analyzing file...');
-          response = await this.api.analyzeFile(
+          const uploadOptions = {
+            ...this.getSheetOptions(),
+            ...this.dataPreview.getExclusions(),
+            columnTypes: this.columnTypeOverrides,
+            pivot
+          };
+          this.dataPreview.hide();
+          this.startStreamingMessage();
+          response = await this.api.analyzeFileStream(
             this.currentFile,
             message || 'Analyze this data and create visualizations',
-            this.currentSessionId
+            this.currentSessionId,
+            handlers,
+            uploadOptions
           );
-          this.currentFile = null;
-          this.elements.fileIndicator.style.display = 'none';
+          this.clearCurrentFile();
         } 
         // Case 2: Pasted data
         else if (this.elements.dataInput?.value.trim()) {
           console.log('Analyzing pasted data...');
-          response = await this.api.analyzeText(
+          this.startStreamingMessage();
+          response = await this.api.analyzeTextStream(
             this.elements.dataInput.value.trim(),
             message || 'Analyze this data and create visualizations',
-            this.currentSessionId
+            this.currentSessionId,
+            handlers
           );
           this.elements.dataInput.value = '';
         } else {
@@ -232,6 +808,9 @@ class DataExaminerApp {
       this.handleAnalysisResponse(response);
     } catch (err) {
       console.error('Send message error:', err);
+      this.discardStreamingMessage();
+      // The file is still attached, so keep its preview for another try
+      if (this.currentFile) this.dataPreview.show();
       this.addMessage(
         'bot',
         `**Error**\n\n${err.message || 'Something went wrong. Try again.'}`,
@@ -255,6 +834,7 @@ class DataExaminerApp {
 
   async handleAnalysisResponse(res) {
     if (!res.success) {
+      this.discardStreamingMessage();
       this.addMessage(
         'bot',
         `**Error from server**\n\n${res.analysis || res.error}`,
@@ -266,22 +846,9 @@ class DataExaminerApp {
     // Debug: Log chart data
     this.debugChartData(res);
 
-    // Create bot message with typing indicator
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message bot-message';
-    messageDiv.innerHTML = `
-      <div class="message-avatar">AI</div>
-      <div class="message-content typing">
-        <div class="typing-indicator">
-          <span class="typing-dot"></span>
-          <span class="typing-dot"></span>
-          <span class="typing-dot"></span>
-        </div>
-      </div>
-    `;
-    
-    this.elements.messagesContainer.appendChild(messageDiv);
-    this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+    // Reuse the message that was streaming, or create one with a typing indicator
+    const messageDiv = this.currentTypingMessage?.element || this.createTypingMessage();
+    this.currentTypingMessage = null;
     
     // Parse the AI response and create beautiful HTML
     const formattedResponse = this.createBeautifulResponseFromMarkdown(res.analysis);
@@ -292,29 +859,31 @@ class DataExaminerApp {
     contentElement.innerHTML = formattedResponse;
     this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
 
+    const charts = this.chartsFromResponse(res);
+    if (res.profile) this.currentProfile = res.profile;
+
     // Store AI response in conversation context
     this.conversationContext.push({
       role: 'assistant',
       content: res.analysis,
+      charts,
+      derivedTables: res.derivedTables || [],
+      usage: res.usage || null,
       timestamp: new Date().toISOString()
     });
-
-    // Show chart if AI provided data
-    if (res.chartData && window.chartManager) {
-      console.log('Displaying chart with data:', res.chartData);
+    this.renderDerivedTables(messageDiv, res.derivedTables);
+    this.renderUsage(messageDiv, res.usage);
+    this.renderRedactions(messageDiv, res.redactions);
+    if (res.view !== undefined) this.renderViewFilters(res.view);
+
+    // Show charts if AI provided data
+    if (charts.length > 0 && window.chartManager) {
+      console.log(`Displaying ${charts.length} chart(s)`);
       try {
-        window.chartManager.updateChart(
-          res.chartData,
-          res.chartType || 'auto',
-          res.chartTitle || 'Data Visualization'
-        );
-        this.elements.chartSection.style.display = 'block';
-        this.elements.chartSection.style.opacity = '1';
-        
-        // Update chart type selector if needed
-        if (res.chartType && this.elements.chartType) {
-          this.elements.chartType.value = res.chartType;
-        }
+        this.renderMessageCharts(messageDiv, charts);
+
+        // The AI charts lead; the suggestions for the uploaded data stay one click away
+        this.setChartSlides([...this.toChartSlides(charts), ...this.chartSuggestions]);
         
         // Scroll to chart if it's significant
         setTimeout(() => {
@@ -325,15 +894,140 @@ class DataExaminerApp {
         console.error('Chart rendering error:', chartError);
         this.showToast('error', 'Could not display chart. ' + chartError.message);
       }
-    } else if (window.chartManager) {
+    } else if (window.chartManager && !res.chartErrors?.length) {
       console.log('No chart data provided in response');
       // You can optionally ask AI to generate a chart
       this.askForChartIfNeeded(res);
     }
 
+    // Charts the server could not validate, even after asking the model to fix them
+    if (res.chartErrors?.length) {
+      const count = res.chartErrors.length;
+      console.warn('Rejected charts:', res.chartErrors);
+      this.showToast(
+        'warning',
+        `${count} chart${count === 1 ? '' : 's'} in this answer had invalid data and could not be drawn`
+      );
+    }
+
     this.saveToHistory(res);
   }
 
+  createTypingMessage() {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message';
+    messageDiv.innerHTML = `
+      <div class="message-avatar">AI</div>
+      <div class="message-content typing">
+        <div class="typing-indicator">
+          <span class="typing-dot"></span>
+          <span class="typing-dot"></span>
+          <span class="typing-dot"></span>
+        </div>
+      </div>
+    `;
+    
+    this.elements.messagesContainer.appendChild(messageDiv);
+    this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+    return messageDiv;
+  }
+
+  // ---- Streaming (SSE) rendering ----
+
+  startStreamingMessage() {
+    this.currentTypingMessage = {
+      element: this.createTypingMessage(),
+      text: '',
+      renderedLength: -1,
+      chartRendered: false
+    };
+  }
+
+  discardStreamingMessage() {
+    this.currentTypingMessage?.element.remove();
+    this.currentTypingMessage = null;
+  }
+
+  createStreamHandlers() {
+    return {
+      onToken: text => {
+        if (!this.currentTypingMessage) return;
+        this.currentTypingMessage.text += text;
+        this.renderStreamingMessage();
+      },
+      onTool: entry => {
+        if (!this.currentTypingMessage) return;
+        // Anything written before a tool call was thinking aloud; the answer comes after
+        this.currentTypingMessage.text = '';
+        this.currentTypingMessage.renderedLength = -1;
+        this.renderStreamingMessage(`Running ${entry.tool.replace(/_/g, ' ')}…`);
+      }
+    };
+  }
+
+  renderStreamingMessage(status = '') {
+    const stream = this.currentTypingMessage;
+    const text = stream.text;
+
+    // Hide the chart JSON while it is written; draw the chart once its block closes
+    const jsonStart = text.indexOf('```json');
+    const visible = jsonStart === -1 ? text : text.slice(0, jsonStart);
+    if (jsonStart !== -1 && !stream.chartRendered) {
+      const closed = text.slice(jsonStart + 7).match(/^([\s\S]*?)```/);
+      if (closed) {
+        stream.chartRendered = true;
+        this.renderStreamedChart(closed[1]);
+      }
+    }
+
+    // Only render sections whose successor heading has started (or all, once the JSON begins)
+    let completed = visible;
+    const hasHeadings = /^#{1,2} /m.test(visible);
+    if (hasHeadings && jsonStart === -1) {
+      const cut = Math.max(visible.lastIndexOf('\n## '), visible.lastIndexOf('\n# '));
+      completed = cut > 0 ? visible.slice(0, cut) : '';
+    }
+
+    if (completed.length === stream.renderedLength && !status) return;
+    stream.renderedLength = completed.length;
+
+    const rendered = !completed.trim()
+      ? ''
+      : hasHeadings
+        ? this.createBeautifulResponseFromMarkdown(completed)
+        : `<div class="message-content-plain">${this.simpleMarkdownToHTML(completed)}</div>`;
+
+    const contentElement = stream.element.querySelector('.message-content');
+    contentElement.classList.toggle('typing', !rendered);
+    contentElement.innerHTML = `
+      ${rendered}
+      <div class="typing-indicator">
+        <span class="typing-dot"></span>
+        <span class="typing-dot"></span>
+        <span class="typing-dot"></span>
+      </div>
+      ${status ? `<div class="stream-status">${MarkdownRenderer.escape(status)}</div>` : ''}
+    `;
+    this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
+  }
+
+  renderStreamedChart(jsonText) {
+    if (!window.chartManager) return;
+    try {
+      const parsed = JSON.parse(jsonText);
+      const chart = parsed.charts?.[0] || parsed.chart || parsed;
+      const data = chart.data || chart.chartData || (chart.labels && chart.datasets ? chart : null);
+      if (!data) return;
+
+      window.chartManager.updateChart(data, chart.type || 'auto', chart.title || 'Data Visualization');
+      this.elements.chartSection.style.display = 'block';
+      this.elements.chartSection.style.opacity = '1';
+    } catch (error) {
+      // The server re-validates the chart; the final response renders it if this failed
+      console.warn('Streamed chart JSON not parseable yet:', error.message);
+    }
+  }
+
   debugChartData(data) {
     console.log('📊 Chart Data Debug:', {
       hasChartData: !!data.chartData,
@@ -364,295 +1058,13 @@ class DataExaminerApp {
     }
   }
 
-  // Parse markdown to structured data
-  parseMarkdownToStructuredData(markdown) {
-    const lines = markdown.split('\n');
-    const sections = {
-      overview: '',
-      metrics: [],
-      insights: [],
-      recommendations: [],
-      keyFindings: [],
-      rawSections: []
-    };
-
-    let currentSection = '';
-    let currentContent = '';
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      if (!line) continue;
-
-      // Check for main overview heading
-      if (line.startsWith('# ')) {
-        if (currentContent) {
-          sections.rawSections.push({
-            type: 'paragraph',
-            content: currentContent.trim(),
-            title: currentSection
-          });
-          currentContent = '';
-        }
-        sections.overview = line.replace('# ', '');
-        currentSection = 'overview';
-      }
-      // Check for Key Metrics heading
-      else if (line.startsWith('## Key Metrics')) {
-        if (currentContent) {
-          sections.rawSections.push({
-            type: 'paragraph',
-            content: currentContent.trim(),
-            title: currentSection
-          });
-          currentContent = '';
-        }
-        currentSection = 'metrics';
-      }
-      // Check for Key Insights heading
-      else if (line.startsWith('## Key Insights')) {
-        if (currentContent) {
-          sections.rawSections.push({
-            type: 'paragraph',
-            content: currentContent.trim(),
-            title: currentSection
-          });
-          currentContent = '';
-        }
-        currentSection = 'insights';
-      }
-      // Check for Recommendations heading
-      else if (line.startsWith('## Recommendations')) {
-        if (currentContent) {
-          sections.rawSections.push({
-            type: 'paragraph',
-            content: currentContent.trim(),
-            title: currentSection
-          });
-          currentContent = '';
-        }
-        currentSection = 'recommendations';
-      }
-      // Check for Key Finding heading
-      else if (line.startsWith('## Key Finding')) {
-        if (currentContent) {
-          sections.rawSections.push({
-            type: 'paragraph',
-            content: currentContent.trim(),
-            title: currentSection
-          });
-          currentContent = '';
-        }
-        currentSection = 'key finding';
-      }
-      // Parse metrics (Key: Value format)
-      else if (currentSection === 'metrics' && line.includes(':')) {
-        const [label, value] = line.split(':').map(s => s.trim());
-        sections.metrics.push({ label, value });
-      }
-      // Parse insights (bullet points)
-      else if (currentSection === 'insights' && line.startsWith('-')) {
-        const insight = line.replace(/^-\s*/, '').trim();
-        if (insight) sections.insights.push(insight);
-      }
-      // Parse recommendations (numbered list)
-      else if (currentSection === 'recommendations' && line.match(/^\d+\./)) {
-        const rec = line.replace(/^\d+\.\s*/, '').trim();
-        if (rec) sections.recommendations.push(rec);
-      }
-      // Parse key finding (paragraph after heading)
-      else if (currentSection === 'key finding' && line && !line.startsWith('#')) {
-        sections.keyFindings.push(line);
-        currentSection = ''; // Reset after capturing
-      }
-      // Skip code blocks
-      else if (line.startsWith('```')) {
-        while (i < lines.length && !lines[i].includes('```')) {
-          i++;
-        }
-      }
-      // Capture other content
-      else if (line && !line.startsWith('##') && !line.startsWith('#')) {
-        currentContent += line + ' ';
-      }
-    }
-
-    // Add any remaining content
-    if (currentContent) {
-      sections.rawSections.push({
-        type: 'paragraph',
-        content: currentContent.trim(),
-        title: currentSection
-      });
-    }
-
-    return sections;
-  }
-
-  // Create beautiful HTML response from markdown
+  // Answer layout lives in AnswerRenderer (src/answer-renderer.js), shared with the share page
   createBeautifulResponseFromMarkdown(markdown) {
-    // First, check if this is already formatted HTML
-    if (markdown.includes('<div class="ai-summary">')) {
-      return markdown; // Already formatted, return as-is
-    }
-    
-    // Try to parse as structured data
-    const structuredData = this.parseMarkdownToStructuredData(markdown);
-    
-    // Check if we got any structured data
-    if (structuredData.overview || 
-        structuredData.metrics.length > 0 || 
-        structuredData.insights.length > 0) {
-      return this.createBeautifulHTML(structuredData);
-    } else {
-      // Fallback: format as plain text with basic styling
-      return `<div class="message-content-plain">${this.simpleMarkdownToHTML(markdown)}</div>`;
-    }
+    return this.answerRenderer.createBeautifulResponseFromMarkdown(markdown);
   }
 
-  // Helper function for simple markdown to HTML conversion
   simpleMarkdownToHTML(text) {
-    if (!text) return '';
-    
-    // Convert markdown to simple HTML
-    return text
-      .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-      .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-      .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/`([^`]+)`/g, '<code>$1</code>')
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n/g, '<br>')
-      .replace(/<\/p><p>/g, '</p><p>');
-  }
-
-  // Create beautiful HTML from structured data
-  createBeautifulHTML(structuredData) {
-    const { overview, metrics, insights, recommendations, keyFindings } = structuredData;
-    
-    let html = '<div class="ai-summary">';
-    
-    // Header
-    html += `
-      <div class="summary-header">
-        <div class="summary-icon">
-          <i class="fas fa-chart-bar"></i>
-        </div>
-        <h2 class="summary-title">Data Analysis Summary</h2>
-      </div>
-    `;
-    
-    // Overview - Always show
-    html += `
-      <div class="summary-section">
-        <div class="section-header">
-          <div class="section-icon">
-            <i class="fas fa-eye"></i>
-          </div>
-          <h3 class="section-title">Overview</h3>
-        </div>
-        <p class="section-content">${overview || 'Analysis overview will appear here.'}</p>
-      </div>
-    `;
-    
-    // Metrics
-    if (metrics.length > 0) {
-      html += `
-        <div class="summary-section">
-          <div class="section-header">
-            <div class="section-icon">
-              <i class="fas fa-chart-line"></i>
-            </div>
-            <h3 class="section-title">Key Metrics</h3>
-          </div>
-          <div class="metrics-grid">
-      `;
-      
-      metrics.forEach((metric, index) => {
-        html += `
-          <div class="metric-card">
-            <div class="metric-value">${metric.value || 'N/A'}</div>
-            <div class="metric-label">${metric.label || 'Metric ' + (index + 1)}</div>
-          </div>
-        `;
-      });
-      
-      html += `</div></div>`;
-    }
-    
-    // Insights
-    if (insights.length > 0) {
-      html += `
-        <div class="summary-section">
-          <div class="section-header">
-            <div class="section-icon">
-              <i class="fas fa-lightbulb"></i>
-            </div>
-            <h3 class="section-title">Key Insights</h3>
-          </div>
-          <div class="insights-container">
-      `;
-      
-      insights.forEach((insight, index) => {
-        const icons = ['fa-chart-pie', 'fa-trend-up', 'fa-filter', 'fa-bullseye', 'fa-search'];
-        const icon = icons[index] || 'fa-chart-bar';
-        html += `
-          <div class="insight-card">
-            <div class="insight-header">
-              <div class="insight-icon">
-                <i class="fas ${icon}"></i>
-              </div>
-              <h4 class="insight-title">Insight ${index + 1}</h4>
-            </div>
-            <p class="insight-content">${insight}</p>
-          </div>
-        `;
-      });
-      
-      html += `</div></div>`;
-    }
-    
-    // Recommendations
-    if (recommendations.length > 0) {
-      html += `
-        <div class="recommendation">
-          <h4 class="recommendation-title"><i class="fas fa-bullseye"></i> Recommendations</h4>
-          <ul class="summary-list">
-      `;
-      
-      recommendations.forEach((rec, index) => {
-        html += `
-          <li class="summary-item">
-            <span class="item-icon"><i class="fas fa-check-circle"></i></span>
-            <span class="item-text">${rec}</span>
-          </li>
-        `;
-      });
-      
-      html += `</ul></div>`;
-    }
-    
-    // Key Findings
-    if (keyFindings.length > 0) {
-      html += `
-        <div class="highlight-box">
-          <h4 class="highlight-title"><i class="fas fa-star"></i> Key Finding</h4>
-          <p class="highlight-content">${keyFindings[0]}</p>
-        </div>
-      `;
-    } else if (insights.length > 0) {
-      // Use first insight as key finding if none provided
-      html += `
-        <div class="highlight-box">
-          <h4 class="highlight-title"><i class="fas fa-star"></i> Key Finding</h4>
-          <p class="highlight-content">${insights[0]}</p>
-        </div>
-      `;
-    }
-    
-    html += '</div>';
-    return html;
+    return this.answerRenderer.simpleMarkdownToHTML(text);
   }
 
   addMessage(role, content, useTypewriter = false) {
@@ -690,18 +1102,12 @@ class DataExaminerApp {
       });
     }
     // Bot messages with typewriter are handled in handleAnalysisResponse
+    return messageDiv;
   }
 
+  // User messages, errors and replayed answers: sanitized markdown like every other answer
   formatMarkdown(text) {
-    // Simple markdown formatter for user messages
-    return text
-      .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-      .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-      .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/`([^`]+)`/g, '<code>$1</code>')
-      .replace(/\n/g, '<br>');
+    return this.answerRenderer.simpleMarkdownToHTML(text);
   }
 
   saveToHistory(res) {
@@ -710,6 +1116,7 @@ class DataExaminerApp {
       preview: res.analysis ? (res.analysis.substring(0, 120) + '...') : 'No analysis',
       full: res.analysis,
       chartData: res.chartData,
+      charts: res.charts,
       sessionId: this.currentSessionId,
       conversationContext: [...this.conversationContext]
     };
@@ -742,10 +1149,12 @@ class DataExaminerApp {
       const historyItem = document.createElement('div');
       historyItem.className = 'history-item';
       historyItem.innerHTML = `
-        <div class="history-title">${entry.preview}</div>
+        <div class="history-title"></div>
         <div class="history-date">${new Date(entry.timestamp).toLocaleDateString()}</div>
         ${entry.chartData ? '<div class="history-has-chart"><i class="fas fa-chart-bar"></i></div>' : ''}
       `;
+      // The preview is raw model output
+      historyItem.querySelector('.history-title').textContent = entry.preview;
       historyItem.addEventListener('click', () => {
         this.loadFromHistory(entry);
       });
@@ -757,6 +1166,12 @@ class DataExaminerApp {
     this.resetAnalysis();
     this.currentSessionId = entry.sessionId;
     this.conversationContext = entry.conversationContext || [];
+    // Filters live with the server's copy of the data, for as long as it is kept
+    if (entry.sessionId) {
+      this.api.getConversation(entry.sessionId)
+        .then(conversation => this.renderViewFilters(conversation.view))
+        .catch(() => {});
+    }
     
     // Replay the conversation
     if (this.conversationContext.length > 0) {
@@ -764,7 +1179,10 @@ class DataExaminerApp {
         if (msg.role === 'user') {
           this.addMessage('user', msg.content, false);
         } else if (msg.role === 'assistant') {
-          this.addMessage('bot', msg.content, false);
+          const messageDiv = this.addMessage('bot', msg.content, false);
+          this.renderMessageCharts(messageDiv, msg.charts);
+          this.renderDerivedTables(messageDiv, msg.derivedTables);
+          this.renderUsage(messageDiv, msg.usage);
         }
       });
     } else if (entry.full) {
@@ -772,14 +1190,12 @@ class DataExaminerApp {
       this.addMessage('bot', entry.full, false);
     }
     
-    // Load chart if available
-    if (entry.chartData && window.chartManager) {
-      window.chartManager.updateChart(
-        entry.chartData,
-        'auto',
-        'Historical Data Visualization'
-      );
-      this.elements.chartSection.style.display = 'block';
+    // Load charts if available
+    if ((entry.charts?.length || entry.chartData) && window.chartManager) {
+      this.chartSuggestions = [];
+      this.setChartSlides(entry.charts?.length
+        ? this.toChartSlides(entry.charts)
+        : [{ type: 'auto', title: 'Historical Data Visualization', data: entry.chartData }]);
     }
     
     this.elements.welcomeScreen.style.display = 'none';
@@ -795,9 +1211,11 @@ class DataExaminerApp {
     toast.className = `toast ${type}`;
     toast.innerHTML = `
       <div class="toast-content">
-        <div class="toast-message">${message}</div>
+        <div class="toast-message"></div>
       </div>
     `;
+    // Messages often carry server errors or user names, so they are set as text
+    toast.querySelector('.toast-message').textContent = message;
     this.elements.toastContainer.appendChild(toast);
     
     // Auto-remove after 4 seconds
@@ -810,6 +1228,195 @@ class DataExaminerApp {
 
   updateChartType(type) {
     window.chartManager?.updateChartType(type);
+    // Remembered so the slide comes back (and is pinned) as the chosen type
+    const slide = this.chartSlides[this.chartSlideIndex];
+    if (slide) slide.type = type;
+  }
+
+  // ---- Data export ----
+
+  // A download button with a CSV / XLSX / JSON menu; onSelect receives the format
+  buildDataMenu(onSelect, label = '') {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'data-menu';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'chart-btn';
+    toggle.title = 'Download data';
+    toggle.innerHTML = `<i class="fas fa-file-export"></i>${label ? ` ${label}` : ''}`;
+
+    const list = document.createElement('div');
+    list.className = 'data-menu-list';
+    ['csv', 'xlsx', 'json'].forEach(format => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.textContent = format.toUpperCase();
+      item.addEventListener('click', () => {
+        wrapper.classList.remove('open');
+        onSelect(format);
+      });
+      list.appendChild(item);
+    });
+
+    toggle.addEventListener('click', event => {
+      event.stopPropagation();
+      const open = !wrapper.classList.contains('open');
+      document.querySelectorAll('.data-menu.open').forEach(menu => menu.classList.remove('open'));
+      wrapper.classList.toggle('open', open);
+      if (open) {
+        document.addEventListener('click', () => wrapper.classList.remove('open'), { once: true });
+      }
+    });
+
+    wrapper.append(toggle, list);
+    return wrapper;
+  }
+
+  async exportChartData(chart, format) {
+    if (!chart?.data) {
+      this.showToast('info', 'There is no chart data to download yet');
+      return;
+    }
+    try {
+      const { blob, filename } = await this.api.exportChartData(chart, format);
+      ReportBuilder.download(blob, filename);
+    } catch (error) {
+      this.showToast('error', 'Could not download the chart data');
+    }
+  }
+
+  async exportTable(conversationId, table, format) {
+    try {
+      const { blob, filename } = await this.api.exportTable(conversationId, table.id, format);
+      ReportBuilder.download(blob, filename);
+    } catch (error) {
+      this.showToast('error', 'Could not download the table; it may have expired');
+    }
+  }
+
+  // ---- Report export ----
+
+  // Report model shared by the HTML export and the server's PDF renderer (lib/report.js)
+  buildReport() {
+    const lastAnswer = [...this.conversationContext].reverse().find(message => message.role === 'assistant');
+    const profile = this.currentProfile || this.currentFileAnalysis;
+    const fileName = this.currentFile?.name;
+
+    return {
+      title: fileName ? `Analysis of ${fileName}` : 'Data Analysis Report',
+      generatedAt: new Date().toISOString(),
+      sessionId: this.currentSessionId,
+      summary: lastAnswer?.content || '',
+      charts: this.messageCharts.map(({ manager, chart }) => ({
+        title: chart.title || 'Data Visualization',
+        note: chart.verification?.note || '',
+        image: ReportBuilder.chartImage(manager.canvas)
+      })),
+      profile: profile?.columns ? {
+        totalRows: profile.totalRows,
+        columns: profile.columns,
+        statisticalSummary: profile.statisticalSummary,
+        dataQuality: profile.dataQuality
+      } : null,
+      conversation: this.conversationContext.map(({ role, content, timestamp }) => ({ role, content, timestamp }))
+    };
+  }
+
+  async exportReport(format) {
+    if (this.conversationContext.length === 0) {
+      this.showToast('info', 'Ask a question first, then export the analysis');
+      return;
+    }
+
+    const report = this.buildReport();
+    try {
+      if (format === 'pdf') {
+        const pdf = await this.api.exportReportPdf(report);
+        ReportBuilder.download(pdf, ReportBuilder.filename(report.title, 'pdf'));
+      } else {
+        const html = await this.reportBuilder.toHtml(report);
+        ReportBuilder.download(html, ReportBuilder.filename(report.title, 'html'), 'text/html');
+      }
+      this.showToast('success', `Report exported as ${format.toUpperCase()}`);
+    } catch (error) {
+      console.error('Report export failed:', error);
+      this.showToast('error', 'Could not export the report');
+    }
+  }
+
+  // ---- View filters ----
+
+  // Chips for the filters the conversation is limited to (view: { filters, rowCount, totalRows })
+  renderViewFilters(view) {
+    const bar = this.elements.viewFilters;
+    if (!bar) return;
+    this.currentView = view;
+    bar.innerHTML = '';
+    bar.hidden = !view?.filters?.length;
+    if (bar.hidden) return;
+
+    const summary = document.createElement('span');
+    summary.className = 'view-filters-summary';
+    summary.innerHTML = '<i class="fas fa-filter"></i> ';
+    summary.append(`${view.rowCount.toLocaleString()} of ${view.totalRows.toLocaleString()} rows`);
+    bar.appendChild(summary);
+
+    view.filters.forEach((filter, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'filter-chip';
+      chip.textContent = filter.label;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.title = `Remove ${filter.label}`;
+      remove.innerHTML = '<i class="fas fa-times"></i>';
+      remove.addEventListener('click', () =>
+        this.updateViewFilters(view.filters.filter((_, i) => i !== index))
+      );
+      chip.appendChild(remove);
+      bar.appendChild(chip);
+    });
+
+    if (view.filters.length > 1) {
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'filter-clear';
+      clear.textContent = 'Clear all';
+      clear.addEventListener('click', () => this.updateViewFilters([]));
+      bar.appendChild(clear);
+    }
+  }
+
+  async updateViewFilters(filters) {
+    if (!this.currentSessionId) return;
+    try {
+      this.renderViewFilters(await this.api.setViewFilters(this.currentSessionId, filters));
+      this.showToast('info', filters.length ? 'Filter removed; the next answers use the remaining rows' : 'Showing all rows again');
+    } catch (error) {
+      this.showToast('error', `Could not change the filters: ${error.message}`);
+    }
+  }
+
+  // A read-only link to a snapshot of the conversation, copied to the clipboard
+  async shareConversation() {
+    if (!this.currentSessionId) {
+      this.showToast('info', 'Run an analysis before sharing it');
+      return;
+    }
+    const includeRows = confirm('Include the raw data rows in the shared link?\n\nOK: include them. Cancel: share only the answers, charts and data profile.');
+    try {
+      const share = await this.api.shareConversation(this.currentSessionId, { includeRows });
+      const url = `${window.location.origin}${share.url}`;
+      const expiry = share.expiresAt ? ` It expires on ${new Date(share.expiresAt).toLocaleDateString()}.` : '';
+      try {
+        await navigator.clipboard.writeText(url);
+        this.showToast('success', `Share link copied.${expiry}`);
+      } catch {
+        prompt('Share link', url);
+      }
+    } catch (error) {
+      this.showToast('error', `Sharing failed: ${error.message}`);
+    }
   }
 
   exportChart() {
@@ -817,15 +1424,20 @@ class DataExaminerApp {
   }
 
   resetAnalysis() {
+    this.clearMessageCharts();
     this.elements.messagesContainer.innerHTML = '';
     this.elements.chartSection.style.display = 'none';
     this.elements.welcomeScreen.style.display = 'flex';
     this.elements.messagesContainer.style.display = 'none';
     this.currentSessionId = null;
-    this.currentFile = null;
     this.conversationContext = [];
-    this.elements.fileIndicator.style.display = 'none';
-    this.elements.fileInput.value = '';
+    this.currentProfile = null;
+    this.renderViewFilters(null);
+    this.clearCurrentFile();
+    this.chartSuggestions = [];
+    this.chartSlides = [];
+    this.elements.chartCarousel.style.display = 'none';
+    this.elements.chartReason.textContent = '';
     this.elements.dataInput.value = '';
     this.elements.messageInput.value = '';
     this.elements.messageInput.style.height = 'auto';
@@ -836,6 +1448,50 @@ class DataExaminerApp {
     }
   }
 
+  // ---- Account ----
+
+  async loadSession() {
+    try {
+      this.renderAccount(await this.api.getSession());
+    } catch (error) {
+      console.warn('Could not load the session:', error.message);
+    }
+  }
+
+  renderAccount(user) {
+    this.user = user;
+    const signedIn = !!user && !user.guest;
+    this.elements.accountName.textContent = signedIn ? user.username : 'Guest';
+    this.elements.accountForm.style.display = signedIn ? 'none' : 'flex';
+    this.elements.signOutBtn.style.display = signedIn ? 'flex' : 'none';
+  }
+
+  // action: 'login' or 'register'
+  async submitAccount(action) {
+    const { accountUsername, accountPassword } = this.elements;
+    try {
+      const user = await this.api.authenticate(action, accountUsername.value, accountPassword.value);
+      accountPassword.value = '';
+      // Signing in to another account leaves the guest's conversation behind
+      if (action === 'login') this.resetAnalysis();
+      this.renderAccount(user);
+      this.showToast('success', action === 'register' ? `Account ${user.username} created` : `Signed in as ${user.username}`);
+    } catch (error) {
+      this.showToast('error', error.message);
+    }
+  }
+
+  async signOut() {
+    try {
+      await this.api.signOut();
+      this.resetAnalysis();
+      await this.loadSession();
+      this.showToast('info', 'Signed out');
+    } catch (error) {
+      this.showToast('error', `Sign out failed: ${error.message}`);
+    }
+  }
+
   installPWA() {
     // Check if PWA is installable
     if (window.deferredPrompt) {
@@ -0,0 +1,323 @@
+// src/chart-recommender.js — Data Examiner — deterministic chart suggestions from a column profile
+// Works from FileAnalyzer.analyzeDataStructure output, no LLM involved:
+//   date + measure      → time series (line)
+//   category + measure  → bar sorted by value
+//   few categories      → pie (part of whole)
+//   category + measure  → box plot per category
+//   two measures        → scatter with trendline
+//   three+ measures     → correlation heatmap
+//   one measure         → histogram
+// Suggestions come back ranked by score; the same data always gives the same list.
+
+class ChartRecommender {
+  constructor(options = {}) {
+    this.maxSuggestions = options.maxSuggestions || 6;
+    this.maxBars = options.maxBars || 12;
+    this.maxPieSlices = options.maxPieSlices || 8;
+    this.maxScatterPoints = options.maxScatterPoints || 500;
+    this.maxCategories = options.maxCategories || 50;
+    this.maxHeatmapColumns = options.maxHeatmapColumns || 8;
+  }
+
+  recommend(data, analysis) {
+    if (!Array.isArray(data) || data.length === 0 || !analysis?.columns?.length) return [];
+
+    const { measures, dates, categories } = this.classifyColumns(analysis);
+    const suggestions = [];
+    const add = (suggestion) => {
+      if (suggestion) suggestions.push(suggestion);
+    };
+
+    measures.slice(0, 2).forEach((measure, i) => {
+      if (dates[0]) add(this.timeSeries(data, dates[0], measure, analysis, 90 - i * 5));
+    });
+    categories.slice(0, 2).forEach((category, i) => {
+      if (measures[0]) add(this.rankedBar(data, category, measures[0], analysis, 80 - i * 5));
+    });
+
+    const pieCategory = categories.find(column =>
+      this.between(analysis.statisticalSummary[column].distinctCount, 2, this.maxPieSlices)
+    );
+    if (pieCategory) add(this.partOfWhole(data, pieCategory, this.pieMeasure(measures, analysis), analysis));
+
+    const boxCategory = categories.find(column =>
+      this.between(analysis.statisticalSummary[column].distinctCount, 2, this.maxBars)
+    );
+    if (boxCategory && measures[0]) add(this.boxplot(data, boxCategory, measures[0]));
+
+    if (measures.length >= 2) add(this.scatter(data, measures[0], measures[1]));
+    if (measures.length >= 3) add(this.correlationHeatmap(data, measures.slice(0, this.maxHeatmapColumns)));
+    if (measures[0]) add(this.histogram(data, measures[0]));
+    if (!measures[0] && categories[0]) add(this.rankedBar(data, categories[0], null, analysis, 55));
+
+    // Stable sort: equal scores keep the rule order above
+    return suggestions
+      .map((suggestion, order) => ({ suggestion, order }))
+      .sort((a, b) => b.suggestion.score - a.suggestion.score || a.order - b.order)
+      .slice(0, this.maxSuggestions)
+      .map(({ suggestion }) => suggestion);
+  }
+
+  // ---- Column roles ----
+
+  classifyColumns(analysis) {
+    const roles = { measures: [], dates: [], categories: [] };
+    analysis.columns.forEach(column => {
+      const stats = analysis.statisticalSummary[column];
+      const semantic = analysis.semanticTypes?.[column];
+      if (!stats || stats.count === 0 || semantic === 'id') return;
+
+      if (stats.type === 'numeric' && stats.distinctCount > 1) {
+        roles.measures.push(column);
+      } else if (stats.type === 'date' && stats.uniqueDays > 1) {
+        roles.dates.push(column);
+      } else if (stats.type === 'text' && this.between(stats.distinctCount, 2, this.maxCategories)) {
+        roles.categories.push(column);
+      }
+    });
+    return roles;
+  }
+
+  // Percentages are averaged, every other measure is summed
+  aggregationFor(column, analysis) {
+    return analysis.semanticTypes?.[column] === 'percentage' ? 'avg' : 'sum';
+  }
+
+  pieMeasure(measures, analysis) {
+    return measures.find(column => {
+      const stats = analysis.statisticalSummary[column];
+      return stats.min >= 0 && this.aggregationFor(column, analysis) === 'sum';
+    }) || null;
+  }
+
+  // ---- Chart builders ----
+
+  timeSeries(data, dateColumn, measure, analysis, score) {
+    const stats = analysis.statisticalSummary[dateColumn];
+    const spanDays = (new Date(stats.latest) - new Date(stats.earliest)) / 86400000;
+    const byMonth = stats.uniqueDays > 90 && spanDays > 366;
+    const bucket = (value) => {
+      const day = this.toDay(value);
+      if (!day) return null;
+      return byMonth ? `${day.slice(0, 7)}-01` : day;
+    };
+
+    const operation = this.aggregationFor(measure, analysis);
+    const groups = this.groupBy(data, row => bucket(row[dateColumn]), row => row[measure], operation);
+    const points = [...groups.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+    if (points.length < 2) return null;
+
+    const label = `${operation === 'avg' ? 'Average' : 'Total'} ${measure}`;
+    return {
+      id: `time:${dateColumn}:${measure}`,
+      type: 'line',
+      title: `${label} ${byMonth ? 'per month' : 'over time'}`,
+      reason: `${dateColumn} is a date and ${measure} a measure`,
+      score,
+      data: {
+        labels: points.map(([key]) => key),
+        datasets: [{ label, data: points.map(([, value]) => this.round(value)) }]
+      }
+    };
+  }
+
+  // measure = null charts the record count per category
+  rankedBar(data, category, measure, analysis, score) {
+    const operation = measure ? this.aggregationFor(measure, analysis) : 'count';
+    const groups = this.groupBy(data, row => this.categoryKey(row[category]), row => (measure ? row[measure] : 1), operation);
+    const ranked = [...groups.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+    const shown = ranked.slice(0, this.maxBars);
+    if (shown.length < 2) return null;
+
+    const label = measure ? `${operation === 'avg' ? 'Average' : 'Total'} ${measure}` : 'Records';
+    const top = ranked.length > shown.length ? `Top ${shown.length} ` : '';
+    return {
+      id: `bar:${category}:${measure || 'count'}`,
+      type: 'bar',
+      title: `${top}${label} by ${category}`,
+      reason: measure
+        ? `${category} groups ${measure} into ${ranked.length} categories`
+        : `${category} has ${ranked.length} categories`,
+      score,
+      data: {
+        labels: shown.map(([key]) => key),
+        datasets: [{ label, data: shown.map(([, value]) => this.round(value)) }]
+      }
+    };
+  }
+
+  partOfWhole(data, category, measure, analysis) {
+    const groups = this.groupBy(data, row => this.categoryKey(row[category]), row => (measure ? row[measure] : 1), measure ? 'sum' : 'count');
+    const slices = [...groups.entries()]
+      .filter(([, value]) => value > 0)
+      .sort((a, b) => b[1] - a[1]);
+    if (slices.length < 2) return null;
+
+    return {
+      id: `pie:${category}:${measure || 'count'}`,
+      type: 'pie',
+      title: measure ? `Share of ${measure} by ${category}` : `Records by ${category}`,
+      reason: `${category} has only ${slices.length} categories`,
+      score: measure ? 70 : 60,
+      data: {
+        labels: slices.map(([key]) => key),
+        datasets: [{ label: measure || 'Records', data: slices.map(([, value]) => this.round(value)) }]
+      }
+    };
+  }
+
+  scatter(data, xColumn, yColumn) {
+    const pairs = data
+      .map(row => ({ x: this.toNumber(row[xColumn]), y: this.toNumber(row[yColumn]) }))
+      .filter(point => !isNaN(point.x) && !isNaN(point.y));
+    if (pairs.length < 3) return null;
+
+    const r = this.correlation(pairs);
+    return {
+      id: `scatter:${xColumn}:${yColumn}`,
+      type: 'scatter',
+      title: `${yColumn} vs ${xColumn}`,
+      reason: `Correlation between ${xColumn} and ${yColumn} is ${isNaN(r) ? 'undefined' : r.toFixed(2)}`,
+      score: 50 + Math.round(35 * (isNaN(r) ? 0 : Math.abs(r))),
+      data: {
+        datasets: [{ label: `${yColumn} vs ${xColumn}`, data: this.evenSample(pairs, this.maxScatterPoints) }],
+        trendline: true
+      }
+    };
+  }
+
+  boxplot(data, category, measure) {
+    const groups = new Map();
+    data.forEach(row => {
+      const key = this.categoryKey(row[category]);
+      const value = this.toNumber(row[measure]);
+      if (key === null || isNaN(value)) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(value);
+    });
+    const boxes = [...groups.entries()].filter(([, values]) => values.length >= 3);
+    if (boxes.length < 2) return null;
+
+    boxes.sort((a, b) => (a[0] < b[0] ? -1 : 1));
+    return {
+      id: `boxplot:${category}:${measure}`,
+      type: 'boxplot',
+      title: `Spread of ${measure} by ${category}`,
+      reason: `${measure} varies within each of ${boxes.length} ${category} groups`,
+      score: 58,
+      data: {
+        labels: boxes.map(([key]) => key),
+        datasets: [{ label: measure, data: boxes.map(([, values]) => values) }]
+      }
+    };
+  }
+
+  correlationHeatmap(data, measures) {
+    const matrix = measures.map(yColumn => measures.map(xColumn => {
+      if (xColumn === yColumn) return 1;
+      const pairs = data
+        .map(row => ({ x: this.toNumber(row[xColumn]), y: this.toNumber(row[yColumn]) }))
+        .filter(point => !isNaN(point.x) && !isNaN(point.y));
+      const r = pairs.length >= 3 ? this.correlation(pairs) : NaN;
+      return isNaN(r) ? null : this.round(r);
+    }));
+
+    return {
+      id: `heatmap:${measures.join(':')}`,
+      type: 'heatmap',
+      title: 'Correlation between measures',
+      reason: `${measures.length} numeric columns can be compared pairwise`,
+      score: 60,
+      data: { label: 'Correlation', labels: measures, matrix }
+    };
+  }
+
+  // Binned by ChartManager (Sturges' rule, capped at 20 bins)
+  histogram(data, measure) {
+    const values = data.map(row => this.toNumber(row[measure])).filter(v => !isNaN(v));
+    if (values.length < 5) return null;
+    if (values.every(v => v === values[0])) return null;
+
+    return {
+      id: `histogram:${measure}`,
+      type: 'histogram',
+      title: `Distribution of ${measure}`,
+      reason: `${values.length} values of ${measure}`,
+      score: 45,
+      data: {
+        datasets: [{ label: measure, data: values }]
+      }
+    };
+  }
+
+  // ---- Helpers ----
+
+  groupBy(data, keyOf, valueOf, operation) {
+    const sums = new Map();
+    const counts = new Map();
+    data.forEach(row => {
+      const key = keyOf(row);
+      if (key === null) return;
+      const value = operation === 'count' ? 1 : this.toNumber(valueOf(row));
+      if (isNaN(value)) return;
+      sums.set(key, (sums.get(key) || 0) + value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    if (operation !== 'avg') return sums;
+    return new Map([...sums.entries()].map(([key, sum]) => [key, sum / counts.get(key)]));
+  }
+
+  categoryKey(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return String(value);
+  }
+
+  toDay(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    const text = String(value);
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+    const time = Date.parse(text);
+    return isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined || value === '') return NaN;
+    return Number(value);
+  }
+
+  correlation(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    points.forEach(({ x, y }) => {
+      covariance += (x - meanX) * (y - meanY);
+      varianceX += (x - meanX) ** 2;
+      varianceY += (y - meanY) ** 2;
+    });
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  evenSample(items, limit) {
+    if (items.length <= limit) return items;
+    const step = items.length / limit;
+    return Array.from({ length: limit }, (_, i) => items[Math.floor(i * step)]);
+  }
+
+  between(value, low, high) {
+    return value >= low && value <= high;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChartRecommender;
+}
@@ -161,7 +161,8 @@ class ChartManager {
       this.currentChart = null;
     }
 
-    if (!data || !data.datasets || data.datasets.length === 0) {
+    // Heatmaps carry a matrix instead of datasets
+    if (!data || (!Array.isArray(data.matrix) && (!data.datasets || data.datasets.length === 0))) {
       console.warn('No valid chart data provided');
       this.showNoData();
       return;
@@ -174,7 +175,12 @@ class ChartManager {
     
     const ctx = this.canvas.getContext('2d');
     const preparedData = this.prepareChartData(data, chartType);
-    const options = this.getOptions(chartType);
+    if (!preparedData) {
+      console.warn(`Data does not fit a ${chartType} chart`);
+      this.showNoData();
+      return;
+    }
+    const options = this.getOptions(chartType, preparedData);
 
     // Set dynamic title from AI or fallback
     options.plugins.title.text = title;
@@ -183,9 +189,10 @@ class ChartManager {
     
     try {
       this.currentChart = new Chart(ctx, {
-        type: chartType,
+        type: this.baseType(chartType),
         data: preparedData,
-        options
+        options,
+        plugins: this.getPlugins(chartType)
       });
 
       this.applyColors();
@@ -209,12 +216,18 @@ class ChartManager {
   }
 
   determineChartType(data) {
+    if (Array.isArray(data.matrix)) return 'heatmap';
     const dataset = data.datasets?.[0];
     if (!dataset?.data) return 'bar';
 
     const labels = data.labels || [];
     const dataPoints = dataset.data || [];
 
+    // Point objects and per-label value lists only fit their own chart types
+    const first = dataPoints.find(point => point !== null && point !== undefined);
+    if (Array.isArray(first) || (first && typeof first === 'object' && 'median' in first)) return 'boxplot';
+    if (first && typeof first === 'object') return 'r' in first ? 'bubble' : 'scatter';
+
     // If data looks like percentages (sum close to 100) and small number of categories
     if (labels.length <= 6) {
       const sum = dataPoints.reduce((a, b) => a + b, 0);
@@ -230,8 +243,40 @@ class ChartManager {
     return 'bar';
   }
 
+  // Chart.js type that draws each of our chart types
+  baseType(chartType) {
+    switch (chartType) {
+      case 'horizontalBar':
+      case 'histogram':
+      case 'boxplot':
+        return 'bar';
+      case 'area':
+      case 'stackedArea':
+        return 'line';
+      case 'heatmap':
+        return 'scatter';
+      default:
+        return chartType;
+    }
+  }
+
+  getPlugins(chartType) {
+    if (chartType === 'boxplot') return [this.boxplotPlugin()];
+    if (chartType === 'heatmap') return [this.heatmapPlugin()];
+    return [];
+  }
+
   prepareChartData(data, chartType) {
     console.log('Preparing chart data for type:', chartType);
+
+    // These types reshape the data before Chart.js sees it
+    if (chartType === 'histogram') return this.prepareHistogram(data);
+    if (chartType === 'boxplot') return this.prepareBoxplot(data);
+    if (chartType === 'heatmap') return this.prepareHeatmap(data);
+    if (!data.datasets?.length) return null;
+
+    const pointChart = chartType === 'scatter' || chartType === 'bubble';
+    if (!pointChart && this.isPointData(data)) data = this.toSeries(data);
     
     // Validate data structure
     if (!data.labels || !Array.isArray(data.labels)) {
@@ -243,7 +288,7 @@ class ChartManager {
       datasets: data.datasets.map((ds, i) => {
         const base = {
           label: ds.label || `Dataset ${i + 1}`,
-          data: ds.data || [],
+          data: pointChart ? this.toPoints(ds.data || [], data.labels) : (ds.data || []),
           borderWidth: 2,
           tension: 0.1
         };
@@ -258,7 +303,19 @@ class ChartManager {
               borderColor: ds.borderColor,
               backgroundColor: ds.backgroundColor || 'rgba(16, 163, 127, 0.1)'
             };
+          case 'area':
+          case 'stackedArea':
+            // Stacked areas fill down to the series below, grouped ones to the axis
+            return {
+              ...base,
+              fill: chartType === 'stackedArea' && i > 0 ? '-1' : 'origin',
+              pointRadius: 2,
+              pointHoverRadius: 5,
+              borderColor: ds.borderColor,
+              backgroundColor: ds.backgroundColor
+            };
           case 'bar':  
+          case 'horizontalBar':
             return { 
               ...base, 
               borderRadius: 4, 
@@ -266,6 +323,30 @@ class ChartManager {
               backgroundColor: ds.backgroundColor,
               borderColor: ds.borderColor
             };
+          case 'radar':
+            return {
+              ...base,
+              fill: true,
+              pointRadius: 3,
+              backgroundColor: ds.backgroundColor,
+              borderColor: ds.borderColor
+            };
+          case 'scatter':
+            return {
+              ...base,
+              pointRadius: 3,
+              pointHoverRadius: 5,
+              backgroundColor: ds.backgroundColor,
+              borderColor: ds.borderColor
+            };
+          case 'bubble':
+            return {
+              ...base,
+              data: base.data.map(point => ({ ...point, r: Number.isFinite(point.r) ? point.r : 6 })),
+              borderWidth: 1,
+              backgroundColor: ds.backgroundColor,
+              borderColor: ds.borderColor
+            };
           case 'pie':
           case 'doughnut':
             return { 
@@ -287,6 +368,11 @@ class ChartManager {
       prepared.datasets = [prepared.datasets[0]];
     }
 
+    if (chartType === 'scatter' && data.trendline) {
+      const trend = this.trendline(prepared.datasets[0].data);
+      if (trend) prepared.datasets.push(trend);
+    }
+
     console.log('Prepared data structure:', {
       labelsCount: prepared.labels.length,
       datasetsCount: prepared.datasets.length,
@@ -296,11 +382,306 @@ class ChartManager {
     return prepared;
   }
 
-  getOptions(chartType) {
+  // ---- Data shapes ----
+
+  isPointData(data) {
+    const first = data.datasets?.[0]?.data?.find(point => point !== null && point !== undefined);
+    return Boolean(first) && typeof first === 'object' && !Array.isArray(first) && 'y' in first;
+  }
+
+  // Plain values become points, using numeric labels as x where there are any
+  toPoints(values, labels = []) {
+    return values
+      .map((value, i) => {
+        if (value && typeof value === 'object') {
+          return { ...value, x: Number(value.x), y: Number(value.y) };
+        }
+        const x = Number(labels[i]);
+        return { x: Number.isFinite(x) ? x : i + 1, y: Number(value) };
+      })
+      .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+  }
+
+  // Points become a category series keyed by the first dataset's x values
+  toSeries(data) {
+    const labels = data.datasets[0].data.map(point => point?.x);
+    return {
+      ...data,
+      labels,
+      datasets: data.datasets.map(ds => ({
+        ...ds,
+        data: labels.map((x, i) => (ds.data[i] && typeof ds.data[i] === 'object' ? ds.data[i].y : ds.data[i]))
+      }))
+    };
+  }
+
+  // Least-squares fit through the points, drawn as a dashed line across their x range
+  trendline(points) {
+    const valid = points.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+    if (valid.length < 2) return null;
+
+    const n = valid.length;
+    const meanX = valid.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = valid.reduce((sum, p) => sum + p.y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let minX = Infinity;
+    let maxX = -Infinity;
+    valid.forEach(({ x, y }) => {
+      covariance += (x - meanX) * (y - meanY);
+      varianceX += (x - meanX) ** 2;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+    });
+    if (varianceX === 0) return null;
+
+    const slope = covariance / varianceX;
+    const at = (x) => meanY + slope * (x - meanX);
+    return {
+      type: 'line',
+      label: 'Trend',
+      data: [{ x: minX, y: at(minX) }, { x: maxX, y: at(maxX) }],
+      showLine: true,
+      fill: false,
+      borderDash: [6, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      pointHoverRadius: 0
+    };
+  }
+
+  // Raw values are binned here (Sturges' rule unless `bins` is given);
+  // data that already has one value per label is taken as pre-binned counts
+  prepareHistogram(data) {
+    const datasets = data.datasets || [];
+    if (datasets.length === 0) return null;
+
+    const histogramDataset = (ds, i, counts) => ({
+      label: ds.label || `Dataset ${i + 1}`,
+      data: counts,
+      borderWidth: 1,
+      barPercentage: 1,
+      categoryPercentage: 1,
+      backgroundColor: ds.backgroundColor,
+      borderColor: ds.borderColor
+    });
+
+    if (!data.bins && Array.isArray(data.labels) && datasets.every(ds => ds.data?.length === data.labels.length)) {
+      return { labels: data.labels, datasets: datasets.map((ds, i) => histogramDataset(ds, i, ds.data)) };
+    }
+
+    const series = datasets.map(ds => this.finiteValues((ds.data || []).map(v => (v && typeof v === 'object' ? v.y : v))));
+    let min = Infinity;
+    let max = -Infinity;
+    let total = 0;
+    series.forEach(values => values.forEach(v => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+      total++;
+    }));
+    if (total < 2) return null;
+
+    const binCount = Math.max(1, Math.min(100, Math.round(data.bins) || Math.min(20, Math.ceil(Math.log2(total) + 1))));
+    const width = (max - min) / binCount || 1;
+    const binOf = (v) => Math.min(binCount - 1, Math.floor((v - min) / width));
+
+    return {
+      labels: Array.from({ length: binCount }, (_, i) =>
+        `${this.formatBound(min + i * width)}–${this.formatBound(min + (i + 1) * width)}`
+      ),
+      datasets: series.map((values, i) => {
+        const counts = new Array(binCount).fill(0);
+        values.forEach(v => counts[binOf(v)]++);
+        return histogramDataset(datasets[i], i, counts);
+      })
+    };
+  }
+
+  // Each label gets a box from its raw values or a precomputed { min, q1, median, q3, max };
+  // datasets of plain values become one box per dataset
+  prepareBoxplot(data) {
+    const datasets = data.datasets || [];
+    if (datasets.length === 0) return null;
+
+    const isBoxEntry = (entry) =>
+      Array.isArray(entry) || (entry !== null && typeof entry === 'object' && 'median' in entry);
+
+    let labels = data.labels;
+    let groups;
+    if (datasets.some(ds => (ds.data || []).some(isBoxEntry))) {
+      groups = datasets.map((ds, i) => ({ label: ds.label || `Dataset ${i + 1}`, entries: ds.data || [] }));
+      labels = Array.isArray(labels) ? labels : groups[0].entries.map((_, i) => `Group ${i + 1}`);
+    } else {
+      labels = datasets.map((ds, i) => ds.label || `Dataset ${i + 1}`);
+      groups = [{ label: 'Distribution', entries: datasets.map(ds => ds.data || []) }];
+    }
+
+    const prepared = groups.map(({ label, entries }) => {
+      const stats = entries.map(entry => this.boxStats(entry));
+      return {
+        label,
+        // Floating bars span the interquartile range; the plugin draws whiskers and medians
+        data: stats.map(s => (s ? [s.q1, s.q3] : null)),
+        boxStats: stats,
+        borderWidth: 2,
+        borderSkipped: false
+      };
+    });
+    if (prepared.every(ds => ds.boxStats.every(s => !s))) return null;
+
+    return { labels, datasets: prepared };
+  }
+
+  boxStats(entry) {
+    if (entry && !Array.isArray(entry) && typeof entry === 'object') {
+      const { min, q1, median, q3, max } = entry;
+      return [min, q1, median, q3, max].every(Number.isFinite) ? { min, q1, median, q3, max } : null;
+    }
+
+    const values = this.finiteValues(Array.isArray(entry) ? entry : []).sort((a, b) => a - b);
+    if (values.length === 0) return null;
+    const quantile = (q) => {
+      const position = (values.length - 1) * q;
+      const low = Math.floor(position);
+      return values[low] + (values[Math.ceil(position)] - values[low]) * (position - low);
+    };
+    return {
+      min: values[0],
+      q1: quantile(0.25),
+      median: quantile(0.5),
+      q3: quantile(0.75),
+      max: values[values.length - 1]
+    };
+  }
+
+  // Matrix rows follow `yLabels` (defaults to `labels`), columns follow `labels`
+  prepareHeatmap(data) {
+    const xLabels = data.labels;
+    const yLabels = data.yLabels || data.labels;
+    if (!Array.isArray(data.matrix) || !Array.isArray(xLabels) || data.matrix.length !== yLabels.length) {
+      return null;
+    }
+
+    const points = [];
+    data.matrix.forEach((row, r) => {
+      (Array.isArray(row) ? row : []).slice(0, xLabels.length).forEach((value, c) => {
+        if (value === null || value === '' || !Number.isFinite(Number(value))) return;
+        points.push({ x: String(xLabels[c]), y: String(yLabels[r]), v: Number(value) });
+      });
+    });
+    if (points.length === 0) return null;
+
+    return {
+      labels: xLabels.map(String),
+      yLabels: yLabels.map(String),
+      datasets: [{
+        label: data.label || 'Value',
+        data: points,
+        heatmap: true,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        pointHitRadius: 20
+      }]
+    };
+  }
+
+  finiteValues(values) {
+    return values
+      .filter(v => v !== null && v !== undefined && v !== '')
+      .map(Number)
+      .filter(Number.isFinite);
+  }
+
+  formatBound(value) {
+    return Math.abs(value) >= 1000
+      ? Math.round(value).toLocaleString('en-US')
+      : String(Math.round(value * 100) / 100);
+  }
+
+  // ---- Plugins for types Chart.js does not draw itself ----
+
+  boxplotPlugin() {
+    return {
+      id: 'boxplotWhiskers',
+      afterDatasetsDraw: (chart) => {
+        const { ctx } = chart;
+        const yScale = chart.scales.y;
+        chart.data.datasets.forEach((ds, di) => {
+          const meta = chart.getDatasetMeta(di);
+          if (!ds.boxStats || meta.hidden) return;
+
+          meta.data.forEach((bar, i) => {
+            const stats = ds.boxStats[i];
+            if (!stats) return;
+            const y = (value) => yScale.getPixelForValue(value);
+            const cap = bar.width / 4;
+            const line = (x1, y1, x2, y2) => {
+              ctx.beginPath();
+              ctx.moveTo(x1, y1);
+              ctx.lineTo(x2, y2);
+              ctx.stroke();
+            };
+
+            ctx.save();
+            ctx.strokeStyle = ds.borderColor;
+            ctx.lineWidth = 1.5;
+            line(bar.x, y(stats.max), bar.x, y(stats.q3));
+            line(bar.x, y(stats.q1), bar.x, y(stats.min));
+            line(bar.x - cap, y(stats.max), bar.x + cap, y(stats.max));
+            line(bar.x - cap, y(stats.min), bar.x + cap, y(stats.min));
+            ctx.lineWidth = 3;
+            line(bar.x - bar.width / 2, y(stats.median), bar.x + bar.width / 2, y(stats.median));
+            ctx.restore();
+          });
+        });
+      }
+    };
+  }
+
+  // Cells are coloured by value: green for positive, red for negative, stronger further from zero
+  heatmapPlugin() {
+    return {
+      id: 'heatmapCells',
+      beforeDatasetsDraw: (chart) => {
+        const { ctx, chartArea, scales } = chart;
+        const dataset = chart.data.datasets[0];
+        const meta = chart.getDatasetMeta(0);
+        if (!dataset?.heatmap || !meta) return;
+
+        const width = chartArea.width / Math.max(1, scales.x.getLabels().length);
+        const height = chartArea.height / Math.max(1, scales.y.getLabels().length);
+        const range = Math.max(1, ...dataset.data.map(point => Math.abs(point.v)));
+
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        meta.data.forEach((element, i) => {
+          const { v } = dataset.data[i];
+          const strength = Math.abs(v) / range;
+          ctx.fillStyle = v < 0
+            ? `rgba(255, 107, 107, ${0.1 + strength * 0.85})`
+            : `rgba(16, 163, 127, ${0.1 + strength * 0.85})`;
+          ctx.fillRect(element.x - width / 2 + 1, element.y - height / 2 + 1, width - 2, height - 2);
+
+          if (width > 36 && height > 18) {
+            ctx.fillStyle = strength > 0.6 ? '#ffffff' : '#1f2937';
+            ctx.fillText(String(Math.round(v * 100) / 100), element.x, element.y);
+          }
+        });
+        ctx.restore();
+      }
+    };
+  }
+
+  getOptions(chartType, prepared = null) {
     const opts = JSON.parse(JSON.stringify(this.defaultOptions));
+    const datasetCount = prepared?.datasets?.length ?? this.chartData?.datasets?.length ?? 0;
 
     switch (chartType) {
       case 'line':
+      case 'area':
+      case 'stackedArea':
         opts.scales.x = {
           ...opts.scales.x,
           type: this.isDateData(this.chartData?.labels) ? 'time' : 'category',
@@ -316,12 +697,95 @@ class ChartManager {
               }
             : undefined
         };
+        opts.scales.y.stacked = chartType === 'stackedArea';
         break;
 
       case 'bar':
         opts.indexAxis = 'x';
-        opts.scales.x.stacked = this.chartData?.datasets?.length > 1;
-        opts.scales.y.stacked = this.chartData?.datasets?.length > 1;
+        opts.scales.x.stacked = datasetCount > 1;
+        opts.scales.y.stacked = datasetCount > 1;
+        break;
+
+      case 'horizontalBar':
+        opts.indexAxis = 'y';
+        opts.scales.x.beginAtZero = true;
+        opts.scales.y.beginAtZero = false;
+        break;
+
+      case 'radar':
+        opts.scales = {
+          r: {
+            beginAtZero: true,
+            grid: { color: 'var(--border-color)' },
+            angleLines: { color: 'var(--border-color)' },
+            pointLabels: { color: 'var(--text-secondary)', font: { size: 11 } },
+            ticks: { color: 'var(--text-secondary)', backdropColor: 'transparent' }
+          }
+        };
+        opts.interaction = { mode: 'nearest', intersect: false };
+        break;
+
+      case 'scatter':
+      case 'bubble':
+        // Points are { x, y } pairs of two measures, bubbles add a radius
+        opts.scales.x = { ...opts.scales.x, type: 'linear' };
+        opts.scales.y.beginAtZero = false;
+        opts.interaction = { mode: 'nearest', intersect: true };
+        opts.plugins.tooltip.callbacks = {
+          label: (ctx) => {
+            const point = `(${ctx.parsed.x.toLocaleString()}, ${ctx.parsed.y.toLocaleString()})`;
+            return chartType === 'bubble' && ctx.raw?.r !== undefined ? `${point} r=${ctx.raw.r}` : point;
+          }
+        };
+        break;
+
+      case 'histogram':
+        opts.scales.x.grid = { display: false };
+        opts.plugins.legend.display = datasetCount > 1;
+        break;
+
+      case 'boxplot': {
+        // Floating bars only span Q1–Q3, so the axis must be widened to fit the whiskers
+        const stats = (prepared?.datasets || []).flatMap(ds => ds.boxStats || []).filter(Boolean);
+        opts.scales.y.beginAtZero = false;
+        if (stats.length > 0) {
+          opts.scales.y.suggestedMin = Math.min(...stats.map(s => s.min));
+          opts.scales.y.suggestedMax = Math.max(...stats.map(s => s.max));
+        }
+        opts.plugins.tooltip.callbacks = {
+          label: (ctx) => {
+            const s = ctx.dataset.boxStats?.[ctx.dataIndex];
+            if (!s) return '';
+            const f = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+            return `${ctx.dataset.label}: min ${f(s.min)} · Q1 ${f(s.q1)} · median ${f(s.median)} · Q3 ${f(s.q3)} · max ${f(s.max)}`;
+          }
+        };
+        break;
+      }
+
+      case 'heatmap':
+        opts.scales = {
+          x: {
+            type: 'category',
+            labels: prepared?.labels || [],
+            offset: true,
+            grid: { display: false },
+            ticks: { color: 'var(--text-secondary)', font: { size: 11 } }
+          },
+          y: {
+            type: 'category',
+            labels: prepared?.yLabels || [],
+            offset: true,
+            grid: { display: false },
+            ticks: { color: 'var(--text-secondary)', font: { size: 11 } }
+          }
+        };
+        opts.plugins.legend.display = false;
+        opts.interaction = { mode: 'nearest', intersect: true };
+        opts.plugins.tooltip.callbacks = {
+          title: () => '',
+          label: (ctx) => `${ctx.raw.y} × ${ctx.raw.x}: ${Math.round(ctx.raw.v * 1000) / 1000}`
+        };
         break;
 
       case 'pie':
@@ -361,6 +825,9 @@ class ChartManager {
     
     this.currentChart.data.datasets.forEach((ds, i) => {
       const idx = i % this.colorPalettes.primary.length;
+
+      // Heatmap cells are coloured by value in the plugin
+      if (ds.heatmap) return;
       
       // Only apply default colors if not already set
       if (!ds.backgroundColor || ds.backgroundColor.length === 0) {
@@ -371,6 +838,10 @@ class ChartManager {
           ds.backgroundColor = Array.from({ length: dataLength }, (_, j) => 
             this.colorPalettes.primary[(idx + j) % this.colorPalettes.primary.length]
           );
+        } else if (this.currentChart.config.type === 'scatter' ||
+                   this.currentChart.config.type === 'bubble') {
+          // Scatter points and bubbles are filled, so they need the solid color
+          ds.backgroundColor = this.colorPalettes.primary[idx];
         } else {
           // For line/bar, single color for dataset
           ds.backgroundColor = this.colorPalettes.light[idx];
@@ -468,6 +939,20 @@ class ChartManager {
     this.chartData = null;
     console.log('Chart manager destroyed');
   }
+
+  // Badge for the server's cross-check of a chart against the full dataset (null when unchecked).
+  // The note is shown as a tooltip; it is set via title so chart labels never reach innerHTML.
+  static verificationBadge(verification) {
+    if (!verification?.status) return null;
+    const icons = { verified: 'fa-check-circle', corrected: 'fa-wrench', unverified: 'fa-question-circle' };
+    const badge = document.createElement('span');
+    badge.className = `chart-badge chart-badge-${verification.status}`;
+    badge.title = verification.note || '';
+    const icon = document.createElement('i');
+    icon.className = `fas ${icons[verification.status] || icons.unverified}`;
+    badge.append(icon, ` ${verification.status}`);
+    return badge;
+  }
 }
 
 // For Node.js compatibility (optional)
@@ -0,0 +1,338 @@
+// src/csv-parser.js - Streaming RFC 4180 CSV parser for Data Examiner
+// Handles quoted fields (delimiters, newlines and "" escapes inside quotes), CRLF/LF/CR line
+// endings, byte order marks and non-UTF-8 files. Used by FileAnalyzer directly and from csv-worker.js.
+// Values stay strings; FileAnalyzer types them with TypeInferrer once the whole file is read.
+
+// Incremental tokenizer: feed text chunks in any sizes, get complete records back
+class CSVTokenizer {
+    constructor(delimiter = ',') {
+        this.delimiter = delimiter;
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.fieldQuoted = false;
+        this.afterQuote = false;
+        this.pendingCR = false;
+    }
+
+    push(text, onRecord) {
+        const delimiter = this.delimiter;
+        const length = text.length;
+        let i = 0;
+
+        // A chunk that ended on "\r" may continue with the "\n" of the same line break
+        if (this.pendingCR) {
+            this.pendingCR = false;
+            if (text[0] === '\n') i = 1;
+        }
+
+        while (i < length) {
+            if (this.inQuotes) {
+                const quote = text.indexOf('"', i);
+                if (quote === -1) {
+                    this.field += text.slice(i);
+                    return;
+                }
+                this.field += text.slice(i, quote);
+                this.inQuotes = false;
+                this.afterQuote = true;
+                i = quote + 1;
+                continue;
+            }
+
+            const ch = text[i];
+
+            // "" right after a closing quote is an escaped quote, possibly split across chunks
+            if (this.afterQuote) {
+                this.afterQuote = false;
+                if (ch === '"') {
+                    this.field += '"';
+                    this.inQuotes = true;
+                    i++;
+                    continue;
+                }
+            }
+
+            if (ch === delimiter) {
+                this.endField();
+                i++;
+            } else if (ch === '\n') {
+                this.endRecord(onRecord);
+                i++;
+            } else if (ch === '\r') {
+                this.endRecord(onRecord);
+                if (i + 1 === length) {
+                    this.pendingCR = true;
+                } else if (text[i + 1] === '\n') {
+                    i++;
+                }
+                i++;
+            } else if (ch === '"' && this.field === '' && !this.fieldQuoted) {
+                this.inQuotes = true;
+                this.fieldQuoted = true;
+                i++;
+            } else {
+                // Unquoted run; a stray quote inside an unquoted field is kept as-is
+                let end = i + 1;
+                while (end < length) {
+                    const c = text[end];
+                    if (c === delimiter || c === '\n' || c === '\r' || c === '"') break;
+                    end++;
+                }
+                this.field += text.slice(i, end);
+                i = end;
+            }
+        }
+    }
+
+    // Emits the last record when the input does not end with a line break
+    flush(onRecord) {
+        if (this.record.length > 0 || this.field !== '' || this.fieldQuoted) {
+            this.endRecord(onRecord);
+        }
+        this.inQuotes = false;
+        this.afterQuote = false;
+        this.pendingCR = false;
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.fieldQuoted = false;
+        this.afterQuote = false;
+    }
+
+    endRecord(onRecord) {
+        this.endField();
+        const record = this.record;
+        this.record = [];
+        onRecord(record);
+    }
+}
+
+class CSVParser {
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || 1024 * 1024;
+        this.sampleBytes = options.sampleBytes || 64 * 1024;
+        this.sampleSize = options.sampleSize || 50;
+        this.delimiters = options.delimiters || [',', ';', '\t', '|'];
+    }
+
+    // ---- Detection ----
+
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        // No BOM: UTF-8 if the sample decodes cleanly, otherwise assume a Windows export
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    // Tokenizes the sample with every candidate and keeps the one giving the most
+    // consistent field count over many lines, so a comma inside one header cannot win.
+    detectDelimiter(sampleText) {
+        let best = { delimiter: ',', consistency: 0, fields: 0 };
+
+        for (const delimiter of this.delimiters) {
+            const counts = this.sampleRecords(sampleText, delimiter).map(record => record.length);
+            if (counts.length === 0) continue;
+
+            const frequency = new Map();
+            counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+            const [fields, occurrences] = [...frequency.entries()]
+                .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            if (fields < 2) continue;
+
+            const consistency = occurrences / counts.length;
+            if (consistency > best.consistency ||
+                (consistency === best.consistency && fields > best.fields)) {
+                best = { delimiter, consistency, fields };
+            }
+        }
+
+        return best.delimiter;
+    }
+
+    sampleRecords(sampleText, delimiter) {
+        const records = [];
+        const tokenizer = new CSVTokenizer(delimiter);
+        tokenizer.push(sampleText, record => {
+            if (!this.isBlankRecord(record)) records.push(record);
+        });
+        // The sample usually ends mid-record, so the unfinished tail is not counted
+        return records.slice(0, this.sampleSize);
+    }
+
+    // The first row is a header unless it looks like data: a header cell differs in kind
+    // from the values below it ("Price" above numbers), a data row does not.
+    detectHeader(records) {
+        if (records.length < 2) return true;
+        const [first, ...body] = records;
+
+        let typedColumns = 0;
+        for (let i = 0; i < first.length; i++) {
+            const bodyKind = this.dominantKind(body.map(record => record[i]));
+            const firstKind = this.valueKind(first[i]);
+            if (bodyKind !== 'text' && bodyKind !== 'empty') {
+                typedColumns++;
+                if (firstKind !== bodyKind) return true;
+            }
+        }
+
+        // All-text data: a header is by far the more common case
+        return typedColumns === 0;
+    }
+
+    valueKind(value) {
+        const text = String(value ?? '').trim();
+        if (text === '') return 'empty';
+        if (!isNaN(parseFloat(text)) && isFinite(text)) return 'number';
+        if (/^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(text) && !isNaN(Date.parse(text))) return 'date';
+        return 'text';
+    }
+
+    dominantKind(values) {
+        const counts = {};
+        values.forEach(value => {
+            const kind = this.valueKind(value);
+            if (kind !== 'empty') counts[kind] = (counts[kind] || 0) + 1;
+        });
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return ranked.length > 0 ? ranked[0][0] : 'empty';
+    }
+
+    // Blank and duplicate header names would collapse columns in the row objects
+    normalizeHeaders(names) {
+        const seen = new Map();
+        return names.map((name, i) => {
+            const base = String(name ?? '').trim() || `Column ${i + 1}`;
+            const count = seen.get(base) || 0;
+            seen.set(base, count + 1);
+            return count === 0 ? base : `${base}_${count + 1}`;
+        });
+    }
+
+    isBlankRecord(record) {
+        return record.length === 1 && record[0].trim() === '';
+    }
+
+    // ---- Row building ----
+
+    // Buffers the first records until the header decision can be made, then emits row objects
+    createRowBuilder(options, onRows) {
+        const buffered = [];
+        const meta = { hasHeader: options.hasHeader, headers: null, rowCount: 0, malformedRows: 0 };
+        let batch = [];
+
+        const toRow = (record) => {
+            if (record.length !== meta.headers.length) meta.malformedRows++;
+            const row = {};
+            meta.headers.forEach((header, i) => {
+                row[header] = record[i] ?? '';
+            });
+            meta.rowCount++;
+            batch.push(row);
+        };
+
+        const start = () => {
+            if (typeof meta.hasHeader !== 'boolean') {
+                meta.hasHeader = this.detectHeader(buffered.slice(0, this.sampleSize));
+            }
+            const width = Math.max(...buffered.slice(0, this.sampleSize).map(r => r.length));
+            const names = meta.hasHeader
+                ? buffered.shift()
+                : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+            meta.headers = this.normalizeHeaders(names);
+            buffered.splice(0).forEach(toRow);
+        };
+
+        return {
+            meta,
+            add: (record) => {
+                if (this.isBlankRecord(record)) return;
+                if (meta.headers) {
+                    toRow(record);
+                    return;
+                }
+                buffered.push(record);
+                if (buffered.length > this.sampleSize) start();
+            },
+            emit: () => {
+                if (batch.length === 0) return;
+                onRows(batch);
+                batch = [];
+            },
+            finish: () => {
+                if (!meta.headers && buffered.length > 0) start();
+                if (batch.length > 0) {
+                    onRows(batch);
+                    batch = [];
+                }
+                if (!meta.headers) meta.headers = [];
+                return meta;
+            }
+        };
+    }
+
+    // ---- Entry points ----
+
+    parseText(text, options = {}) {
+        const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        const delimiter = options.delimiter || this.detectDelimiter(source.slice(0, this.sampleBytes));
+        const rows = [];
+        const builder = this.createRowBuilder(options, batch => rows.push(...batch));
+        const tokenizer = new CSVTokenizer(delimiter);
+
+        tokenizer.push(source, builder.add);
+        tokenizer.flush(builder.add);
+        const meta = builder.finish();
+
+        return { rows, meta: { ...meta, delimiter, encoding: null } };
+    }
+
+    // Reads the file in chunks so memory stays flat apart from the rows themselves.
+    // Rows are handed to onRows in batches; without onRows they are collected and returned.
+    async parseFile(file, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const onMeta = options.onMeta || (() => {});
+        const rows = [];
+        const onRows = options.onRows || (batch => {
+            for (const row of batch) rows.push(row);
+        });
+
+        const head = new Uint8Array(await file.slice(0, this.sampleBytes).arrayBuffer());
+        const encoding = options.encoding || this.detectEncoding(head);
+        // TextDecoder drops a matching BOM by itself
+        const sampleText = new TextDecoder(encoding).decode(head, { stream: true });
+        const delimiter = options.delimiter || this.detectDelimiter(sampleText);
+        onMeta({ encoding, delimiter });
+
+        const decoder = new TextDecoder(encoding);
+        const tokenizer = new CSVTokenizer(delimiter);
+        const builder = this.createRowBuilder(options, onRows);
+
+        for (let offset = 0; offset < file.size; offset += this.chunkSize) {
+            const bytes = await file.slice(offset, offset + this.chunkSize).arrayBuffer();
+            tokenizer.push(decoder.decode(bytes, { stream: true }), builder.add);
+            builder.emit();
+            onProgress(Math.min(offset + this.chunkSize, file.size), file.size);
+        }
+        tokenizer.push(decoder.decode(), builder.add);
+        tokenizer.flush(builder.add);
+        const meta = { ...builder.finish(), delimiter, encoding };
+
+        return options.onRows ? { meta } : { rows, meta };
+    }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVParser;
+    module.exports.CSVTokenizer = CSVTokenizer;
+}
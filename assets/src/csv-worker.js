@@ -0,0 +1,21 @@
+// src/csv-worker.js - Parses CSV files off the main thread
+// Receives { file, options } and posts back meta, progress, row batches and a final done/error message.
+
+importScripts('/src/csv-parser.js');
+
+self.addEventListener('message', async (event) => {
+    const { file, options = {} } = event.data;
+    const parser = new CSVParser(options);
+
+    try {
+        const { meta } = await parser.parseFile(file, {
+            ...options,
+            onMeta: (detected) => self.postMessage({ type: 'meta', meta: detected }),
+            onProgress: (loaded, total) => self.postMessage({ type: 'progress', loaded, total }),
+            onRows: (rows) => self.postMessage({ type: 'rows', rows })
+        });
+        self.postMessage({ type: 'done', meta });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
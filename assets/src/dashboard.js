@@ -0,0 +1,163 @@
+// src/dashboard.js — Data Examiner — charts pinned from answers, laid out in a resizable grid
+// Tiles persist in sessionStorage, so the dashboard survives reloads until the tab is closed.
+// Each tile owns a ChartManager; tile sizes map to grid spans in styles.css.
+
+const DASHBOARD_SIZES = ['small', 'wide', 'tall', 'large'];
+
+class ChartDashboard {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.storage = options.storage || window.sessionStorage;
+    this.storageKey = options.storageKey || 'dashboardCharts';
+    this.onChange = options.onChange || (() => {});
+
+    this.tiles = this.load();
+    this.managers = new Map();
+  }
+
+  // ---- Public API ----
+
+  get count() {
+    return this.tiles.length;
+  }
+
+  // chart: { title, type, data, verification? }. Pinning the same chart twice keeps one tile.
+  pin(chart) {
+    const key = this.keyOf(chart);
+    const existing = this.tiles.find(tile => this.keyOf(tile) === key);
+    if (existing) return { tile: existing, added: false, saved: true };
+
+    // Cloned so later changes to the message chart (or ChartManager's own fixes) don't leak in
+    const tile = {
+      id: `tile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      title: chart.title || 'Data Visualization',
+      type: chart.type || 'auto',
+      data: JSON.parse(JSON.stringify(chart.data)),
+      verification: chart.verification || null,
+      size: 'small'
+    };
+    this.tiles.push(tile);
+    const saved = this.save();
+    this.render();
+    return { tile, added: true, saved };
+  }
+
+  unpin(id) {
+    this.tiles = this.tiles.filter(tile => tile.id !== id);
+    this.save();
+    this.render();
+  }
+
+  // Cycles small → wide → tall → large
+  resize(id) {
+    const tile = this.tiles.find(item => item.id === id);
+    if (!tile) return;
+    tile.size = DASHBOARD_SIZES[(DASHBOARD_SIZES.indexOf(tile.size) + 1) % DASHBOARD_SIZES.length];
+    this.save();
+
+    const element = this.container.querySelector(`[data-tile-id="${id}"]`);
+    if (element) {
+      element.className = `dashboard-tile size-${tile.size}`;
+    }
+  }
+
+  clear() {
+    this.tiles = [];
+    this.save();
+    this.render();
+  }
+
+  render() {
+    this.managers.forEach(manager => manager.destroy());
+    this.managers.clear();
+    this.container.innerHTML = '';
+
+    if (this.tiles.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'dashboard-empty';
+      empty.innerHTML = '<i class="fas fa-thumbtack"></i><p>Pin charts from an answer to collect them here</p>';
+      this.container.appendChild(empty);
+    }
+
+    this.tiles.forEach(tile => this.container.appendChild(this.buildTile(tile)));
+    this.onChange(this.tiles.length);
+  }
+
+  // ---- Tiles ----
+
+  buildTile(tile) {
+    const element = document.createElement('div');
+    element.className = `dashboard-tile size-${tile.size}`;
+    element.dataset.tileId = tile.id;
+
+    const header = document.createElement('div');
+    header.className = 'dashboard-tile-header';
+    const title = document.createElement('span');
+    title.className = 'dashboard-tile-title';
+    title.textContent = tile.title;
+    header.appendChild(title);
+    const badge = ChartManager.verificationBadge(tile.verification);
+    if (badge) header.appendChild(badge);
+
+    header.appendChild(this.buildButton('fa-expand-alt', 'Change tile size', () => this.resize(tile.id)));
+    header.appendChild(this.buildButton('fa-times', 'Remove from dashboard', () => this.unpin(tile.id)));
+    element.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'dashboard-tile-chart';
+    const canvas = document.createElement('canvas');
+    body.appendChild(canvas);
+    element.appendChild(body);
+
+    // Chart.js needs the canvas in the document to measure it
+    requestAnimationFrame(() => {
+      if (!element.isConnected) return;
+      const manager = new ChartManager(canvas);
+      manager.updateChart(JSON.parse(JSON.stringify(tile.data)), tile.type, tile.title);
+      this.managers.set(tile.id, manager);
+    });
+
+    return element;
+  }
+
+  buildButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chart-btn';
+    button.title = label;
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  keyOf(chart) {
+    return JSON.stringify([chart.title || 'Data Visualization', chart.type || 'auto', chart.data]);
+  }
+
+  // ---- Persistence ----
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored.filter(tile => tile?.id && tile.data) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Returns false when storage is full; the tile still shows until the page is reloaded
+  save() {
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.tiles));
+      return true;
+    } catch (error) {
+      console.warn('Could not persist dashboard:', error.message);
+      return false;
+    }
+  }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChartDashboard;
+}
@@ -0,0 +1,369 @@
+// src/data-preview.js — Data Examiner — virtualised preview of a parsed file before analysis
+// Renders FileAnalyzer.analyzeFile results as a scrollable table with type badges, null
+// highlighting and column stats on header hover. Columns and rows can be excluded from the upload.
+
+class DataPreview {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.rowHeight = options.rowHeight || 32;
+    this.maxRows = options.maxRows || 10000;
+    this.overscan = options.overscan || 8;
+    this.onChange = options.onChange || (() => {});
+
+    this.result = null;
+    this.tables = [];
+    this.activeTable = null;
+    this.excludedColumns = new Set();
+    this.excludedRows = new Map();
+    this.renderScheduled = false;
+  }
+
+  // ---- Public API ----
+
+  render(result) {
+    this.result = result;
+    this.tables = result.sheets?.length
+      ? result.sheets.filter(sheet => sheet.data.length > 0)
+      : [{ name: '', data: result.data, analysis: result.analysis }];
+    this.excludedColumns.clear();
+    this.excludedRows.clear();
+    this.activeTable = this.tables[0] || null;
+
+    this.container.innerHTML = '';
+    if (!this.activeTable) return;
+
+    this.container.appendChild(this.buildToolbar());
+    this.viewport = document.createElement('div');
+    this.viewport.className = 'preview-viewport';
+    this.viewport.addEventListener('scroll', () => this.scheduleRender());
+    this.container.appendChild(this.viewport);
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'preview-tooltip';
+    this.container.appendChild(this.tooltip);
+
+    this.renderTable();
+    this.show();
+  }
+
+  show() {
+    if (!this.activeTable) return;
+    this.container.style.display = 'flex';
+    this.scheduleRender();
+  }
+
+  hide() {
+    this.container.style.display = 'none';
+  }
+
+  clear() {
+    this.hide();
+    this.container.innerHTML = '';
+    this.result = null;
+    this.tables = [];
+    this.activeTable = null;
+    this.excludedColumns.clear();
+    this.excludedRows.clear();
+  }
+
+  isVisible() {
+    return this.container.style.display === 'flex';
+  }
+
+  // Row indices refer to rows of the parsed file (per sheet for workbooks)
+  getExclusions() {
+    const exclusions = {};
+    if (this.excludedColumns.size > 0) {
+      exclusions.excludedColumns = [...this.excludedColumns];
+    }
+
+    const rows = [...this.excludedRows.entries()].filter(([, indices]) => indices.size > 0);
+    if (rows.length > 0) {
+      exclusions.excludedRows = this.result.sheets?.length
+        ? Object.fromEntries(rows.map(([name, indices]) => [name, [...indices].sort((a, b) => a - b)]))
+        : [...rows[0][1]].sort((a, b) => a - b);
+    }
+    return exclusions;
+  }
+
+  // ---- Toolbar ----
+
+  buildToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'preview-toolbar';
+
+    const title = document.createElement('div');
+    title.className = 'preview-title';
+    title.innerHTML = '<i class="fas fa-table"></i> <span>Data preview</span>';
+    this.summary = document.createElement('small');
+    title.appendChild(this.summary);
+    toolbar.appendChild(title);
+
+    if (this.tables.length > 1) {
+      const select = document.createElement('select');
+      select.className = 'chart-select';
+      this.tables.forEach(table => select.appendChild(new Option(table.name, table.name)));
+      select.addEventListener('change', () => {
+        this.activeTable = this.tables.find(table => table.name === select.value);
+        this.renderTable();
+      });
+      toolbar.appendChild(select);
+    }
+
+    this.exclusionSummary = document.createElement('small');
+    this.exclusionSummary.className = 'preview-exclusions';
+    toolbar.appendChild(this.exclusionSummary);
+
+    const reset = document.createElement('button');
+    reset.className = 'chart-btn';
+    reset.type = 'button';
+    reset.innerHTML = '<i class="fas fa-undo"></i> Include all';
+    reset.addEventListener('click', () => {
+      this.excludedColumns.clear();
+      this.excludedRows.clear();
+      this.renderTable();
+      this.notifyChange();
+    });
+    toolbar.appendChild(reset);
+
+    return toolbar;
+  }
+
+  updateSummary() {
+    const { data, analysis } = this.activeTable;
+    const shown = Math.min(data.length, this.maxRows);
+    this.summary.textContent = shown < data.length
+      ? `First ${shown.toLocaleString()} of ${data.length.toLocaleString()} rows · ${analysis.columns.length} columns`
+      : `${data.length.toLocaleString()} rows · ${analysis.columns.length} columns`;
+
+    const excludedRows = [...this.excludedRows.values()].reduce((sum, indices) => sum + indices.size, 0);
+    const parts = [];
+    if (this.excludedColumns.size > 0) parts.push(`${this.excludedColumns.size} column${this.excludedColumns.size === 1 ? '' : 's'}`);
+    if (excludedRows > 0) parts.push(`${excludedRows} row${excludedRows === 1 ? '' : 's'}`);
+    this.exclusionSummary.textContent = parts.length > 0 ? `Excluding ${parts.join(' and ')}` : '';
+  }
+
+  notifyChange() {
+    this.updateSummary();
+    this.onChange(this.getExclusions());
+  }
+
+  // ---- Table ----
+
+  renderTable() {
+    const { analysis } = this.activeTable;
+    this.columns = analysis.columns;
+    this.rowCount = Math.min(this.activeTable.data.length, this.maxRows);
+
+    this.table = document.createElement('table');
+    this.table.className = 'preview-table';
+    this.table.appendChild(this.buildHeader());
+    this.body = document.createElement('tbody');
+    this.table.appendChild(this.body);
+
+    this.viewport.innerHTML = '';
+    this.viewport.appendChild(this.table);
+    this.viewport.scrollTop = 0;
+    this.renderedRange = null;
+
+    this.updateSummary();
+    this.renderRows();
+  }
+
+  buildHeader() {
+    const { analysis } = this.activeTable;
+    const head = document.createElement('thead');
+    const row = document.createElement('tr');
+
+    const corner = document.createElement('th');
+    corner.className = 'preview-index';
+    corner.textContent = '#';
+    row.appendChild(corner);
+
+    this.columns.forEach(column => {
+      const th = document.createElement('th');
+      th.classList.toggle('excluded', this.excludedColumns.has(column));
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.excludedColumns.has(column);
+      checkbox.title = 'Include this column in the analysis';
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.excludedColumns.delete(column);
+        } else {
+          this.excludedColumns.add(column);
+        }
+        th.classList.toggle('excluded', !checkbox.checked);
+        this.renderedRange = null;
+        this.renderRows();
+        this.notifyChange();
+      });
+
+      const name = document.createElement('span');
+      name.className = 'preview-column-name';
+      name.textContent = column;
+      label.append(checkbox, name);
+
+      const type = analysis.semanticTypes?.[column] || analysis.columnTypes[column];
+      const badge = document.createElement('span');
+      badge.className = `type-badge type-${analysis.columnTypes[column]}`;
+      badge.textContent = type;
+
+      th.append(label, badge);
+      th.addEventListener('mouseenter', () => this.showColumnStats(th, column));
+      th.addEventListener('mouseleave', () => this.hideColumnStats());
+      row.appendChild(th);
+    });
+
+    head.appendChild(row);
+    return head;
+  }
+
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.renderRows();
+    });
+  }
+
+  // Only the rows in view (plus an overscan margin) exist in the DOM; spacer rows keep the scroll height
+  renderRows() {
+    if (!this.body || !this.activeTable) return;
+
+    const viewportHeight = this.viewport.clientHeight || this.rowHeight * 10;
+    const first = Math.max(0, Math.floor(this.viewport.scrollTop / this.rowHeight) - this.overscan);
+    const last = Math.min(
+      this.rowCount,
+      Math.ceil((this.viewport.scrollTop + viewportHeight) / this.rowHeight) + this.overscan
+    );
+    if (this.renderedRange && this.renderedRange[0] === first && this.renderedRange[1] === last) return;
+    this.renderedRange = [first, last];
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(this.buildSpacer(first * this.rowHeight));
+    for (let index = first; index < last; index++) {
+      fragment.appendChild(this.buildRow(index));
+    }
+    fragment.appendChild(this.buildSpacer((this.rowCount - last) * this.rowHeight));
+
+    this.body.innerHTML = '';
+    this.body.appendChild(fragment);
+  }
+
+  buildSpacer(height) {
+    const spacer = document.createElement('tr');
+    spacer.className = 'preview-spacer';
+    spacer.style.height = `${height}px`;
+    return spacer;
+  }
+
+  buildRow(index) {
+    const record = this.activeTable.data[index];
+    const excludedRows = this.getExcludedRows();
+    const tr = document.createElement('tr');
+    tr.style.height = `${this.rowHeight}px`;
+    tr.classList.toggle('excluded', excludedRows.has(index));
+
+    const indexCell = document.createElement('td');
+    indexCell.className = 'preview-index';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !excludedRows.has(index);
+    checkbox.title = 'Include this row in the analysis';
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        excludedRows.delete(index);
+      } else {
+        excludedRows.add(index);
+      }
+      tr.classList.toggle('excluded', !checkbox.checked);
+      this.notifyChange();
+    });
+    const number = document.createElement('span');
+    number.textContent = index + 1;
+    indexCell.append(checkbox, number);
+    tr.appendChild(indexCell);
+
+    this.columns.forEach(column => {
+      const td = document.createElement('td');
+      const value = record[column];
+      if (value === null || value === undefined || value === '') {
+        td.className = 'is-null';
+        td.textContent = 'null';
+      } else {
+        td.textContent = this.formatValue(value);
+        td.title = td.textContent;
+      }
+      if (this.excludedColumns.has(column)) td.classList.add('excluded');
+      tr.appendChild(td);
+    });
+
+    return tr;
+  }
+
+  getExcludedRows() {
+    const key = this.activeTable.name;
+    if (!this.excludedRows.has(key)) this.excludedRows.set(key, new Set());
+    return this.excludedRows.get(key);
+  }
+
+  formatValue(value) {
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+    return String(value);
+  }
+
+  // ---- Column stats tooltip ----
+
+  showColumnStats(th, column) {
+    const stats = this.activeTable.analysis.statisticalSummary[column];
+    if (!stats) return;
+
+    const lines = [
+      [column, stats.semanticType || stats.type],
+      ['Values', stats.count],
+      ['Nulls', stats.nullCount],
+      ['Distinct', stats.distinctCount]
+    ];
+    if (stats.type === 'numeric') {
+      lines.push(
+        ['Min', this.formatValue(stats.min)],
+        ['Max', this.formatValue(stats.max)],
+        ['Mean', this.formatValue(stats.mean)],
+        ['Median', this.formatValue(stats.median)]
+      );
+    } else if (stats.type === 'date') {
+      lines.push(['From', stats.earliest], ['To', stats.latest]);
+    } else if (stats.type === 'text' && stats.mostCommon) {
+      lines.push(['Most common', `${stats.mostCommon.value} (${stats.mostCommon.percentage})`]);
+    }
+    if (stats.confidence !== undefined && stats.confidence < 1) {
+      lines.push(['Type confidence', `${Math.round(stats.confidence * 100)}%`]);
+    }
+
+    this.tooltip.innerHTML = '';
+    lines.forEach(([label, value], i) => {
+      const row = document.createElement('div');
+      const key = document.createElement(i === 0 ? 'strong' : 'span');
+      key.textContent = label;
+      const text = document.createElement('span');
+      text.textContent = value;
+      row.append(key, text);
+      this.tooltip.appendChild(row);
+    });
+
+    const bounds = th.getBoundingClientRect();
+    const containerBounds = this.container.getBoundingClientRect();
+    this.tooltip.style.left = `${Math.max(0, bounds.left - containerBounds.left)}px`;
+    this.tooltip.style.top = `${bounds.bottom - containerBounds.top + 4}px`;
+    this.tooltip.style.display = 'block';
+  }
+
+  hideColumnStats() {
+    this.tooltip.style.display = 'none';
+  }
+}
@@ -21,9 +21,17 @@ class FileAnalyzer {
                 parser: this.parseJSON.bind(this)
             }
         };
+        this.csvWorkerUrl = '/src/csv-worker.js';
+        const Inferrer = typeof TypeInferrer !== 'undefined' ? TypeInferrer : require('./type-inference');
+        this.typeInferrer = new Inferrer();
+        const Recommender = typeof ChartRecommender !== 'undefined' ? ChartRecommender : require('./chart-recommender');
+        this.chartRecommender = new Recommender();
+        this.lastParseInfo = null;
     }
 
-    async analyzeFile(file) {
+    // options.onProgress(loaded, total) reports CSV parsing progress;
+    // options.columnTypes overrides detected column types ({ column: 'currency' })
+    async analyzeFile(file, options = {}) {
         const fileInfo = this.getFileInfo(file);
         
         if (!fileInfo) {
@@ -31,15 +39,42 @@ class FileAnalyzer {
         }
 
         try {
-            const data = await fileInfo.parser(file);
-            const analysis = this.analyzeDataStructure(data);
-            const chartConfig = this.prepareChartConfig(data, analysis);
+            const parsed = await fileInfo.parser(file, options);
+
+            // Excel workbooks come back as { sheetName: rows[] }, one table per sheet
+            if (!Array.isArray(parsed)) {
+                const sheets = Object.entries(parsed).map(([name, rawRows]) => {
+                    const { rows, types } = this.typeInferrer.applyTypes(rawRows, options.columnTypes);
+                    return {
+                        name: name,
+                        data: rows,
+                        analysis: this.analyzeDataStructure(rows, types)
+                    };
+                });
+                const primary = sheets.find(sheet => sheet.data.length > 0) || sheets[0];
+                const chartSuggestions = primary ? this.suggestCharts(primary.data, primary.analysis) : [];
+
+                return {
+                    success: true,
+                    data: primary ? primary.data : [],
+                    analysis: primary ? primary.analysis : this.analyzeDataStructure([]),
+                    chartConfig: this.toChartConfig(chartSuggestions[0]),
+                    chartSuggestions: chartSuggestions,
+                    sheets: sheets,
+                    fileInfo: fileInfo
+                };
+            }
+
+            const { rows: data, types } = this.typeInferrer.applyTypes(parsed, options.columnTypes);
+            const analysis = this.analyzeDataStructure(data, types);
+            const chartSuggestions = this.suggestCharts(data, analysis);
             
             return {
                 success: true,
                 data: data,
                 analysis: analysis,
-                chartConfig: chartConfig,
+                chartConfig: this.toChartConfig(chartSuggestions[0]),
+                chartSuggestions: chartSuggestions,
                 fileInfo: fileInfo
             };
         } catch (error) {
@@ -61,62 +96,101 @@ class FileAnalyzer {
         return null;
     }
 
-    async parseCSV(file) {
+    // Parsing runs in a Web Worker when available so large files do not freeze the page
+    async parseCSV(file, options = {}) {
+        const { rows, meta } = this.canUseWorker()
+            ? await this.parseCSVInWorker(file, options)
+            : await new (this.getCSVParser())().parseFile(file, options);
+
+        if (meta.rowCount === 0) {
+            throw new Error(meta.headers.length > 0 ? 'CSV file has no data rows' : 'Empty CSV file');
+        }
+        if (meta.malformedRows > 0) {
+            console.warn(`${meta.malformedRows} CSV rows did not match the ${meta.headers.length} header columns`);
+        }
+
+        this.lastParseInfo = meta;
+        return rows;
+    }
+
+    canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof window !== 'undefined';
+    }
+
+    parseCSVInWorker(file, options = {}) {
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const text = event.target.result;
-                    const lines = text.split('\n').filter(line => line.trim());
-                    
-                    if (lines.length === 0) {
-                        reject(new Error('Empty CSV file'));
-                        return;
-                    }
-                    
-                    // Detect delimiter
-                    const delimiter = this.detectDelimiter(text);
-                    const headers = lines[0].split(delimiter).map(h => h.trim());
-                    
-                    const data = lines.slice(1)
-                        .filter(line => line.trim())
-                        .map((line, index) => {
-                            const values = line.split(delimiter).map(v => v.trim());
-                            const obj = {};
-                            
-                            headers.forEach((header, i) => {
-                                let value = values[i] || '';
-                                
-                                // Try to convert to appropriate type
-                                if (this.isNumeric(value)) {
-                                    value = parseFloat(value);
-                                } else if (this.isBoolean(value)) {
-                                    value = value.toLowerCase() === 'true';
-                                } else if (this.isDate(value)) {
-                                    value = new Date(value);
-                                }
-                                
-                                obj[header] = value;
-                            });
-                            
-                            return obj;
-                        });
-                    
-                    resolve(data);
-                } catch (error) {
-                    reject(new Error(`CSV parsing error: ${error.message}`));
+            const worker = new Worker(this.csvWorkerUrl);
+            const rows = [];
+            let started = false;
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                started = true;
+
+                switch (message.type) {
+                    case 'rows':
+                        for (const row of message.rows) rows.push(row);
+                        break;
+                    case 'progress':
+                        options.onProgress?.(message.loaded, message.total);
+                        break;
+                    case 'done':
+                        worker.terminate();
+                        resolve({ rows, meta: message.meta });
+                        break;
+                    case 'error':
+                        worker.terminate();
+                        reject(new Error(`CSV parsing error: ${message.message}`));
+                        break;
                 }
             };
-            
-            reader.onerror = () => reject(new Error('Failed to read CSV file'));
-            reader.readAsText(file);
+
+            // The worker script itself failed to load: parse on the main thread instead
+            worker.onerror = (event) => {
+                worker.terminate();
+                if (started) {
+                    reject(new Error(`CSV parsing error: ${event.message}`));
+                    return;
+                }
+                console.warn('CSV worker unavailable, parsing on the main thread:', event.message);
+                new (this.getCSVParser())().parseFile(file, options).then(resolve, reject);
+            };
+
+            worker.postMessage({
+                file,
+                options: { delimiter: options.delimiter, encoding: options.encoding, hasHeader: options.hasHeader }
+            });
         });
     }
 
+    getCSVParser() {
+        return typeof CSVParser !== 'undefined' ? CSVParser : require('./csv-parser');
+    }
+
+    // Needs the SheetJS (XLSX) global; returns { sheetName: rows[] } like the server's parseExcel
     async parseExcel(file) {
-        // Note: In a real implementation, you would use SheetJS library
-        // This is a simplified version that reads as CSV
-        return this.parseCSV(file);
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Excel parsing library (SheetJS) is not loaded');
+        }
+
+        const buffer = await this.readAsArrayBuffer(file);
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        const sheets = {};
+
+        workbook.SheetNames.forEach(name => {
+            sheets[name] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: '' });
+        });
+
+        return sheets;
+    }
+
+    readAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (event) => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('Failed to read Excel file'));
+            reader.readAsArrayBuffer(file);
+        });
     }
 
     async parseJSON(file) {
@@ -145,39 +219,33 @@ class FileAnalyzer {
     }
 
     detectDelimiter(text) {
-        const lines = text.split('\n').slice(0, 10);
-        const delimiters = [',', ';', '\t', '|'];
-        let maxCount = 0;
-        let bestDelimiter = ',';
-        
-        for (const delimiter of delimiters) {
-            const count = lines[0].split(delimiter).length;
-            if (count > maxCount) {
-                maxCount = count;
-                bestDelimiter = delimiter;
-            }
-        }
-        
-        return bestDelimiter;
+        return new (this.getCSVParser())().detectDelimiter(text);
     }
 
-    analyzeDataStructure(data) {
+    // `types` comes from TypeInferrer.applyTypes; without it the column types are inferred here.
+    // columnTypes holds the coarse family (numeric/date/text/unknown), semanticTypes the detailed type.
+    analyzeDataStructure(data, types = null) {
         if (!Array.isArray(data) || data.length === 0) {
             return {
                 totalRows: 0,
                 columns: [],
                 columnTypes: {},
+                semanticTypes: {},
+                typeInfo: {},
                 statisticalSummary: {}
             };
         }
 
         const sample = data[0];
         const columns = Object.keys(sample);
+        const typeInfo = types || this.typeInferrer.inferColumns(data);
         
         const analysis = {
             totalRows: data.length,
             columns: columns,
             columnTypes: {},
+            semanticTypes: {},
+            typeInfo: typeInfo,
             statisticalSummary: {},
             dataQuality: {
                 missingValues: 0,
@@ -191,50 +259,69 @@ class FileAnalyzer {
             const nonEmptyValues = values.filter(val => 
                 val !== null && val !== undefined && val !== ''
             );
+            const nullCount = values.length - nonEmptyValues.length;
+            const distinctCount = new Set(nonEmptyValues.map(v => this.valueKey(v))).size;
             
             // Count missing values
-            analysis.dataQuality.missingValues += values.length - nonEmptyValues.length;
+            analysis.dataQuality.missingValues += nullCount;
             
-            // Determine column type
-            if (nonEmptyValues.length === 0) {
-                analysis.columnTypes[column] = 'unknown';
+            const spec = typeInfo[column] || this.typeInferrer.inferColumn(values, column);
+            const family = this.typeInferrer.family(spec.type);
+            const base = {
+                semanticType: spec.type,
+                confidence: spec.confidence,
+                count: nonEmptyValues.length,
+                nullCount: nullCount,
+                distinctCount: distinctCount
+            };
+            if (spec.currency) base.currency = spec.currency;
+            if (spec.dayFirst && family === 'date') base.dayFirst = true;
+
+            analysis.columnTypes[column] = family;
+            analysis.semanticTypes[column] = spec.type;
+
+            if (family === 'unknown') {
+                analysis.statisticalSummary[column] = { type: 'unknown', ...base, count: 0, distinctCount: 0 };
                 return;
             }
+
+            // Values are already typed by applyTypes; converting again is a no-op for them
+            const converted = nonEmptyValues.map(v => this.typeInferrer.convertValue(v, spec));
             
-            const firstValue = nonEmptyValues[0];
-            
-            if (typeof firstValue === 'number' || this.isNumericArray(nonEmptyValues)) {
-                analysis.columnTypes[column] = 'numeric';
-                const numericValues = nonEmptyValues.map(v => parseFloat(v));
+            if (family === 'numeric') {
+                const numericValues = converted.filter(v => typeof v === 'number');
+                const sum = numericValues.reduce((a, b) => a + b, 0);
                 
                 analysis.statisticalSummary[column] = {
                     type: 'numeric',
+                    ...base,
                     count: numericValues.length,
-                    min: Math.min(...numericValues),
-                    max: Math.max(...numericValues),
-                    mean: numericValues.reduce((a, b) => a + b, 0) / numericValues.length,
+                    min: this.calculateMin(numericValues),
+                    max: this.calculateMax(numericValues),
+                    mean: numericValues.length > 0 ? sum / numericValues.length : null,
                     median: this.calculateMedian(numericValues),
-                    sum: numericValues.reduce((a, b) => a + b, 0),
+                    sum: sum,
                     stdDev: this.calculateStdDev(numericValues)
                 };
-            } else if (firstValue instanceof Date || this.isDateArray(nonEmptyValues)) {
-                analysis.columnTypes[column] = 'date';
-                const dates = nonEmptyValues.map(v => new Date(v));
+            } else if (family === 'date') {
+                const times = converted
+                    .map(v => new Date(v).getTime())
+                    .filter(t => !isNaN(t));
                 
                 analysis.statisticalSummary[column] = {
                     type: 'date',
-                    count: dates.length,
-                    earliest: new Date(Math.min(...dates)).toISOString().split('T')[0],
-                    latest: new Date(Math.max(...dates)).toISOString().split('T')[0],
-                    uniqueDays: new Set(dates.map(d => d.toISOString().split('T')[0])).size
+                    ...base,
+                    count: times.length,
+                    earliest: times.length > 0 ? new Date(this.calculateMin(times)).toISOString().split('T')[0] : null,
+                    latest: times.length > 0 ? new Date(this.calculateMax(times)).toISOString().split('T')[0] : null,
+                    uniqueDays: new Set(times.map(t => new Date(t).toISOString().split('T')[0])).size
                 };
             } else {
-                analysis.columnTypes[column] = 'text';
                 const uniqueValues = [...new Set(nonEmptyValues.map(v => v.toString()))];
                 
                 analysis.statisticalSummary[column] = {
                     type: 'text',
-                    count: nonEmptyValues.length,
+                    ...base,
                     uniqueCount: uniqueValues.length,
                     mostCommon: this.findMostCommon(nonEmptyValues),
                     sampleValues: uniqueValues.slice(0, 5)
@@ -249,63 +336,29 @@ class FileAnalyzer {
         return analysis;
     }
 
-    prepareChartConfig(data, analysis) {
-        if (!data || data.length === 0 || !analysis) {
-            return null;
-        }
-
-        const numericColumns = Object.entries(analysis.columnTypes)
-            .filter(([_, type]) => type === 'numeric')
-            .map(([col]) => col);
-
-        if (numericColumns.length === 0) {
-            return null;
-        }
-
-        // Use first numeric column for chart
-        const chartColumn = numericColumns[0];
-        const values = data
-            .slice(0, 50)
-            .map(row => parseFloat(row[chartColumn]))
-            .filter(v => !isNaN(v));
+    // Ranked chart suggestions built from the column profile (see ChartRecommender)
+    suggestCharts(data, analysis) {
+        if (!data || data.length === 0 || !analysis) return [];
+        return this.chartRecommender.recommend(data, analysis);
+    }
 
-        if (values.length === 0) {
-            return null;
-        }
+    // Chart.js config of the top suggestion
+    prepareChartConfig(data, analysis) {
+        return this.toChartConfig(this.suggestCharts(data, analysis)[0]);
+    }
 
-        // Check if we have a date column for x-axis
-        const dateColumns = Object.entries(analysis.columnTypes)
-            .filter(([_, type]) => type === 'date')
-            .map(([col]) => col);
-
-        let labels;
-        if (dateColumns.length > 0) {
-            const dateColumn = dateColumns[0];
-            labels = data.slice(0, 50).map(row => {
-                const date = new Date(row[dateColumn]);
-                return isNaN(date.getTime()) ? 'Invalid Date' : date.toISOString().split('T')[0];
-            });
-        } else {
-            labels = Array.from({ length: values.length }, (_, i) => `Item ${i + 1}`);
-        }
+    toChartConfig(best) {
+        if (!best) return null;
 
         return {
-            type: 'line',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: chartColumn,
-                    data: values,
-                    fill: true,
-                    tension: 0.1
-                }]
-            },
+            type: best.type,
+            data: best.data,
             options: {
                 responsive: true,
                 plugins: {
                     title: {
                         display: true,
-                        text: `Analysis of ${chartColumn}`
+                        text: best.title
                     }
                 }
             }
@@ -313,24 +366,25 @@ class FileAnalyzer {
     }
 
     // Helper methods
-    isNumeric(value) {
-        return !isNaN(parseFloat(value)) && isFinite(value);
-    }
-
-    isNumericArray(arr) {
-        return arr.every(val => this.isNumeric(val));
-    }
-
-    isBoolean(value) {
-        return value.toLowerCase() === 'true' || value.toLowerCase() === 'false';
+    // Loop-based min/max: spreading 100k+ values into Math.min overflows the stack
+    calculateMin(arr) {
+        let min = Infinity;
+        for (const val of arr) {
+            if (val < min) min = val;
+        }
+        return min;
     }
 
-    isDate(value) {
-        return !isNaN(Date.parse(value));
+    calculateMax(arr) {
+        let max = -Infinity;
+        for (const val of arr) {
+            if (val > max) max = val;
+        }
+        return max;
     }
 
-    isDateArray(arr) {
-        return arr.every(val => !isNaN(Date.parse(val)));
+    valueKey(value) {
+        return value instanceof Date ? value.toISOString() : String(value);
     }
 
     calculateMedian(arr) {
@@ -0,0 +1,84 @@
+// src/markdown.js — Data Examiner — markdown to safe HTML
+// Everything the model writes (and anything echoed from the data or the server) is untrusted, so
+// it is rendered with marked and then run through DOMPurify with an allow-list of tags and
+// attributes. Raw HTML in the markdown is shown as text. When either library failed to load the
+// text is escaped instead, never rendered unsanitized.
+
+const MARKDOWN_TAGS = [
+  'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a'
+];
+const MARKDOWN_ATTRIBUTES = ['href', 'title', 'align', 'start'];
+
+class MarkdownRenderer {
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Block markdown: paragraphs, headings, nested lists, tables, fenced code
+  render(markdown) {
+    if (!markdown) return '';
+    if (!this.setup()) return this.fallback(markdown);
+    return this.sanitize(window.marked.parse(String(markdown)));
+  }
+
+  // A single line (a metric, an insight): emphasis, code and links, no wrapping <p>
+  renderInline(text) {
+    if (!text) return '';
+    if (!this.setup()) return this.fallback(text);
+    return this.sanitize(window.marked.parseInline(String(text)));
+  }
+
+  sanitize(html) {
+    if (!this.setup()) return MarkdownRenderer.escape(html);
+    return window.DOMPurify.sanitize(html, {
+      ALLOWED_TAGS: MARKDOWN_TAGS,
+      ALLOWED_ATTR: MARKDOWN_ATTRIBUTES,
+      ALLOW_DATA_ATTR: false
+    });
+  }
+
+  // ---- Internals ----
+
+  fallback(text) {
+    return MarkdownRenderer.escape(text).replace(/\n/g, '<br>');
+  }
+
+  // Configures the libraries (once per page: both are globals) when they are there; false while
+  // they are missing
+  setup() {
+    if (MarkdownRenderer.ready) return true;
+    if (typeof window === 'undefined' || !window.marked || !window.DOMPurify) return false;
+
+    window.marked.use({
+      gfm: true,
+      breaks: true,
+      renderer: {
+        // marked passes raw HTML through; show it as the text it is
+        html: token => MarkdownRenderer.escape(typeof token === 'string' ? token : token.text)
+      }
+    });
+    // Links leave the app: new tab, no opener, no referrer
+    window.DOMPurify.addHook('afterSanitizeAttributes', node => {
+      if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+    MarkdownRenderer.ready = true;
+    return true;
+  }
+}
+
+MarkdownRenderer.ready = false;
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownRenderer;
+}
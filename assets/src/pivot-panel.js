@@ -0,0 +1,325 @@
+// src/pivot-panel.js — Data Examiner — interactive pivot table builder
+// Rows, columns, values (sum/avg/count/min/max) and value filters over the current data. Where the
+// pivot runs is up to the app (locally with PivotTable or on the server); the result can be drawn
+// as a grouped bar or line chart, or its spec handed to the server to rebuild for the model.
+
+class PivotPanel {
+  // options.run(spec) resolves to a PivotTable result; options.onChart({ title, type, data }) and
+  // options.onAsk(spec, result) receive the output
+  constructor(container, options = {}) {
+    this.container = container;
+    this.run = options.run || (async () => { throw new Error('No data to pivot'); });
+    this.onChart = options.onChart || (() => {});
+    this.onAsk = options.onAsk || (() => {});
+    this.pivotTable = new PivotTable();
+    this.columns = [];
+    this.columnTypes = {};
+    this.spec = null;
+    this.result = null;
+    // The spec the result was built from; the controls may have moved on since
+    this.resultSpec = null;
+  }
+
+  // ---- Public API ----
+
+  // profile: { columns, columnTypes } of the data the pivot runs on
+  setData(profile) {
+    const columns = profile?.columns || [];
+    const changed = columns.join('\u0000') !== this.columns.join('\u0000');
+    this.columns = columns;
+    this.columnTypes = profile?.columnTypes || {};
+    if (changed) {
+      this.spec = this.defaultSpec();
+      this.result = null;
+    }
+    this.render();
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    if (this.columns.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'dashboard-empty';
+      empty.innerHTML = '<i class="fas fa-table-cells"></i><p>Upload or paste data to build a pivot table</p>';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const builder = document.createElement('div');
+    builder.className = 'pivot-builder';
+    builder.append(
+      this.fieldGroup('Rows', this.spec.rows, PivotTable.LIMITS.rowFields, true),
+      this.fieldGroup('Columns', this.spec.columns, PivotTable.LIMITS.columnFields, false),
+      this.valueGroup(),
+      this.filterGroup()
+    );
+
+    const build = document.createElement('button');
+    build.type = 'button';
+    build.className = 'analyze-btn pivot-build';
+    build.innerHTML = '<i class="fas fa-table-cells"></i> Build pivot';
+    build.addEventListener('click', () => this.build());
+
+    this.output = document.createElement('div');
+    this.output.className = 'pivot-output';
+    this.container.append(builder, build, this.output);
+    if (this.result) this.renderResult();
+  }
+
+  async build() {
+    this.output.textContent = 'Building…';
+    try {
+      const spec = JSON.parse(JSON.stringify(this.spec));
+      this.result = await this.run(spec);
+      this.resultSpec = spec;
+      this.renderResult();
+    } catch (error) {
+      this.result = null;
+      this.output.textContent = `Could not build the pivot: ${error.message}`;
+    }
+  }
+
+  // ---- Builder ----
+
+  defaultSpec() {
+    const byType = type => this.columns.filter(column => this.columnTypes[column] === type);
+    const numeric = byType('numeric')[0];
+    const rowColumn = byType('text')[0] || byType('date')[0] || this.columns[0];
+    return {
+      rows: [{ column: rowColumn, bucket: this.columnTypes[rowColumn] === 'date' ? 'month' : null }],
+      columns: [],
+      values: [numeric ? { column: numeric, operation: 'sum' } : { column: null, operation: 'count' }],
+      filters: []
+    };
+  }
+
+  group(title) {
+    const group = document.createElement('div');
+    group.className = 'pivot-group';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    group.appendChild(heading);
+    return group;
+  }
+
+  select(options, value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'chart-select';
+    options.forEach(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value ?? '';
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  // Up to `max` fields; date columns get a grouping (year, quarter, month, day)
+  fieldGroup(title, fields, max, required) {
+    const group = this.group(title);
+    const columnOptions = this.columns.map(column => [column, column]);
+    for (let i = 0; i < max; i++) {
+      const field = fields[i];
+      if (!field && i > fields.length) break;
+      const line = document.createElement('div');
+      line.className = 'pivot-line';
+      const allowNone = !required || i > 0;
+      line.appendChild(this.select(
+        allowNone ? [['', '(none)'], ...columnOptions] : columnOptions,
+        field?.column,
+        column => {
+          if (!column) fields.splice(i);
+          else fields[i] = { column, bucket: this.columnTypes[column] === 'date' ? 'month' : null };
+          this.render();
+        }
+      ));
+      if (field && this.columnTypes[field.column] === 'date') {
+        line.appendChild(this.select(
+          [['', 'exact date'], ...PivotTable.BUCKETS.map(bucket => [bucket, `by ${bucket}`])],
+          field.bucket,
+          bucket => { field.bucket = bucket || null; }
+        ));
+      }
+      group.appendChild(line);
+    }
+    return group;
+  }
+
+  valueGroup() {
+    const group = this.group('Values');
+    const operations = PivotTable.OPERATIONS.map(operation => [operation, operation === 'avg' ? 'average' : operation]);
+    this.spec.values.forEach((value, i) => {
+      const line = document.createElement('div');
+      line.className = 'pivot-line';
+      line.appendChild(this.select(operations, value.operation, operation => {
+        value.operation = operation;
+        if (operation !== 'count' && !value.column) value.column = this.columns[0];
+        this.render();
+      }));
+      const columns = this.columns.map(column => [column, column]);
+      line.appendChild(this.select(
+        value.operation === 'count' ? [['', 'rows'], ...columns] : columns,
+        value.column,
+        column => { value.column = column || null; }
+      ));
+      if (this.spec.values.length > 1) {
+        line.appendChild(this.iconButton('fa-times', 'Remove value', () => {
+          this.spec.values.splice(i, 1);
+          this.render();
+        }));
+      }
+      group.appendChild(line);
+    });
+    if (this.spec.values.length < PivotTable.LIMITS.values) {
+      group.appendChild(this.textButton('Add value', () => {
+        this.spec.values.push({ column: null, operation: 'count' });
+        this.render();
+      }));
+    }
+    return group;
+  }
+
+  // Keep rows whose column has one of the chosen values; the values come from a one-field pivot
+  filterGroup() {
+    const group = this.group('Filters');
+    this.spec.filters.forEach((filter, i) => {
+      const chip = document.createElement('span');
+      chip.className = 'filter-chip';
+      chip.textContent = `${filter.column}: ${filter.values.join(', ')}`;
+      const remove = this.iconButton('fa-times', 'Remove filter', () => {
+        this.spec.filters.splice(i, 1);
+        this.render();
+      });
+      chip.appendChild(remove);
+      group.appendChild(chip);
+    });
+    if (this.spec.filters.length >= PivotTable.LIMITS.filters) return group;
+
+    const line = document.createElement('div');
+    line.className = 'pivot-line';
+    const values = document.createElement('select');
+    values.className = 'chart-select';
+    values.multiple = true;
+    values.hidden = true;
+    let filterColumn = null;
+    line.appendChild(this.select([['', 'Filter on…'], ...this.columns.map(column => [column, column])], '', async column => {
+      filterColumn = column || null;
+      values.innerHTML = '';
+      values.hidden = !filterColumn;
+      if (!filterColumn) return;
+      try {
+        const distinct = await this.run({ rows: [{ column: filterColumn }], values: [{ operation: 'count' }] });
+        distinct.rows.forEach(row => {
+          const option = document.createElement('option');
+          option.value = row.keys[0];
+          option.textContent = `${row.keys[0]} (${row.totals[0]})`;
+          values.appendChild(option);
+        });
+      } catch (error) {
+        values.hidden = true;
+      }
+    }));
+    line.appendChild(values);
+    line.appendChild(this.textButton('Add filter', () => {
+      const chosen = [...values.selectedOptions].map(option => option.value);
+      if (!filterColumn || chosen.length === 0) return;
+      this.spec.filters.push({ column: filterColumn, values: chosen });
+      this.render();
+    }));
+    group.appendChild(line);
+    return group;
+  }
+
+  iconButton(icon, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pivot-remove';
+    button.title = title;
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  textButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chart-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // ---- Output ----
+
+  renderResult() {
+    const result = this.result;
+    this.output.innerHTML = '';
+
+    const actions = document.createElement('div');
+    actions.className = 'chart-controls pivot-actions';
+    const title = this.pivotTable.chartTitle(result);
+    actions.append(
+      this.textButton('Bar chart', () => this.onChart({ title, type: 'bar', data: this.pivotTable.toChartData(result) })),
+      this.textButton('Line chart', () => this.onChart({ title, type: 'line', data: this.pivotTable.toChartData(result) })),
+      this.textButton('Ask AI to interpret', () => this.onAsk(this.resultSpec, result))
+    );
+
+    const meta = document.createElement('p');
+    meta.className = 'pivot-meta';
+    const notes = [`${result.rowCount.toLocaleString()} rows`];
+    if (result.truncated.rows) notes.push(`first ${result.rows.length} groups shown`);
+    if (result.truncated.columns) notes.push(`first ${result.columnKeys.length} columns shown`);
+    meta.textContent = notes.join(' · ');
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'pivot-scroll';
+    wrapper.appendChild(this.table(result));
+    this.output.append(actions, meta, wrapper);
+  }
+
+  table(result) {
+    const format = value => (typeof value === 'number'
+      ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+      : '');
+    const multipleValues = result.valueLabels.length > 1;
+    const table = document.createElement('table');
+    table.className = 'pivot-table';
+
+    const headerRow = table.createTHead().insertRow();
+    const header = (text, className) => {
+      const th = document.createElement('th');
+      if (className) th.className = className;
+      th.textContent = text;
+      headerRow.appendChild(th);
+    };
+    result.rowFields.forEach(field => header(field, 'pivot-key'));
+    result.columnKeys.forEach(key =>
+      result.valueLabels.forEach(label => header(multipleValues ? `${key} · ${label}` : key))
+    );
+    result.valueLabels.forEach(label => header(result.columnKeys.length > 0 ? `Total${multipleValues ? ` · ${label}` : ''}` : label));
+
+    const body = table.createTBody();
+    const addRow = (keys, cells, totals, className) => {
+      const row = body.insertRow();
+      if (className) row.className = className;
+      keys.forEach(key => {
+        const cell = row.insertCell();
+        cell.className = 'pivot-key';
+        cell.textContent = key;
+      });
+      [...cells.flat(), ...totals].forEach(value => {
+        row.insertCell().textContent = format(value);
+      });
+    };
+    result.rows.forEach(row => addRow(row.keys, row.cells, row.totals));
+    addRow(['Total', ...result.rowFields.slice(1).map(() => '')], result.totals.cells, result.totals.totals, 'pivot-total');
+    return table;
+  }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PivotPanel;
+}
@@ -0,0 +1,259 @@
+// src/pivot.js — Data Examiner — pivot tables over parsed rows
+// Runs in the browser on the rows FileAnalyzer parsed and on the server over the stored dataset.
+// spec: { rows: [field], columns: [field], values: [{ column, operation }], filters: [{ column, values }] }
+// where a field is { column, bucket } and bucket ('year' | 'quarter' | 'month' | 'day') groups dates.
+
+const PIVOT_OPERATIONS = ['sum', 'avg', 'count', 'min', 'max'];
+const PIVOT_BUCKETS = ['year', 'quarter', 'month', 'day'];
+const PIVOT_LIMITS = { rowFields: 2, columnFields: 1, values: 4, filters: 10, rowKeys: 500, columnKeys: 30 };
+
+const BLANK_KEY = '(blank)';
+const OPERATION_LABELS = { sum: 'Sum', avg: 'Average', count: 'Count', min: 'Min', max: 'Max' };
+
+class PivotTable {
+  // Throws when the spec cannot be run; `columns` (when given) are the columns the rows have
+  static normalize(spec, columns = null) {
+    if (!spec || typeof spec !== 'object') throw new Error('A pivot spec is required');
+    const checkColumn = column => {
+      if (typeof column !== 'string' || !column) throw new Error('Every field needs a column');
+      if (columns && !columns.includes(column)) throw new Error(`Unknown column "${column}"`);
+      return column;
+    };
+    const fields = (list, name, max) => {
+      const items = list || [];
+      if (!Array.isArray(items) || items.length > max) throw new Error(`${name} takes at most ${max} field(s)`);
+      return items.map(field => {
+        const { column, bucket = null } = typeof field === 'string' ? { column: field } : field || {};
+        if (bucket && !PIVOT_BUCKETS.includes(bucket)) throw new Error(`Unknown date grouping "${bucket}"`);
+        return { column: checkColumn(column), bucket };
+      });
+    };
+
+    const rows = fields(spec.rows, 'Rows', PIVOT_LIMITS.rowFields);
+    if (rows.length === 0) throw new Error('Pick at least one row field');
+    const values = spec.values || [];
+    if (!Array.isArray(values) || values.length === 0 || values.length > PIVOT_LIMITS.values) {
+      throw new Error(`Pick 1 to ${PIVOT_LIMITS.values} values`);
+    }
+    const filters = spec.filters || [];
+    if (!Array.isArray(filters) || filters.length > PIVOT_LIMITS.filters) {
+      throw new Error(`At most ${PIVOT_LIMITS.filters} filters`);
+    }
+
+    return {
+      rows,
+      columns: fields(spec.columns, 'Columns', PIVOT_LIMITS.columnFields),
+      values: values.map(value => {
+        const { column = null, operation } = value || {};
+        if (!PIVOT_OPERATIONS.includes(operation)) throw new Error(`Unknown operation "${operation}"`);
+        if (operation !== 'count' || column) checkColumn(column);
+        return { column, operation };
+      }),
+      filters: filters.map(filter => {
+        if (!Array.isArray(filter?.values) || filter.values.length === 0) {
+          throw new Error('Every filter needs at least one value');
+        }
+        return { column: checkColumn(filter.column), values: filter.values.map(String) };
+      })
+    };
+  }
+
+  static keyOf(value, bucket = null) {
+    if (value === null || value === undefined || value === '') return BLANK_KEY;
+    if (!bucket) return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+
+    const iso = value instanceof Date ? value.toISOString() : String(value);
+    if (!/^\d{4}-\d{2}/.test(iso)) return iso;
+    const month = parseInt(iso.slice(5, 7), 10);
+    switch (bucket) {
+      case 'year':
+        return iso.slice(0, 4);
+      case 'quarter':
+        return `${iso.slice(0, 4)}-Q${Math.floor((month - 1) / 3) + 1}`;
+      case 'month':
+        return iso.slice(0, 7);
+      default:
+        return iso.slice(0, 10);
+    }
+  }
+
+  static fieldLabel({ column, bucket }) {
+    return bucket ? `${column} (${bucket})` : column;
+  }
+
+  static valueLabel({ column, operation }) {
+    return column ? `${OPERATION_LABELS[operation]} of ${column}` : 'Count of rows';
+  }
+
+  static compareKeys(a, b) {
+    if (a === BLANK_KEY || b === BLANK_KEY) return a === b ? 0 : a === BLANK_KEY ? 1 : -1;
+    const numA = Number(a);
+    const numB = Number(b);
+    if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) return numA - numB;
+    return a.localeCompare(b);
+  }
+
+  // { rowFields, columnFields, valueLabels, columnKeys, rows: [{ keys, cells, totals }], totals,
+  //   rowCount, truncated: { rows, columns } }. cells[c][v] is value v for column key c.
+  compute(rows, spec) {
+    const { rows: rowFields, columns: columnFields, values, filters } = PivotTable.normalize(spec);
+    const matched = rows.filter(row => filters.every(({ column, values: allowed }) =>
+      allowed.some(value => value.toLowerCase() === PivotTable.keyOf(row[column]).toLowerCase())
+    ));
+
+    const rowGroups = new Map();
+    const columnKeySet = new Set();
+    const grand = this.createAccumulators(values);
+    const columnTotals = new Map();
+
+    matched.forEach(row => {
+      const rowKeys = rowFields.map(field => PivotTable.keyOf(row[field.column], field.bucket));
+      const rowId = JSON.stringify(rowKeys);
+      if (!rowGroups.has(rowId)) rowGroups.set(rowId, { keys: rowKeys, total: this.createAccumulators(values), cells: new Map() });
+      const group = rowGroups.get(rowId);
+      this.accumulate(group.total, values, row);
+      this.accumulate(grand, values, row);
+
+      if (columnFields.length > 0) {
+        const columnKey = columnFields.map(field => PivotTable.keyOf(row[field.column], field.bucket)).join(' / ');
+        columnKeySet.add(columnKey);
+        if (!group.cells.has(columnKey)) group.cells.set(columnKey, this.createAccumulators(values));
+        this.accumulate(group.cells.get(columnKey), values, row);
+        if (!columnTotals.has(columnKey)) columnTotals.set(columnKey, this.createAccumulators(values));
+        this.accumulate(columnTotals.get(columnKey), values, row);
+      }
+    });
+
+    const allColumnKeys = [...columnKeySet].sort(PivotTable.compareKeys);
+    const columnKeys = allColumnKeys.slice(0, PIVOT_LIMITS.columnKeys);
+    const groups = [...rowGroups.values()].sort((a, b) => {
+      for (let i = 0; i < a.keys.length; i++) {
+        const order = PivotTable.compareKeys(a.keys[i], b.keys[i]);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+    const cellsOf = cellMap => columnKeys.map(key => (cellMap.has(key)
+      ? this.finalize(cellMap.get(key), values)
+      : values.map(() => null)));
+
+    return {
+      rowFields: rowFields.map(PivotTable.fieldLabel),
+      columnFields: columnFields.map(PivotTable.fieldLabel),
+      valueLabels: values.map(PivotTable.valueLabel),
+      columnKeys,
+      rows: groups.slice(0, PIVOT_LIMITS.rowKeys).map(group => ({
+        keys: group.keys,
+        cells: cellsOf(group.cells),
+        totals: this.finalize(group.total, values)
+      })),
+      totals: {
+        cells: cellsOf(columnTotals),
+        totals: this.finalize(grand, values)
+      },
+      rowCount: matched.length,
+      truncated: { rows: groups.length > PIVOT_LIMITS.rowKeys, columns: allColumnKeys.length > columnKeys.length }
+    };
+  }
+
+  // Grouped bar/line data: one series per column key (or per value without column fields)
+  toChartData(result, valueIndex = 0) {
+    const labels = result.rows.map(row => row.keys.join(' / '));
+    const datasets = result.columnKeys.length > 0
+      ? result.columnKeys.map((key, c) => ({
+        label: key,
+        data: result.rows.map(row => row.cells[c][valueIndex] ?? 0)
+      }))
+      : result.valueLabels.map((label, v) => ({
+        label,
+        data: result.rows.map(row => row.totals[v] ?? 0)
+      }));
+    return { labels, datasets };
+  }
+
+  chartTitle(result, valueIndex = 0) {
+    const by = [...result.rowFields, ...result.columnFields].join(' by ');
+    return `${result.valueLabels[result.columnKeys.length > 0 ? valueIndex : 0]} by ${by}`;
+  }
+
+  // Markdown table for the model (and the chat), capped so it fits a prompt
+  toMarkdown(result, { maxRows = 50 } = {}) {
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+    const format = value => (typeof value === 'number' ? Math.round(value * 100) / 100 : value ?? '');
+    const multipleValues = result.valueLabels.length > 1;
+    const valueHeaders = prefix => result.valueLabels.map(label => (multipleValues ? `${prefix} · ${label}` : prefix));
+    const headers = [
+      ...result.rowFields,
+      ...result.columnKeys.flatMap(key => valueHeaders(key)),
+      ...(result.columnKeys.length > 0 ? valueHeaders('Total') : result.valueLabels)
+    ];
+    const line = cells => `| ${cells.map(cell).join(' | ')} |`;
+    const body = result.rows.slice(0, maxRows).map(row => line([
+      ...row.keys,
+      ...row.cells.flat().map(format),
+      ...row.totals.map(format)
+    ]));
+    const totals = line([
+      'Total',
+      ...result.rowFields.slice(1).map(() => ''),
+      ...result.totals.cells.flat().map(format),
+      ...result.totals.totals.map(format)
+    ]);
+    const notes = [];
+    if (result.rows.length > maxRows) notes.push(`first ${maxRows} of ${result.rows.length} rows`);
+    if (result.truncated.rows || result.truncated.columns) notes.push('the pivot itself was truncated');
+    return [
+      line(headers),
+      line(headers.map(() => '---')),
+      ...body,
+      totals,
+      ...(notes.length ? ['', `(${notes.join('; ')})`] : [])
+    ].join('\n');
+  }
+
+  // ---- Internals ----
+
+  createAccumulators(values) {
+    return values.map(() => ({ count: 0, n: 0, sum: 0, min: Infinity, max: -Infinity }));
+  }
+
+  accumulate(accumulators, values, row) {
+    values.forEach(({ column, operation }, i) => {
+      const acc = accumulators[i];
+      if (!column) {
+        acc.count++;
+        return;
+      }
+      const value = row[column];
+      if (value === null || value === undefined || value === '') return;
+      acc.count++;
+      if (operation === 'count') return;
+      const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+      if (isNaN(number)) return;
+      acc.n++;
+      acc.sum += number;
+      if (number < acc.min) acc.min = number;
+      if (number > acc.max) acc.max = number;
+    });
+  }
+
+  finalize(accumulators, values) {
+    return values.map(({ operation }, i) => {
+      const acc = accumulators[i];
+      if (operation === 'count') return acc.count;
+      if (acc.n === 0) return null;
+      if (operation === 'sum') return acc.sum;
+      if (operation === 'avg') return acc.sum / acc.n;
+      return operation === 'min' ? acc.min : acc.max;
+    });
+  }
+}
+
+PivotTable.OPERATIONS = PIVOT_OPERATIONS;
+PivotTable.BUCKETS = PIVOT_BUCKETS;
+PivotTable.LIMITS = PIVOT_LIMITS;
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PivotTable;
+}
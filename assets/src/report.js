@@ -0,0 +1,179 @@
+// src/report.js — Data Examiner — standalone analysis reports
+// Bundles the structured summary, every chart as a PNG, the data profile and the Q&A conversation
+// into a single HTML file with the app stylesheet inlined, so it opens offline. The same report
+// model is posted to /api/report/pdf for the PDF copy (see lib/report.js).
+
+const REPORT_CSS = `
+  body { background: #fff; color: #1e293b; }
+  .report { max-width: 960px; margin: 0 auto; padding: 40px 24px; }
+  .report h1 { font-size: 1.8rem; margin-bottom: 4px; }
+  .report-meta { color: #64748b; font-size: 0.85rem; margin-bottom: 24px; }
+  .report-section { margin-top: 32px; }
+  .report-section > h2 { color: #10a37f; border-bottom: 1px solid #e2e8f0; padding-bottom: 6px; margin-bottom: 16px; font-size: 1.25rem; }
+  .report-chart { margin-bottom: 24px; page-break-inside: avoid; }
+  .report-chart h3 { font-size: 1rem; margin-bottom: 4px; }
+  .report-chart img { max-width: 100%; border: 1px solid #e2e8f0; border-radius: 8px; }
+  .report-note { color: #64748b; font-size: 0.8rem; margin-bottom: 8px; }
+  .report-table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+  .report-table th, .report-table td { border: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: top; }
+  .report-table th { background: #f8fafc; }
+  .report-message { margin-bottom: 16px; }
+  .report-message h4 { font-size: 0.9rem; color: #10a37f; }
+  .report-message.assistant h4 { color: #1e293b; }
+  .report-message p, .report-plain { white-space: pre-wrap; }
+  .report-message time { color: #64748b; font-weight: normal; margin-left: 8px; }
+  .ai-summary { animation: none; backdrop-filter: none; }
+`;
+
+class ReportBuilder {
+  // options.renderSummary turns the analysis markdown into HTML (the app's summary renderer)
+  constructor(options = {}) {
+    this.stylesheetUrl = options.stylesheetUrl || '/styles.css';
+    this.renderSummary = options.renderSummary
+      || (markdown => `<p class="report-plain">${ReportBuilder.escape(markdown)}</p>`);
+  }
+
+  // ---- Public API ----
+
+  // report: { title, generatedAt, summary, charts: [{ title, image, note }], profile, conversation }
+  async toHtml(report) {
+    const stylesheet = await this.loadStylesheet();
+    const sections = [
+      report.summary && this.section('Summary', this.summaryHtml(report.summary)),
+      report.charts?.length && this.section('Charts', report.charts.map(chart => this.chartHtml(chart)).join('')),
+      report.profile && this.section('Data Profile', this.profileHtml(report.profile)),
+      report.conversation?.length && this.section('Conversation', this.conversationHtml(report.conversation))
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${ReportBuilder.escape(report.title)}</title>
+<style>${stylesheet.replace(/<\/style/gi, '<\\/style')}${REPORT_CSS}</style>
+</head>
+<body>
+<main class="report">
+<h1>${ReportBuilder.escape(report.title)}</h1>
+<p class="report-meta">Generated ${ReportBuilder.escape(new Date(report.generatedAt).toLocaleString())}</p>
+${sections.join('\n')}
+</main>
+</body>
+</html>`;
+  }
+
+  // Canvas snapshot on a white background (Chart.js canvases are transparent)
+  static chartImage(canvas) {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const context = copy.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, copy.width, copy.height);
+    context.drawImage(canvas, 0, 0);
+    return copy.toDataURL('image/png');
+  }
+
+  static download(content, filename, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  static filename(title, extension) {
+    const base = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    return `${base || 'data-analysis-report'}.${extension}`;
+  }
+
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // ---- Sections ----
+
+  section(title, body) {
+    return `<section class="report-section"><h2>${title}</h2>${body}</section>`;
+  }
+
+  // Icon fonts are not bundled, so their empty <i> tags are dropped
+  summaryHtml(markdown) {
+    return this.renderSummary(markdown).replace(/<i class="fas[^"]*"><\/i>/g, '');
+  }
+
+  chartHtml(chart) {
+    const title = ReportBuilder.escape(chart.title);
+    const note = chart.note ? `<p class="report-note">${ReportBuilder.escape(chart.note)}</p>` : '';
+    return `<figure class="report-chart"><h3>${title}</h3>${note}<img src="${chart.image}" alt="${title}"></figure>`;
+  }
+
+  profileHtml(profile) {
+    const escape = ReportBuilder.escape;
+    const quality = profile.dataQuality || {};
+    const rows = profile.columns.map(column => {
+      const stats = profile.statisticalSummary?.[column] || {};
+      return `<tr><td>${escape(column)}</td><td>${escape(stats.type)}</td><td>${escape(stats.count)}</td>`
+        + `<td>${escape(stats.nullCount)}</td><td>${escape(stats.distinctCount)}</td>`
+        + `<td>${escape(this.describeStats(stats))}</td></tr>`;
+    }).join('');
+
+    return `<p class="report-meta">${escape(profile.totalRows)} rows · ${profile.columns.length} columns · `
+      + `${escape(quality.missingValues ?? 0)} missing values · ${escape(quality.duplicateRows ?? 0)} duplicate rows</p>`
+      + '<table class="report-table"><thead><tr><th>Column</th><th>Type</th><th>Values</th><th>Nulls</th>'
+      + `<th>Distinct</th><th>Summary</th></tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  describeStats(stats) {
+    const format = value => (typeof value === 'number'
+      ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+      : value ?? '—');
+    switch (stats.type) {
+      case 'numeric':
+        return `min ${format(stats.min)}, max ${format(stats.max)}, mean ${format(stats.mean)}, `
+          + `median ${format(stats.median)}, sum ${format(stats.sum)}`;
+      case 'date':
+        return `${format(stats.earliest)} to ${format(stats.latest)}`;
+      case 'text':
+        return stats.mostCommon ? `most common "${stats.mostCommon.value}" (${stats.mostCommon.percentage})` : '';
+      default:
+        return '';
+    }
+  }
+
+  // Chart JSON blocks are left out; the charts section shows them as images
+  conversationHtml(conversation) {
+    return conversation.map(message => {
+      const speaker = message.role === 'user' ? 'Question' : 'Answer';
+      const time = message.timestamp
+        ? `<time>${ReportBuilder.escape(new Date(message.timestamp).toLocaleString())}</time>`
+        : '';
+      const text = String(message.content || '').replace(/```[\s\S]*?(```|$)/g, '').trim();
+      return `<div class="report-message ${message.role}"><h4>${speaker}${time}</h4>`
+        + `<p>${ReportBuilder.escape(text)}</p></div>`;
+    }).join('');
+  }
+
+  async loadStylesheet() {
+    try {
+      const response = await fetch(this.stylesheetUrl);
+      return response.ok ? await response.text() : '';
+    } catch (error) {
+      console.warn('Report stylesheet unavailable:', error.message);
+      return '';
+    }
+  }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportBuilder;
+}
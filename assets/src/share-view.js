@@ -0,0 +1,111 @@
+// src/share-view.js — Data Examiner — read-only view of a shared conversation
+// Loads the snapshot behind /share/<token> from /api/share/<token> and draws it like the chat:
+// answers through AnswerRenderer, charts through ChartManager, the profile as in exported reports.
+
+class SharedConversationView {
+  constructor(root) {
+    this.root = root;
+    this.renderer = new AnswerRenderer();
+    this.reportBuilder = new ReportBuilder({
+      renderSummary: markdown => this.renderer.createBeautifulResponseFromMarkdown(markdown)
+    });
+  }
+
+  static tokenFromLocation(location = window.location) {
+    return decodeURIComponent(location.pathname.split('/').filter(Boolean).pop() || '');
+  }
+
+  async load(token) {
+    try {
+      const response = await fetch(`/api/share/${encodeURIComponent(token)}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      this.render(result.share);
+    } catch (error) {
+      this.root.innerHTML = `<div class="share-missing"><i class="fas fa-link-slash"></i><p>${ReportBuilder.escape(error.message)}</p></div>`;
+    }
+  }
+
+  // share: { title, createdAt, expiresAt, messages, profile, rows }
+  render(share) {
+    const escape = ReportBuilder.escape;
+    document.title = `${share.title} - Data Examiner`;
+    const expiry = share.expiresAt ? ` · link expires ${escape(new Date(share.expiresAt).toLocaleDateString())}` : '';
+    this.root.innerHTML = `
+      <header class="share-header">
+        <h1>${escape(share.title)}</h1>
+        <p class="report-meta">Shared ${escape(new Date(share.createdAt).toLocaleString())}${expiry} · read-only</p>
+      </header>
+      <div class="messages-container share-messages"></div>
+    `;
+
+    const messages = this.root.querySelector('.share-messages');
+    share.messages.forEach(message => messages.appendChild(this.messageElement(message)));
+
+    if (share.profile) this.root.appendChild(this.section('Data Profile', this.reportBuilder.profileHtml(share.profile)));
+    if (share.rows?.length) this.root.appendChild(this.section(`Data (first ${share.rows.length} rows)`, this.rowsHtml(share.rows)));
+  }
+
+  messageElement(message) {
+    const messageDiv = document.createElement('div');
+    const isUser = message.role === 'user';
+    messageDiv.className = `message ${isUser ? 'user' : 'bot'}-message`;
+    messageDiv.innerHTML = `
+      <div class="message-avatar">${isUser ? 'You' : 'AI'}</div>
+      <div class="message-content">${isUser
+        ? ReportBuilder.escape(message.content)
+        : this.renderer.createBeautifulResponseFromMarkdown(message.content || '')}</div>
+    `;
+    if (!isUser) this.renderCharts(messageDiv, message.charts);
+    return messageDiv;
+  }
+
+  // Same cards as the chat, without the actions that need the live conversation
+  renderCharts(messageDiv, charts) {
+    if (!charts?.length || typeof ChartManager === 'undefined') return;
+    const container = document.createElement('div');
+    container.className = 'message-charts';
+    messageDiv.querySelector('.message-content').appendChild(container);
+
+    charts.forEach(chart => {
+      const card = document.createElement('div');
+      card.className = 'message-chart';
+      const header = document.createElement('div');
+      header.className = 'message-chart-header';
+      const title = document.createElement('span');
+      title.textContent = chart.title || 'Data Visualization';
+      header.appendChild(title);
+      const badge = ChartManager.verificationBadge(chart.verification);
+      if (badge) header.appendChild(badge);
+
+      const body = document.createElement('div');
+      body.className = 'message-chart-canvas';
+      const canvas = document.createElement('canvas');
+      body.appendChild(canvas);
+      card.append(header, body);
+      container.appendChild(card);
+
+      new ChartManager(canvas).updateChart(JSON.parse(JSON.stringify(chart.data)), chart.type || 'auto', chart.title || 'Data Visualization');
+    });
+  }
+
+  rowsHtml(rows) {
+    const escape = ReportBuilder.escape;
+    const columns = Object.keys(rows[0]);
+    const body = rows.map(row => `<tr>${columns.map(column => `<td>${escape(row[column])}</td>`).join('')}</tr>`).join('');
+    return `<div class="share-rows"><table class="report-table"><thead><tr>${columns.map(column => `<th>${escape(column)}</th>`).join('')}</tr></thead>`
+      + `<tbody>${body}</tbody></table></div>`;
+  }
+
+  section(title, html) {
+    const section = document.createElement('section');
+    section.className = 'report-section';
+    section.innerHTML = `<h2>${ReportBuilder.escape(title)}</h2>${html}`;
+    return section;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const view = new SharedConversationView(document.getElementById('sharedConversation'));
+  view.load(SharedConversationView.tokenFromLocation());
+});
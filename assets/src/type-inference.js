@@ -0,0 +1,395 @@
+// src/type-inference.js - Column type inference for Data Examiner
+// Detects integer/decimal/currency/percentage/boolean/date/datetime/categorical/text/id columns
+// from a sample of each column, with decimal-comma numbers and day-first dates.
+// Shared by the browser FileAnalyzer and the server (via lib/dataset-profile.js).
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+const CURRENCY_SYMBOLS = '$€£¥₹₩₽₺₪₫';
+const CURRENCY_PATTERN = new RegExp(`^([${CURRENCY_SYMBOLS}]|[A-Z]{3}\\s)?\\s*(.*?)\\s*([${CURRENCY_SYMBOLS}]|\\s[A-Z]{3})?$`);
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMERIC_DATE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/;
+const DAY_MONTH_NAME = /^(\d{1,2})[ -]([A-Za-z]{3,9})\.?[ -],?\s*(\d{4})$/;
+const MONTH_NAME_DAY = /^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/;
+
+const BOOLEAN_VALUES = {
+    true: true, false: false, yes: true, no: false, y: true, n: false
+};
+
+const ID_NAME = /(^|[ _-])(id|sku|uuid|guid|code|key|number|no)$/i;
+const CAMEL_ID_NAME = /[a-z]Id$|ID$/;
+
+class TypeInferrer {
+    constructor(options = {}) {
+        this.sampleSize = options.sampleSize || 1000;
+        // Share of sampled values that must parse before a column gets a typed type
+        this.threshold = options.threshold || 0.95;
+        this.maxCategories = options.maxCategories || 50;
+        this.dayFirst = options.dayFirst || false;
+    }
+
+    static get TYPES() {
+        return ['integer', 'decimal', 'currency', 'percentage', 'boolean',
+            'date', 'datetime', 'categorical', 'text', 'id'];
+    }
+
+    // The coarse family the rest of the app (stats, charts, Key Metrics) works with
+    static family(type) {
+        switch (type) {
+            case 'integer':
+            case 'decimal':
+            case 'currency':
+            case 'percentage':
+                return 'numeric';
+            case 'date':
+            case 'datetime':
+                return 'date';
+            case 'unknown':
+                return 'unknown';
+            default:
+                return 'text';
+        }
+    }
+
+    family(type) {
+        return TypeInferrer.family(type);
+    }
+
+    // Overrides are a type name, "date-dmy" for day-first dates, or { type, dayFirst, decimalComma }
+    parseOverride(spec) {
+        const override = typeof spec === 'string' ? { type: spec } : { ...spec };
+        if (override.type === 'date-dmy' || override.type === 'datetime-dmy') {
+            override.type = override.type.replace('-dmy', '');
+            override.dayFirst = true;
+        }
+        if (!TypeInferrer.TYPES.includes(override.type)) {
+            throw new Error(`Unknown column type "${override.type}". Expected one of: ${TypeInferrer.TYPES.join(', ')}`);
+        }
+        return override;
+    }
+
+    // ---- Value parsers ----
+
+    isEmpty(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }
+
+    // Returns { value, percent, currency } or null. Leading zeros ("00123") are codes, not numbers.
+    parseNumber(raw, decimalComma = false) {
+        if (typeof raw === 'number') return isFinite(raw) ? { value: raw, percent: false, currency: null } : null;
+        if (typeof raw !== 'string') return null;
+
+        let text = raw.trim();
+        let negative = false;
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1).trim();
+        }
+
+        let percent = false;
+        if (text.endsWith('%')) {
+            percent = true;
+            text = text.slice(0, -1).trim();
+        }
+
+        if (/^[-+]/.test(text)) {
+            negative = negative !== text.startsWith('-');
+            text = text.slice(1).trim();
+        }
+
+        const [, prefix, body, suffix] = text.match(CURRENCY_PATTERN) || [];
+        if (body === undefined) return null;
+        const currency = (prefix || suffix || '').trim() || null;
+        if (currency && percent) return null;
+
+        let number = body;
+        if (/^[-+]/.test(number)) {
+            negative = negative !== number.startsWith('-');
+            number = number.slice(1);
+        }
+        if (/^0\d/.test(number) && !/^0[.,]/.test(number)) return null;
+
+        const plain = decimalComma
+            ? /^(\d{1,3}([. ]\d{3})+|\d+)(,\d+)?$/
+            : /^(\d{1,3}([, ]\d{3})+|\d+)(\.\d+)?$|^\.\d+$|^\d+(\.\d+)?[eE][-+]?\d+$/;
+        if (!plain.test(number)) return null;
+
+        const normalized = decimalComma
+            ? number.replace(/[. ]/g, '').replace(',', '.')
+            : number.replace(/[, ]/g, '');
+        const value = parseFloat(normalized);
+        if (!isFinite(value)) return null;
+
+        return { value: negative ? -value : value, percent, currency };
+    }
+
+    parseBoolean(raw) {
+        if (typeof raw === 'boolean') return raw;
+        const key = String(raw).trim().toLowerCase();
+        return key in BOOLEAN_VALUES ? BOOLEAN_VALUES[key] : null;
+    }
+
+    // Returns { year, month, day, hours, minutes, seconds, offset, ambiguous, dayFirstOnly, monthFirstOnly } or null
+    parseDateParts(raw, dayFirst = this.dayFirst) {
+        if (raw instanceof Date) {
+            if (isNaN(raw.getTime())) return null;
+            return {
+                year: raw.getFullYear(), month: raw.getMonth() + 1, day: raw.getDate(),
+                hours: raw.getHours(), minutes: raw.getMinutes(), seconds: raw.getSeconds()
+            };
+        }
+        if (typeof raw !== 'string') return null;
+        const text = raw.trim();
+        let parts = null;
+        let match;
+
+        if ((match = text.match(ISO_DATE))) {
+            parts = {
+                year: +match[1], month: +match[2], day: +match[3],
+                hours: +(match[4] || 0), minutes: +(match[5] || 0), seconds: +(match[6] || 0),
+                offset: match[7] || null
+            };
+        } else if ((match = text.match(NUMERIC_DATE))) {
+            const [a, b, c] = [match[1], match[2], match[3]];
+            let hours = +(match[4] || 0);
+            if (match[7]) {
+                if (hours > 12) return null;
+                hours = (hours % 12) + (/p/i.test(match[7]) ? 12 : 0);
+            }
+            const time = { hours, minutes: +(match[5] || 0), seconds: +(match[6] || 0) };
+
+            if (a.length === 4) {
+                parts = { year: +a, month: +b, day: +c, ...time };
+            } else if (c.length === 4 || c.length === 2) {
+                const year = c.length === 2 ? 2000 + +c - (+c > 50 ? 100 : 0) : +c;
+                const first = +a;
+                const second = +b;
+                const useDayFirst = first > 12 || (second <= 12 && dayFirst);
+                parts = {
+                    year,
+                    month: useDayFirst ? second : first,
+                    day: useDayFirst ? first : second,
+                    ...time,
+                    dayFirstOnly: first > 12,
+                    monthFirstOnly: second > 12,
+                    ambiguous: first <= 12 && second <= 12 && first !== second
+                };
+            }
+        } else if ((match = text.match(DAY_MONTH_NAME))) {
+            const month = MONTHS[match[2].slice(0, 4).toLowerCase()] || MONTHS[match[2].slice(0, 3).toLowerCase()];
+            if (month) parts = { year: +match[3], month, day: +match[1], hours: 0, minutes: 0, seconds: 0 };
+        } else if ((match = text.match(MONTH_NAME_DAY))) {
+            const month = MONTHS[match[1].slice(0, 4).toLowerCase()] || MONTHS[match[1].slice(0, 3).toLowerCase()];
+            if (month) parts = { year: +match[3], month, day: +match[2], hours: 0, minutes: 0, seconds: 0 };
+        }
+
+        if (!parts || !this.isValidDate(parts)) return null;
+        return parts;
+    }
+
+    isValidDate({ year, month, day, hours, minutes, seconds }) {
+        if (year < 1000 || year > 9999 || month < 1 || month > 12 || day < 1) return false;
+        if (hours > 23 || minutes > 59 || seconds > 59) return false;
+        const check = new Date(Date.UTC(year, month - 1, day));
+        return check.getUTCMonth() === month - 1 && check.getUTCDate() === day;
+    }
+
+    hasTime(parts) {
+        return parts.hours !== 0 || parts.minutes !== 0 || parts.seconds !== 0;
+    }
+
+    // Dates become ISO strings so they sort and compare correctly as plain values
+    formatDate(parts, withTime) {
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        const date = `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+        if (!withTime) return date;
+        const local = `${date}T${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}`;
+        return parts.offset ? new Date(`${local}${parts.offset}`).toISOString() : local;
+    }
+
+    // ---- Inference ----
+
+    // Evenly spaced non-empty values, so sorted files are sampled from start to end
+    sample(values) {
+        const present = values.filter(value => !this.isEmpty(value));
+        if (present.length <= this.sampleSize) return present;
+        const step = present.length / this.sampleSize;
+        return Array.from({ length: this.sampleSize }, (_, i) => present[Math.floor(i * step)]);
+    }
+
+    // "1.234,50" or "12,5" vote for a decimal comma, "1,234.50" or "12.5" for a decimal point
+    detectDecimalComma(values) {
+        let comma = 0;
+        let point = 0;
+        values.forEach(value => {
+            if (typeof value !== 'string') return;
+            const text = value.trim();
+            if (/\.\d{3},\d/.test(text) || /\d,(\d{1,2}|\d{4,})(\D*)$/.test(text)) comma++;
+            else if (/,\d{3}\.\d/.test(text) || /\d\.(\d{1,2}|\d{4,})(\D*)$/.test(text)) point++;
+        });
+        return comma > point;
+    }
+
+    detectDayFirst(dates) {
+        if (dates.some(parts => parts.dayFirstOnly)) return true;
+        if (dates.some(parts => parts.monthFirstOnly)) return false;
+        return this.dayFirst;
+    }
+
+    inferColumn(values, columnName = '') {
+        const sample = this.sample(values);
+        if (sample.length === 0) return { type: 'unknown', confidence: 0 };
+
+        const ratio = (count) => count / sample.length;
+        const distinct = new Set(sample.map(value => String(value).trim().toLowerCase())).size;
+
+        const booleans = sample.filter(value => this.parseBoolean(value) !== null).length;
+        if (ratio(booleans) >= this.threshold && distinct <= 2) {
+            return { type: 'boolean', confidence: ratio(booleans) };
+        }
+
+        const decimalComma = this.detectDecimalComma(sample);
+        const numbers = sample.map(value => this.parseNumber(value, decimalComma)).filter(Boolean);
+        if (ratio(numbers.length) >= this.threshold) {
+            return this.classifyNumbers(numbers, sample, distinct, columnName, decimalComma);
+        }
+
+        const dates = sample.map(value => this.parseDateParts(value, false)).filter(Boolean);
+        if (ratio(dates.length) >= this.threshold) {
+            const dayFirst = this.detectDayFirst(dates);
+            const conflicting = dates.some(p => p.dayFirstOnly) && dates.some(p => p.monthFirstOnly);
+            if (!conflicting) {
+                return {
+                    type: dates.some(parts => this.hasTime(parts)) ? 'datetime' : 'date',
+                    confidence: ratio(dates.length),
+                    dayFirst,
+                    ambiguous: !dates.some(p => p.dayFirstOnly || p.monthFirstOnly) && dates.some(p => p.ambiguous)
+                };
+            }
+        }
+
+        return this.classifyText(sample, distinct, columnName);
+    }
+
+    classifyNumbers(numbers, sample, distinct, columnName, decimalComma) {
+        const confidence = numbers.length / sample.length;
+        const majority = (count) => count >= numbers.length / 2;
+
+        if (majority(numbers.filter(n => n.percent).length)) {
+            return { type: 'percentage', confidence, decimalComma };
+        }
+        const currencies = numbers.map(n => n.currency).filter(Boolean);
+        if (majority(currencies.length)) {
+            return { type: 'currency', confidence, decimalComma, currency: this.mostFrequent(currencies) };
+        }
+
+        const integers = numbers.every(n => Number.isInteger(n.value));
+        if (integers && this.isIdName(columnName) && distinct === sample.length) {
+            return { type: 'id', confidence };
+        }
+        return { type: integers ? 'integer' : 'decimal', confidence, decimalComma };
+    }
+
+    classifyText(sample, distinct, columnName) {
+        const unique = distinct === sample.length;
+        const codeLike = sample.every(value => /^[\w.:/-]{1,64}$/.test(String(value).trim()) && /\d/.test(String(value)));
+
+        if (unique && sample.length >= 2 && (codeLike || this.isIdName(columnName))) {
+            return { type: 'id', confidence: 1 };
+        }
+        if (distinct <= this.maxCategories && distinct <= sample.length / 2) {
+            return { type: 'categorical', confidence: 1 - distinct / sample.length };
+        }
+        return { type: 'text', confidence: 1 };
+    }
+
+    isIdName(columnName) {
+        return ID_NAME.test(columnName) || CAMEL_ID_NAME.test(columnName);
+    }
+
+    mostFrequent(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // Overrides replace the detected type; formats (decimal comma, date order) are still
+    // detected from the values unless the override sets them.
+    inferColumns(rows, overrides = {}) {
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const types = {};
+
+        columns.forEach(column => {
+            const values = rows.map(row => row[column]);
+            const detected = this.inferColumn(values, column);
+            if (!overrides || overrides[column] === undefined) {
+                types[column] = detected;
+                return;
+            }
+
+            const override = this.parseOverride(overrides[column]);
+            const sample = this.sample(values);
+            types[column] = {
+                confidence: 1,
+                decimalComma: this.detectDecimalComma(sample),
+                dayFirst: this.detectDayFirst(sample.map(v => this.parseDateParts(v, false)).filter(Boolean)),
+                ...override,
+                detected: detected.type,
+                overridden: true
+            };
+        });
+
+        return types;
+    }
+
+    // Unparsable values are kept as they are rather than dropped
+    convertValue(value, spec) {
+        if (this.isEmpty(value) || !spec) return value;
+
+        switch (TypeInferrer.family(spec.type)) {
+            case 'numeric': {
+                const parsed = this.parseNumber(value, spec.decimalComma);
+                return parsed ? parsed.value : value;
+            }
+            case 'date': {
+                const parts = this.parseDateParts(value, spec.dayFirst);
+                if (!parts) return value;
+                return this.formatDate(parts, spec.type === 'datetime' || this.hasTime(parts));
+            }
+        }
+
+        if (spec.type === 'boolean') {
+            const parsed = this.parseBoolean(value);
+            return parsed === null ? value : parsed;
+        }
+        return spec.type === 'id' ? String(value).trim() : value;
+    }
+
+    // Returns typed copies of the rows and the type of every column
+    applyTypes(rows, overrides = {}) {
+        if (!Array.isArray(rows) || rows.length === 0 || typeof rows[0] !== 'object' || rows[0] === null) {
+            return { rows, types: {} };
+        }
+
+        const types = this.inferColumns(rows, overrides);
+        const columns = Object.keys(types);
+        const typed = rows.map(row => {
+            const copy = { ...row };
+            columns.forEach(column => {
+                copy[column] = this.convertValue(row[column], types[column]);
+            });
+            return copy;
+        });
+
+        return { rows: typed, types };
+    }
+}
+
+// Export for Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TypeInferrer;
+}
@@ -0,0 +1,116 @@
+// lib/api-keys.js — API keys for scripted access to the analysis endpoints, persisted to a JSON file
+// A key is shown once when issued; only its SHA-256 hash is stored. Each key belongs to an account,
+// acts as that account, and has a daily token budget counted from the model's `usage` field
+// (days are UTC).
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonFile = require('./json-file');
+
+const KEY_PREFIX = 'dek_';
+const MAX_KEYS_PER_USER = 10;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// The public view of a key (never the hash)
+const describeKey = ({ id, name, prefix, dailyTokenBudget, usage, createdAt, lastUsedAt }) => ({
+  id,
+  name,
+  prefix,
+  dailyTokenBudget,
+  tokensToday: usage?.day === today() ? usage.tokens : 0,
+  createdAt,
+  lastUsedAt,
+});
+
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.defaultDailyTokenBudget = options.dailyTokenBudget || 200000;
+    // id → { id, owner, name, prefix, hash, dailyTokenBudget, usage: { day, tokens }, createdAt, lastUsedAt }
+    this.keys = new Map();
+    this.file = new JsonFile(
+      options.filePath || path.join(process.cwd(), 'data', 'api-keys.json'),
+      () => ({ version: 1, keys: [...this.keys.values()] })
+    );
+    this.load();
+  }
+
+  // Returns the metadata plus `key`, the only time the plain key is available
+  issue(owner, { name, dailyTokenBudget } = {}) {
+    if (this.list(owner).length >= MAX_KEYS_PER_USER) {
+      throw new Error(`An account can hold at most ${MAX_KEYS_PER_USER} API keys; revoke one first`);
+    }
+    const budget = dailyTokenBudget === undefined ? this.defaultDailyTokenBudget : Number(dailyTokenBudget);
+    if (!Number.isInteger(budget) || budget <= 0) throw new Error('dailyTokenBudget must be a positive integer');
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      owner,
+      name: String(name || 'API key').trim().slice(0, 100) || 'API key',
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      dailyTokenBudget: budget,
+      usage: { day: today(), tokens: 0 },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    this.keys.set(record.id, record);
+    this.file.changed();
+    return { ...describeKey(record), key };
+  }
+
+  // Keys of one owner, oldest first
+  list(owner) {
+    return [...this.keys.values()].filter((record) => record.owner === owner).map(describeKey);
+  }
+
+  revoke(owner, id) {
+    const record = this.keys.get(id);
+    if (!record || record.owner !== owner) return false;
+    this.keys.delete(id);
+    this.file.changed();
+    return true;
+  }
+
+  // The key record for a presented key, or null when it is unknown or revoked
+  authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+    const hash = hashKey(key);
+    const record = [...this.keys.values()].find((candidate) => candidate.hash === hash);
+    if (!record) return null;
+    record.lastUsedAt = new Date().toISOString();
+    this.file.changed();
+    return { id: record.id, owner: record.owner, name: record.name };
+  }
+
+  // Tokens left today for a key (0 once the budget is spent)
+  remainingTokens(id) {
+    const record = this.keys.get(id);
+    if (!record) return 0;
+    const used = record.usage?.day === today() ? record.usage.tokens : 0;
+    return Math.max(0, record.dailyTokenBudget - used);
+  }
+
+  recordUsage(id, tokens) {
+    const record = this.keys.get(id);
+    if (!record || !(tokens > 0)) return;
+    if (record.usage?.day !== today()) record.usage = { day: today(), tokens: 0 };
+    record.usage.tokens += tokens;
+    this.file.changed();
+  }
+
+  close() {
+    return this.file.close();
+  }
+
+  load() {
+    const stored = this.file.read();
+    (stored?.keys || [])
+      .filter((record) => record?.id && record.owner && record.hash)
+      .forEach((record) => this.keys.set(record.id, record));
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,100 @@
+// lib/auth.js — signed session cookies
+// The cookie holds "<userId>.<expiry>.<signature>" (HMAC-SHA256 over the first two parts), so the
+// server keeps no session table. Every browser gets an id on its first API call; it is a guest
+// until that id is registered in the UserStore. Signing out drops the cookie and starts a new guest.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const COOKIE_NAME = 'de_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+const parseCookies = (header = '') =>
+  Object.fromEntries(header.split(';')
+    .map((pair) => pair.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...rest]) => {
+      try {
+        return [name, decodeURIComponent(rest.join('='))];
+      } catch {
+        return [name, ''];
+      }
+    }));
+
+// SESSION_SECRET when set, otherwise a secret generated once and kept next to the other data,
+// so sessions survive restarts
+const loadSessionSecret = (filePath = path.join(process.cwd(), 'data', 'session-secret')) => {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  try {
+    return fs.readFileSync(filePath, 'utf-8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, secret, { mode: 0o600 });
+  console.log(`Generated a session secret in ${filePath} (set SESSION_SECRET to manage it yourself)`);
+  return secret;
+};
+
+// users: a UserStore. Returns { identify, signIn, signOut }; identify is the middleware that
+// sets req.user = { id, username, guest } on every request it handles.
+const createAuth = ({ secret, users, ttlMs = SESSION_TTL_MS }) => {
+  if (!secret) throw new Error('A session secret is required');
+
+  const verify = (token) => {
+    const [id, expires, signature] = String(token || '').split('.');
+    if (!id || !signature || !(Number(expires) > Date.now())) return null;
+    const expected = Buffer.from(sign(secret, `${id}.${expires}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    return { id, expires: Number(expires) };
+  };
+
+  const setCookie = (req, res, value, maxAgeMs) => {
+    const attributes = [
+      `${COOKIE_NAME}=${value}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+      ...(req.secure ? ['Secure'] : []),
+    ];
+    res.setHeader('Set-Cookie', attributes.join('; '));
+  };
+
+  const signIn = (req, res, id) => {
+    const expires = Date.now() + ttlMs;
+    setCookie(req, res, `${id}.${expires}.${sign(secret, `${id}.${expires}`)}`, ttlMs);
+    const account = users.get(id);
+    req.user = { id, username: account?.username || null, guest: !account };
+    return req.user;
+  };
+
+  // The next request starts a fresh guest
+  const signOut = (req, res) => setCookie(req, res, '', 0);
+
+  const identify = (req, res, next) => {
+    const session = verify(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    if (!session || session.expires - Date.now() < ttlMs / 2) {
+      // New visitors become guests; sessions past half their lifetime are renewed
+      signIn(req, res, session?.id || crypto.randomUUID());
+    } else {
+      const account = users.get(session.id);
+      req.user = { id: session.id, username: account?.username || null, guest: !account };
+    }
+    next();
+  };
+
+  return { identify, signIn, signOut };
+};
+
+module.exports = {
+  COOKIE_NAME,
+  createAuth,
+  loadSessionSecret,
+  parseCookies,
+};
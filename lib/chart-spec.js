@@ -0,0 +1,341 @@
+// lib/chart-spec.js — chart types the model may return, how their data is shaped, and validation.
+// The system prompt is built from CHART_SHAPES so the description and the validator cannot drift apart.
+
+const { parseLenientJson } = require('./json-repair');
+
+// Answers carrying more charts than this keep the first ones
+const MAX_CHARTS = 4;
+
+const SERIES_TYPES = ['line', 'area', 'stackedArea', 'bar', 'horizontalBar', 'radar', 'pie', 'doughnut'];
+const CHART_TYPES = [...SERIES_TYPES, 'scatter', 'bubble', 'histogram', 'boxplot', 'heatmap'];
+
+const CHART_SHAPES = [
+  {
+    types: ['line', 'area', 'stackedArea', 'bar', 'horizontalBar', 'radar'],
+    shape: '{"labels": ["A", "B"], "datasets": [{"label": "Sales", "data": [10, 20]}]}',
+    note: 'one number per label in every dataset; radar needs at least 3 labels',
+  },
+  {
+    types: ['pie', 'doughnut'],
+    shape: '{"labels": ["A", "B"], "datasets": [{"label": "Share", "data": [60, 40]}]}',
+    note: 'a single dataset of non-negative numbers',
+  },
+  {
+    types: ['scatter'],
+    shape: '{"datasets": [{"label": "Price vs units", "data": [{"x": 1.5, "y": 20}]}], "trendline": true}',
+    note: 'x and y are numbers; trendline is optional',
+  },
+  {
+    types: ['bubble'],
+    shape: '{"datasets": [{"label": "Regions", "data": [{"x": 1.5, "y": 20, "r": 8}]}]}',
+    note: 'r is the bubble radius in pixels (3-30)',
+  },
+  {
+    types: ['histogram'],
+    shape: '{"datasets": [{"label": "Order value", "data": [12.5, 40, 18]}], "bins": 10}',
+    note: 'raw values, binned by the client; bins is optional',
+  },
+  {
+    types: ['boxplot'],
+    shape: '{"labels": ["North", "South"], "datasets": [{"label": "Order value", "data": [[12, 40, 18], {"min": 5, "q1": 10, "median": 14, "q3": 20, "max": 31}]}]}',
+    note: 'per label either the raw values or min/q1/median/q3/max',
+  },
+  {
+    types: ['heatmap'],
+    shape: '{"labels": ["Price", "Units", "Discount"], "matrix": [[1, -0.4, 0.2], [-0.4, 1, 0.6], [0.2, 0.6, 1]]}',
+    note: 'matrix rows follow yLabels (defaults to labels), columns follow labels; use it for correlation matrices',
+  },
+];
+
+// JSON Schema for one chart spec, served at /api/chart-schema. The per-type data rules
+// (label/value parity, point objects, matrix size) are enforced by validateChartSpec.
+const CHART_SPEC_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Chart spec',
+  type: 'object',
+  required: ['type', 'data'],
+  properties: {
+    title: { type: 'string' },
+    type: { enum: [...CHART_TYPES, 'auto'] },
+    data: {
+      type: 'object',
+      properties: {
+        labels: { type: 'array' },
+        yLabels: { type: 'array' },
+        matrix: { type: 'array', items: { type: 'array', items: { type: ['number', 'null'] } } },
+        trendline: { type: 'boolean' },
+        bins: { type: 'integer', minimum: 1, maximum: 100 },
+        datasets: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['data'],
+            properties: {
+              label: { type: 'string' },
+              data: { type: 'array' },
+              backgroundColor: { $ref: '#/definitions/colours' },
+              borderColor: { $ref: '#/definitions/colours' },
+            },
+          },
+        },
+      },
+    },
+  },
+  definitions: {
+    colour: { type: 'string', description: 'CSS colour: #hex, rgb(a)(), hsl(a)() or a colour name' },
+    colours: {
+      oneOf: [
+        { $ref: '#/definitions/colour' },
+        { type: 'array', items: { $ref: '#/definitions/colour' }, description: 'one colour per value' },
+      ],
+    },
+  },
+};
+
+const describeChartSchema = () =>
+  CHART_SHAPES.map(({ types, shape, note }) => `- ${types.join(', ')}: ${shape}\n  (${note})`).join('\n');
+
+const isNumeric = (value) =>
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+const isValue = (value) => value === null || isNumeric(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const COLOUR = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgb|hsl)a?\([^()]*\)|[a-z]+)$/i;
+const isColour = (value) => typeof value === 'string' && COLOUR.test(value.trim());
+
+// Colour arrays colour one value each, so they must match the values (a single colour always fits)
+const checkColours = (dataset, i, count, errors) => {
+  ['backgroundColor', 'borderColor'].forEach((key) => {
+    const value = dataset[key];
+    if (value === undefined) return;
+    const colours = Array.isArray(value) ? value : [value];
+    if (!colours.every(isColour)) {
+      errors.push(`datasets[${i}].${key} must be CSS colours`);
+    } else if (Array.isArray(value) && value.length > 1 && count !== null && value.length !== count) {
+      errors.push(`datasets[${i}].${key} has ${value.length} colours for ${count} values`);
+    }
+  });
+};
+
+// Mirrors ChartManager.determineChartType for charts sent without a type
+const inferType = (data) => {
+  if (Array.isArray(data.matrix)) return 'heatmap';
+  const first = data.datasets?.[0]?.data?.find((point) => point !== null && point !== undefined);
+  if (Array.isArray(first) || (isObject(first) && 'median' in first)) return 'boxplot';
+  if (isObject(first)) return 'r' in first ? 'bubble' : 'scatter';
+  return 'bar';
+};
+
+const checkDatasets = (data, errors) => {
+  if (!Array.isArray(data.datasets) || data.datasets.length === 0) {
+    errors.push('data.datasets must be a non-empty array');
+    return false;
+  }
+  data.datasets.forEach((dataset, i) => {
+    if (!isObject(dataset) || !Array.isArray(dataset.data)) {
+      errors.push(`datasets[${i}].data must be an array`);
+    }
+  });
+  return errors.length === 0;
+};
+
+const checkLabels = (data, errors, min = 1) => {
+  if (!Array.isArray(data.labels) || data.labels.length < min) {
+    errors.push(`data.labels must be an array of at least ${min} label${min === 1 ? '' : 's'}`);
+    return false;
+  }
+  return true;
+};
+
+const validators = {
+  series: (data, type, errors) => {
+    const labelsOk = checkLabels(data, errors, type === 'radar' ? 3 : 1);
+    if (!checkDatasets(data, errors) || !labelsOk) return;
+    const datasets = type === 'pie' || type === 'doughnut' ? data.datasets.slice(0, 1) : data.datasets;
+    datasets.forEach((dataset, i) => {
+      if (dataset.data.length !== data.labels.length) {
+        errors.push(`datasets[${i}] has ${dataset.data.length} values for ${data.labels.length} labels`);
+      } else if (!dataset.data.every(isValue)) {
+        errors.push(`datasets[${i}].data must contain only numbers`);
+      } else if ((type === 'pie' || type === 'doughnut') && dataset.data.some((value) => Number(value) < 0)) {
+        errors.push(`${type} charts cannot show negative values`);
+      }
+    });
+  },
+
+  points: (data, type, errors) => {
+    if (!checkDatasets(data, errors)) return;
+    const keys = type === 'bubble' ? ['x', 'y', 'r'] : ['x', 'y'];
+    data.datasets.forEach((dataset, i) => {
+      const bad = dataset.data.findIndex((point) => !isObject(point) || !keys.every((key) => isNumeric(point[key])));
+      if (bad !== -1) {
+        errors.push(`datasets[${i}].data[${bad}] must be {${keys.join(', ')}} with numeric values`);
+      }
+    });
+    if (data.trendline !== undefined && typeof data.trendline !== 'boolean') {
+      errors.push('trendline must be true or false');
+    }
+  },
+
+  histogram: (data, type, errors) => {
+    if (!checkDatasets(data, errors)) return;
+    data.datasets.forEach((dataset, i) => {
+      if (!dataset.data.every(isValue)) errors.push(`datasets[${i}].data must contain only numbers`);
+    });
+    const values = data.datasets.reduce((sum, dataset) => sum + dataset.data.filter(isNumeric).length, 0);
+    if (values < 2) errors.push('histogram needs at least 2 values');
+    if (data.bins !== undefined && !(Number.isInteger(data.bins) && data.bins >= 1 && data.bins <= 100)) {
+      errors.push('bins must be an integer between 1 and 100');
+    }
+  },
+
+  boxplot: (data, type, errors) => {
+    const labelsOk = checkLabels(data, errors);
+    if (!checkDatasets(data, errors) || !labelsOk) return;
+    const isBox = (entry) => {
+      if (Array.isArray(entry)) return entry.length > 0 && entry.every(isValue);
+      if (!isObject(entry)) return entry === null;
+      const stats = ['min', 'q1', 'median', 'q3', 'max'].map((key) => entry[key]);
+      return stats.every(isNumeric) && stats.every((value, i) => i === 0 || Number(stats[i - 1]) <= Number(value));
+    };
+    data.datasets.forEach((dataset, i) => {
+      if (dataset.data.length !== data.labels.length) {
+        errors.push(`datasets[${i}] has ${dataset.data.length} boxes for ${data.labels.length} labels`);
+        return;
+      }
+      const bad = dataset.data.findIndex((entry) => !isBox(entry));
+      if (bad !== -1) {
+        errors.push(`datasets[${i}].data[${bad}] must be an array of numbers or ordered {min, q1, median, q3, max}`);
+      }
+    });
+  },
+
+  heatmap: (data, type, errors) => {
+    if (!checkLabels(data, errors)) return;
+    const rows = data.yLabels ?? data.labels;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      errors.push('data.yLabels must be a non-empty array when given');
+      return;
+    }
+    if (!Array.isArray(data.matrix) || data.matrix.length !== rows.length) {
+      errors.push(`data.matrix must have one row per ${data.yLabels ? 'y label' : 'label'} (${rows.length})`);
+      return;
+    }
+    data.matrix.forEach((row, i) => {
+      if (!Array.isArray(row) || row.length !== data.labels.length) {
+        errors.push(`matrix[${i}] must have ${data.labels.length} values`);
+      } else if (!row.every(isValue)) {
+        errors.push(`matrix[${i}] must contain only numbers`);
+      }
+    });
+  },
+};
+
+const shapeOf = (type) => {
+  if (SERIES_TYPES.includes(type)) return 'series';
+  if (type === 'scatter' || type === 'bubble') return 'points';
+  return type;
+};
+
+const resolveType = (type, data) => (!type || type === 'auto' ? (isObject(data) ? inferType(data) : 'bar') : type);
+
+// 'series', 'points', 'histogram', 'boxplot' or 'heatmap' for a chart that passed validation
+const chartShape = ({ type, data }) => shapeOf(resolveType(type, data));
+
+// Returns a list of problems; an empty list means the chart can be drawn as described
+const validateChart = (type, data) => {
+  const resolved = resolveType(type, data);
+  if (!CHART_TYPES.includes(resolved)) {
+    return [`Unknown chart type "${type}". Use one of: ${CHART_TYPES.join(', ')}`];
+  }
+  if (!isObject(data)) return ['chart data must be an object'];
+
+  const errors = [];
+  validators[shapeOf(resolved)](data, resolved, errors);
+  if (errors.length === 0 && Array.isArray(data.datasets)) {
+    // Histogram colours apply to bins, whose number is only known once the client bins the values
+    data.datasets.forEach((dataset, i) => checkColours(dataset, i, resolved === 'histogram' ? null : dataset.data.length, errors));
+  }
+  return errors;
+};
+
+// Checks a whole { title, type, data } spec against CHART_SPEC_SCHEMA and the per-type rules
+const validateChartSpec = (spec) => {
+  if (!isObject(spec)) return ['chart spec must be an object'];
+  const errors = [];
+  if (spec.title !== undefined && typeof spec.title !== 'string') errors.push('title must be a string');
+  if (spec.type !== undefined && typeof spec.type !== 'string') errors.push('type must be a string');
+  if (errors.length > 0) return errors;
+  return validateChart(spec.type, spec.data);
+};
+
+// The JSON formats models produce, newest first:
+// { charts: [...] }, { chart: { title, type, data } }, { title, type, data }, bare data, { chartData, chartTitle }
+const toChart = (parsed) => {
+  if (!isObject(parsed)) return null;
+  if (isObject(parsed.chart)) return toChart(parsed.chart);
+  if (isObject(parsed.data)) return { title: parsed.title, type: parsed.type, data: parsed.data };
+  if (Array.isArray(parsed.datasets) || Array.isArray(parsed.matrix)) return { data: parsed };
+  if (isObject(parsed.chartData)) return { title: parsed.chartTitle, type: parsed.chartType, data: parsed.chartData };
+  return null;
+};
+
+const chartsFromJson = (parsed) =>
+  (Array.isArray(parsed?.charts) ? parsed.charts : [parsed]).map(toChart).filter(Boolean);
+
+// Takes every ```json block out of a model answer (an unclosed block at the very end counts too,
+// for answers cut off mid-chart). JSON is parsed leniently; blocks that still fail are reported.
+// Returns the remaining text, the charts that validate and the ones that were discarded (with reasons).
+const extractCharts = (content) => {
+  const charts = [];
+  const rejected = [];
+
+  const analysis = content.replace(/```json\s*([\s\S]*?)(?:\s*```|$)/g, (block, json) => {
+    let parsed;
+    try {
+      const result = parseLenientJson(json);
+      parsed = result.value;
+      if (result.repaired) console.log('Repaired malformed chart JSON');
+    } catch (err) {
+      rejected.push({ title: 'Data Visualization', type: 'unknown', errors: [`Invalid JSON: ${err.message}`], source: json });
+      return '';
+    }
+
+    chartsFromJson(parsed).forEach((chart) => {
+      const entry = {
+        title: typeof chart.title === 'string' && chart.title ? chart.title : 'Data Visualization',
+        type: chart.type || 'auto',
+        data: chart.data,
+      };
+      const errors = validateChartSpec(chart);
+      if (errors.length > 0) {
+        rejected.push({ title: entry.title, type: entry.type, errors, source: JSON.stringify(chart) });
+      } else if (charts.length < MAX_CHARTS) {
+        charts.push(entry);
+      } else {
+        console.log(`Dropping chart "${entry.title}": only ${MAX_CHARTS} charts are shown per answer`);
+      }
+    });
+    return '';
+  });
+
+  return {
+    analysis: analysis.replace(/\n{3,}/g, '\n\n').trim(),
+    charts,
+    rejected,
+  };
+};
+
+module.exports = {
+  CHART_TYPES,
+  CHART_SPEC_SCHEMA,
+  MAX_CHARTS,
+  describeChartSchema,
+  chartShape,
+  validateChart,
+  validateChartSpec,
+  extractCharts,
+};
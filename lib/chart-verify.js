@@ -0,0 +1,248 @@
+// lib/chart-verify.js — cross-checks chart numbers against the stored dataset
+// Models often build charts from the prompt sample. When a chart's labels are values of a dataset
+// column and a series matches an aggregate of another column, the numbers are recomputed over every
+// row: charts that match are marked verified, series that name both their column and a plain
+// aggregate ("Total Sales", "Average Price") are corrected, and anything that cannot be traced
+// back to the data (growth rates, ratios, per-order figures...) is flagged unverified and left alone.
+
+const { aggregate, toNumber } = require('./query-engine');
+
+// Relative difference (floored at 1 unit) that still counts as the same number
+const TOLERANCE = 0.01;
+// Rows inspected when deciding whether a column is numeric
+const SAMPLE_ROWS = 200;
+// Rows aggregated per series while searching for an operation the series does not name
+const SEARCH_BUDGET_ROWS = 1000000;
+const CHECKABLE_TYPES = ['auto', 'line', 'area', 'stackedArea', 'bar', 'horizontalBar', 'radar', 'pie', 'doughnut'];
+const OPERATIONS = ['sum', 'avg', 'count', 'share', 'median', 'min', 'max'];
+
+// First match wins, so "average share" reads as avg
+const OPERATION_WORDS = [
+  ['avg', /\b(average|avg|mean)\b/i],
+  ['median', /\bmedian\b/i],
+  ['max', /\b(max|maximum|highest|peak)\b/i],
+  ['min', /\b(min|minimum|lowest)\b/i],
+  ['share', /%|\b(share|percent|percentage)\b/i],
+  ['count', /\b(count|number of|records|rows)\b/i],
+  ['sum', /\b(total|sum)\b/i],
+];
+
+// Series that are computed from an aggregate rather than being one; never corrected
+const DERIVED_WORDS = /\b(growth|change|yoy|mom|qoq|wow|per|ratio|rate|margin|difference|delta|increase|decrease|cumulative|running|rolling|moving|forecast|projected|target|index|vs|versus)\b/i;
+
+const DATE_BUCKET = /^\d{4}(-\d{2}){0,2}$/;
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase();
+const round = (value) => Math.round(value * 100) / 100;
+
+const isoDay = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const text = String(value ?? '');
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+};
+
+const numericColumns = (rows) => {
+  const sample = rows.slice(0, SAMPLE_ROWS);
+  return Object.keys(rows[0] || {}).filter((column) => {
+    const values = sample.map((row) => row[column]).filter((v) => v !== null && v !== undefined && v !== '');
+    return values.length > 0 && values.filter((v) => !isNaN(toNumber(v))).length / values.length >= 0.9;
+  });
+};
+
+// Date labels ("2024", "2024-03", "2024-03-15") match date cells by prefix, other labels exactly
+const keyFunction = (labels) => {
+  const texts = labels.map((label) => String(label).trim());
+  const width = texts[0]?.length;
+  if (texts.length > 0 && texts.every((text) => DATE_BUCKET.test(text) && text.length === width)) {
+    return (value) => isoDay(value)?.slice(0, width) ?? normalise(value);
+  }
+  return normalise;
+};
+
+// Groups rows by the column whose values cover every label; columns named in the title win ties
+const findLabelColumn = (rows, labels, title) => {
+  const keyOf = keyFunction(labels);
+  const wanted = new Set(labels.map((label) => keyOf(label)));
+  const candidates = [];
+
+  Object.keys(rows[0] || {}).forEach((column) => {
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = keyOf(row[column]);
+      if (!wanted.has(key)) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    if (groups.size === wanted.size) candidates.push({ column, groups });
+  });
+
+  const named = candidates.find(({ column }) => normalise(title).includes(normalise(column)));
+  const match = named || candidates[0];
+  return match ? { ...match, keys: labels.map((label) => keyOf(label)) } : null;
+};
+
+const matches = (expected, actual) =>
+  !isNaN(expected) && actual !== null && Math.abs(expected - actual) <= TOLERANCE * Math.max(Math.abs(actual), 1);
+
+const describeOperation = ({ operation, column }) => {
+  if (operation === 'count') return 'count of rows';
+  if (operation === 'share') return column ? `share of total ${column}` : 'share of rows';
+  return `${operation} of ${column}`;
+};
+
+// The column (longest name first, so "Sales Tax" beats "Sales") and operation a series names.
+// The label speaks for the series; the title only fills in what the label leaves out. Null unless
+// the operation is stated outright and nothing suggests a derived figure.
+const hintFor = (label, title, columns) => {
+  if (DERIVED_WORDS.test(`${label} ${title}`)) return null;
+  const operationIn = (text) => OPERATION_WORDS.find(([, pattern]) => pattern.test(text))?.[0];
+  const columnIn = (text) => [...columns]
+    .sort((a, b) => b.length - a.length)
+    .find((name) => normalise(text).includes(normalise(name)));
+
+  const operation = operationIn(label) || operationIn(title);
+  const column = columnIn(label) || columnIn(title);
+  if (!operation) return null;
+  if (!column && operation !== 'count' && operation !== 'share') return null;
+  return { column: operation === 'count' ? null : column || null, operation };
+};
+
+// Aggregates one candidate per group; share totals are computed once per column
+const createCalculator = (match, source) => {
+  const totals = new Map();
+  const totalOf = (column) => {
+    if (!totals.has(column)) totals.set(column, column ? aggregate(source.rows, column, 'sum') : source.rows.length);
+    return totals.get(column);
+  };
+  const calculator = {
+    scanned: 0,
+    valueAt: ({ operation, column }, index) => {
+      const rows = match.groups.get(match.keys[index]);
+      calculator.scanned += rows.length;
+      if (operation === 'count') return rows.length;
+      if (operation === 'share') {
+        const total = totalOf(column);
+        const part = column ? aggregate(rows, column, 'sum') : rows.length;
+        return total ? (part / total) * 100 : null;
+      }
+      return aggregate(rows, column, operation);
+    },
+  };
+  return calculator;
+};
+
+const candidatesFor = (columns) => OPERATIONS.flatMap((operation) => {
+  if (operation === 'count') return [{ operation, column: null }];
+  const perColumn = columns.map((column) => ({ operation, column }));
+  return operation === 'share' ? [{ operation, column: null }, ...perColumn] : perColumn;
+});
+
+// Matches a series against the operation it names, then against every operation and numeric
+// column. Groups are compared smallest first and a candidate is dropped at its first mismatch;
+// the search stops once it has aggregated SEARCH_BUDGET_ROWS rows.
+const verifySeries = (dataset, chart, match, source, columns) => {
+  const values = (dataset.data || []).map(toNumber);
+  const calculator = createCalculator(match, source);
+  const order = match.keys
+    .map((key, index) => index)
+    .sort((a, b) => match.groups.get(match.keys[a]).length - match.groups.get(match.keys[b]).length);
+  const matchesAll = (candidate) => order.every((index) => matches(values[index], calculator.valueAt(candidate, index)));
+
+  const hint = hintFor(dataset.label || '', chart.title || '', columns);
+  if (hint && matchesAll(hint)) return { label: dataset.label, status: 'verified', ...hint };
+
+  const exact = candidatesFor(columns).find((candidate) =>
+    calculator.scanned < SEARCH_BUDGET_ROWS && matchesAll(candidate));
+  if (exact) return { label: dataset.label, status: 'verified', ...exact };
+  return { label: dataset.label, status: 'unverified' };
+};
+
+// Recomputes a series that names both its column and a plain aggregate
+const correctSeries = (dataset, chart, match, source, columns) => {
+  const hint = hintFor(dataset.label || '', chart.title || '', columns);
+  if (!hint) return { label: dataset.label, status: 'unverified' };
+  const calculator = createCalculator(match, source);
+  const actual = match.keys.map((key, index) => calculator.valueAt(hint, index));
+  if (actual.some((value) => value === null)) return { label: dataset.label, status: 'unverified' };
+  return { label: dataset.label, status: 'corrected', ...hint, original: dataset.data, values: actual.map(round) };
+};
+
+const unverified = (reason) => ({ status: 'unverified', note: `Unverified: ${reason}` });
+
+// sources: [{ name, rows }] tried in order (a focused subset before the full table).
+// Corrections are only made when allowCorrection is set, i.e. the chart cannot be about a subset.
+const verifyChart = (chart, sources, { allowCorrection = true } = {}) => {
+  if (!CHECKABLE_TYPES.includes(chart.type || 'auto')) {
+    return { chart, verification: unverified(`${chart.type} charts are not checked against the data`) };
+  }
+  const labels = chart.data?.labels;
+  const usable = sources.filter((source) => Array.isArray(source.rows) && source.rows.length > 0);
+  if (usable.length === 0) return { chart, verification: unverified('no stored dataset to check against') };
+  if (!Array.isArray(labels) || labels.length === 0) {
+    return { chart, verification: unverified('the chart has no labels to match') };
+  }
+
+  let fallback = null;
+  for (const source of usable) {
+    const match = findLabelColumn(source.rows, labels, chart.title);
+    if (!match) continue;
+
+    const columns = numericColumns(source.rows).filter((column) => column !== match.column);
+    const series = chart.data.datasets.map((dataset) => verifySeries(dataset, chart, match, source, columns));
+    const context = { table: source.name, labelColumn: match.column, rows: source.rows.length };
+    if (series.every((entry) => entry.status === 'verified')) {
+      return {
+        chart,
+        verification: {
+          status: 'verified',
+          ...context,
+          series,
+          note: `Verified: ${series.map(describeOperation).join(', ')} by ${match.column} over ${source.rows.length} rows`,
+        },
+      };
+    }
+    fallback = fallback || { source, match, columns, context, series };
+  }
+
+  if (!fallback) return { chart, verification: unverified('the labels do not match values of any column') };
+  if (!allowCorrection) return { chart, verification: unverified('the values differ from the stored data') };
+
+  const { source, match, columns, context } = fallback;
+  const series = chart.data.datasets.map((dataset, i) => (fallback.series[i].status === 'verified'
+    ? fallback.series[i]
+    : correctSeries(dataset, chart, match, source, columns)));
+  if (series.some((entry) => entry.status === 'unverified')) {
+    return { chart, verification: { ...unverified('some series could not be matched to a column'), ...context, series } };
+  }
+
+  const corrected = {
+    ...chart,
+    data: {
+      ...chart.data,
+      datasets: chart.data.datasets.map((dataset, i) =>
+        (series[i].status === 'corrected' ? { ...dataset, data: series[i].values } : dataset)),
+    },
+  };
+  const fixed = series.filter((entry) => entry.status === 'corrected');
+  return {
+    chart: corrected,
+    verification: {
+      status: 'corrected',
+      ...context,
+      series: series.map(({ values, ...entry }) => entry),
+      note: `Corrected: recomputed ${fixed.map(describeOperation).join(', ')} by ${match.column} over ${source.rows.length} rows`,
+    },
+  };
+};
+
+// Returns the charts with a `verification` field ({ status, note, ... }) and corrected values
+const verifyCharts = (charts, sources, options = {}) =>
+  charts.map((chart) => {
+    const { chart: checked, verification } = verifyChart(chart, sources, options);
+    return { ...checked, verification };
+  });
+
+module.exports = {
+  verifyChart,
+  verifyCharts,
+};
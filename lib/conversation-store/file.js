@@ -0,0 +1,40 @@
+// lib/conversation-store/file.js — conversations persisted to a JSON file
+// Works from memory like MemoryConversationStore and writes the whole store back shortly after
+// each change. Loaded once at startup, so conversations survive restarts and deploys that keep
+// the data directory.
+
+const path = require('path');
+const JsonFile = require('../json-file');
+const MemoryConversationStore = require('./memory');
+
+class FileConversationStore extends MemoryConversationStore {
+  constructor(options = {}) {
+    super(options);
+    this.file = new JsonFile(
+      options.filePath || path.join(process.cwd(), 'data', 'conversations.json'),
+      () => ({ version: 1, conversations: Object.fromEntries(this.entries) })
+    );
+    this.load();
+  }
+
+  async close() {
+    await this.file.close();
+  }
+
+  load() {
+    const stored = this.file.read();
+    if (!stored) return;
+    Object.entries(stored.conversations || {})
+      .filter(([, entry]) => Array.isArray(entry?.messages) && !this.isExpired(entry))
+      .sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed)
+      .forEach(([id, entry]) => this.entries.set(id, entry));
+    this.prune();
+    console.log(`Loaded ${this.entries.size} conversation(s) from ${this.file.filePath}`);
+  }
+
+  changed() {
+    this.file.changed();
+  }
+}
+
+module.exports = FileConversationStore;
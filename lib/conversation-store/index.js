@@ -0,0 +1,29 @@
+// lib/conversation-store/index.js — conversation storage backends
+// CONVERSATION_STORE picks the backend ("file" by default, "memory" for tests). Every backend
+// implements the async interface of MemoryConversationStore: get, peek, append, ownerOf, usageOf,
+// list, delete, prune, size, close.
+
+const MemoryConversationStore = require('./memory');
+const FileConversationStore = require('./file');
+
+const backends = {
+  memory: MemoryConversationStore,
+  file: FileConversationStore,
+};
+
+const listBackends = () => Object.keys(backends);
+
+const createConversationStore = (name = process.env.CONVERSATION_STORE || 'file', options = {}) => {
+  const Backend = backends[name.toLowerCase()];
+  if (!Backend) {
+    throw new Error(`Unknown conversation store "${name}". Available: ${listBackends().join(', ')}`);
+  }
+  return new Backend(options);
+};
+
+module.exports = {
+  createConversationStore,
+  listBackends,
+  MemoryConversationStore,
+  FileConversationStore,
+};
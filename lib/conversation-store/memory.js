@@ -0,0 +1,141 @@
+// lib/conversation-store/memory.js — conversations kept in process memory
+// Lost on restart, so it suits tests and throwaway runs. Eviction is by last use: conversations
+// idle for longer than ttlMs expire, and beyond maxEntries the least recently used go first.
+
+const { sumUsage } = require('../usage');
+
+class MemoryConversationStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.maxMessages = options.maxMessages || 20;
+    this.ttlMs = options.ttlMs || 7 * 24 * 60 * 60 * 1000;
+    // id → { messages, owner, usage, createdAt, lastAccessed }; Map order is least recently used first.
+    // `usage` totals every answer, including those trimmed from `messages`.
+    this.entries = new Map();
+  }
+
+  // Messages of a conversation, oldest first ([] when unknown or expired). A read is not a change:
+  // the refreshed last use is persisted with the next write.
+  async get(id) {
+    const entry = this.touch(id);
+    if (!entry) return [];
+    return entry.messages.map((message) => ({ ...message }));
+  }
+
+  // Like get, but leaves the conversation's last use and eviction order alone (for reporting)
+  async peek(id) {
+    const entry = this.entries.get(id);
+    if (!entry || this.isExpired(entry)) return [];
+    return entry.messages.map((message) => ({ ...message }));
+  }
+
+  // messages: [{ role, content, ...extra }]; each is stamped with a timestamp when it has none.
+  // Only the last maxMessages are kept to bound the prompt size. `owner` is recorded when the
+  // conversation is created (or first continued, for conversations stored without one).
+  // `usage` (see lib/usage.js) is added to the conversation's totals.
+  async append(id, messages, { owner = null, usage = null } = {}) {
+    const now = Date.now();
+    const entry = this.touch(id) || { messages: [], owner, usage: null, createdAt: now, lastAccessed: now };
+    entry.owner = entry.owner || owner;
+    if (usage) entry.usage = sumUsage([entry.usage, usage]);
+    entry.messages.push(...messages.map((message) => ({
+      ...message,
+      timestamp: message.timestamp || new Date(now).toISOString(),
+    })));
+    if (entry.messages.length > this.maxMessages) {
+      entry.messages.splice(0, entry.messages.length - this.maxMessages);
+    }
+
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    await this.prune();
+    this.changed();
+    return entry.messages.length;
+  }
+
+  // The user id a conversation belongs to; null when it is unknown or has no owner
+  async ownerOf(id) {
+    const entry = this.entries.get(id);
+    return entry && !this.isExpired(entry) ? entry.owner || null : null;
+  }
+
+  // Token and cost totals of a conversation; null when it is unknown or has none
+  async usageOf(id) {
+    const entry = this.entries.get(id);
+    return entry && !this.isExpired(entry) ? entry.usage || null : null;
+  }
+
+  // Conversations of one owner, most recently used first, titled by their first question
+  async list(owner) {
+    const conversations = [];
+    this.entries.forEach((entry, id) => {
+      if (entry.owner !== owner || this.isExpired(entry)) return;
+      const question = entry.messages.find((message) => message.role === 'user');
+      conversations.unshift({
+        id,
+        title: String(question?.content || 'Untitled analysis').slice(0, 120),
+        messages: entry.messages.length,
+        usage: entry.usage || null,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        lastAccessed: new Date(entry.lastAccessed).toISOString(),
+      });
+    });
+    return conversations;
+  }
+
+  async delete(id) {
+    const deleted = this.entries.delete(id);
+    if (deleted) this.changed();
+    return deleted;
+  }
+
+  // Drops expired conversations, then the least recently used beyond maxEntries
+  async prune() {
+    let removed = 0;
+    this.entries.forEach((entry, id) => {
+      if (this.isExpired(entry)) {
+        this.entries.delete(id);
+        removed++;
+      }
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      removed++;
+    }
+    if (removed > 0) this.changed();
+    return removed;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  // Nothing to flush in memory; persistent backends override this
+  async close() {}
+
+  // ---- Internals ----
+
+  // Returns the live entry, refreshed as most recently used, or null
+  touch(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    if (this.isExpired(entry)) {
+      this.entries.delete(id);
+      this.changed();
+      return null;
+    }
+    entry.lastAccessed = Date.now();
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    return entry;
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.lastAccessed > this.ttlMs;
+  }
+
+  // Hook for persistent subclasses
+  changed() {}
+}
+
+module.exports = MemoryConversationStore;
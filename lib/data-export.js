@@ -0,0 +1,199 @@
+// lib/data-export.js — chart data and derived tables as CSV, XLSX or JSON downloads
+// Everything is turned into a { columns, rows } table first, then written with the same xlsx
+// package that parses uploads. Derived tables are stored as recipes (the tool call or follow-up
+// filter that produced them) and recomputed here without the prompt's row cap.
+
+const XLSX = require('xlsx');
+const { chartShape } = require('./chart-spec');
+const { executeTool } = require('./query-engine');
+const { applyFocusFilters, describeFilters } = require('./dataset-focus');
+const { filterViewRows } = require('./view-filters');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+// Tools whose results are tables worth downloading (the others return single values)
+const TABLE_TOOLS = ['filter_rows', 'group_by', 'sort_rows', 'top_n', 'distinct_values'];
+
+// Filesystem- and header-safe name derived from a title
+const toFilename = (title, fallback = 'data') =>
+  String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || fallback;
+
+// ==========================
+// Charts → tables
+// ==========================
+const seriesName = (dataset, i) => dataset.label || `Series ${i + 1}`;
+
+const quantile = (sorted, p) => {
+  const rank = p * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+};
+
+// Raw boxplot values are summarised the way ChartManager draws them
+const boxStats = (entry) => {
+  if (!Array.isArray(entry)) return entry ? ['min', 'q1', 'median', 'q3', 'max'].map((key) => Number(entry[key])) : [];
+  const sorted = entry.map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  return sorted.length === 0 ? [] : [0, 0.25, 0.5, 0.75, 1].map((p) => quantile(sorted, p));
+};
+
+const chartTables = {
+  series: ({ labels, datasets }) => ({
+    columns: ['Label', ...datasets.map(seriesName)],
+    rows: labels.map((label, i) => [label, ...datasets.map((dataset) => dataset.data[i] ?? null)]),
+  }),
+
+  points: ({ datasets }) => {
+    const hasRadius = datasets.some((dataset) => dataset.data.some((point) => point.r !== undefined));
+    return {
+      columns: ['Series', 'x', 'y', ...(hasRadius ? ['r'] : [])],
+      rows: datasets.flatMap((dataset, i) =>
+        dataset.data.map((point) => [seriesName(dataset, i), point.x, point.y, ...(hasRadius ? [point.r ?? null] : [])])),
+    };
+  },
+
+  histogram: ({ datasets }) => ({
+    columns: ['Series', 'Value'],
+    rows: datasets.flatMap((dataset, i) => dataset.data.map((value) => [seriesName(dataset, i), value])),
+  }),
+
+  boxplot: ({ labels, datasets }) => ({
+    columns: ['Label', 'Series', 'Min', 'Q1', 'Median', 'Q3', 'Max'],
+    rows: datasets.flatMap((dataset, i) =>
+      labels.map((label, j) => [label, seriesName(dataset, i), ...boxStats(dataset.data[j])])),
+  }),
+
+  heatmap: ({ labels, yLabels, matrix }) => ({
+    columns: ['', ...labels],
+    rows: (yLabels || labels).map((label, i) => [label, ...matrix[i]]),
+  }),
+};
+
+// chart must already pass validateChartSpec
+const chartToTable = (chart) => chartTables[chartShape(chart)](chart.data);
+
+// ==========================
+// Derived tables
+// ==========================
+const objectsToTable = (objects) => {
+  const columns = [...new Set(objects.flatMap((row) => Object.keys(row)))];
+  return { columns, rows: objects.map((row) => columns.map((column) => row[column] ?? null)) };
+};
+
+const describeToolCall = (tool, args = {}) => {
+  const filtered = args.filters?.length ? ' (filtered)' : '';
+  switch (tool) {
+    case 'group_by': {
+      const keys = [].concat(args.group_by).join(', ');
+      const metrics = (args.metrics?.length ? args.metrics : [{ operation: 'count' }])
+        .map(({ operation, column }) => (column ? `${operation} of ${column}` : operation));
+      return `${metrics.join(', ')} by ${keys}${filtered}`;
+    }
+    case 'sort_rows':
+      return `Rows sorted by ${args.column}${filtered}`;
+    case 'top_n':
+      return `${args.order === 'asc' ? 'Bottom' : 'Top'} ${args.n || 10} by ${args.column}${filtered}`;
+    case 'distinct_values':
+      return `Distinct values of ${args.column}${filtered}`;
+    default:
+      return `Filtered rows${filtered}`;
+  }
+};
+
+// Recipes for the tables an answer was built from: its table-returning tool calls and, for
+// follow-ups focused on category values, the matching subset
+// Each recipe keeps the view filters its rows were narrowed by (the tool's own, or viewFilters)
+const derivedRecipes = (toolTrace = [], focus = null, viewFilters = []) => {
+  const recipes = toolTrace
+    .filter((entry) => TABLE_TOOLS.includes(entry.tool) && Array.isArray(entry.result?.rows) && !entry.result.error)
+    .map((entry) => ({
+      source: 'tool',
+      name: describeToolCall(entry.tool, entry.arguments),
+      tool: entry.tool,
+      arguments: entry.arguments,
+      table: entry.arguments?.table || null,
+      viewFilters: entry.viewFilters || [],
+      rowCount: entry.result.totalRows,
+    }));
+  if (focus?.rows.length > 0) {
+    recipes.unshift({
+      source: 'focus',
+      name: `Rows where ${describeFilters(focus.filters)}`,
+      filters: focus.filters,
+      viewFilters,
+      rowCount: focus.rows.length,
+    });
+  }
+  return recipes;
+};
+
+// Recomputes a recipe over the stored dataset entry; throws when the tool no longer applies
+const materializeDerived = (entry, recipe) => {
+  const rowsOf = (table) => filterViewRows(table.rows, table.name, recipe.viewFilters);
+  if (recipe.source === 'focus') {
+    const rows = applyFocusFilters(rowsOf(entry.tables[0]), recipe.filters);
+    return objectsToTable(rows);
+  }
+  const table = entry.tables.find(({ name }) => name === recipe.table) || entry.tables[0];
+  const result = executeTool(rowsOf(table), recipe.tool, recipe.arguments, { maxRows: Infinity });
+  if (result.error) throw new Error(result.error);
+  return objectsToTable(result.rows);
+};
+
+// ==========================
+// Writing
+// ==========================
+const cellValue = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().replace('T00:00:00.000Z', '');
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Spreadsheet apps run cells starting with = + - @ as formulas, so text like that is quoted in CSV
+const csvSafe = (value) =>
+  (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) && isNaN(Number(value)) ? `'${value}` : value);
+
+// Returns { body, contentType, extension }
+const writeTable = ({ columns, rows }, format, { sheetName = 'Data' } = {}) => {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const cells = rows.map((row) => row.map(cellValue));
+
+  if (format === 'json') {
+    const objects = cells.map((row) => Object.fromEntries(columns.map((column, i) => [column || `column_${i + 1}`, row[i]])));
+    return { ...spec, body: Buffer.from(JSON.stringify(objects, null, 2)) };
+  }
+  if (format === 'csv') {
+    const sheet = XLSX.utils.aoa_to_sheet([columns, ...cells.map((row) => row.map(csvSafe))]);
+    // BOM so Excel opens UTF-8 text correctly
+    return { ...spec, body: Buffer.from(`\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`) };
+  }
+
+  const book = XLSX.utils.book_new();
+  // Sheet names are limited to 31 characters and may not contain []:*?/\
+  const name = sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Data';
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([columns, ...cells]), name);
+  return { ...spec, body: XLSX.write(book, { type: 'buffer', bookType: 'xlsx' }) };
+};
+
+// JSON keeps the chart's own labels/datasets; CSV and XLSX get one row per label (or point)
+const writeChart = (chart, format) => {
+  if (format === 'json') {
+    const body = JSON.stringify({ title: chart.title, type: chart.type || 'auto', ...chart.data }, null, 2);
+    return { ...EXPORT_FORMATS.json, body: Buffer.from(body) };
+  }
+  return writeTable(chartToTable(chart), format, { sheetName: chart.title });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toFilename,
+  chartToTable,
+  derivedRecipes,
+  materializeDerived,
+  writeTable,
+  writeChart,
+};
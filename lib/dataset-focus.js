@@ -0,0 +1,65 @@
+// lib/dataset-focus.js — narrow a stored dataset to the rows a follow-up question is about
+// e.g. "what was the total for the East region?" → rows where a text column equals "East".
+
+const { profileDataset } = require('./dataset-profile');
+
+// Columns with more distinct values than this are treated as free text, not categories
+const MAX_CATEGORY_VALUES = 1000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const mentions = (question, value) =>
+  new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(value)}($|[^\\p{L}\\p{N}])`, 'iu').test(question);
+
+const findMentionedValues = (rows, profile, question) => {
+  const filters = [];
+
+  profile.columns.forEach((column) => {
+    const stats = profile.statisticalSummary[column];
+    if (stats.type !== 'text' || stats.distinctCount > MAX_CATEGORY_VALUES) return;
+
+    const distinct = new Set();
+    rows.forEach((row) => {
+      const value = row[column];
+      if (value !== null && value !== undefined && value !== '') distinct.add(String(value));
+    });
+
+    const matched = [...distinct].filter(
+      (value) => value.trim().length > 1 && mentions(question, value.trim())
+    );
+    if (matched.length > 0) filters.push({ column, values: matched });
+  });
+
+  return filters;
+};
+
+// Rows matching every { column, values } filter
+const applyFocusFilters = (rows, filters) =>
+  rows.filter((row) => filters.every(({ column, values }) => values.includes(String(row[column]))));
+
+// Returns null when the question does not single out any category values
+const focusOnQuestion = (rows, profile, question) => {
+  if (!Array.isArray(rows) || !profile || !question) return null;
+
+  const filters = findMentionedValues(rows, profile, question);
+  if (filters.length === 0) return null;
+
+  const matchingRows = applyFocusFilters(rows, filters);
+
+  return {
+    filters,
+    rows: matchingRows,
+    profile: profileDataset(matchingRows, profile.typeInfo),
+  };
+};
+
+const describeFilters = (filters) =>
+  filters
+    .map(({ column, values }) => `${column} = ${values.map((v) => `"${v}"`).join(' or ')}`)
+    .join(' AND ');
+
+module.exports = {
+  focusOnQuestion,
+  applyFocusFilters,
+  describeFilters,
+};
@@ -0,0 +1,177 @@
+// lib/dataset-profile.js — exact dataset statistics computed server-side
+// Reuses the browser FileAnalyzer so the client preview and the AI prompt agree on the numbers.
+
+const FileAnalyzer = require('../assets/src/file-analyzer');
+
+const analyzer = new FileAnalyzer();
+
+// How many numeric columns get their own cards in the Key Metrics section
+const MAX_METRIC_COLUMNS = 2;
+
+const formatNumber = (value) => {
+  if (typeof value !== 'number' || !isFinite(value)) return 'N/A';
+  const digits = Number.isInteger(value) ? 0 : 2;
+  return value.toLocaleString('en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+};
+
+const isTabular = (rows) =>
+  Array.isArray(rows) && rows.length > 0 && typeof rows[0] === 'object' && rows[0] !== null;
+
+// `types` (from typeDataset) keeps semantic types such as currency once values are plain numbers
+const profileDataset = (rows, types = null) => {
+  // Rows must be plain objects for per-column statistics
+  if (!isTabular(rows)) return null;
+  return analyzer.analyzeDataStructure(rows, types);
+};
+
+// Infers column types (honouring user overrides) and converts the values:
+// "€1.234,50" → 1234.5, "31/12/2023" → "2023-12-31". Returns { rows, types }.
+const typeDataset = (rows, columnTypes = null) => {
+  if (!isTabular(rows)) return { rows, types: null };
+  return analyzer.typeInferrer.applyTypes(rows, columnTypes || {});
+};
+
+// Throws on unknown type names so bad overrides are rejected before any parsing
+const validateColumnTypes = (columnTypes) => {
+  Object.values(columnTypes).forEach((spec) => analyzer.typeInferrer.parseOverride(spec));
+  return columnTypes;
+};
+
+const getColumnsByType = (profile, type) =>
+  profile.columns.filter((column) => profile.columnTypes[column] === type);
+
+// Growth of a measure between the earliest and latest dated rows
+const calculateGrowth = (rows, dateColumn, valueColumn) => {
+  const points = rows
+    .map((row) => ({
+      time: new Date(row[dateColumn]).getTime(),
+      value: parseFloat(row[valueColumn]),
+    }))
+    .filter((p) => !isNaN(p.time) && !isNaN(p.value))
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length < 2 || points[0].value === 0) return null;
+  const first = points[0].value;
+  const last = points[points.length - 1].value;
+  return ((last - first) / Math.abs(first)) * 100;
+};
+
+const buildKeyMetrics = (profile, rows) => {
+  const metrics = [
+    { label: 'Total Records', value: formatNumber(profile.totalRows) },
+    { label: 'Columns', value: formatNumber(profile.columns.length) },
+  ];
+
+  const numericColumns = getColumnsByType(profile, 'numeric');
+  const dateColumns = getColumnsByType(profile, 'date');
+
+  numericColumns.slice(0, MAX_METRIC_COLUMNS).forEach((column) => {
+    const stats = profile.statisticalSummary[column];
+    metrics.push(
+      { label: `Total ${column}`, value: formatNumber(stats.sum) },
+      { label: `Average ${column}`, value: formatNumber(stats.mean) },
+      { label: `Max ${column}`, value: formatNumber(stats.max) },
+      { label: `Min ${column}`, value: formatNumber(stats.min) }
+    );
+  });
+
+  if (dateColumns.length > 0 && numericColumns.length > 0) {
+    const growth = calculateGrowth(rows, dateColumns[0], numericColumns[0]);
+    if (growth !== null) {
+      metrics.push({
+        label: `${numericColumns[0]} Growth`,
+        value: `${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%`,
+      });
+    }
+  }
+
+  if (profile.dataQuality.missingValues > 0) {
+    metrics.push({
+      label: 'Missing Values',
+      value: formatNumber(profile.dataQuality.missingValues),
+    });
+  }
+
+  return metrics;
+};
+
+// One row count plus the leading measure per table, prefixed with the table name
+const buildMultiTableMetrics = (tables) =>
+  tables.flatMap(({ name, profile }) => {
+    const metrics = [{ label: `${name} Records`, value: formatNumber(profile.totalRows) }];
+    const [measure] = getColumnsByType(profile, 'numeric');
+    if (measure) {
+      const stats = profile.statisticalSummary[measure];
+      metrics.push(
+        { label: `${name} Total ${measure}`, value: formatNumber(stats.sum) },
+        { label: `${name} Average ${measure}`, value: formatNumber(stats.mean) }
+      );
+    }
+    return metrics;
+  });
+
+const describeType = (stats) => {
+  const details = [];
+  if (stats.semanticType && stats.semanticType !== stats.type) details.push(stats.semanticType);
+  if (stats.currency) details.push(stats.currency);
+  if (stats.dayFirst) details.push('day-first');
+  return details.length > 0 ? `${stats.type}: ${details.join(' ')}` : stats.type;
+};
+
+const describeColumn = (column, stats) => {
+  const base = `- ${column} (${describeType(stats)}): ${stats.count} values, ${stats.nullCount} nulls, ${stats.distinctCount} distinct`;
+
+  switch (stats.type) {
+    case 'numeric':
+      return `${base}, min ${formatNumber(stats.min)}, max ${formatNumber(stats.max)}, mean ${formatNumber(stats.mean)}, median ${formatNumber(stats.median)}, std dev ${formatNumber(stats.stdDev)}, sum ${formatNumber(stats.sum)}`;
+    case 'date':
+      return `${base}, from ${stats.earliest} to ${stats.latest}`;
+    case 'text':
+      return `${base}, most common "${stats.mostCommon.value}" (${stats.mostCommon.percentage}), e.g. ${stats.sampleValues.map((v) => `"${v}"`).join(', ')}`;
+    default:
+      return base;
+  }
+};
+
+const formatProfileForPrompt = (profile) => {
+  const lines = [
+    `Rows: ${profile.totalRows}`,
+    `Columns: ${profile.columns.length}`,
+    `Missing values: ${profile.dataQuality.missingValues}`,
+    `Duplicate rows: ${profile.dataQuality.duplicateRows}`,
+    'Column statistics:',
+    ...profile.columns.map((column) =>
+      describeColumn(column, profile.statisticalSummary[column])
+    ),
+  ];
+  return lines.join('\n');
+};
+
+// Swap whatever the model wrote under "## Key Metrics" for the computed values
+const replaceKeyMetricsSection = (markdown, metrics) => {
+  const block = ['## Key Metrics', ...metrics.map((m) => `${m.label}: ${m.value}`)].join('\n');
+  const sectionPattern = /^##\s*Key Metrics[^\n]*\n[\s\S]*?(?=^#{1,2}\s|^```|(?![\s\S]))/m;
+
+  if (sectionPattern.test(markdown)) {
+    return markdown.replace(sectionPattern, `${block}\n\n`);
+  }
+
+  // No metrics section from the model: insert one before the first "##" heading
+  const firstSection = markdown.search(/^##\s/m);
+  if (firstSection === -1) return `${markdown}\n\n${block}`;
+  return `${markdown.slice(0, firstSection)}${block}\n\n${markdown.slice(firstSection)}`;
+};
+
+module.exports = {
+  profileDataset,
+  typeDataset,
+  validateColumnTypes,
+  buildKeyMetrics,
+  buildMultiTableMetrics,
+  formatProfileForPrompt,
+  replaceKeyMetricsSection,
+  formatNumber,
+};
@@ -0,0 +1,62 @@
+// lib/dataset-selection.js — columns and rows the user deselected in the client data preview
+// Row indices are positions in the parsed file, so exclusions apply before any typing or joins.
+
+const parseList = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  if (parsed === null || typeof parsed !== 'object') {
+    throw new Error(`${field} must be a JSON array or object`);
+  }
+  return parsed;
+};
+
+const toIndexSet = (indices, field) => {
+  if (!Array.isArray(indices) || !indices.every((i) => Number.isInteger(i) && i >= 0)) {
+    throw new Error(`${field} must list non-negative row indices`);
+  }
+  return new Set(indices);
+};
+
+// excludedColumns: ["Notes"]; excludedRows: [3, 7] for a single table,
+// or { "Sheet1": [3, 7] } for workbooks. Both may be JSON strings (multipart forms).
+const parseExclusions = ({ excludedColumns, excludedRows } = {}) => {
+  const columns = parseList(excludedColumns, 'excludedColumns') || [];
+  if (!Array.isArray(columns) || !columns.every((c) => typeof c === 'string')) {
+    throw new Error('excludedColumns must be an array of column names');
+  }
+
+  const rows = parseList(excludedRows, 'excludedRows');
+  let rowsByTable = null;
+  if (Array.isArray(rows)) {
+    rowsByTable = { '': toIndexSet(rows, 'excludedRows') };
+  } else if (rows) {
+    rowsByTable = Object.fromEntries(
+      Object.entries(rows).map(([table, indices]) => [table, toIndexSet(indices, `excludedRows.${table}`)])
+    );
+  }
+
+  return { columns: new Set(columns), rowsByTable };
+};
+
+const isEmpty = (exclusions) =>
+  !exclusions || (exclusions.columns.size === 0 && !exclusions.rowsByTable);
+
+// `table` is the sheet name for workbooks; single tables use the array form of excludedRows
+const applyExclusions = (rows, exclusions, table = '') => {
+  if (isEmpty(exclusions) || !Array.isArray(rows)) return rows;
+
+  const excludedRows = exclusions.rowsByTable?.[table];
+  const kept = excludedRows ? rows.filter((_, index) => !excludedRows.has(index)) : rows;
+  if (exclusions.columns.size === 0) return kept;
+
+  return kept.map((row) =>
+    row && typeof row === 'object'
+      ? Object.fromEntries(Object.entries(row).filter(([column]) => !exclusions.columns.has(column)))
+      : row
+  );
+};
+
+module.exports = {
+  parseExclusions,
+  applyExclusions,
+};
@@ -0,0 +1,178 @@
+// lib/dataset-store.js — parsed datasets kept per conversation for follow-up questions
+// In-memory with per-dataset row limits, a total size budget and idle TTL.
+
+const crypto = require('crypto');
+const { profileDataset, typeDataset } = require('./dataset-profile');
+
+// Bytes are estimated from a JSON sample rather than serialising every row
+const SIZE_SAMPLE_ROWS = 100;
+
+const estimateBytes = (rows) => {
+  if (rows.length === 0) return 0;
+  const sample = rows.slice(0, SIZE_SAMPLE_ROWS);
+  const sampleBytes = Buffer.byteLength(JSON.stringify(sample));
+  return Math.round((sampleBytes / sample.length) * rows.length);
+};
+
+class DatasetStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 50;
+    this.maxRows = options.maxRows || 500000;
+    this.maxBytes = options.maxBytes || 200 * 1024 * 1024;
+    this.ttlMs = options.ttlMs || 2 * 60 * 60 * 1000;
+    this.maxDerived = options.maxDerived || 50;
+    this.entries = new Map();
+  }
+
+  // Either a single table ({ rows, name }) or several ({ tables: [{ name, rows }], name }).
+  // The first table is the primary one exposed as entry.rows / entry.profile.
+  // Rows are stored typed; `columnTypes` overrides the inferred type of a column in every table.
+  // `owner` is the id of the user whose conversation the dataset belongs to.
+  set(conversationId, { rows, tables, name = 'dataset', columnTypes = null, owner = null }) {
+    const candidates = (tables || [{ name, rows }])
+      .filter((table) => Array.isArray(table.rows) && table.rows.length > 0);
+    if (!conversationId || candidates.length === 0) return null;
+
+    const storedTables = candidates.map((table) => {
+      const truncated = table.rows.length > this.maxRows;
+      const typed = typeDataset(truncated ? table.rows.slice(0, this.maxRows) : table.rows, columnTypes);
+      const storedRows = typed.rows;
+      return {
+        name: table.name,
+        rows: storedRows,
+        profile: profileDataset(storedRows, typed.types),
+        originalRowCount: table.rows.length,
+        truncated,
+        bytes: estimateBytes(storedRows),
+      };
+    });
+    const bytes = storedTables.reduce((sum, table) => sum + table.bytes, 0);
+
+    if (bytes > this.maxBytes) {
+      console.warn(`Dataset "${name}" (${bytes} bytes) exceeds the store budget, not keeping it`);
+      return null;
+    }
+
+    const [primary] = storedTables;
+    const now = Date.now();
+    const entry = {
+      name,
+      owner,
+      rows: primary.rows,
+      profile: primary.profile,
+      tables: storedTables,
+      originalRowCount: primary.originalRowCount,
+      truncated: storedTables.some((table) => table.truncated),
+      bytes,
+      // Tables derived from it by tool calls or follow-up filters, recomputed on download
+      derived: [],
+      // View filters (lib/view-filters.js) later questions of the conversation are limited to
+      filters: [],
+      // Personal data policy (lib/data-safety.js) of the conversation's last analysis
+      pii: null,
+      createdAt: now,
+      lastAccessed: now,
+    };
+
+    this.entries.delete(conversationId);
+    this.entries.set(conversationId, entry);
+    this.prune();
+
+    return entry;
+  }
+
+  get(conversationId) {
+    const entry = this.entries.get(conversationId);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(conversationId);
+      return null;
+    }
+
+    // Re-insert so Map order stays least-recently-used first
+    entry.lastAccessed = Date.now();
+    this.entries.delete(conversationId);
+    this.entries.set(conversationId, entry);
+    return entry;
+  }
+
+  // recipes: [{ name, source: 'tool' | 'focus', ... }]. Returns them with ids; the oldest are
+  // forgotten beyond maxDerived so long conversations do not grow without bound.
+  addDerived(conversationId, recipes) {
+    const entry = this.get(conversationId);
+    if (!entry || recipes.length === 0) return [];
+    const stored = recipes.map((recipe) => ({ id: crypto.randomUUID().slice(0, 8), ...recipe }));
+    entry.derived = [...entry.derived, ...stored].slice(-this.maxDerived);
+    return stored;
+  }
+
+  // Replaces the view filters; false when the dataset is gone
+  setFilters(conversationId, filters) {
+    const entry = this.get(conversationId);
+    if (!entry) return false;
+    entry.filters = filters;
+    return true;
+  }
+
+  // Records how personal data is treated, so routes outside the analysis see the same data
+  setPiiPolicy(conversationId, policy) {
+    const entry = this.get(conversationId);
+    if (!entry) return false;
+    entry.pii = policy;
+    return true;
+  }
+
+  getDerived(conversationId, id) {
+    return this.get(conversationId)?.derived.find((recipe) => recipe.id === id) || null;
+  }
+
+  has(conversationId) {
+    return this.get(conversationId) !== null;
+  }
+
+  delete(conversationId) {
+    return this.entries.delete(conversationId);
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.lastAccessed > this.ttlMs;
+  }
+
+  totalBytes() {
+    let total = 0;
+    this.entries.forEach((entry) => {
+      total += entry.bytes;
+    });
+    return total;
+  }
+
+  prune() {
+    let removed = 0;
+
+    this.entries.forEach((entry, id) => {
+      if (this.isExpired(entry)) {
+        this.entries.delete(id);
+        removed++;
+      }
+    });
+
+    // Evict least recently used until we are back within budget
+    while (
+      this.entries.size > 0 &&
+      (this.entries.size > this.maxEntries || this.totalBytes() > this.maxBytes)
+    ) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      removed++;
+    }
+
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = DatasetStore;
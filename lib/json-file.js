@@ -0,0 +1,68 @@
+// lib/json-file.js — a JSON document on disk, saved shortly after each change
+// Writes go to a temp file that is then renamed, so a crash never leaves half a file, and run
+// one after another. Used by the file-backed stores (conversations, users, reports).
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY_MS = 1000;
+
+class JsonFile {
+  // serialize() returns the document to write; it is called when a save actually runs
+  constructor(filePath, serialize, { saveDelayMs = SAVE_DELAY_MS } = {}) {
+    this.filePath = filePath;
+    this.serialize = serialize;
+    this.saveDelayMs = saveDelayMs;
+    this.saveTimer = null;
+    this.saving = null;
+  }
+
+  // The stored document, or null when there is none. An unreadable file is moved aside for
+  // inspection rather than overwritten by the next save.
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      const backup = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`${this.filePath} is unreadable (${err.message}), moved to ${backup}`);
+      fs.renameSync(this.filePath, backup);
+      return null;
+    }
+  }
+
+  // Debounced: many changes in quick succession produce one write
+  changed() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((err) => console.error(`Could not save ${this.filePath}:`, err.message));
+    }, this.saveDelayMs);
+    // A pending save must not keep the process alive on its own
+    this.saveTimer.unref?.();
+  }
+
+  save() {
+    this.saving = (this.saving || Promise.resolve()).catch(() => {}).then(() => this.write());
+    return this.saving;
+  }
+
+  // Writes any pending change; call before the process exits
+  async close() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    }
+    await this.saving;
+  }
+
+  async write() {
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify(this.serialize()));
+    await fs.promises.rename(temporary, this.filePath);
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,129 @@
+// lib/json-repair.js — lenient parsing for JSON written by language models
+// Repairs the usual slips before giving up: comments, trailing commas, single or curly quotes,
+// unquoted keys, Python literals, NaN/undefined, raw newlines in strings and brackets left
+// open by an answer that was cut off.
+
+const CLOSING_QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+const LITERALS = {
+  true: 'true',
+  false: 'false',
+  null: 'null',
+  True: 'true',
+  False: 'false',
+  None: 'null',
+  NaN: 'null',
+  undefined: 'null',
+  Infinity: 'null',
+};
+
+// First character after `from` that is not whitespace or part of a comment
+const nextSignificant = (text, from) => {
+  let i = from;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return text[i];
+};
+
+const repairJson = (text) => {
+  let out = '';
+  let quote = null;
+  const closers = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (quote) {
+      if (ch === '\\') {
+        // \' is only an escape in single-quoted strings; JSON wants the bare quote
+        out += text[i + 1] === "'" ? "'" : ch + (text[i + 1] ?? '');
+        i += 2;
+        continue;
+      }
+      if (ch === quote) {
+        out += '"';
+        quote = null;
+      } else if (ch === '"') {
+        // A double quote inside a single-quoted string
+        out += '\\"';
+      } else if (ch === '\n') {
+        out += '\\n';
+      } else if (ch !== '\r') {
+        out += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (CLOSING_QUOTES[ch]) {
+      quote = CLOSING_QUOTES[ch];
+      out += '"';
+      i++;
+      continue;
+    }
+
+    if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+
+    if (ch === ',' && ['}', ']', undefined].includes(nextSignificant(text, i + 1))) {
+      i++;
+      continue;
+    }
+
+    if (ch === '{' || ch === '[') closers.push(ch === '{' ? '}' : ']');
+    if (ch === '}' || ch === ']') closers.pop();
+
+    // Letters straight after a digit belong to the number (1e5)
+    if (/[A-Za-z_$]/.test(ch) && !/[\d.]/.test(text[i - 1] || '')) {
+      let word = '';
+      while (i < text.length && /[\w$]/.test(text[i])) word += text[i++];
+      if (word === 'Infinity' && out.endsWith('-')) out = out.slice(0, -1);
+      // Unknown bare words are unquoted keys (or strings)
+      out += LITERALS[word] ?? JSON.stringify(word);
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  if (quote) out += '"';
+  out = out.replace(/[\s,:]+$/, '');
+  return out + closers.reverse().join('');
+};
+
+// Returns { value, repaired }; throws the original JSON.parse error when repair does not help
+const parseLenientJson = (text) => {
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch (err) {
+    try {
+      return { value: JSON.parse(repairJson(text)), repaired: true };
+    } catch {
+      throw err;
+    }
+  }
+};
+
+module.exports = {
+  repairJson,
+  parseLenientJson,
+};
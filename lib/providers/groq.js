@@ -0,0 +1,14 @@
+// lib/providers/groq.js — hosted Groq models (the original default)
+
+const createOpenAICompatibleProvider = require('./openai-compatible');
+
+const createGroqProvider = (options = {}) =>
+  createOpenAICompatibleProvider({
+    name: 'groq',
+    baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+    apiKey: process.env.GROQ_API_KEY,
+    model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+    ...options,
+  });
+
+module.exports = createGroqProvider;
@@ -0,0 +1,53 @@
+// lib/providers/index.js — LLM provider registry
+// The default comes from LLM_PROVIDER; requests may pick another by name.
+
+const createGroqProvider = require('./groq');
+const createOpenAIProvider = require('./openai');
+const createOllamaProvider = require('./ollama');
+const createMockProvider = require('./mock');
+
+const factories = {
+  groq: createGroqProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+const defaultProviderName = () => (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+
+const sharedSettings = () => {
+  const settings = {};
+  const temperature = parseFloat(process.env.LLM_TEMPERATURE);
+  const maxTokens = parseInt(process.env.LLM_MAX_TOKENS, 10);
+  if (!isNaN(temperature)) settings.temperature = temperature;
+  if (!isNaN(maxTokens)) settings.maxTokens = maxTokens;
+  return settings;
+};
+
+const isKnownProvider = (name) => Object.prototype.hasOwnProperty.call(factories, name);
+
+const listProviders = () => Object.keys(factories);
+
+// `name` and `model` are optional per-request overrides
+const getProvider = (name = null, { model = null } = {}) => {
+  const providerName = (name || defaultProviderName()).toLowerCase();
+  if (!isKnownProvider(providerName)) {
+    throw new Error(`Unknown LLM provider "${providerName}". Available: ${listProviders().join(', ')}`);
+  }
+
+  const options = sharedSettings();
+  // LLM_MODEL configures the default provider only
+  if (providerName === defaultProviderName() && process.env.LLM_MODEL) {
+    options.model = process.env.LLM_MODEL;
+  }
+  if (model) options.model = model;
+
+  return factories[providerName](options);
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  isKnownProvider,
+  defaultProviderName,
+};
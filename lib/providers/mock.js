@@ -0,0 +1,175 @@
+// lib/providers/mock.js — deterministic offline provider for tests and demos
+// Reads the DATASET PROFILE from the prompt, makes one group_by tool call when tools are
+// offered (after a set_view_filters call for questions like "only rows where Region is North"),
+// and answers in the structured markdown + chart JSON format. No network, no randomness.
+// Streaming replays the same answer word by word.
+
+const COLUMN_LINE = /^- (.+) \((numeric|date|text|unknown)(?:: [^)]*)?\): /;
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const lastUserContent = (messages) => {
+  const user = [...messages].reverse().find((msg) => msg.role === 'user');
+  return user ? String(user.content) : '';
+};
+
+const readProfile = (content) => {
+  const rows = content.match(/^Rows: (\d+)/m);
+  const columns = content
+    .split('\n')
+    .map((line) => line.match(COLUMN_LINE))
+    .filter(Boolean)
+    .map(([, name, type]) => ({ name, type }));
+  return { rowCount: rows ? parseInt(rows[1], 10) : null, columns };
+};
+
+const readQuestion = (content) => {
+  const match = content.match(/^Question: (.*)$/m);
+  return match ? match[1] : 'the data';
+};
+
+const lastToolResult = (messages) => {
+  const tool = [...messages].reverse().find((msg) => msg.role === 'tool');
+  if (!tool) return null;
+  try {
+    return JSON.parse(tool.content);
+  } catch {
+    return null;
+  }
+};
+
+// "only show rows where Region is North"
+const VIEW_FILTER_REQUEST = /\bonly\b.*\bwhere\s+(.+?)\s+(?:is|=)\s+"?([^"]+?)"?[.?!]?$/i;
+
+const calledTools = (messages) =>
+  messages.flatMap((msg) => msg.tool_calls || []).map((call) => call.function.name);
+
+const buildViewFilterCall = (column, value) => ({
+  id: 'mock_call_0',
+  type: 'function',
+  function: {
+    name: 'set_view_filters',
+    arguments: JSON.stringify({ filters: [{ column, op: 'eq', value }] }),
+  },
+});
+
+const buildToolCall = (groupColumn, measureColumn) => ({
+  id: 'mock_call_1',
+  type: 'function',
+  function: {
+    name: 'group_by',
+    arguments: JSON.stringify({
+      group_by: [groupColumn],
+      metrics: [{ column: measureColumn, operation: 'sum' }],
+      limit: 10,
+    }),
+  },
+});
+
+const buildAnswer = (question, profile, groups, measureColumn) => {
+  const lines = [
+    '# Overview',
+    `Deterministic mock analysis for "${question}" over ${profile.rowCount ?? 'the provided'} rows and ${profile.columns.length} columns.`,
+    '',
+    '## Key Metrics',
+    `Total Records: ${profile.rowCount ?? 'N/A'}`,
+    `Columns: ${profile.columns.length}`,
+    '',
+    '## Key Insights',
+  ];
+
+  const chartRows = groups?.rows || [];
+  const groupColumn = chartRows.length > 0 ? Object.keys(chartRows[0])[0] : null;
+  const valueKey = measureColumn ? `sum_${measureColumn}` : null;
+
+  if (chartRows.length > 0) {
+    const top = chartRows[0];
+    lines.push(`- ${top[groupColumn]} has the highest total ${measureColumn} (${top[valueKey]}).`);
+    lines.push(`- ${chartRows.length} distinct ${groupColumn} values were compared.`);
+  } else {
+    lines.push('- No grouped figures were computed for this request.');
+  }
+
+  lines.push(
+    '',
+    '## Recommendations',
+    '1. Replace the mock provider with a real model for production analysis.',
+    '',
+    '## Key Finding',
+    chartRows.length > 0
+      ? `${chartRows[0][groupColumn]} leads on ${measureColumn}.`
+      : 'The mock provider only summarises the dataset profile.'
+  );
+
+  if (chartRows.length > 0) {
+    const data = {
+      labels: chartRows.map((row) => String(row[groupColumn])),
+      datasets: [{
+        label: `Total ${measureColumn}`,
+        data: chartRows.map((row) => row[valueKey]),
+      }],
+    };
+    const charts = [{ title: `${measureColumn} by ${groupColumn}`, type: 'bar', data }];
+    // A second view when the groups make sense as shares of a whole
+    if (chartRows.length <= 8 && chartRows.every((row) => row[valueKey] >= 0)) {
+      charts.push({ title: `Share of ${measureColumn} by ${groupColumn}`, type: 'pie', data });
+    }
+    lines.push('', '```json', JSON.stringify({ charts }, null, 2), '```');
+  }
+
+  return lines.join('\n');
+};
+
+const createMockProvider = (options = {}) => {
+  const name = 'mock';
+  const model = options.model || 'mock-analyst';
+
+  const complete = async ({ messages, tools = null, toolChoice = 'auto' }) => {
+    const content = lastUserContent(messages);
+    const profile = readProfile(content);
+    const groupColumn = profile.columns.find((c) => c.type === 'text')?.name;
+    const measureColumn = profile.columns.find((c) => c.type === 'numeric')?.name;
+    const called = calledTools(messages);
+    const groups = called.includes('group_by') ? lastToolResult(messages) : null;
+    const filterRequest = readQuestion(content).match(VIEW_FILTER_REQUEST);
+    const canFilter = tools?.some((tool) => tool.function.name === 'set_view_filters');
+
+    let message;
+    if (canFilter && toolChoice !== 'none' && called.length === 0 && filterRequest
+      && profile.columns.some((column) => column.name === filterRequest[1])) {
+      message = { role: 'assistant', content: null, tool_calls: [buildViewFilterCall(filterRequest[1], filterRequest[2])] };
+    } else if (tools && toolChoice !== 'none' && !groups && groupColumn && measureColumn) {
+      message = { role: 'assistant', content: null, tool_calls: [buildToolCall(groupColumn, measureColumn)] };
+    } else {
+      message = {
+        role: 'assistant',
+        content: buildAnswer(readQuestion(content), profile, groups, measureColumn),
+      };
+    }
+
+    const promptTokens = messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    const completionTokens = estimateTokens(message.content || JSON.stringify(message.tool_calls));
+
+    return {
+      message,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  };
+
+  // Replays the deterministic answer word by word
+  const stream = async ({ onToken = () => {}, ...request }) => {
+    const result = await complete(request);
+    if (result.message.content) {
+      result.message.content.split(/(?<=\s)/).forEach((word) => onToken(word));
+    }
+    return result;
+  };
+
+  return { name, model, complete, stream };
+};
+
+module.exports = createMockProvider;
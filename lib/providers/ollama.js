@@ -0,0 +1,15 @@
+// lib/providers/ollama.js — local Ollama or llama.cpp server, for air-gapped use
+// Both expose the OpenAI-compatible API under /v1 and need no API key.
+
+const createOpenAICompatibleProvider = require('./openai-compatible');
+
+const createOllamaProvider = (options = {}) =>
+  createOpenAICompatibleProvider({
+    name: 'ollama',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OLLAMA_API_KEY || null,
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    ...options,
+  });
+
+module.exports = createOllamaProvider;
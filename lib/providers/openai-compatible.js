@@ -0,0 +1,123 @@
+// lib/providers/openai-compatible.js — any server speaking the OpenAI chat completions API
+// Groq, OpenAI, Ollama and llama.cpp's server all share this wire format.
+
+const createOpenAICompatibleProvider = ({
+  name = 'openai',
+  baseUrl,
+  apiKey = null,
+  model,
+  temperature = 0.7,
+  maxTokens = 4000,
+}) => {
+  if (!baseUrl) throw new Error(`Provider "${name}" needs a base URL`);
+  if (!model) throw new Error(`Provider "${name}" needs a model name`);
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const buildHeaders = () => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return headers;
+  };
+
+  const buildBody = ({ messages, tools, toolChoice }) => {
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    };
+    if (tools) {
+      body.tools = tools;
+      body.tool_choice = toolChoice;
+    }
+    return body;
+  };
+
+  const post = async (body, signal) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: buildHeaders(),
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errBody = await response.text();
+      console.error(`${name} API error:`, errBody);
+      throw new Error(`${name} HTTP ${response.status} – ${errBody}`);
+    }
+    return response;
+  };
+
+  const complete = async ({ messages, tools = null, toolChoice = 'auto', signal }) => {
+    const response = await post(buildBody({ messages, tools, toolChoice }), signal);
+    const result = await response.json();
+    return {
+      message: result.choices[0].message,
+      usage: result.usage || null,
+    };
+  };
+
+  // Same result as complete(), but content deltas are passed to onToken as they arrive
+  const stream = async ({ messages, tools = null, toolChoice = 'auto', onToken = () => {}, signal }) => {
+    const body = {
+      ...buildBody({ messages, tools, toolChoice }),
+      stream: true,
+      stream_options: { include_usage: true },
+    };
+    const response = await post(body, signal);
+
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    let usage = null;
+
+    const handleChunk = (chunk) => {
+      // Groq reports streamed usage under x_groq
+      usage = chunk.usage || chunk.x_groq?.usage || usage;
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) return;
+
+      if (delta.content) {
+        message.content += delta.content;
+        onToken(delta.content);
+      }
+
+      // Tool calls arrive in fragments keyed by index; arguments are concatenated
+      (delta.tool_calls || []).forEach((fragment) => {
+        const call = toolCalls[fragment.index] ||
+          (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.function.name += fragment.function.name;
+        if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+      });
+    };
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      lines.forEach((line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        try {
+          handleChunk(JSON.parse(payload));
+        } catch (err) {
+          console.warn(`${name} sent an unreadable stream chunk:`, payload);
+        }
+      });
+    }
+
+    if (toolCalls.length > 0) message.tool_calls = toolCalls.filter(Boolean);
+    return { message, usage };
+  };
+
+  return { name, model, complete, stream };
+};
+
+module.exports = createOpenAICompatibleProvider;
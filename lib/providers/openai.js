@@ -0,0 +1,14 @@
+// lib/providers/openai.js — OpenAI or any other hosted OpenAI-compatible endpoint
+
+const createOpenAICompatibleProvider = require('./openai-compatible');
+
+const createOpenAIProvider = (options = {}) =>
+  createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    ...options,
+  });
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,347 @@
+// lib/query-engine.js — small query engine the model drives through tool calls
+// Every tool runs in JS over the full stored dataset and returns a compact JSON result.
+
+// Keep tool results well inside the completion budget
+const MAX_RESULT_ROWS = 50;
+
+// Whole-string numbers only, so "2024-01-02" is not read as 2024
+const NUMERIC_PATTERN = /^[-+]?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (isEmpty(value)) return NaN;
+  const text = String(value).trim();
+  if (!/\d/.test(text) || !NUMERIC_PATTERN.test(text)) return NaN;
+  return Number(text.replace(/,/g, ''));
+};
+
+const compareValues = (a, b) => {
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+  return String(a ?? '').localeCompare(String(b ?? ''));
+};
+
+const matchesFilter = (row, { column, op = 'eq', value }) => {
+  const cell = row[column];
+
+  switch (op) {
+    case 'eq':
+      return String(cell ?? '').toLowerCase() === String(value ?? '').toLowerCase();
+    case 'neq':
+      return String(cell ?? '').toLowerCase() !== String(value ?? '').toLowerCase();
+    case 'gt':
+      return compareValues(cell, value) > 0;
+    case 'gte':
+      return compareValues(cell, value) >= 0;
+    case 'lt':
+      return compareValues(cell, value) < 0;
+    case 'lte':
+      return compareValues(cell, value) <= 0;
+    case 'contains':
+      return String(cell ?? '').toLowerCase().includes(String(value ?? '').toLowerCase());
+    case 'in':
+      return (Array.isArray(value) ? value : [value])
+        .some((v) => String(cell ?? '').toLowerCase() === String(v).toLowerCase());
+    case 'between':
+      return Array.isArray(value) &&
+        compareValues(cell, value[0]) >= 0 &&
+        compareValues(cell, value[1]) <= 0;
+    case 'is_null':
+      return isEmpty(cell);
+    case 'not_null':
+      return !isEmpty(cell);
+    default:
+      throw new Error(`Unsupported filter operator "${op}"`);
+  }
+};
+
+const applyFilters = (rows, filters = []) => {
+  if (!Array.isArray(filters) || filters.length === 0) return rows;
+  return rows.filter((row) => filters.every((filter) => matchesFilter(row, filter)));
+};
+
+const numericValues = (rows, column) =>
+  rows.map((row) => toNumber(row[column])).filter((v) => !isNaN(v));
+
+const percentileOf = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const aggregate = (rows, column, op) => {
+  if (op === 'count') {
+    return column ? rows.filter((row) => !isEmpty(row[column])).length : rows.length;
+  }
+  if (op === 'count_distinct') {
+    return new Set(rows.map((row) => row[column]).filter((v) => !isEmpty(v)).map(String)).size;
+  }
+
+  const values = numericValues(rows, column);
+  if (values.length === 0) return null;
+
+  switch (op) {
+    case 'sum':
+      return values.reduce((a, b) => a + b, 0);
+    case 'avg':
+    case 'mean':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'min':
+      return values.reduce((a, b) => (b < a ? b : a));
+    case 'max':
+      return values.reduce((a, b) => (b > a ? b : a));
+    case 'median':
+      return percentileOf([...values].sort((a, b) => a - b), 50);
+    default:
+      throw new Error(`Unsupported aggregate operation "${op}"`);
+  }
+};
+
+const requireColumn = (rows, column) => {
+  if (!column) throw new Error('A column is required');
+  if (rows.length > 0 && !(column in rows[0])) {
+    throw new Error(`Unknown column "${column}". Available: ${Object.keys(rows[0]).join(', ')}`);
+  }
+};
+
+// maxRows is lifted for exports, which want the whole result rather than what fits in a prompt
+const limitRows = (rows, limit, maxRows = MAX_RESULT_ROWS) => {
+  const capped = Math.min(Math.max(parseInt(limit, 10) || maxRows, 1), maxRows);
+  return {
+    rows: rows.slice(0, capped),
+    totalRows: rows.length,
+    truncated: rows.length > capped,
+  };
+};
+
+const pickColumns = (rows, columns) => {
+  if (!Array.isArray(columns) || columns.length === 0) return rows;
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((column) => [column, row[column]]))
+  );
+};
+
+// ==========================
+// Tool implementations
+// ==========================
+const tools = {
+  filter_rows: (rows, { filters, columns, limit }, { maxRows }) => {
+    const matched = applyFilters(rows, filters);
+    return limitRows(pickColumns(matched, columns), limit, maxRows);
+  },
+
+  aggregate: (rows, { column, operation, filters }) => {
+    if (operation !== 'count') requireColumn(rows, column);
+    const matched = applyFilters(rows, filters);
+    return {
+      column: column || null,
+      operation,
+      value: aggregate(matched, column, operation),
+      rowsConsidered: matched.length,
+    };
+  },
+
+  group_by: (rows, { group_by: groupBy, metrics = [], filters, sort_by: sortBy, order = 'desc', limit }, { maxRows }) => {
+    const keys = Array.isArray(groupBy) ? groupBy : [groupBy];
+    keys.forEach((key) => requireColumn(rows, key));
+    const measures = metrics.length > 0 ? metrics : [{ operation: 'count' }];
+
+    const groups = new Map();
+    applyFilters(rows, filters).forEach((row) => {
+      const groupKey = JSON.stringify(keys.map((key) => row[key] ?? null));
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      groups.get(groupKey).push(row);
+    });
+
+    const result = [...groups.entries()].map(([groupKey, groupRows]) => {
+      const values = JSON.parse(groupKey);
+      const entry = Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+      measures.forEach(({ column, operation }) => {
+        const name = column ? `${operation}_${column}` : operation;
+        entry[name] = aggregate(groupRows, column, operation);
+      });
+      return entry;
+    });
+
+    const sortColumn = sortBy || Object.keys(result[0] || {})[keys.length];
+    if (sortColumn) {
+      result.sort((a, b) => compareValues(a[sortColumn], b[sortColumn]) * (order === 'asc' ? 1 : -1));
+    }
+
+    return { groups: result.length, ...limitRows(result, limit, maxRows) };
+  },
+
+  sort_rows: (rows, { column, order = 'asc', filters, columns, limit }, { maxRows }) => {
+    requireColumn(rows, column);
+    const sorted = [...applyFilters(rows, filters)]
+      .sort((a, b) => compareValues(a[column], b[column]) * (order === 'desc' ? -1 : 1));
+    return limitRows(pickColumns(sorted, columns), limit, maxRows);
+  },
+
+  top_n: (rows, { column, n = 10, order = 'desc', filters, columns }, { maxRows }) => {
+    requireColumn(rows, column);
+    const ranked = applyFilters(rows, filters)
+      .filter((row) => !isNaN(toNumber(row[column])))
+      .sort((a, b) => (toNumber(a[column]) - toNumber(b[column])) * (order === 'asc' ? 1 : -1));
+    return limitRows(pickColumns(ranked, columns), n, maxRows);
+  },
+
+  distinct_values: (rows, { column, filters, limit }, { maxRows }) => {
+    requireColumn(rows, column);
+    const counts = new Map();
+    applyFilters(rows, filters).forEach((row) => {
+      const value = isEmpty(row[column]) ? null : String(row[column]);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    const values = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+    return { distinctCount: values.length, ...limitRows(values, limit, maxRows) };
+  },
+
+  percentile: (rows, { column, percentiles = [25, 50, 75], filters }) => {
+    requireColumn(rows, column);
+    const sorted = numericValues(applyFilters(rows, filters), column).sort((a, b) => a - b);
+    return {
+      column,
+      count: sorted.length,
+      percentiles: Object.fromEntries(
+        percentiles.map((p) => [`p${p}`, percentileOf(sorted, Math.min(Math.max(p, 0), 100))])
+      ),
+    };
+  },
+};
+
+// ==========================
+// Tool schemas (OpenAI function-calling format)
+// ==========================
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'between', 'is_null', 'not_null'];
+
+const filtersSchema = {
+  type: 'array',
+  description: 'Row filters, all must match',
+  items: {
+    type: 'object',
+    properties: {
+      column: { type: 'string' },
+      op: {
+        type: 'string',
+        enum: FILTER_OPERATORS,
+      },
+      value: { description: 'Comparison value; an array for "in" and "between"' },
+    },
+    required: ['column', 'op'],
+  },
+};
+
+const defineTool = (name, description, properties, required = []) => ({
+  type: 'function',
+  function: {
+    name,
+    description,
+    parameters: { type: 'object', properties, required },
+  },
+});
+
+const toolDefinitions = [
+  defineTool('filter_rows', 'Return rows matching the filters', {
+    filters: filtersSchema,
+    columns: { type: 'array', items: { type: 'string' }, description: 'Columns to return' },
+    limit: { type: 'integer', description: `Max rows (up to ${MAX_RESULT_ROWS})` },
+  }),
+  defineTool('aggregate', 'Compute one aggregate over a column', {
+    column: { type: 'string' },
+    operation: { type: 'string', enum: ['sum', 'avg', 'min', 'max', 'count', 'count_distinct', 'median'] },
+    filters: filtersSchema,
+  }, ['operation']),
+  defineTool('group_by', 'Group rows by columns and aggregate measures per group', {
+    group_by: { type: 'array', items: { type: 'string' } },
+    metrics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          column: { type: 'string' },
+          operation: { type: 'string', enum: ['sum', 'avg', 'min', 'max', 'count', 'count_distinct', 'median'] },
+        },
+        required: ['operation'],
+      },
+    },
+    filters: filtersSchema,
+    sort_by: { type: 'string', description: 'Result column to sort by, e.g. "sum_Sales"' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer' },
+  }, ['group_by']),
+  defineTool('sort_rows', 'Sort rows by a column', {
+    column: { type: 'string' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    filters: filtersSchema,
+    columns: { type: 'array', items: { type: 'string' } },
+    limit: { type: 'integer' },
+  }, ['column']),
+  defineTool('top_n', 'Rows with the highest (or lowest) values of a numeric column', {
+    column: { type: 'string' },
+    n: { type: 'integer' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    filters: filtersSchema,
+    columns: { type: 'array', items: { type: 'string' } },
+  }, ['column']),
+  defineTool('distinct_values', 'Distinct values of a column with their counts', {
+    column: { type: 'string' },
+    filters: filtersSchema,
+    limit: { type: 'integer' },
+  }, ['column']),
+  defineTool('percentile', 'Percentiles of a numeric column', {
+    column: { type: 'string' },
+    percentiles: { type: 'array', items: { type: 'number' }, description: 'Values between 0 and 100' },
+    filters: filtersSchema,
+  }, ['column']),
+];
+
+// Multi-table datasets (e.g. several Excel sheets) get a "table" argument on every tool
+const withTableParameter = (definitions, tableNames) =>
+  definitions.map((definition) => ({
+    ...definition,
+    function: {
+      ...definition.function,
+      parameters: {
+        ...definition.function.parameters,
+        properties: {
+          table: {
+            type: 'string',
+            enum: tableNames,
+            description: `Table to query (default "${tableNames[0]}")`,
+          },
+          ...definition.function.parameters.properties,
+        },
+      },
+    },
+  }));
+
+// options.maxRows overrides the MAX_RESULT_ROWS cap on row results (Infinity for the full table)
+const executeTool = (rows, name, args = {}, { maxRows = MAX_RESULT_ROWS } = {}) => {
+  const tool = tools[name];
+  if (!tool) return { error: `Unknown tool "${name}"` };
+  try {
+    return tool(rows, args || {}, { maxRows });
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+module.exports = {
+  toolDefinitions,
+  withTableParameter,
+  executeTool,
+  applyFilters,
+  filtersSchema,
+  FILTER_OPERATORS,
+  aggregate,
+  toNumber,
+  MAX_RESULT_ROWS,
+};
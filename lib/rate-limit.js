@@ -0,0 +1,52 @@
+// lib/rate-limit.js — request rate limits for the analysis and sign-in endpoints
+// Fixed windows kept in memory (rate-limiter-flexible), one limiter per client IP and one per API
+// key for analysis, and a stricter one per IP and username for sign-in that leaves the analysis
+// limits alone. A rejected request throws an error carrying status 429 and the seconds until it may retry.
+
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+
+const tooManyRequests = (message, retryAfterSeconds) => {
+  const err = new Error(message);
+  err.status = 429;
+  err.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return err;
+};
+
+// perIp / perKey: requests allowed per window; windowSeconds: the window length.
+// perSignIn: sign-in attempts allowed per IP and username every signInWindowSeconds.
+const createRateLimits = ({
+  perIp = 30,
+  perKey = 60,
+  windowSeconds = 60,
+  perSignIn = 5,
+  signInWindowSeconds = 15 * 60,
+} = {}) => {
+  const ipLimiter = new RateLimiterMemory({ keyPrefix: 'ip', points: perIp, duration: windowSeconds });
+  const keyLimiter = new RateLimiterMemory({ keyPrefix: 'key', points: perKey, duration: windowSeconds });
+  const signInLimiter = new RateLimiterMemory({ keyPrefix: 'sign-in', points: perSignIn, duration: signInWindowSeconds });
+  const signInId = (ip, username) => `${ip}:${String(username ?? '').trim().toLowerCase()}`;
+
+  // rate-limiter-flexible rejects with a RateLimiterRes when the window is used up
+  const consume = async (limiter, id, message) => {
+    try {
+      await limiter.consume(id);
+    } catch (rejection) {
+      if (rejection instanceof Error) throw rejection;
+      throw tooManyRequests(message, rejection.msBeforeNext / 1000);
+    }
+  };
+
+  return {
+    checkIp: (ip) => consume(ipLimiter, ip, 'Too many requests from this address; slow down'),
+    checkKey: (keyId) => consume(keyLimiter, keyId, 'Too many requests with this API key; slow down'),
+    checkSignIn: (ip, username) =>
+      consume(signInLimiter, signInId(ip, username), 'Too many sign-in attempts for this account; try again later'),
+    // A successful sign-in gives the attempts back
+    clearSignIn: (ip, username) => signInLimiter.delete(signInId(ip, username)),
+  };
+};
+
+module.exports = {
+  createRateLimits,
+  tooManyRequests,
+};
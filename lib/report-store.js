@@ -0,0 +1,91 @@
+// lib/report-store.js — reports saved by users, one JSON file each
+// Reports carry chart images, so each lives in its own file and only a small index
+// ({ id, owner, title, createdAt, charts, bytes }) is kept in memory. Every lookup is by owner:
+// another user's report id behaves exactly like an unknown one.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./json-file');
+
+class ReportStore {
+  constructor(options = {}) {
+    this.dirPath = options.dirPath || path.join(process.cwd(), 'data', 'reports');
+    this.maxPerUser = options.maxPerUser || 50;
+    // id → metadata, oldest first
+    this.index = new Map();
+    this.file = new JsonFile(path.join(this.dirPath, 'index.json'), () => ({ version: 1, reports: [...this.index.values()] }));
+    this.load();
+  }
+
+  // report: the output of normaliseReport. Returns its metadata; check isFull first.
+  async save(owner, report) {
+    const body = JSON.stringify(report);
+    const meta = {
+      id: crypto.randomUUID(),
+      owner,
+      title: report.title,
+      createdAt: new Date().toISOString(),
+      charts: report.charts.length,
+      bytes: Buffer.byteLength(body),
+    };
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+    await fs.promises.writeFile(this.reportPath(meta.id), body);
+    this.index.set(meta.id, meta);
+    this.file.changed();
+    return meta;
+  }
+
+  isFull(owner) {
+    return this.list(owner).length >= this.maxPerUser;
+  }
+
+  // Newest first
+  list(owner) {
+    return [...this.index.values()].filter((meta) => meta.owner === owner).reverse();
+  }
+
+  // { ...metadata, report } or null
+  async get(owner, id) {
+    const meta = this.find(owner, id);
+    if (!meta) return null;
+    try {
+      return { ...meta, report: JSON.parse(await fs.promises.readFile(this.reportPath(id), 'utf-8')) };
+    } catch (err) {
+      console.error(`Saved report ${id} is unreadable:`, err.message);
+      return null;
+    }
+  }
+
+  async delete(owner, id) {
+    if (!this.find(owner, id)) return false;
+    this.index.delete(id);
+    this.file.changed();
+    await fs.promises.rm(this.reportPath(id), { force: true });
+    return true;
+  }
+
+  close() {
+    return this.file.close();
+  }
+
+  // ---- Internals ----
+
+  find(owner, id) {
+    const meta = this.index.get(id);
+    return meta && meta.owner === owner ? meta : null;
+  }
+
+  // Ids are generated here, but they also arrive in URLs, so only UUIDs map to a path
+  reportPath(id) {
+    if (!/^[0-9a-f-]{36}$/.test(id)) throw new Error('Invalid report id');
+    return path.join(this.dirPath, `${id}.json`);
+  }
+
+  load() {
+    const stored = this.file.read();
+    (stored?.reports || []).filter((meta) => meta?.id && meta.owner).forEach((meta) => this.index.set(meta.id, meta));
+  }
+}
+
+module.exports = ReportStore;
@@ -0,0 +1,155 @@
+// lib/report.js — analysis reports rendered to PDF
+// The browser assembles the report (see assets/src/report.js) and saves it as HTML; the same
+// model is posted here and laid out with pdfkit, so no headless browser or external service is needed.
+
+const PDFDocument = require('pdfkit');
+const { formatProfileForPrompt } = require('./dataset-profile');
+const { toFilename } = require('./data-export');
+
+const MAX_CHARTS = 24;
+const MAX_MESSAGES = 200;
+const MAX_TEXT_LENGTH = 20000;
+const IMAGE_PATTERN = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/;
+
+const COLORS = { text: '#1e293b', muted: '#64748b', accent: '#10a37f', rule: '#e2e8f0' };
+
+const text = (value, max = MAX_TEXT_LENGTH) => String(value ?? '').slice(0, max);
+
+const isProfile = (profile) =>
+  !!profile && Array.isArray(profile.columns) && !!profile.statisticalSummary && !!profile.dataQuality;
+
+// Validates a posted report and returns it as plain JSON (images stay data URLs), the form kept
+// by the report store. Shape: { title, generatedAt, summary, charts: [{ title, image, note }], profile, conversation }
+const normaliseReport = (body) => {
+  if (!body || typeof body !== 'object') throw new Error('Report must be a JSON object');
+
+  const charts = body.charts ?? [];
+  const conversation = body.conversation ?? [];
+  if (!Array.isArray(charts)) throw new Error('charts must be an array');
+  if (!Array.isArray(conversation)) throw new Error('conversation must be an array');
+  if (charts.length > MAX_CHARTS) throw new Error(`A report can hold at most ${MAX_CHARTS} charts`);
+
+  return {
+    title: text(body.title || 'Data Analysis Report', 200),
+    generatedAt: isNaN(Date.parse(body.generatedAt)) ? new Date().toISOString() : text(body.generatedAt, 40),
+    summary: text(body.summary),
+    charts: charts.map((chart, index) => {
+      if (!IMAGE_PATTERN.test(chart?.image || '')) throw new Error(`Chart ${index + 1} must be a PNG or JPEG data URL`);
+      return { title: text(chart.title || 'Chart', 200), note: text(chart.note, 500), image: chart.image };
+    }),
+    profile: isProfile(body.profile) ? body.profile : null,
+    conversation: conversation.slice(-MAX_MESSAGES)
+      .filter((message) => message && (message.role === 'user' || message.role === 'assistant'))
+      .map((message) => ({ role: message.role, content: text(message.content), timestamp: text(message.timestamp, 40) })),
+  };
+};
+
+// The report ready for renderReportPdf. `profile` (computed server-side) takes precedence over the client's.
+const buildReport = (body, { profile = null } = {}) => {
+  const report = normaliseReport(body);
+  return {
+    ...report,
+    filename: toFilename(report.title, 'data-analysis-report'),
+    charts: report.charts.map((chart) => ({ ...chart, image: Buffer.from(IMAGE_PATTERN.exec(chart.image)[2], 'base64') })),
+    profile: isProfile(profile) ? profile : report.profile,
+  };
+};
+
+// Chart JSON is shown as images in the report, so fenced blocks are left out of the text
+const stripCodeBlocks = (markdown) => markdown.replace(/```[\s\S]*?(```|$)/g, '').trim();
+const stripInline = (line) => line.replace(/\*\*(.*?)\*\*/g, '$1').replace(/\*(.*?)\*/g, '$1').replace(/`([^`]+)`/g, '$1');
+
+const heading = (doc, label) => {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(15).fillColor(COLORS.accent).text(label);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+    .strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.5).font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+// Headings, bullets and paragraphs; everything else in markdown is reduced to plain text
+const writeMarkdown = (doc, markdown) => {
+  stripCodeBlocks(markdown).split('\n').forEach((raw) => {
+    const line = raw.trim();
+    if (!line) {
+      doc.moveDown(0.3);
+      return;
+    }
+    const title = /^(#{1,4})\s+(.*)$/.exec(line);
+    const bullet = /^(?:[-*•]|\d+[.)])\s+(.*)$/.exec(line);
+    if (title) {
+      doc.moveDown(0.3).font('Helvetica-Bold').fontSize(title[1].length <= 2 ? 12 : 11)
+        .text(stripInline(title[2])).font('Helvetica').fontSize(10);
+    } else if (bullet) {
+      doc.text(`•  ${stripInline(bullet[1])}`, { indent: 10 });
+    } else {
+      doc.text(stripInline(line));
+    }
+  });
+};
+
+const writeCharts = (doc, charts) => {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  charts.forEach((chart) => {
+    // Keep each title on the same page as its image
+    if (doc.y + 300 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(chart.title);
+    if (chart.note) doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(chart.note);
+    try {
+      doc.image(chart.image, { fit: [width, 260], align: 'center' });
+    } catch (err) {
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(`(image could not be embedded: ${err.message})`);
+    }
+    doc.moveDown(0.5);
+  });
+};
+
+const writeConversation = (doc, conversation) => {
+  conversation.forEach((message) => {
+    const speaker = message.role === 'user' ? 'Question' : 'Answer';
+    const when = message.timestamp ? `  ·  ${new Date(message.timestamp).toLocaleString('en-US')}` : '';
+    doc.moveDown(0.4).font('Helvetica-Bold').fontSize(10)
+      .fillColor(message.role === 'user' ? COLORS.accent : COLORS.text).text(`${speaker}${when}`);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+    writeMarkdown(doc, message.content);
+  });
+};
+
+// Returns a finished PDFDocument stream; pipe it to the response
+const renderReportPdf = (report) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: report.title, Creator: 'Data Examiner' } });
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.text).text(report.title);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`Generated ${new Date(report.generatedAt).toLocaleString('en-US')}`);
+
+  if (report.summary) {
+    heading(doc, 'Summary');
+    writeMarkdown(doc, report.summary);
+  }
+  if (report.charts.length > 0) {
+    heading(doc, 'Charts');
+    writeCharts(doc, report.charts);
+  }
+  if (report.profile) {
+    heading(doc, 'Data Profile');
+    try {
+      formatProfileForPrompt(report.profile).split('\n').forEach((line) => doc.text(line));
+    } catch (err) {
+      doc.fillColor(COLORS.muted).text(`(profile could not be rendered: ${err.message})`).fillColor(COLORS.text);
+    }
+  }
+  if (report.conversation.length > 0) {
+    heading(doc, 'Conversation');
+    writeConversation(doc, report.conversation);
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  normaliseReport,
+  buildReport,
+  renderReportPdf,
+};
@@ -0,0 +1,107 @@
+// lib/share-store.js — read-only snapshots of conversations, reachable by an unguessable token
+// A snapshot is frozen when it is shared: later messages do not appear, and deleting the
+// conversation leaves it in place. Like saved reports each lives in its own file with a small
+// in-memory index ({ token, owner, conversationId, title, createdAt, expiresAt, includesRows,
+// bytes }). Expired shares read as missing and are removed by prune().
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./json-file');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+class ShareStore {
+  constructor(options = {}) {
+    this.dirPath = options.dirPath || path.join(process.cwd(), 'data', 'shares');
+    this.maxPerUser = options.maxPerUser || 100;
+    // token → metadata, oldest first
+    this.index = new Map();
+    this.file = new JsonFile(path.join(this.dirPath, 'index.json'), () => ({ version: 1, shares: [...this.index.values()] }));
+    this.load();
+  }
+
+  // snapshot: { title, messages, profile, rows }. expiresAt: ISO date or null for no expiry.
+  async create(owner, conversationId, snapshot, { expiresAt = null } = {}) {
+    const body = JSON.stringify(snapshot);
+    const meta = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      owner,
+      conversationId,
+      title: snapshot.title,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      includesRows: Array.isArray(snapshot.rows),
+      bytes: Buffer.byteLength(body),
+    };
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+    await fs.promises.writeFile(this.sharePath(meta.token), body);
+    this.index.set(meta.token, meta);
+    this.file.changed();
+    return meta;
+  }
+
+  isFull(owner) {
+    return this.list(owner).length >= this.maxPerUser;
+  }
+
+  // Live shares of one owner, newest first
+  list(owner) {
+    return [...this.index.values()].filter((meta) => meta.owner === owner && !this.isExpired(meta)).reverse();
+  }
+
+  // { ...metadata, snapshot } for anyone holding the token, or null when unknown, revoked or expired
+  async get(token) {
+    const meta = this.index.get(token);
+    if (!meta || this.isExpired(meta)) return null;
+    try {
+      return { ...meta, snapshot: JSON.parse(await fs.promises.readFile(this.sharePath(token), 'utf-8')) };
+    } catch (err) {
+      console.error(`Shared conversation ${token} is unreadable:`, err.message);
+      return null;
+    }
+  }
+
+  async revoke(owner, token) {
+    const meta = this.index.get(token);
+    if (!meta || meta.owner !== owner) return false;
+    await this.remove(token);
+    return true;
+  }
+
+  // Deletes expired shares; returns how many went
+  async prune() {
+    const expired = [...this.index.values()].filter((meta) => this.isExpired(meta));
+    await Promise.all(expired.map((meta) => this.remove(meta.token)));
+    return expired.length;
+  }
+
+  close() {
+    return this.file.close();
+  }
+
+  // ---- Internals ----
+
+  async remove(token) {
+    this.index.delete(token);
+    this.file.changed();
+    await fs.promises.rm(this.sharePath(token), { force: true });
+  }
+
+  isExpired(meta) {
+    return !!meta.expiresAt && Date.parse(meta.expiresAt) <= Date.now();
+  }
+
+  // Tokens arrive in URLs, so only well-formed ones map to a path
+  sharePath(token) {
+    if (!TOKEN_PATTERN.test(token)) throw new Error('Invalid share token');
+    return path.join(this.dirPath, `${token}.json`);
+  }
+
+  load() {
+    const stored = this.file.read();
+    (stored?.shares || []).filter((meta) => meta?.token && meta.owner).forEach((meta) => this.index.set(meta.token, meta));
+  }
+}
+
+module.exports = ShareStore;
@@ -0,0 +1,78 @@
+// lib/usage.js — token counts and estimated cost of model calls
+// Providers report `usage` as { prompt_tokens, completion_tokens, total_tokens }; one answer can
+// take several calls (tool rounds, chart repair), so counts are summed into a tally. Prices are
+// USD per million tokens and only an estimate: LLM_PRICE_INPUT / LLM_PRICE_OUTPUT override the
+// table for every model.
+
+// `${provider}/${model}` → [input, output] per million tokens
+const PRICES = {
+  'groq/llama-3.3-70b-versatile': [0.59, 0.79],
+  'groq/llama-3.1-8b-instant': [0.05, 0.08],
+  'groq/llama3-70b-8192': [0.59, 0.79],
+  'groq/llama3-8b-8192': [0.05, 0.08],
+  'groq/mixtral-8x7b-32768': [0.24, 0.24],
+  'groq/gemma2-9b-it': [0.2, 0.2],
+  'openai/gpt-4o': [2.5, 10],
+  'openai/gpt-4o-mini': [0.15, 0.6],
+  'openai/gpt-4.1': [2, 8],
+  'openai/gpt-4.1-mini': [0.4, 1.6],
+};
+
+// Local models cost nothing per token
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 });
+
+// Adds one call's provider `usage` (which may be missing) to a tally from emptyUsage
+const addUsage = (total, usage) => {
+  if (!total) return;
+  total.calls += 1;
+  if (!usage) return;
+  total.promptTokens += usage.prompt_tokens || 0;
+  total.completionTokens += usage.completion_tokens || 0;
+  total.totalTokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+};
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+// [input, output] price for a model, or null when it is not known
+const priceOf = (provider, model) => {
+  const input = parseFloat(process.env.LLM_PRICE_INPUT);
+  const output = parseFloat(process.env.LLM_PRICE_OUTPUT);
+  if (!isNaN(input) && !isNaN(output)) return [input, output];
+  if (FREE_PROVIDERS.includes(provider)) return [0, 0];
+  return PRICES[`${provider}/${model}`] || null;
+};
+
+// The tally with the provider ({ name, model }) the calls went to and their estimated cost
+// (null when the price is unknown)
+const priceUsage = (usage, { name: provider, model }) => {
+  const price = priceOf(provider, model);
+  const estimatedCost = price
+    ? roundCost((usage.promptTokens * price[0] + usage.completionTokens * price[1]) / 1e6)
+    : null;
+  return { ...usage, provider, model, estimatedCost };
+};
+
+// Sums priced tallies (single requests or earlier sums); the cost stays null only if none of them
+// had a price
+const sumUsage = (tallies) => tallies.reduce((total, usage) => {
+  if (!usage) return total;
+  total.promptTokens += usage.promptTokens || 0;
+  total.completionTokens += usage.completionTokens || 0;
+  total.totalTokens += usage.totalTokens || 0;
+  total.calls += usage.calls || 0;
+  total.requests += usage.requests ?? 1;
+  if (usage.estimatedCost !== null && usage.estimatedCost !== undefined) {
+    total.estimatedCost = roundCost((total.estimatedCost || 0) + usage.estimatedCost);
+  }
+  return total;
+}, { ...emptyUsage(), requests: 0, estimatedCost: null });
+
+module.exports = {
+  PRICES,
+  emptyUsage,
+  addUsage,
+  priceUsage,
+  sumUsage,
+};
@@ -0,0 +1,114 @@
+// lib/user-store.js — local username/password accounts, persisted to a JSON file
+// Passwords are hashed with scrypt and a per-user salt; only the hash is stored. Usernames are
+// case-insensitive. A browser starts as a guest (see lib/auth.js) and registering keeps the
+// guest's id, so everything it created stays in the new account.
+
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const JsonFile = require('./json-file');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+const hashPassword = async (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return { salt, hash: hash.toString('hex') };
+};
+
+const passwordMatches = async (password, { salt, hash }) => {
+  const candidate = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+const normaliseUsername = (username) => String(username ?? '').trim().toLowerCase();
+
+// Throws with a message fit for the client when the credentials cannot be used for an account
+const validateCredentials = (username, password) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new Error('Username must be 3-32 characters of letters, digits, ".", "_" or "-"');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+  }
+};
+
+// The public view of an account
+const describeUser = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+class UserStore {
+  constructor(options = {}) {
+    // id → { id, username, salt, hash, createdAt }
+    this.users = new Map();
+    this.file = new JsonFile(
+      options.filePath || path.join(process.cwd(), 'data', 'users.json'),
+      () => ({ version: 1, users: [...this.users.values()] })
+    );
+    this.load();
+  }
+
+  // id: reuse the caller's guest id so its conversations and reports carry over
+  async register(username, password, { id = crypto.randomUUID() } = {}) {
+    const name = normaliseUsername(username);
+    validateCredentials(name, password);
+    this.assertAvailable(name, id);
+
+    const hashed = await hashPassword(password);
+    // Another registration may have taken the name (or the id) while hashing
+    this.assertAvailable(name, id);
+    const user = { id, username: name, ...hashed, createdAt: new Date().toISOString() };
+    this.users.set(id, user);
+    this.file.changed();
+    return describeUser(user);
+  }
+
+  // The account for these credentials, or null. Unknown usernames are hashed too, so both
+  // failures take the same time.
+  async authenticate(username, password) {
+    const user = this.findByUsername(normaliseUsername(username));
+    if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) return null;
+    if (!user) {
+      await hashPassword(password);
+      return null;
+    }
+    return (await passwordMatches(password, user)) ? describeUser(user) : null;
+  }
+
+  get(id) {
+    const user = this.users.get(id);
+    return user ? describeUser(user) : null;
+  }
+
+  findByUsername(username) {
+    return [...this.users.values()].find((user) => user.username === username) || null;
+  }
+
+  assertAvailable(username, id) {
+    if (this.findByUsername(username)) throw new Error('That username is taken');
+    if (this.users.has(id)) throw new Error('Already signed in to an account');
+  }
+
+  get size() {
+    return this.users.size;
+  }
+
+  close() {
+    return this.file.close();
+  }
+
+  load() {
+    const stored = this.file.read();
+    (stored?.users || [])
+      .filter((user) => user?.id && user.username && user.salt && user.hash)
+      .forEach((user) => this.users.set(user.id, user));
+  }
+}
+
+module.exports = UserStore;
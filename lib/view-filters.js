@@ -0,0 +1,149 @@
+// lib/view-filters.js — filters that narrow a conversation's dataset until they are removed
+// "Only show 2024 Q1 rows from the North region" makes the model call set_view_filters with
+// query-engine filters ({ column, op, value }); the list is stored with the dataset and every
+// later question, tool call and chart of the conversation works on the matching rows. The client
+// shows each filter as a removable chip and sends back the ones that remain.
+
+const { profileDataset } = require('./dataset-profile');
+const { applyFilters, filtersSchema, FILTER_OPERATORS } = require('./query-engine');
+
+const VIEW_FILTER_TOOL = 'set_view_filters';
+const MAX_VIEW_FILTERS = 20;
+const MAX_LIST_VALUES = 100;
+
+const VIEW_FILTERS_PROMPT = `
+When the user asks to restrict the data for the rest of the conversation ("only show...", "exclude...", "limit to...",
+"just 2024"), call ${VIEW_FILTER_TOOL} with the COMPLETE list of filters that should stay in effect (earlier ones
+included), or an empty list when they ask to see all the data again. Dates are ISO strings, so "2024 Q1" is
+{"op": "between", "value": ["2024-01-01", "2024-03-31T23:59:59"]}. Later tool calls see only the matching rows.
+Do not call it for one-off questions about a subset; pass filters to the other tools for those.`;
+
+const NO_VALUE_OPERATORS = ['is_null', 'not_null'];
+
+const OPERATOR_LABELS = {
+  eq: '=',
+  neq: '≠',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+};
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+// "Region = North", "Date between 2024-01-01 and 2024-03-31T23:59:59"; the table is named when there are several
+const describeViewFilter = ({ table, column, op, value }, { withTable = false } = {}) => {
+  const prefix = withTable && table ? `${table}: ` : '';
+  if (OPERATOR_LABELS[op]) return `${prefix}${column} ${OPERATOR_LABELS[op]} ${value}`;
+  switch (op) {
+    case 'contains':
+      return `${prefix}${column} contains "${value}"`;
+    case 'in':
+      return `${prefix}${column} is ${value.join(' or ')}`;
+    case 'between':
+      return `${prefix}${column} between ${value[0]} and ${value[1]}`;
+    case 'is_null':
+      return `${prefix}${column} is empty`;
+    default:
+      return `${prefix}${column} is not empty`;
+  }
+};
+
+const describeViewFilters = (filters) => filters.map((filter) => describeViewFilter(filter, { withTable: true })).join(' AND ');
+
+const columnsOf = (table) => table.profile?.columns || Object.keys(table.rows[0] || {});
+
+// Validates filters from the model or the client against `tables` ([{ name, rows, profile }],
+// the first is the default). `lockedColumns` (personal data that was masked or hashed) cannot be
+// filtered on. Throws with a message fit for the model or the client.
+const normalizeViewFilters = (filters, tables, { lockedColumns = [] } = {}) => {
+  if (!Array.isArray(filters)) throw new Error('filters must be an array');
+  if (filters.length > MAX_VIEW_FILTERS) throw new Error(`At most ${MAX_VIEW_FILTERS} filters can be active`);
+  const withTable = tables.length > 1;
+
+  return filters.map((filter, i) => {
+    if (!filter || typeof filter !== 'object') throw new Error(`Filter ${i + 1} must be an object`);
+    const { column, op = 'eq', value } = filter;
+    const table = tables.find(({ name }) => name === (filter.table ?? tables[0].name));
+    if (!table) throw new Error(`Unknown table "${filter.table}". Available: ${tables.map(({ name }) => name).join(', ')}`);
+    if (!columnsOf(table).includes(column)) {
+      throw new Error(`Unknown column "${column}". Available: ${columnsOf(table).join(', ')}`);
+    }
+    if (lockedColumns.includes(column)) throw new Error(`"${column}" holds personal data and cannot be filtered on`);
+    if (!FILTER_OPERATORS.includes(op)) throw new Error(`Unsupported filter operator "${op}"`);
+
+    const normalized = { table: table.name, column, op };
+    if (op === 'in') {
+      if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_VALUES || !value.every(isScalar)) {
+        throw new Error(`"in" on ${column} needs a list of 1 to ${MAX_LIST_VALUES} values`);
+      }
+      normalized.value = value;
+    } else if (op === 'between') {
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(isScalar)) {
+        throw new Error(`"between" on ${column} needs [from, to]`);
+      }
+      normalized.value = value;
+    } else if (!NO_VALUE_OPERATORS.includes(op)) {
+      if (!isScalar(value)) throw new Error(`Filter on ${column} needs a value`);
+      normalized.value = value;
+    }
+    return { ...normalized, label: describeViewFilter(normalized, { withTable }) };
+  });
+};
+
+// Rows of one table that pass the filters aimed at it
+const filterViewRows = (rows, tableName, filters = []) =>
+  applyFilters(rows, filters.filter((filter) => filter.table === tableName));
+
+// The tables narrowed by `filters`, re-profiled where rows were removed
+const applyViewFilters = (tables, filters = []) =>
+  tables.map((table) => {
+    const rows = filterViewRows(table.rows, table.name, filters);
+    if (rows.length === table.rows.length) return table;
+    return { ...table, rows, profile: profileDataset(rows, table.profile?.typeInfo) };
+  });
+
+// What the client shows above the chat: the chips and how many rows of the first table pass
+const summarizeView = (tables, filters = []) => ({
+  filters,
+  rowCount: filterViewRows(tables[0].rows, tables[0].name, filters).length,
+  totalRows: tables[0].rows.length,
+});
+
+// Tool definition offered when the conversation keeps its dataset
+const viewFilterTool = (tableNames) => {
+  const items = tableNames.length > 1
+    ? {
+      ...filtersSchema.items,
+      properties: {
+        table: { type: 'string', enum: tableNames, description: `Table the filter applies to (default "${tableNames[0]}")` },
+        ...filtersSchema.items.properties,
+      },
+    }
+    : filtersSchema.items;
+  return {
+    type: 'function',
+    function: {
+      name: VIEW_FILTER_TOOL,
+      description: 'Replace the filters that narrow the data for the rest of the conversation',
+      parameters: {
+        type: 'object',
+        properties: {
+          filters: { ...filtersSchema, items, description: 'Every filter that should stay in effect; [] shows all rows again' },
+        },
+        required: ['filters'],
+      },
+    },
+  };
+};
+
+module.exports = {
+  VIEW_FILTER_TOOL,
+  VIEW_FILTERS_PROMPT,
+  normalizeViewFilters,
+  applyViewFilters,
+  filterViewRows,
+  describeViewFilters,
+  summarizeView,
+  viewFilterTool,
+};
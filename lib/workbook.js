@@ -0,0 +1,80 @@
+// lib/workbook.js — sheet selection and joins for multi-sheet Excel uploads
+
+const describeSheets = (sheets) =>
+  Object.entries(sheets).map(([name, rows]) => ({
+    name,
+    rowCount: rows.length,
+    columns: rows.length > 0 ? Object.keys(rows[0]) : [],
+  }));
+
+// `selection` is an array of sheet names, a JSON array string or a comma separated list.
+// Without a selection every non-empty sheet is used.
+const parseSheetSelection = (selection) => {
+  if (!selection) return [];
+  if (Array.isArray(selection)) return selection.map(String);
+  try {
+    const parsed = JSON.parse(selection);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch {
+    // Not JSON: fall through to the comma separated form
+  }
+  return String(selection).split(',').map((name) => name.trim()).filter(Boolean);
+};
+
+const selectSheets = (sheets, selection) => {
+  const requested = parseSheetSelection(selection);
+  const names = requested.length > 0
+    ? requested
+    : Object.keys(sheets).filter((name) => sheets[name].length > 0);
+
+  const unknown = names.filter((name) => !Object.prototype.hasOwnProperty.call(sheets, name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sheet(s): ${unknown.join(', ')}. Available: ${Object.keys(sheets).join(', ')}`);
+  }
+
+  return names.map((name) => ({ name, rows: sheets[name] }));
+};
+
+// Left join of every other table onto the first one by `key`.
+// Clashing column names from later sheets are prefixed with the sheet name.
+const joinTables = (tables, key) => {
+  const missing = tables.filter((table) => table.rows.length > 0 && !(key in table.rows[0]));
+  if (missing.length > 0) {
+    throw new Error(`Join column "${key}" is missing from: ${missing.map((t) => t.name).join(', ')}`);
+  }
+
+  const [base, ...others] = tables;
+  const indexes = others.map((table) => {
+    const index = new Map();
+    table.rows.forEach((row) => {
+      const value = String(row[key] ?? '');
+      if (!index.has(value)) index.set(value, row);
+    });
+    return { table, index };
+  });
+
+  const rows = base.rows.map((row) => {
+    const joined = { ...row };
+    indexes.forEach(({ table, index }) => {
+      const match = index.get(String(row[key] ?? ''));
+      if (!match) return;
+      Object.entries(match).forEach(([column, value]) => {
+        if (column === key) return;
+        const name = column in joined ? `${table.name}.${column}` : column;
+        joined[name] = value;
+      });
+    });
+    return joined;
+  });
+
+  return {
+    name: `${tables.map((t) => t.name).join(' + ')} (joined on ${key})`,
+    rows,
+  };
+};
+
+module.exports = {
+  describeSheets,
+  selectSheets,
+  joinTables,
+};
@@ -5,16 +5,71 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const XLSX = require('xlsx');
-const csv = require('csv-parser');
 const { v4: uuidv4 } = require('uuid');
 const helmet = require('helmet');
 const compression = require('compression');
+const {
+  profileDataset,
+  validateColumnTypes,
+  buildKeyMetrics,
+  buildMultiTableMetrics,
+  formatProfileForPrompt,
+  replaceKeyMetricsSection,
+} = require('./lib/dataset-profile');
+const DatasetStore = require('./lib/dataset-store');
+const { focusOnQuestion, describeFilters } = require('./lib/dataset-focus');
+const { toolDefinitions, withTableParameter, executeTool } = require('./lib/query-engine');
+const {
+  VIEW_FILTERS_PROMPT,
+  normalizeViewFilters,
+  applyViewFilters,
+  filterViewRows,
+  describeViewFilters,
+  summarizeView,
+  viewFilterTool,
+} = require('./lib/view-filters');
+const { describeSheets, selectSheets, joinTables } = require('./lib/workbook');
+const { parseExclusions, applyExclusions } = require('./lib/dataset-selection');
+const {
+  CHART_TYPES,
+  CHART_SPEC_SCHEMA,
+  MAX_CHARTS,
+  describeChartSchema,
+  validateChartSpec,
+  extractCharts,
+} = require('./lib/chart-spec');
+const { verifyCharts } = require('./lib/chart-verify');
+const { normaliseReport, buildReport, renderReportPdf } = require('./lib/report');
+const ReportStore = require('./lib/report-store');
+const ShareStore = require('./lib/share-store');
+const {
+  EXPORT_FORMATS,
+  toFilename,
+  derivedRecipes,
+  materializeDerived,
+  writeTable,
+  writeChart,
+} = require('./lib/data-export');
+const { getProvider, isKnownProvider, listProviders, defaultProviderName } = require('./lib/providers');
+const { createConversationStore } = require('./lib/conversation-store');
+const UserStore = require('./lib/user-store');
+const { createAuth, loadSessionSecret } = require('./lib/auth');
+const ApiKeyStore = require('./lib/api-keys');
+const { createRateLimits, tooManyRequests } = require('./lib/rate-limit');
+const { emptyUsage, addUsage, priceUsage, sumUsage } = require('./lib/usage');
+const { resolvePiiPolicy, protectData, fenceUntrusted, UNTRUSTED_DATA_PROMPT } = require('./lib/data-safety');
+const CSVParser = require('./assets/src/csv-parser');
+const PivotTable = require('./assets/src/pivot');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (Heroku, nginx) TRUST_PROXY=1 makes req.ip the client's address,
+// which the per-IP rate limit relies on
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+
 // ==========================
 // Security & performance
 // ==========================
@@ -90,18 +145,41 @@ if (!fs.existsSync('uploads')) fs.mkdirSync('uploads');
 // ==========================
 // File parsers
 // ==========================
-const parseCSV = (filePath) =>
-  new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', reject);
-  });
+// CSV goes through the browser's parser, so the server sees the rows the data preview showed:
+// same delimiter, encoding and header decision, blank lines skipped. Row indices deselected in
+// the preview (lib/dataset-selection.js) therefore point at the same rows here.
+const csvParser = new CSVParser();
+
+// CSVParser.parseFile reads a browser File in slices; this is the same view of a file on disk
+const fileSlices = (filePath) => ({
+  size: fs.statSync(filePath).size,
+  slice: (start, end) => ({
+    arrayBuffer: async () => {
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(Math.max(0, end - start));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+  }),
+});
+
+const parseCSV = async (filePath) => (await csvParser.parseFile(fileSlices(filePath))).rows;
+
+// Pasted delimited text goes through the same parser as uploaded CSV files
+const parseCSVText = async (text) => csvParser.parseText(text).rows;
+
+const looksDelimited = (text) => {
+  const lines = text.trim().split('\n');
+  return lines.length > 1 && /[,;\t|]/.test(lines[0]);
+};
 
 const parseExcel = (filePath) => {
-  const workbook = XLSX.readFile(filePath);
+  // cellDates: date cells arrive as Date objects instead of serial numbers
+  const workbook = XLSX.readFile(filePath, { cellDates: true });
   const sheets = {};
   workbook.SheetNames.forEach((name) => {
     sheets[name] = XLSX.utils.sheet_to_json(workbook.Sheets[name]);
@@ -109,37 +187,381 @@ const parseExcel = (filePath) => {
   return sheets;
 };
 
+// Conversations, accounts and saved reports are kept under DATA_DIR
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// ==========================
+// Conversation storage: a JSON file by default (CONVERSATION_STORE=memory keeps it in memory)
+// ==========================
+const conversationStore = createConversationStore(process.env.CONVERSATION_STORE || 'file', {
+  filePath: process.env.CONVERSATION_STORE_PATH || path.join(dataDir, 'conversations.json'),
+  maxEntries: parseInt(process.env.CONVERSATION_MAX_ENTRIES, 10) || undefined,
+  // Only the last messages are kept to avoid token limits
+  maxMessages: 20,
+  ttlMs: (parseInt(process.env.CONVERSATION_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000,
+});
+
+const getConversationContext = (sessionId) => conversationStore.get(sessionId);
+
 // ==========================
-// In-memory conversation storage (for demo - use database in production)
+// Accounts and saved reports
 // ==========================
-const conversationStore = new Map();
+const userStore = new UserStore({ filePath: path.join(dataDir, 'users.json') });
+const reportStore = new ReportStore({
+  dirPath: path.join(dataDir, 'reports'),
+  maxPerUser: parseInt(process.env.REPORTS_PER_USER, 10) || undefined,
+});
+const shareStore = new ShareStore({
+  dirPath: path.join(dataDir, 'shares'),
+  maxPerUser: parseInt(process.env.SHARES_PER_USER, 10) || undefined,
+});
+// Signs session cookies and keys the hashes of personal data sent to the model
+const sessionSecret = loadSessionSecret(path.join(dataDir, 'session-secret'));
+const auth = createAuth({
+  secret: sessionSecret,
+  users: userStore,
+});
+
+// Every API request is made by a user (a guest until it registers)
+app.use('/api', auth.identify);
+
+// ==========================
+// API keys and rate limits
+// ==========================
+const apiKeyStore = new ApiKeyStore({
+  filePath: path.join(dataDir, 'api-keys.json'),
+  dailyTokenBudget: parseInt(process.env.API_KEY_DAILY_TOKENS, 10) || undefined,
+});
+const rateLimits = createRateLimits({
+  perIp: parseInt(process.env.RATE_LIMIT_PER_IP, 10) || undefined,
+  perKey: parseInt(process.env.RATE_LIMIT_PER_KEY, 10) || undefined,
+  windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || undefined,
+  perSignIn: parseInt(process.env.RATE_LIMIT_SIGN_IN, 10) || undefined,
+  signInWindowSeconds: parseInt(process.env.RATE_LIMIT_SIGN_IN_WINDOW_SECONDS, 10) || undefined,
+});
+// REQUIRE_API_KEY=true closes the analysis endpoints to guests: callers need a key or an account
+const requireApiKey = process.env.REQUIRE_API_KEY === 'true';
+
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const presentedApiKey = (req) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  return bearer || req.headers['x-api-key'] || null;
+};
+
+// A request with an API key acts as the key's owner; a wrong or revoked key is refused outright
+// rather than falling back to the cookie session
+app.use('/api', (req, res, next) => {
+  const key = presentedApiKey(req);
+  if (!key) return next();
+  const apiKey = apiKeyStore.authenticate(key);
+  if (!apiKey) return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+  const account = userStore.get(apiKey.owner);
+  req.apiKey = apiKey;
+  req.user = { id: apiKey.owner, username: account?.username || null, guest: false };
+  next();
+});
 
-const getConversationContext = (sessionId) => {
-  return conversationStore.get(sessionId) || [];
+// Seconds until the next UTC day, when daily token budgets reset
+const secondsUntilTomorrow = () => {
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return (tomorrow - Date.now()) / 1000;
 };
 
-const addToConversation = (sessionId, role, content) => {
-  if (!conversationStore.has(sessionId)) {
-    conversationStore.set(sessionId, []);
+// In front of every route that calls the model: per-IP and per-key limits, then the key's budget
+const limitAnalysis = async (req, res, next) => {
+  try {
+    if (requireApiKey && !req.apiKey && req.user.guest) {
+      return res.status(401).json({ success: false, error: 'An API key or a signed-in account is required' });
+    }
+    await rateLimits.checkIp(req.ip);
+    if (req.apiKey) {
+      await rateLimits.checkKey(req.apiKey.id);
+      if (apiKeyStore.remainingTokens(req.apiKey.id) === 0) {
+        throw tooManyRequests('This API key has used its daily token budget', secondsUntilTomorrow());
+      }
+    }
+    next();
+  } catch (err) {
+    if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
-  const conversation = conversationStore.get(sessionId);
-  conversation.push({ role, content });
-  // Keep only last 20 messages to avoid token limits
-  if (conversation.length > 20) {
-    conversation.splice(0, conversation.length - 20);
+};
+
+// Sign-in attempts per IP and username, counted apart from the analysis limits
+const limitSignIn = async (req, res, next) => {
+  try {
+    await rateLimits.checkSignIn(req.ip, req.body?.username);
+    next();
+  } catch (err) {
+    if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 };
 
+// Charges an answer's tokens to the API key that asked for it
+const chargeUsage = (req, result) => {
+  if (req.apiKey && result?.usage) apiKeyStore.recordUsage(req.apiKey.id, result.usage.totalTokens);
+};
+
+// ==========================
+// Parsed datasets per conversation, so follow-ups can query the real rows
+// ==========================
+const datasetStore = new DatasetStore({
+  maxEntries: parseInt(process.env.DATASET_MAX_ENTRIES, 10) || undefined,
+  maxRows: parseInt(process.env.DATASET_MAX_ROWS, 10) || undefined,
+  maxBytes: (parseInt(process.env.DATASET_MAX_MB, 10) || 200) * 1024 * 1024,
+  ttlMs: (parseInt(process.env.DATASET_TTL_MINUTES, 10) || 120) * 60 * 1000,
+});
+
+// ==========================
+// Tool-calling loop
+// ==========================
+const MAX_TOOL_ROUNDS = 6;
+// With tools available the model only needs a few rows to see the shape of the data
+const TOOL_SAMPLE_ROWS = 10;
+
+const TOOLS_PROMPT = `
+You can call tools (filter_rows, aggregate, group_by, sort_rows, top_n, distinct_values, percentile) that run over the FULL dataset.
+Use them for every figure that is not already in the DATASET PROFILE - never estimate from the sample.
+Column names are case-sensitive and must match the profile exactly. When you have the numbers, reply with the final answer.`;
+
+const parseToolArguments = (rawArguments) => {
+  try {
+    return JSON.parse(rawArguments || '{}');
+  } catch {
+    return null;
+  }
+};
+
+// Streams through onToken when the caller wants tokens, otherwise waits for the full reply
+// `usage` (from emptyUsage) collects the call's token counts
+const callModel = async (provider, request, { onToken, signal, usage } = {}) => {
+  const result = onToken
+    ? await provider.stream({ ...request, onToken, signal })
+    : await provider.complete({ ...request, signal });
+  addUsage(usage, result.usage);
+  return result;
+};
+
+// Long specs (raw histogram values, big matrices) are cut when quoted back to the model
+const MAX_REPAIR_SOURCE = 4000;
+
+// One repair round: the model sees its rejected chart JSON with the validation errors and answers
+// with corrected blocks only. Charts that were valid the first time are kept; if the retry gives
+// nothing usable the original rejections stand.
+const retryRejectedCharts = async (provider, systemPrompt, extracted, { signal, usage } = {}) => {
+  const problems = extracted.rejected
+    .map(({ title, type, errors, source }) => `Chart "${title}" (${type}):
+${source.length > MAX_REPAIR_SOURCE ? `${source.slice(0, MAX_REPAIR_SOURCE)} …(truncated)` : source}
+Errors: ${errors.join('; ')}`)
+    .join('\n\n');
+
+  try {
+    const { message } = await callModel(provider, {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        {
+          role: 'user',
+          content: `These charts from your previous answer failed validation:
+
+${problems}
+
+Reply with only one corrected \`\`\`json block of the form {"charts": [...]}, following the chart schema.`,
+        },
+      ],
+    }, { signal, usage });
+
+    const retry = extractCharts(message.content || '');
+    if (retry.charts.length === 0 && retry.rejected.length === 0) return extracted;
+    console.log(`Chart repair returned ${retry.charts.length} valid chart(s)`);
+    return {
+      analysis: extracted.analysis,
+      charts: [...extracted.charts, ...retry.charts].slice(0, MAX_CHARTS),
+      rejected: retry.rejected,
+    };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn('Chart repair request failed:', err.message);
+    return extracted;
+  }
+};
+
+// Runs tool calls against `tables` ([{ name, rows }], first is the default) until the model
+// answers in plain content. `messages` is extended in place with the tool calls and results.
+// `view` ({ tool, filters, apply(args) → { output, tables } }) adds set_view_filters; the tables
+// it returns are what later calls query.
+const runToolLoop = async (provider, messages, tables, { onToken, onToolCall, signal, usage, view } = {}) => {
+  const toolTrace = [];
+  const queryTools = tables.length > 1
+    ? withTableParameter(toolDefinitions, tables.map((table) => table.name))
+    : toolDefinitions;
+  const tools = view ? [...queryTools, view.tool] : queryTools;
+  let current = tables;
+  const rowsFor = (tableName) =>
+    (current.find((table) => table.name === tableName) || current[0]).rows;
+
+  for (let round = 1; round <= MAX_TOOL_ROUNDS + 1; round++) {
+    // Last round: force an answer with whatever the model has gathered
+    const toolChoice = round > MAX_TOOL_ROUNDS ? 'none' : 'auto';
+    const { message } = await callModel(
+      provider,
+      { messages, tools, toolChoice },
+      { onToken, signal, usage }
+    );
+
+    if (!message.tool_calls?.length) {
+      return { content: message.content || '', toolTrace };
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.tool_calls,
+    });
+
+    message.tool_calls.forEach((call) => {
+      const started = Date.now();
+      const args = parseToolArguments(call.function.arguments);
+      const viewFilters = view?.filters;
+      let output;
+      if (args === null) {
+        output = { error: 'Tool arguments were not valid JSON' };
+      } else if (view && call.function.name === view.tool.function.name) {
+        ({ output, tables: current } = view.apply(args));
+      } else {
+        output = executeTool(rowsFor(args.table), call.function.name, args);
+      }
+
+      console.log(`Tool call ${call.function.name}`, args);
+      const entry = {
+        round,
+        tool: call.function.name,
+        arguments: args,
+        result: output,
+        durationMs: Date.now() - started,
+      };
+      if (viewFilters?.length) entry.viewFilters = viewFilters;
+      toolTrace.push(entry);
+      if (onToolCall) onToolCall(entry);
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(output),
+      });
+    });
+  }
+
+  throw new Error('Tool loop ended without a final answer');
+};
+
 // ==========================
 // AI Analysis with Enhanced System Prompt
 // ==========================
-const analyzeDataWithAI = async (data, question, sessionId = null, isFollowUp = false) => {
+// Masked or hashed columns cannot be filtered on: their values are not the stored ones
+const lockedColumnsOf = (report) => report.redactions
+  .filter(({ kind }) => kind !== 'inline')
+  .map(({ column }) => column);
+
+// A stored dataset as the model sees it, under the policy of the conversation's last analysis:
+// { tables, report }. Kept on the entry until the policy changes.
+const protectedDataset = (dataset) => {
+  const policy = dataset.pii || defaultPiiPolicy;
+  if (dataset.protectedView?.policy !== policy) {
+    const { tables, report } = protectData(
+      { data: dataset.rows, profile: dataset.profile, tables: dataset.tables },
+      policy,
+      { secret: sessionSecret }
+    );
+    dataset.protectedView = { policy, tables: tables || dataset.tables, report };
+  }
+  return dataset.protectedView;
+};
+
+const pivotTable = new PivotTable();
+
+// A pivot from the pivot panel ({ spec, table }), rebuilt over the rows the model is given so the
+// client never sends cell values as question text
+const describePivot = ({ spec, table: tableName }, tables) => {
+  const table = tables.find(({ name }) => name === tableName) || tables[0];
   try {
-    const sample = Array.isArray(data) ? data.slice(0, 50) : data;
+    const columns = table.profile?.columns || Object.keys(table.rows[0] || {});
+    const result = pivotTable.compute(table.rows, PivotTable.normalize(spec, columns));
+    return `PIVOT TABLE (${pivotTable.chartTitle(result)}, over ${result.rowCount} rows) - built by the user:
+${pivotTable.toMarkdown(result)}
+
+`;
+  } catch (err) {
+    return `PIVOT TABLE could not be rebuilt: ${err.message}
+
+`;
+  }
+};
+
+const analyzeDataWithAI = async (sourceData, question, sessionId = null, isFollowUp = false, options = {}) => {
+  // Reported on failures too: the tokens were spent either way
+  const usage = emptyUsage();
+  let provider = null;
+  try {
+    // Exact statistics over every row, not just the sample the model sees. Personal data is then
+    // masked, hashed or dropped before any of it can reach the model (see lib/data-safety.js).
+    const guarded = protectData(
+      { data: sourceData, profile: options.profile || profileDataset(sourceData), tables: options.tables },
+      options.pii || defaultPiiPolicy,
+      { secret: sessionSecret }
+    );
+    let { data, profile } = guarded;
+    // Several tables (Excel sheets, optionally a join of them) are profiled and queried separately
+    let tables = guarded.tables?.length > 1 ? guarded.tables : null;
+    // Stored datasets keep the view filters asked for earlier in the conversation (lib/view-filters.js)
+    const baseTables = options.viewFilters && guarded.tables?.length ? guarded.tables : null;
+    let viewFilters = baseTables ? options.viewFilters : [];
+    const narrowView = (narrowed = applyViewFilters(baseTables, viewFilters)) => {
+      ({ rows: data, profile } = narrowed[0]);
+      tables = narrowed.length > 1 ? narrowed : null;
+      return narrowed;
+    };
+    if (viewFilters.length > 0) narrowView();
+    // Follow-ups that name category values ("the East region") get those rows specifically
+    const focus = isFollowUp ? focusOnQuestion(data, profile, question) : null;
+    const sampleSource = focus ? focus.rows : data;
+    // Tools need row objects to query; plain text context is sent as-is
+    const useTools = Array.isArray(data) && !!profile;
+    const sampleSize = useTools ? TOOL_SAMPLE_ROWS : 50;
+    const sample = Array.isArray(sampleSource) ? sampleSource.slice(0, sampleSize) : sampleSource;
     const sessionIdToUse = sessionId || uuidv4();
+
+    if (baseTables) datasetStore.setPiiPolicy(sessionIdToUse, options.pii || defaultPiiPolicy);
+    const lockedColumns = lockedColumnsOf(guarded.report);
+    const view = baseTables && useTools ? {
+      tool: viewFilterTool(baseTables.map((table) => table.name)),
+      get filters() {
+        return viewFilters;
+      },
+      apply: ({ filters }) => {
+        let next;
+        try {
+          next = normalizeViewFilters(filters, baseTables, { lockedColumns });
+        } catch (err) {
+          return { output: { error: err.message } };
+        }
+        const narrowed = applyViewFilters(baseTables, next);
+        const emptied = narrowed.find((table, i) => table.rows.length === 0 && baseTables[i].rows.length > 0);
+        if (emptied) {
+          return { output: { error: `No rows of "${emptied.name}" match ${describeViewFilters(next)}; the filters were not changed` } };
+        }
+        viewFilters = next;
+        narrowView(narrowed);
+        const { rowCount, totalRows } = summarizeView(baseTables, viewFilters);
+        return {
+          output: { filters: viewFilters.map(({ label }) => label), rowCount, totalRows },
+          tables: narrowed.length > 1 ? narrowed : [{ name: 'data', rows: data }],
+        };
+      },
+    } : null;
     
     // Get conversation history for follow-ups
-    const conversationHistory = isFollowUp ? getConversationContext(sessionIdToUse) : [];
+    const conversationHistory = isFollowUp ? await getConversationContext(sessionIdToUse) : [];
 
     // Build messages array
     const messages = [
@@ -154,6 +576,7 @@ IMPORTANT: STRUCTURE YOUR RESPONSE EXACTLY LIKE THIS:
 
 ## Key Metrics
 [Format each metric as "Metric Name: Value" on separate lines]
+[When a DATASET PROFILE is provided, take every figure from it - never estimate from the sample]
 Total Records: [number]
 Average Value: [number with currency if applicable]
 Growth Rate: [percentage]
@@ -177,13 +600,15 @@ Format numbers nicely (e.g., 1,234, 15.5%, $1,250.50).
 Be concise but insightful.
 
 CRITICAL: If a chart would help visualize the data, you MUST include a JSON object at the end with chart data.
-The JSON should be wrapped in \`\`\`json \`\`\` code blocks:
+Give up to ${MAX_CHARTS} charts when different views help (for example a trend and a breakdown); one is enough
+when one answers the question. The JSON should be wrapped in \`\`\`json \`\`\` code blocks and be strict JSON
+(double quotes, no comments, no trailing commas):
 
 \`\`\`json
 {
-  "chart": {
+  "charts": [{
     "title": "Descriptive chart title",
-    "type": "bar|line|pie|doughnut",
+    "type": "${CHART_TYPES.join('|')}",
     "data": {
       "labels": ["Category1", "Category2"],
       "datasets": [{
@@ -192,123 +617,160 @@ The JSON should be wrapped in \`\`\`json \`\`\` code blocks:
         "backgroundColor": ["#10a37f", "#667eea"]
       }]
     }
-  }
+  }]
 }
 \`\`\`
 
-Use markdown for formatting. DO NOT use color:transparent or invisible text.`,
+Pick the chart type that fits the question and give "data" the shape that type needs:
+${describeChartSchema()}
+Use scatter (with trendline) for relationships between two measures, histogram or boxplot for distributions
+and heatmap for a correlation matrix. Charts whose data does not match their type are discarded.
+
+Use markdown for formatting. DO NOT use color:transparent or invisible text.${useTools ? `\n${TOOLS_PROMPT}` : ''}${view ? VIEW_FILTERS_PROMPT : ''}
+
+${UNTRUSTED_DATA_PROMPT}`,
       },
     ];
 
-    // Add conversation history for follow-ups
+    // Add conversation history for follow-ups (stored messages also carry timestamps)
     conversationHistory.forEach(msg => {
-      messages.push(msg);
+      messages.push({ role: msg.role, content: msg.content });
     });
 
     // Add current user message
+    let profileBlock = '';
+    if (tables) {
+      profileBlock = tables.map((table) => `TABLE "${table.name}" - DATASET PROFILE (computed over all ${table.profile.totalRows} rows - treat as ground truth):
+${formatProfileForPrompt(table.profile)}
+
+Sample rows from "${table.name}":
+${JSON.stringify(table.rows.slice(0, 5), null, 2)}
+
+`).join('') + 'Analyse each table on its own unless the question relates them.\n\n';
+    } else if (profile) {
+      profileBlock = `DATASET PROFILE (computed over all ${profile.totalRows} rows - treat as ground truth):
+${formatProfileForPrompt(profile)}
+
+`;
+    }
+    if (viewFilters.length > 0) {
+      profileBlock = `VIEW FILTERS (${describeViewFilters(viewFilters)}) - the user limited the conversation to ${data.length} of ${baseTables[0].rows.length} rows; every figure below is for these rows
+
+${profileBlock}`;
+    }
+    const pivotBlock = options.pivot && useTools
+      ? describePivot(options.pivot, tables || [{ name: baseTables?.[0].name, rows: data, profile }])
+      : '';
+    const focusBlock = focus
+      ? `FOCUSED SUBSET (${describeFilters(focus.filters)}) - ${focus.rows.length} matching rows:
+${focus.profile ? formatProfileForPrompt(focus.profile) : 'No rows match.'}
+
+`
+      : '';
+    const sampleLabel = Array.isArray(sampleSource) && sampleSource.length > sample.length
+      ? `Data sample (first ${sample.length} of ${sampleSource.length} ${focus ? 'matching ' : ''}rows)`
+      : 'Data';
+    // Multi-table prompts already carry a sample per table
+    const sampleBlock = tables && !focus
+      ? ''
+      : `${sampleLabel}:
+${JSON.stringify(sample, null, 2)}`;
+
     messages.push({
       role: 'user',
       content: `Question: ${question}
 
-Data sample (first 50 rows):
-${JSON.stringify(sample, null, 2)}`,
+${fenceUntrusted(`${profileBlock}${pivotBlock}${focusBlock}${sampleBlock}`.trim())}`,
     });
 
-    console.log('Sending request to Groq API...');
-    const response = await fetch(
-      'https://api.groq.com/openai/v1/chat/completions',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${process.env.GROQ_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: 'llama-3.3-70b-versatile',
-          messages: messages,
-          temperature: 0.7,
-          max_tokens: 4000,
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errBody = await response.text();
-      console.error('Groq API error:', errBody);
-      throw new Error(`Groq HTTP ${response.status} – ${errBody}`);
+    provider = options.provider || getProvider();
+    console.log(`Sending request to ${provider.name} (${provider.model})...`);
+    let rawContent;
+    let toolTrace = [];
+    const { onToken, onToolCall, signal } = options;
+    if (useTools) {
+      const queryTables = tables || [{ name: 'data', rows: data }];
+      ({ content: rawContent, toolTrace } = await runToolLoop(provider, messages, queryTables, {
+        onToken,
+        onToolCall,
+        signal,
+        usage,
+        view,
+      }));
+    } else {
+      const { message } = await callModel(provider, { messages }, { onToken, signal, usage });
+      rawContent = message.content || '';
     }
 
-    const result = await response.json();
-    const rawContent = result.choices[0].message.content;
-
     console.log('Raw AI response received');
     
     // Clean the response to remove invisible characters
     let cleanedContent = rawContent
       .replace(/\u0000/g, '') // Remove null characters
-      .replace(/[^\S\r\n]+/g, ' ') // Normalize spaces
+      .replace(/[^\S\r\n\t ]/g, ' ') // Normalize unusual spaces, keeping indentation for nested lists and code
       .replace(/\u200B/g, '') // Remove zero-width spaces
       .trim();
     
-    let analysis = cleanedContent;
-    let chartData = null;
-    let chartTitle = 'Data Visualization';
-    let chartType = 'auto';
-
-    // Extract JSON chart block if present
-    const jsonMatch = cleanedContent.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch) {
-      try {
-        console.log('Found JSON in response, parsing...');
-        const jsonStr = jsonMatch[1];
-        const parsed = JSON.parse(jsonStr);
-        
-        // Check for different possible JSON structures
-        if (parsed.chart?.data) {
-          // New format: { chart: { data: {...}, title: "...", type: "..." } }
-          chartData = parsed.chart.data;
-          chartTitle = parsed.chart.title || chartTitle;
-          chartType = parsed.chart.type || chartType;
-        } else if (parsed.data) {
-          // Format: { data: {...}, title: "..." }
-          chartData = parsed.data;
-          chartTitle = parsed.title || chartTitle;
-          chartType = parsed.type || chartType;
-        } else if (parsed.labels && parsed.datasets) {
-          // Direct chart data format
-          chartData = parsed;
-        } else if (parsed.chartData) {
-          // Legacy format: { chartData: {...}, chartTitle: "..." }
-          chartData = parsed.chartData;
-          chartTitle = parsed.chartTitle || chartTitle;
-        }
-        
-        // Remove the JSON block from analysis text
-        analysis = cleanedContent.replace(jsonMatch[0], '').trim();
-        console.log('Chart data extracted successfully:', {
-          hasChartData: !!chartData,
-          chartType,
-          chartTitle
-        });
-        
-      } catch (e) {
-        console.warn('Failed to parse chart JSON:', e.message);
-        console.warn('JSON content was:', jsonMatch[1]);
-      }
-    } else {
-      console.log('No JSON chart data found in response');
+    // Every ```json block may hold one or more charts; invalid ones get one repair round
+    let extracted = extractCharts(cleanedContent);
+    if (extracted.rejected.length > 0) {
+      console.warn(`${extracted.rejected.length} chart(s) failed validation, asking the model to fix them`);
+      extracted = await retryRejectedCharts(provider, messages[0].content, extracted, { signal, usage });
     }
+    let { analysis } = extracted;
+    const chartErrors = extracted.rejected.map(({ title, type, errors }) => ({ title, type, errors }));
+    chartErrors.forEach(({ type, title, errors }) => {
+      console.warn(`Discarding ${type} chart "${title}": ${errors.join('; ')}`);
+    });
 
-    // Store in conversation history
-    addToConversation(sessionIdToUse, 'user', question);
-    addToConversation(sessionIdToUse, 'assistant', cleanedContent);
+    // Chart numbers are recomputed from every stored row; a focused follow-up may chart the
+    // subset, so it is checked first and nothing is corrected in that case
+    const chartSources = Array.isArray(data) ? (tables || [{ name: 'data', rows: data }]) : [];
+    const charts = verifyCharts(
+      extracted.charts,
+      focus ? [{ name: 'focus', rows: focus.rows }, ...chartSources] : chartSources,
+      { allowCorrection: !focus },
+    );
+    charts.forEach(({ title, verification }) => {
+      if (verification.status !== 'verified') console.log(`Chart "${title}": ${verification.note}`);
+    });
+    console.log(`Extracted ${charts.length} chart(s) from the response`);
+
+    // Tables behind this answer (tool results, the focused subset), downloadable in full
+    if (baseTables) datasetStore.setFilters(sessionIdToUse, viewFilters);
+    const derivedTables = datasetStore.addDerived(sessionIdToUse, derivedRecipes(toolTrace, focus, viewFilters))
+      .map(({ id, name, rowCount }) => ({ id, name, rowCount }));
+
+    // Key Metrics come from the computed profile, not the model's guesses
+    if (tables) {
+      analysis = replaceKeyMetricsSection(analysis, buildMultiTableMetrics(tables));
+    } else if (profile) {
+      analysis = replaceKeyMetricsSection(analysis, buildKeyMetrics(profile, data));
+    }
+
+    // Store in conversation history as the user saw it (computed Key Metrics, charts kept apart);
+    // the answer keeps what it cost
+    const pricedUsage = priceUsage(usage, provider);
+    await conversationStore.append(sessionIdToUse, [
+      { role: 'user', content: question },
+      { role: 'assistant', content: analysis, charts, usage: pricedUsage },
+    ], { owner: options.owner, usage: pricedUsage });
 
+    // chartData/chartTitle/chartType mirror the first chart for clients that show a single one
     return {
       success: true,
       analysis,
-      chartData,
-      chartTitle,
-      chartType,
+      charts,
+      chartData: charts[0]?.data || null,
+      chartTitle: charts[0]?.title || 'Data Visualization',
+      chartType: charts[0]?.type || 'auto',
+      chartErrors,
+      derivedTables,
+      profile,
+      toolTrace,
+      usage: pricedUsage,
+      redactions: guarded.report,
+      view: baseTables ? summarizeView(baseTables, viewFilters) : null,
       conversationId: sessionIdToUse,
     };
   } catch (err) {
@@ -317,9 +779,13 @@ ${JSON.stringify(sample, null, 2)}`,
     return {
       success: false,
       analysis: 'Sorry, AI analysis failed. Please try again or paste smaller data.',
+      charts: [],
+      chartErrors: [],
+      derivedTables: [],
       chartData: null,
       chartTitle: 'Error',
       chartType: 'auto',
+      usage: provider ? priceUsage(usage, provider) : usage,
       conversationId: sessionId || uuidv4(),
     };
   }
@@ -328,17 +794,103 @@ ${JSON.stringify(sample, null, 2)}`,
 // ==========================
 // Routes
 // ==========================
-app.post('/api/analyze/file', upload.single('file'), async (req, res) => {
+
+// Validation failures carry an HTTP status for the route handlers
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const notFound = (message) => {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+};
+
+// Conversations, and the datasets stored with them, belong to the user who started them. Another
+// user's id is answered like an unknown one so ids cannot be probed; unknown ids may be used to
+// start a conversation. Conversations stored before accounts existed go to whoever continues them.
+const assertConversationAccess = async (req, conversationId) => {
+  const owner = (await conversationStore.ownerOf(conversationId)) || datasetStore.get(conversationId)?.owner;
+  if (owner && owner !== req.user.id) throw notFound('Conversation not found');
+};
+
+// Per-request provider/model override: { provider: 'ollama', model: 'llama3.1' }
+const resolveProvider = (req) => {
+  const { provider: name, model } = req.body || {};
+  if (name && !isKnownProvider(String(name).toLowerCase())) {
+    throw badRequest(`Unknown provider "${name}". Available: ${listProviders().join(', ')}`);
+  }
+  return getProvider(name || null, { model: model || null });
+};
+
+// Column type overrides arrive as JSON ({ "Amount": "currency", "Date": "date-dmy" }),
+// as a string field when the request is multipart
+const resolveColumnTypes = (req) => {
+  let columnTypes = req.body?.columnTypes;
+  if (!columnTypes) return null;
   try {
-    if (!req.file) {
-      return res
-        .status(400)
-        .json({ success: false, error: 'No file uploaded' });
+    if (typeof columnTypes === 'string') columnTypes = JSON.parse(columnTypes);
+    if (typeof columnTypes !== 'object' || Array.isArray(columnTypes)) {
+      throw new Error('columnTypes must be an object of column name to type');
     }
+    return validateColumnTypes(columnTypes);
+  } catch (err) {
+    throw badRequest(`Invalid columnTypes: ${err.message}`);
+  }
+};
 
-    let data;
-    const filePath = req.file.path;
+// Personal data handling: { pii: 'mask' | 'hash' | 'drop' | 'keep', piiColumns: { "Email": "keep" } },
+// piiColumns as a string field when the request is multipart. PII_MODE sets the default.
+const defaultPiiPolicy = resolvePiiPolicy({}, process.env.PII_MODE || undefined);
+
+const resolvePii = (req) => {
+  let { pii, piiColumns } = req.body || {};
+  try {
+    if (typeof piiColumns === 'string') piiColumns = piiColumns ? JSON.parse(piiColumns) : null;
+    return resolvePiiPolicy({ mode: pii, columns: piiColumns }, defaultPiiPolicy.mode);
+  } catch (err) {
+    throw badRequest(`Invalid personal data settings: ${err.message}`);
+  }
+};
+
+// A pivot the user asks the model to interpret: { spec, table? }, a JSON string when multipart.
+// Only the spec is sent; the table is built on the server over the data the model may see.
+const resolvePivot = (req) => {
+  let { pivot } = req.body || {};
+  if (!pivot) return null;
+  try {
+    if (typeof pivot === 'string') pivot = JSON.parse(pivot);
+    return { spec: PivotTable.normalize(pivot?.spec), table: typeof pivot.table === 'string' ? pivot.table : null };
+  } catch (err) {
+    throw badRequest(`Invalid pivot: ${err.message}`);
+  }
+};
+
+// Columns and rows deselected in the client data preview
+const resolveExclusions = (req) => {
+  try {
+    return parseExclusions(req.body || {});
+  } catch (err) {
+    throw badRequest(`Invalid exclusions: ${err.message}`);
+  }
+};
 
+// Each prepare* function validates a request and returns the analyzeDataWithAI arguments,
+// so the JSON routes and their streaming twins share one code path.
+const prepareFileAnalysis = async (req) => {
+  if (!req.file) throw badRequest('No file uploaded');
+
+  const filePath = req.file.path;
+  try {
+    const provider = resolveProvider(req);
+    const pii = resolvePii(req);
+    const pivot = resolvePivot(req);
+    const columnTypes = resolveColumnTypes(req);
+    const exclusions = resolveExclusions(req);
+
+    let data;
     console.log(`Processing file: ${req.file.originalname}`);
 
     if (req.file.originalname.endsWith('.csv')) {
@@ -351,88 +903,128 @@ app.post('/api/analyze/file', upload.single('file'), async (req, res) => {
     }
 
     console.log(`Parsed data with ${Array.isArray(data) ? data.length : 'multiple'} rows`);
-    fs.unlinkSync(filePath);
+
+    if (Array.isArray(data)) {
+      data = applyExclusions(data, exclusions);
+    } else if (data && typeof data === 'object' && req.file.originalname.match(/\.(xlsx|xls)$/)) {
+      data = Object.fromEntries(
+        Object.entries(data).map(([name, rows]) => [name, applyExclusions(rows, exclusions, name)])
+      );
+    }
 
     const question = req.body.question || 'Analyze this data and create visualizations';
     const sessionId = req.body.conversationId || uuidv4();
+    await assertConversationAccess(req, sessionId);
 
-    const result = await analyzeDataWithAI(data, question, sessionId, false);
-    res.json({ success: true, ...result });
-  } catch (err) {
-    console.error('File analysis error:', err);
-    if (req.file?.path) fs.unlinkSync(req.file.path);
-    res.status(500).json({ success: false, error: err.message });
+    // Excel workbooks: analyse the chosen sheets as separate tables, optionally joined
+    let tables = null;
+    let sheets = null;
+    if (!Array.isArray(data) && data && typeof data === 'object' && req.file.originalname.match(/\.(xlsx|xls)$/)) {
+      sheets = describeSheets(data);
+      try {
+        tables = selectSheets(data, req.body.sheets);
+        if (req.body.joinKey && tables.length > 1) {
+          tables = [joinTables(tables, req.body.joinKey), ...tables];
+        }
+      } catch (err) {
+        throw badRequest(err.message);
+      }
+      data = tables[0]?.rows || [];
+    }
+
+    const dataset = datasetStore.set(sessionId, {
+      rows: data,
+      tables,
+      name: req.file.originalname,
+      columnTypes,
+      owner: req.user.id,
+    });
+
+    return {
+      data: dataset ? dataset.rows : data,
+      question,
+      sessionId,
+      isFollowUp: false,
+      sheets,
+      options: { profile: dataset?.profile, tables: dataset?.tables, viewFilters: dataset?.filters, provider, owner: req.user.id, pii, pivot },
+    };
+  } finally {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
   }
-});
+};
 
-app.post('/api/analyze/text', async (req, res) => {
+const prepareTextAnalysis = async (req) => {
   const { text, question, conversationId } = req.body;
 
   // Require a question
-  if (!question?.trim()) {
-    return res
-      .status(400)
-      .json({ success: false, error: 'No question provided' });
-  }
+  if (!question?.trim()) throw badRequest('No question provided');
+
+  const provider = resolveProvider(req);
+  const pii = resolvePii(req);
+  const columnTypes = resolveColumnTypes(req);
+  const sessionId = conversationId || uuidv4();
+  await assertConversationAccess(req, sessionId);
 
   // Parse text data
   let dataToSend;
+  let dataset = null;
   if (text?.trim()) {
     try {
       dataToSend = JSON.parse(text);
     } catch {
-      // If not JSON, send as array of lines
-      dataToSend = text.split('\n').map((line) => ({ line }));
+      // If not JSON, try CSV/TSV, otherwise send as array of lines
+      dataToSend = looksDelimited(text)
+        ? await parseCSVText(text.trim())
+        : text.split('\n').map((line) => ({ line }));
     }
+    dataset = datasetStore.set(sessionId, { rows: dataToSend, name: 'pasted data', columnTypes, owner: req.user.id });
   } else {
-    // For follow-ups without new data, use stored conversation context
-    const conversationHistory = getConversationContext(conversationId);
-    if (conversationHistory.length > 0) {
-      // Extract data from previous conversation
-      const previousMessages = conversationHistory
-        .filter(msg => msg.role === 'user')
-        .slice(-3); // Get last 3 user messages
-      dataToSend = previousMessages.map(msg => ({ question: msg.content }));
+    // For follow-ups without new data, use the dataset stored for this conversation
+    dataset = datasetStore.get(conversationId);
+    if (dataset) {
+      dataToSend = dataset.rows;
     } else {
-      dataToSend = '[Continuing from previous analysis]';
+      const conversationHistory = await getConversationContext(conversationId);
+      if (conversationHistory.length > 0) {
+        // Extract data from previous conversation
+        const previousMessages = conversationHistory
+          .filter(msg => msg.role === 'user')
+          .slice(-3); // Get last 3 user messages
+        dataToSend = previousMessages.map(msg => ({ question: msg.content }));
+      } else {
+        dataToSend = '[Continuing from previous analysis]';
+      }
     }
   }
 
-  const sessionId = conversationId || uuidv4();
-
   console.log('Analyzing text data...');
-  const result = await analyzeDataWithAI(
-    dataToSend,
+  return {
+    data: dataset ? dataset.rows : dataToSend,
     question,
     sessionId,
-    !!conversationId
-  );
+    isFollowUp: !!conversationId,
+    options: { profile: dataset?.profile, tables: dataset?.tables, viewFilters: dataset?.filters, provider, owner: req.user.id, pii },
+  };
+};
 
-  res.json(result);
-});
+const prepareFollowup = async (req) => {
+  const { question, conversationId } = req.body;
 
-// Chat follow-up route
-app.post('/api/chat/followup', async (req, res) => {
-  try {
-    const { question, conversationId } = req.body;
+  if (!question?.trim()) throw badRequest('No question provided');
+  if (!conversationId) throw badRequest('No conversation ID provided');
 
-    if (!question?.trim()) {
-      return res
-        .status(400)
-        .json({ success: false, error: 'No question provided' });
-    }
+  const provider = resolveProvider(req);
+  const pii = resolvePii(req);
+  const pivot = resolvePivot(req);
+  await assertConversationAccess(req, conversationId);
 
-    if (!conversationId) {
-      return res
-        .status(400)
-        .json({ success: false, error: 'No conversation ID provided' });
-    }
+  // Prefer the real rows stored with this conversation
+  const dataset = datasetStore.get(conversationId);
+  let dataContext = '[Previous conversation context]';
 
-    // Get conversation history for context
-    const conversationHistory = getConversationContext(conversationId);
-    
-    // Create a data context from previous messages
-    let dataContext = '[Previous conversation context]';
+  if (!dataset) {
+    // No stored dataset (expired or never kept): fall back to earlier answers
+    const conversationHistory = await getConversationContext(conversationId);
     if (conversationHistory.length > 0) {
       // Extract relevant data points from conversation
       const insights = conversationHistory
@@ -453,19 +1045,98 @@ app.post('/api/chat/followup', async (req, res) => {
         dataContext = `Previous analysis insights:\n${insights.join('\n\n')}`;
       }
     }
+  }
 
-    console.log('Processing follow-up question...');
-    const result = await analyzeDataWithAI(
-      dataContext,
-      question,
-      conversationId,
-      true
-    );
+  console.log('Processing follow-up question...');
+  return {
+    data: dataset ? dataset.rows : dataContext,
+    question,
+    sessionId: conversationId,
+    isFollowUp: true,
+    options: { profile: dataset?.profile, tables: dataset?.tables, viewFilters: dataset?.filters, provider, owner: req.user.id, pii, pivot },
+  };
+};
+
+const runAnalysis = async ({ data, question, sessionId, isFollowUp, sheets, options }, extraOptions = {}) => {
+  const result = await analyzeDataWithAI(data, question, sessionId, isFollowUp, { ...options, ...extraOptions });
+  return sheets ? { ...result, sheets } : result;
+};
+
+// Server-Sent Events: `token` for each model delta, `tool` for each tool call,
+// `done` with the same payload the JSON route returns
+const streamAnalysis = (prepare) => async (req, res) => {
+  let job;
+  try {
+    job = await prepare(req);
+  } catch (err) {
+    console.error('Stream setup error:', err);
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
 
+  const send = (event, payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    // compression() buffers output unless flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  send('start', { conversationId: job.sessionId });
+  const result = await runAnalysis(job, {
+    onToken: (text) => send('token', { text }),
+    onToolCall: (entry) => send('tool', entry),
+    signal: controller.signal,
+  });
+  chargeUsage(req, result);
+
+  if (!controller.signal.aborted) {
+    send('done', { success: true, ...result });
+    res.end();
+  }
+};
+
+app.post('/api/analyze/file', limitAnalysis, upload.single('file'), async (req, res) => {
+  try {
+    const job = await prepareFileAnalysis(req);
+    const result = await runAnalysis(job);
+    chargeUsage(req, result);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('File analysis error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/analyze/text', limitAnalysis, async (req, res) => {
+  try {
+    const job = await prepareTextAnalysis(req);
+    const result = await runAnalysis(job);
+    chargeUsage(req, result);
+    res.json(result);
+  } catch (err) {
+    console.error('Text analysis error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Chat follow-up route
+app.post('/api/chat/followup', limitAnalysis, async (req, res) => {
+  try {
+    const job = await prepareFollowup(req);
+    const result = await runAnalysis(job);
+    chargeUsage(req, result);
     res.json(result);
   } catch (err) {
     console.error('Follow-up error:', err);
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
       success: false, 
       error: err.message,
       analysis: 'Sorry, I encountered an error processing your follow-up question. Please try again.'
@@ -473,28 +1144,462 @@ app.post('/api/chat/followup', async (req, res) => {
   }
 });
 
+// Sheet list of an Excel upload, so clients can choose sheets before analysing
+app.post('/api/upload/sheets', upload.single('file'), (req, res) => {
+  try {
+    if (!req.file) throw badRequest('No file uploaded');
+    if (!req.file.originalname.match(/\.(xlsx|xls)$/)) throw badRequest('Not an Excel workbook');
+    res.json({ success: true, sheets: describeSheets(parseExcel(req.file.path)) });
+  } catch (err) {
+    console.error('Sheet listing error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  } finally {
+    if (req.file?.path && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+  }
+});
+
+// Streaming variants of the three analysis routes
+app.post('/api/analyze/file/stream', limitAnalysis, upload.single('file'), streamAnalysis(prepareFileAnalysis));
+app.post('/api/analyze/text/stream', limitAnalysis, streamAnalysis(prepareTextAnalysis));
+app.post('/api/chat/followup/stream', limitAnalysis, streamAnalysis(prepareFollowup));
+
+// Conversations of the signed-in user (or guest), most recent first
+app.get('/api/conversations', async (req, res) => {
+  try {
+    res.json({ success: true, conversations: await conversationStore.list(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Token usage and estimated cost of the user's conversations: totals, each conversation, and the
+// most expensive questions among the messages still stored
+const TOP_REQUESTS = 10;
+
+app.get('/api/usage', async (req, res) => {
+  try {
+    const conversations = (await conversationStore.list(req.user.id))
+      .filter((conversation) => conversation.usage)
+      .map(({ id, title, lastAccessed, usage }) => ({ id, title, lastAccessed, usage }));
+
+    const requests = [];
+    for (const { id } of conversations) {
+      const messages = await conversationStore.peek(id);
+      messages.forEach((message, index) => {
+        const question = messages[index - 1];
+        if (message.role !== 'assistant' || !message.usage || question?.role !== 'user') return;
+        requests.push({ conversationId: id, question: question.content, timestamp: message.timestamp, usage: message.usage });
+      });
+    }
+    const cost = ({ usage }) => [usage.estimatedCost ?? -1, usage.totalTokens];
+    const byCost = (a, b) => cost(b)[0] - cost(a)[0] || cost(b)[1] - cost(a)[1];
+
+    res.json({
+      success: true,
+      totals: sumUsage(conversations.map((conversation) => conversation.usage)),
+      conversations: conversations.sort(byCost),
+      topRequests: requests.sort(byCost).slice(0, TOP_REQUESTS),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Get conversation history
-app.get('/api/conversation/:sessionId', (req, res) => {
+app.get('/api/conversation/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const conversation = getConversationContext(sessionId);
-    res.json({ success: true, conversation });
+    await assertConversationAccess(req, sessionId);
+    const conversation = await getConversationContext(sessionId);
+    const dataset = datasetStore.get(sessionId);
+    res.json({
+      success: true,
+      conversation,
+      usage: await conversationStore.usageOf(sessionId),
+      view: dataset ? summarizeView(protectedDataset(dataset).tables, dataset.filters) : null,
+    });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
 // Clear conversation
-app.delete('/api/conversation/:sessionId', (req, res) => {
+app.delete('/api/conversation/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    conversationStore.delete(sessionId);
+    await assertConversationAccess(req, sessionId);
+    await conversationStore.delete(sessionId);
+    datasetStore.delete(sessionId);
     res.json({ success: true, message: 'Conversation cleared' });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Replace the view filters of the conversation's dataset; the client sends the chips that remain
+app.put('/api/conversation/:sessionId/filters', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await assertConversationAccess(req, sessionId);
+    const dataset = datasetStore.get(sessionId);
+    if (!dataset) throw notFound('The data of this conversation has expired; upload it again to filter it');
+    // Checked and counted on the tables the model sees, with the same rules as set_view_filters
+    const { tables, report } = protectedDataset(dataset);
+    let filters;
+    try {
+      filters = normalizeViewFilters(req.body?.filters, tables, { lockedColumns: lockedColumnsOf(report) });
+    } catch (err) {
+      throw badRequest(`Invalid filters: ${err.message}`);
+    }
+    const emptied = applyViewFilters(tables, filters).find((table, i) => table.rows.length === 0 && tables[i].rows.length > 0);
+    if (emptied) throw badRequest(`No rows of "${emptied.name}" match ${describeViewFilters(filters)}`);
+    datasetStore.setFilters(sessionId, filters);
+    res.json({ success: true, view: summarizeView(tables, filters) });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Pivot table over the conversation's stored dataset as the model sees it, narrowed by its view
+// filters. Body: { spec } (see assets/src/pivot.js) and optionally the `table` of a workbook.
+app.post('/api/conversation/:sessionId/pivot', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await assertConversationAccess(req, sessionId);
+    const dataset = datasetStore.get(sessionId);
+    if (!dataset) throw notFound('The data of this conversation has expired; upload it again to pivot it');
+    const { tables } = protectedDataset(dataset);
+    const table = tables.find(({ name }) => name === req.body?.table) || tables[0];
+    let spec;
+    try {
+      spec = PivotTable.normalize(req.body?.spec, table.profile?.columns || Object.keys(table.rows[0] || {}));
+    } catch (err) {
+      throw badRequest(`Invalid pivot: ${err.message}`);
+    }
+    const rows = filterViewRows(table.rows, table.name, dataset.filters);
+    res.json({ success: true, table: table.name, pivot: pivotTable.compute(rows, spec) });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ==========================
+// Accounts
+// ==========================
+const describeSession = (user) => ({ id: user.id, username: user.username, guest: user.guest });
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: describeSession(req.user) });
+});
+
+// Registering turns the current guest into the account, keeping its conversations and reports
+app.post('/api/auth/register', limitSignIn, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    let account;
+    try {
+      account = await userStore.register(username, password, { id: req.user.guest ? req.user.id : undefined });
+    } catch (err) {
+      throw badRequest(err.message);
+    }
+    res.status(201).json({ success: true, user: describeSession(auth.signIn(req, res, account.id)) });
+  } catch (err) {
+    console.error('Registration error:', err.message);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/auth/login', limitSignIn, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const account = await userStore.authenticate(username, password);
+    if (!account) return res.status(401).json({ success: false, error: 'Wrong username or password' });
+    await rateLimits.clearSignIn(req.ip, username);
+    res.json({ success: true, user: describeSession(auth.signIn(req, res, account.id)) });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.signOut(req, res);
+  res.json({ success: true });
+});
+
+// ==========================
+// API keys: issued and revoked by signed-in accounts (not by other keys)
+// ==========================
+const requireAccount = (req, res, next) => {
+  if (req.user.guest || req.apiKey) {
+    return res.status(401).json({ success: false, error: 'Sign in to manage API keys' });
+  }
+  next();
+};
+
+app.get('/api/keys', requireAccount, (req, res) => {
+  res.json({ success: true, keys: apiKeyStore.list(req.user.id) });
+});
+
+// The response is the only time the key itself is shown
+app.post('/api/keys', requireAccount, (req, res) => {
+  try {
+    const { name, dailyTokenBudget } = req.body || {};
+    let issued;
+    try {
+      issued = apiKeyStore.issue(req.user.id, { name, dailyTokenBudget });
+    } catch (err) {
+      throw badRequest(err.message);
+    }
+    res.status(201).json({ success: true, key: issued });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/keys/:id', requireAccount, (req, res) => {
+  if (!apiKeyStore.revoke(req.user.id, req.params.id)) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
+  }
+  res.json({ success: true, message: 'API key revoked' });
+});
+
+// ==========================
+// Saved reports (same model as the report export), private to their owner
+// ==========================
+app.post('/api/reports', async (req, res) => {
+  try {
+    let report;
+    try {
+      report = normaliseReport(req.body?.report);
+    } catch (err) {
+      throw badRequest(`Invalid report: ${err.message}`);
+    }
+    if (reportStore.isFull(req.user.id)) {
+      throw badRequest(`You can keep at most ${reportStore.maxPerUser} saved reports; delete one first`);
+    }
+    const { owner, ...meta } = await reportStore.save(req.user.id, report);
+    res.status(201).json({ success: true, report: meta });
+  } catch (err) {
+    console.error('Report save error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/reports', (req, res) => {
+  res.json({ success: true, reports: reportStore.list(req.user.id).map(({ owner, ...meta }) => meta) });
+});
+
+app.get('/api/reports/:id', async (req, res) => {
+  try {
+    const saved = await reportStore.get(req.user.id, req.params.id);
+    if (!saved) return res.status(404).json({ success: false, error: 'Report not found' });
+    const { owner, ...meta } = saved;
+    res.json({ success: true, ...meta });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/reports/:id/pdf', async (req, res) => {
+  try {
+    const saved = await reportStore.get(req.user.id, req.params.id);
+    if (!saved) return res.status(404).json({ success: false, error: 'Report not found' });
+    const report = buildReport(saved.report);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}.pdf"`);
+    renderReportPdf(report).pipe(res);
+  } catch (err) {
+    console.error('Saved report export error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/reports/:id', async (req, res) => {
+  try {
+    if (!(await reportStore.delete(req.user.id, req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// ==========================
+// Shared conversations: read-only snapshots behind an unguessable link
+// ==========================
+const SHARE_DEFAULT_DAYS = 30;
+const SHARE_MAX_DAYS = 365;
+const SHARE_MAX_ROWS = 500;
+
+// expiresInDays: 1-365, null for a link that never expires; 30 days when left out
+const resolveShareExpiry = (req) => {
+  const days = req.body?.expiresInDays === undefined ? SHARE_DEFAULT_DAYS : req.body.expiresInDays;
+  if (days === null) return null;
+  if (!Number.isInteger(days) || days < 1 || days > SHARE_MAX_DAYS) {
+    throw badRequest(`expiresInDays must be a whole number from 1 to ${SHARE_MAX_DAYS}, or null`);
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// The conversation as shown in the chat: answers without their chart JSON, charts alongside. Raw
+// rows are only included on request, and then only the first SHARE_MAX_ROWS.
+// The profile and rows go out as the model saw them: personal data masked, hashed or dropped
+// under the conversation's policy, never the raw values
+const buildShareSnapshot = (messages, dataset, { includeRows = false } = {}) => {
+  const question = messages.find((message) => message.role === 'user');
+  const [table] = dataset ? protectedDataset(dataset).tables : [null];
+  return {
+    title: String(question?.content || 'Shared analysis').slice(0, 120),
+    messages: messages.map((message) => {
+      if (message.role !== 'assistant') return { role: message.role, content: message.content, timestamp: message.timestamp };
+      // Answers stored before charts were kept with them are re-read from their JSON blocks
+      const extracted = extractCharts(message.content || '');
+      return {
+        role: 'assistant',
+        content: extracted.analysis,
+        charts: message.charts || extracted.charts,
+        timestamp: message.timestamp,
+      };
+    }),
+    profile: table?.profile || null,
+    rows: includeRows && table ? table.rows.slice(0, SHARE_MAX_ROWS) : null,
+  };
+};
+
+const describeShare = ({ owner, ...meta }) => ({ ...meta, url: `/share/${meta.token}` });
+
+app.post('/api/conversation/:sessionId/share', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await assertConversationAccess(req, sessionId);
+    const messages = await getConversationContext(sessionId);
+    if (messages.length === 0) throw notFound('Conversation not found');
+    if (shareStore.isFull(req.user.id)) {
+      throw badRequest(`You can keep at most ${shareStore.maxPerUser} share links; revoke one first`);
+    }
+
+    const expiresAt = resolveShareExpiry(req);
+    const snapshot = buildShareSnapshot(messages, datasetStore.get(sessionId), { includeRows: req.body?.includeRows === true });
+    const share = await shareStore.create(req.user.id, sessionId, snapshot, { expiresAt });
+    res.status(201).json({ success: true, share: describeShare(share) });
+  } catch (err) {
+    console.error('Share error:', err.message);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/shares', (req, res) => {
+  res.json({ success: true, shares: shareStore.list(req.user.id).map(describeShare) });
+});
+
+app.delete('/api/shares/:token', async (req, res) => {
+  try {
+    if (!(await shareStore.revoke(req.user.id, req.params.token))) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+    res.json({ success: true, message: 'Share link revoked' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Public: anyone with the token may read the snapshot, nothing else
+app.get('/api/share/:token', async (req, res) => {
+  try {
+    const shared = await shareStore.get(req.params.token);
+    if (!shared) return res.status(404).json({ success: false, error: 'This link does not exist, has expired or was revoked' });
+    const { title, createdAt, expiresAt, snapshot } = shared;
+    res.json({ success: true, share: { title, createdAt, expiresAt, ...snapshot } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// The page that renders /api/share/:token
+app.get('/share/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'assets', 'share.html'));
+});
+
+// PDF version of the report the client exports as HTML. The profile comes from the stored
+// dataset when the conversation still has one, so it covers every row, with personal data
+// protected as in the answers.
+app.post('/api/report/pdf', (req, res) => {
+  try {
+    const stored = req.body?.sessionId ? datasetStore.get(req.body.sessionId) : null;
+    const dataset = stored?.owner === req.user.id ? stored : null;
+    const [table] = dataset ? protectedDataset(dataset).tables : [null];
+    let report;
+    try {
+      report = buildReport(req.body, { profile: table?.profile });
+    } catch (err) {
+      throw badRequest(`Invalid report: ${err.message}`);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}.pdf"`);
+    renderReportPdf(report).pipe(res);
+  } catch (err) {
+    console.error('Report export error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Data downloads: ?format=csv|xlsx|json (default csv)
+const exportFormat = (req) => {
+  const format = String(req.query.format || req.body?.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw badRequest(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+};
+
+const sendExport = (res, { body, contentType, extension }, name) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${toFilename(name)}.${extension}"`);
+  res.send(body);
+};
+
+// Labels/datasets of one chart ({ chart: { title, type, data } }) as a file
+app.post('/api/export/chart', (req, res) => {
+  try {
+    const format = exportFormat(req);
+    const chart = req.body?.chart;
+    const errors = validateChartSpec(chart);
+    if (errors.length > 0) throw badRequest(`Invalid chart: ${errors.join('; ')}`);
+    sendExport(res, writeChart(chart, format), chart.title || 'chart-data');
+  } catch (err) {
+    console.error('Chart export error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// A table listed in an answer's `derivedTables`, recomputed over the stored dataset as the tool
+// call that recorded it saw it (personal data protected)
+app.get('/api/export/table/:conversationId/:tableId', (req, res) => {
+  try {
+    const format = exportFormat(req);
+    const { conversationId, tableId } = req.params;
+    const recipe = datasetStore.get(conversationId)?.owner === req.user.id
+      ? datasetStore.getDerived(conversationId, tableId)
+      : null;
+    if (!recipe) {
+      return res.status(404).json({ success: false, error: 'Table not found or its dataset has expired' });
+    }
+    const table = materializeDerived(protectedDataset(datasetStore.get(conversationId)), recipe);
+    sendExport(res, writeTable(table, format, { sheetName: recipe.name }), recipe.name);
+  } catch (err) {
+    console.error('Table export error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// JSON Schema for the chart specs returned in `charts`
+app.get('/api/chart-schema', (req, res) => {
+  res.json({ schema: CHART_SPEC_SCHEMA, types: CHART_TYPES });
+});
+
 // Test chart endpoint
 app.get('/api/test/chart', (req, res) => {
   const testChartData = {
@@ -531,6 +1636,7 @@ app.get('/api/test/chart', (req, res) => {
   res.json({
     success: true,
     analysis: 'This is a test chart to verify chart display functionality.',
+    charts: [testChartData.chart],
     chartData: testChartData.chart.data,
     chartTitle: testChartData.chart.title,
     chartType: testChartData.chart.type,
@@ -541,11 +1647,15 @@ app.get('/api/test/chart', (req, res) => {
 // ==========================
 // Health & SPA fallback - FIXED
 // ==========================
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   res.json({ 
     status: 'ok', 
     uptime: process.uptime(),
-    conversations: conversationStore.size 
+    conversations: await conversationStore.size(),
+    datasets: datasetStore.size,
+    users: userStore.size,
+    provider: defaultProviderName(),
+    providers: listProviders()
   });
 });
 
@@ -566,19 +1676,45 @@ app.get('*', (req, res) => {
   });
 });
 
-// Clean up old conversations periodically
-setInterval(() => {
-  // In a real app, you'd track timestamps. For demo, we'll just clear old entries
-  // to prevent memory leaks
-  if (conversationStore.size > 100) {
-    // Clear half of the conversations if we have too many
-    const keys = Array.from(conversationStore.keys());
-    const toDelete = keys.slice(0, Math.floor(keys.length / 2));
-    toDelete.forEach(key => conversationStore.delete(key));
-    console.log(`Cleaned up ${toDelete.length} old conversations`);
+// Expire idle conversations and datasets periodically
+setInterval(async () => {
+  try {
+    const expiredConversations = await conversationStore.prune();
+    if (expiredConversations > 0) {
+      console.log(`Cleaned up ${expiredConversations} expired conversations`);
+    }
+  } catch (err) {
+    console.error('Conversation cleanup error:', err);
+  }
+
+  const expiredDatasets = datasetStore.prune();
+  if (expiredDatasets > 0) {
+    console.log(`Cleaned up ${expiredDatasets} expired datasets`);
+  }
+
+  try {
+    const expiredShares = await shareStore.prune();
+    if (expiredShares > 0) {
+      console.log(`Cleaned up ${expiredShares} expired share links`);
+    }
+  } catch (err) {
+    console.error('Share link cleanup error:', err);
   }
 }, 30 * 60 * 1000); // Every 30 minutes
 
+// Write pending changes before a restart or deploy stops the process
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, async () => {
+    try {
+      await Promise.all([conversationStore.close(), userStore.close(), reportStore.close(), apiKeyStore.close(), shareStore.close()]);
+    } catch (err) {
+      console.error('Shutdown error:', err);
+      process.exit(1);
+    }
+    process.exit(0);
+  });
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Data Examiner running on http://localhost:${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,315 @@
+// test/analysis.test.js — the analysis pipeline end to end, driven by the mock provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, createClient, uploadForm } = require('./helpers/server');
+
+const SALES_CSV = `Region,Date,Sales
+North,2024-01-05,10
+South,2024-02-05,5
+North,2024-04-05,7
+East,2024-05-05,1
+`;
+
+const CUSTOMERS_CSV = `Name,Email,Region,Sales
+Jo,jo@example.com,North,10
+Al,al@example.org,South,5
+Mo,mo@example.net,North,7
+`;
+
+let server;
+
+test.before(async () => {
+  // Every test here analyses from the same address
+  server = await startServer({ RATE_LIMIT_PER_IP: '1000' });
+});
+
+test.after(async () => {
+  if (server) await stopServer(server);
+});
+
+test('answers a file upload after querying the data through tools', async () => {
+  const request = createClient(server.url);
+  const { status, body } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.deepEqual(body.toolTrace.map(({ round, tool }) => [round, tool]), [[1, 'group_by']]);
+  assert.deepEqual(body.toolTrace[0].result.rows, [
+    { Region: 'North', sum_Sales: 17 },
+    { Region: 'South', sum_Sales: 5 },
+    { Region: 'East', sum_Sales: 1 },
+  ]);
+  assert.match(body.analysis, /North has the highest total Sales \(17\)/);
+});
+
+test('checks the charts in an answer against every stored row', async () => {
+  const request = createClient(server.url);
+  const { body } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+
+  assert.deepEqual(body.charts.map(({ verification }) => verification.status), ['verified', 'verified']);
+  assert.deepEqual(body.charts[0].data.datasets[0].data, [17, 5, 1]);
+  assert.match(body.charts[0].verification.note, /sum of Sales by Region over 4 rows/);
+});
+
+test('answers follow-ups with tool calls over the stored dataset', async () => {
+  const request = createClient(server.url);
+  const { body: first } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+  const { status, body } = await request('POST', '/api/chat/followup', {
+    question: 'Which region sells most?',
+    conversationId: first.conversationId,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.toolTrace[0].tool, 'group_by');
+  assert.equal(body.toolTrace[0].result.groups, 3);
+});
+
+// [{ event, data }] from a Server-Sent Events body
+const readEvents = (buffer) => buffer.toString('utf8').split('\n\n').filter(Boolean).map((block) => {
+  const [, event] = block.match(/^event: (.+)$/m);
+  const [, data] = block.match(/^data: (.+)$/m);
+  return { event, data: JSON.parse(data) };
+});
+
+test('streams tool calls and answer tokens before the final payload', async () => {
+  const request = createClient(server.url);
+  const { status, headers, body } = await request('POST', '/api/analyze/file/stream', uploadForm(SALES_CSV, 'sales.csv'));
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/event-stream/);
+  const events = readEvents(body);
+  const names = events.map(({ event }) => event);
+  assert.equal(names[0], 'start');
+  assert.equal(names[1], 'tool');
+  assert.equal(names.at(-1), 'done');
+  assert.ok(names.filter((name) => name === 'token').length > 10);
+
+  const done = events.at(-1).data;
+  assert.equal(done.success, true);
+  assert.equal(done.conversationId, events[0].data.conversationId);
+  assert.deepEqual(events[1].data.arguments, done.toolTrace[0].arguments);
+  const streamed = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+  assert.match(streamed, /^# Overview\n/);
+});
+
+test('excludes the rows and columns deselected in the preview, counted as the client parses them', async () => {
+  const request = createClient(server.url);
+  // No header row and a blank line: the client numbers rows 0-3 and skips the blank line
+  const form = uploadForm('North,2024-01-05,10\n\nSouth,2024-02-05,5\nNorth,2024-04-05,7\nEast,2024-05-05,1\n', 'sales.csv');
+  form.append('excludedRows', JSON.stringify([1, 3]));
+  form.append('excludedColumns', JSON.stringify(['Column 2']));
+  const { status, body } = await request('POST', '/api/analyze/file', form);
+
+  assert.equal(status, 200);
+  assert.equal(body.profile.totalRows, 2);
+  assert.deepEqual(body.profile.columns, ['Column 1', 'Column 3']);
+  assert.deepEqual(body.toolTrace[0].result.rows, [{ 'Column 1': 'North', 'sum_Column 3': 17 }]);
+
+  form.set('excludedRows', '[1,');
+  const invalid = await request('POST', '/api/analyze/file', form);
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /^Invalid exclusions:/);
+});
+
+test('exports the tables an answer was built from, recomputed over the stored rows', async () => {
+  const request = createClient(server.url);
+  const { body } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+  const [table] = body.derivedTables;
+  assert.equal(table.name, 'sum of Sales by Region');
+
+  const route = `/api/export/table/${body.conversationId}/${table.id}`;
+  const csv = await request('GET', `${route}?format=csv`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-disposition'), /filename="sum-of-sales-by-region\.csv"/);
+  assert.equal(csv.body.toString(), '\uFEFFRegion,sum_Sales\nNorth,17\nSouth,5\nEast,1');
+
+  assert.equal((await request('GET', `${route}?format=docx`)).status, 400);
+  assert.equal((await createClient(server.url)('GET', route)).status, 404);
+});
+
+test('keeps conversations private to their owner across sign-ins', async () => {
+  const owner = createClient(server.url);
+  const registered = await owner('POST', '/api/auth/register', { username: 'owner', password: 'correct horse' });
+  assert.equal(registered.status, 201);
+  const { body } = await owner('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+  const route = `/api/conversation/${body.conversationId}`;
+
+  const stranger = createClient(server.url);
+  assert.equal((await stranger('GET', route)).status, 404);
+  assert.equal((await stranger('POST', '/api/chat/followup', { question: 'Which region?', conversationId: body.conversationId })).status, 404);
+  assert.deepEqual((await stranger('GET', '/api/conversations')).body.conversations, []);
+
+  await owner('POST', '/api/auth/logout');
+  assert.equal((await owner('GET', route)).status, 404);
+  assert.equal((await owner('POST', '/api/auth/login', { username: 'Owner', password: 'correct horse' })).status, 200);
+  assert.equal((await owner('GET', route)).body.conversation.length, 2);
+});
+
+test('limits failed sign-ins per username without touching the analysis limits', async () => {
+  const request = createClient(server.url);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await request('POST', '/api/auth/login', { username: 'nobody', password: 'wrong horse' })).status, 401);
+  }
+  const limited = await request('POST', '/api/auth/login', { username: 'nobody', password: 'wrong horse' });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '900');
+  assert.equal((await request('POST', '/api/auth/login', { username: 'somebody', password: 'wrong horse' })).status, 401);
+  assert.equal((await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'))).status, 200);
+});
+
+test('accepts API keys for the analysis endpoints within their daily token budget', async () => {
+  const account = createClient(server.url);
+  assert.equal((await account('POST', '/api/keys', {})).status, 401);
+  await account('POST', '/api/auth/register', { username: 'scripted', password: 'correct horse' });
+  const { status, body } = await account('POST', '/api/keys', { name: 'CI', dailyTokenBudget: 1 });
+  assert.equal(status, 201);
+
+  const analyze = (key) => fetch(`${server.url}/api/analyze/file`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}` },
+    body: uploadForm(SALES_CSV, 'sales.csv'),
+  });
+  const first = await analyze(body.key.key);
+  assert.equal(first.status, 200);
+  const spent = await analyze(body.key.key);
+  assert.equal(spent.status, 429);
+  assert.match((await spent.json()).error, /daily token budget/);
+  assert.equal((await analyze('dek_unknown')).status, 401);
+
+  const { conversations } = (await account('GET', '/api/conversations')).body;
+  assert.equal(conversations[0].id, (await first.json()).conversationId);
+});
+
+test('reports the tokens and cost of each answer and conversation', async () => {
+  const request = createClient(server.url);
+  const { body: first } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+  assert.deepEqual([first.usage.provider, first.usage.calls, first.usage.estimatedCost], ['mock', 2, 0]);
+  assert.ok(first.usage.totalTokens > 0);
+  const { body: followup } = await request('POST', '/api/chat/followup', {
+    question: 'Which region sells most?',
+    conversationId: first.conversationId,
+  });
+
+  const { body } = await request('GET', '/api/usage');
+  assert.equal(body.totals.requests, 2);
+  assert.equal(body.totals.totalTokens, first.usage.totalTokens + followup.usage.totalTokens);
+  assert.deepEqual(body.conversations.map(({ id }) => id), [first.conversationId]);
+  assert.equal(body.topRequests.length, 2);
+  assert.ok(body.topRequests.some(({ question, usage }) => question === 'Which region sells most?' && usage.totalTokens === followup.usage.totalTokens));
+  assert.deepEqual((await request('GET', `/api/conversation/${first.conversationId}`)).body.usage, body.totals);
+});
+
+test('shares a read-only snapshot of the conversation as it was answered', async () => {
+  const request = createClient(server.url);
+  const { body } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+  const [, answer] = (await request('GET', `/api/conversation/${body.conversationId}`)).body.conversation;
+  assert.equal(answer.content, body.analysis);
+  assert.equal(answer.charts.length, 2);
+  assert.doesNotMatch(answer.content, /```json/);
+
+  const created = await request('POST', `/api/conversation/${body.conversationId}/share`, { expiresInDays: 7, includeRows: true });
+  assert.equal(created.status, 201);
+  const { token, url } = created.body.share;
+  assert.equal(url, `/share/${token}`);
+  assert.equal((await request('POST', `/api/conversation/${body.conversationId}/share`, { expiresInDays: 0 })).status, 400);
+
+  const stranger = createClient(server.url);
+  const { body: shared } = await stranger('GET', `/api/share/${token}`);
+  assert.deepEqual(shared.share.messages.map(({ role }) => role), ['user', 'assistant']);
+  assert.equal(shared.share.messages[1].content, body.analysis);
+  assert.equal(shared.share.rows.length, 4);
+  assert.equal(shared.share.profile.totalRows, 4);
+  assert.equal((await stranger('DELETE', `/api/shares/${token}`)).status, 404);
+
+  assert.equal((await request('DELETE', `/api/shares/${token}`)).status, 200);
+  assert.equal((await stranger('GET', `/api/share/${token}`)).status, 404);
+});
+
+test('keeps personal data from the model, the profile and the exports', async () => {
+  const request = createClient(server.url);
+  const { body } = await request('POST', '/api/analyze/file', uploadForm(CUSTOMERS_CSV, 'customers.csv'));
+  assert.deepEqual(body.redactions.redactions.map(({ column, kind, action, values }) => [column, kind, action, values]), [
+    ['Email', 'email', 'mask', 3],
+  ]);
+  assert.equal(body.profile.semanticTypes.Email, 'redacted');
+  assert.doesNotMatch(JSON.stringify(body), /jo@example\.com/);
+
+  const { body: followup } = await request('POST', '/api/chat/followup', {
+    question: 'What about North?',
+    conversationId: body.conversationId,
+  });
+  const focus = followup.derivedTables.find(({ name }) => name === 'Rows where Region = "North"');
+  const csv = await request('GET', `/api/export/table/${body.conversationId}/${focus.id}?format=csv`);
+  assert.equal(csv.body.toString(), '\uFEFFName,Email,Region,Sales\nJo,j***@example.com,North,10\nMo,m***@example.net,North,7');
+
+  const form = uploadForm(CUSTOMERS_CSV, 'customers.csv');
+  form.append('pii', 'drop');
+  const dropped = await request('POST', '/api/analyze/file', form);
+  assert.deepEqual(dropped.body.profile.columns, ['Name', 'Region', 'Sales']);
+  form.set('pii', 'encrypt');
+  assert.equal((await request('POST', '/api/analyze/file', form)).status, 400);
+});
+
+test('narrows the conversation to a live filtered view on request', async () => {
+  const request = createClient(server.url);
+  const { body: first } = await request('POST', '/api/analyze/file', uploadForm(SALES_CSV, 'sales.csv'));
+  const { body } = await request('POST', '/api/chat/followup', {
+    question: 'Only show rows where Region is North',
+    conversationId: first.conversationId,
+  });
+
+  assert.deepEqual(body.toolTrace.map(({ tool }) => tool), ['set_view_filters', 'group_by']);
+  assert.deepEqual(body.view.filters.map(({ label }) => label), ['Region = North']);
+  assert.deepEqual([body.view.rowCount, body.view.totalRows], [2, 4]);
+  assert.match(body.analysis, /^Total Sales: 17$/m);
+  assert.deepEqual(body.charts[0].data.labels, ['North']);
+
+  const cleared = await request('PUT', `/api/conversation/${first.conversationId}/filters`, { filters: [] });
+  assert.deepEqual([cleared.status, cleared.body.view.rowCount], [200, 4]);
+  const { body: history } = await request('GET', `/api/conversation/${first.conversationId}`);
+  assert.deepEqual(history.view, { filters: [], rowCount: 4, totalRows: 4 });
+});
+
+test('checks client filters against the protected data', async () => {
+  const request = createClient(server.url);
+  const { body } = await request('POST', '/api/analyze/file', uploadForm(CUSTOMERS_CSV, 'customers.csv'));
+  const route = `/api/conversation/${body.conversationId}/filters`;
+
+  const email = await request('PUT', route, { filters: [{ column: 'Email', value: 'jo@example.com' }] });
+  assert.equal(email.status, 400);
+  assert.match(email.body.error, /personal data/);
+  const empty = await request('PUT', route, { filters: [{ column: 'Region', value: 'West' }] });
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.error, /^No rows of "customers\.csv" match/);
+
+  const region = await request('PUT', route, { filters: [{ column: 'Region', value: 'North' }] });
+  assert.equal(region.status, 200);
+  assert.deepEqual(region.body.view.filters.map(({ label }) => label), ['Region = North']);
+  assert.equal(region.body.view.rowCount, 2);
+  assert.equal((await createClient(server.url)('PUT', route, { filters: [] })).status, 404);
+});
+
+test('pivots the stored data as the model sees it, within the view', async () => {
+  const request = createClient(server.url);
+  const { body } = await request('POST', '/api/analyze/file', uploadForm(CUSTOMERS_CSV, 'customers.csv'));
+  const route = `/api/conversation/${body.conversationId}/pivot`;
+
+  const { status, body: pivoted } = await request('POST', route, {
+    spec: { rows: ['Email'], values: [{ column: 'Sales', operation: 'sum' }] },
+  });
+  assert.equal(status, 200);
+  assert.equal(pivoted.table, 'customers.csv');
+  assert.deepEqual(pivoted.pivot.rows.map(({ keys, totals }) => [keys[0], totals[0]]), [
+    ['a***@example.org', 5],
+    ['j***@example.com', 10],
+    ['m***@example.net', 7],
+  ]);
+
+  await request('PUT', `/api/conversation/${body.conversationId}/filters`, { filters: [{ column: 'Region', value: 'North' }] });
+  const { body: filtered } = await request('POST', route, { spec: { rows: ['Region'], values: [{ operation: 'count' }] } });
+  assert.deepEqual(filtered.pivot.totals.totals, [2]);
+
+  const invalid = await request('POST', route, { spec: { rows: ['Country'], values: [{ operation: 'count' }] } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid pivot: Unknown column "Country"');
+});
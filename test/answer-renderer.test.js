@@ -0,0 +1,56 @@
+// test/answer-renderer.test.js — AI answers parsed into sections and rendered without raw HTML
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MarkdownRenderer = require('../assets/src/markdown');
+
+// The page loads markdown.js first, as a global
+globalThis.MarkdownRenderer = MarkdownRenderer;
+const AnswerRenderer = require('../assets/src/answer-renderer');
+
+const ANSWER = `# Overview
+Sales **grew** in 2024.
+
+## Key Metrics
+- Total Sales: 1,234
+Regions: 3
+
+## Key Insights
+- North leads
+  - 17 sales
+  - ahead of South
+- East trails
+
+| Region | Sales |
+| --- | --- |
+| North | 17 |
+
+## Recommendations
+1. Grow East
+
+## Key Finding
+North leads on Sales.`;
+
+test('splits an answer into its sections, keeping nested items and tables', () => {
+  const sections = new AnswerRenderer().parseMarkdownToStructuredData(ANSWER);
+  assert.equal(sections.overview, 'Overview');
+  assert.deepEqual(sections.metrics, [{ label: 'Total Sales', value: '1,234' }, { label: 'Regions', value: '3' }]);
+  assert.deepEqual(sections.insights, ['North leads\n  - 17 sales\n  - ahead of South', 'East trails']);
+  assert.deepEqual(sections.recommendations, ['Grow East']);
+  assert.deepEqual(sections.keyFindings, ['North leads on Sales.']);
+  assert.deepEqual(sections.rawSections.map(({ content }) => content), [
+    'Sales **grew** in 2024.',
+    '| Region | Sales |\n| --- | --- |\n| North | 17 |',
+  ]);
+});
+
+test('escapes everything when the markdown libraries are not loaded', () => {
+  const markdown = new MarkdownRenderer();
+  assert.equal(markdown.render('<img src=x onerror="alert(1)">\nnext'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;<br>next');
+  assert.equal(markdown.renderInline("<script>alert('x')</script>"), '&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;');
+  assert.equal(markdown.sanitize('<b>bold</b>'), '&lt;b&gt;bold&lt;/b&gt;');
+  assert.equal(markdown.render(''), '');
+
+  const html = new AnswerRenderer().createBeautifulResponseFromMarkdown('# <script>alert(1)</script>\n## Key Metrics\nRows: <b>3</b>');
+  assert.doesNotMatch(html, /<script>|<b>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
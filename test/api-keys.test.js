@@ -0,0 +1,70 @@
+// test/api-keys.test.js — API keys stored as hashes, with daily token budgets
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../lib/api-keys');
+
+const createStore = (t, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'api-keys.json');
+  return { filePath, store: new ApiKeyStore({ filePath, ...options }) };
+};
+
+test('issues keys that authenticate as their owner until revoked', async (t) => {
+  const { store } = createStore(t);
+  const issued = store.issue('ann', { name: ' CI ' });
+  assert.match(issued.key, /^dek_[\w-]{32}$/);
+  assert.equal(issued.prefix, issued.key.slice(0, 10));
+  assert.equal(issued.name, 'CI');
+
+  assert.deepEqual(store.authenticate(issued.key), { id: issued.id, owner: 'ann', name: 'CI' });
+  assert.ok(store.list('ann')[0].lastUsedAt);
+  assert.equal(store.list('ann')[0].key, undefined);
+  assert.equal(store.authenticate(`${issued.key}x`), null);
+  assert.equal(store.authenticate('sk-not-ours'), null);
+
+  assert.equal(store.revoke('bob', issued.id), false);
+  assert.equal(store.revoke('ann', issued.id), true);
+  assert.equal(store.authenticate(issued.key), null);
+  await store.close();
+});
+
+test('stores only key hashes', async (t) => {
+  const { filePath, store } = createStore(t);
+  const { key } = store.issue('ann');
+  await store.close();
+  assert.ok(!fs.readFileSync(filePath, 'utf-8').includes(key));
+  const reloaded = new ApiKeyStore({ filePath });
+  assert.equal(reloaded.authenticate(key).owner, 'ann');
+  await reloaded.close();
+});
+
+test('counts tokens against the daily budget', async (t) => {
+  const { store } = createStore(t, { dailyTokenBudget: 1000 });
+  const { id } = store.issue('ann');
+  store.recordUsage(id, 600);
+  store.recordUsage(id, 0);
+  assert.equal(store.remainingTokens(id), 400);
+  assert.equal(store.list('ann')[0].tokensToday, 600);
+  store.recordUsage(id, 600);
+  assert.equal(store.remainingTokens(id), 0);
+  assert.equal(store.remainingTokens('missing'), 0);
+
+  // A new day starts a new budget
+  store.keys.get(id).usage.day = '2000-01-01';
+  assert.equal(store.remainingTokens(id), 1000);
+  await store.close();
+});
+
+test('validates budgets and caps keys per account', async (t) => {
+  const { store } = createStore(t);
+  assert.throws(() => store.issue('ann', { dailyTokenBudget: 0 }), /dailyTokenBudget must be a positive integer/);
+  assert.throws(() => store.issue('ann', { dailyTokenBudget: '1.5' }), /dailyTokenBudget must be a positive integer/);
+  assert.equal(store.issue('ann', { dailyTokenBudget: '5000' }).dailyTokenBudget, 5000);
+  for (let i = 1; i < 10; i++) store.issue('ann');
+  assert.throws(() => store.issue('ann'), /at most 10 API keys/);
+  await store.close();
+});
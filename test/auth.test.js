@@ -0,0 +1,44 @@
+// test/auth.test.js — signed session cookies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COOKIE_NAME, createAuth, parseCookies } = require('../lib/auth');
+
+const users = { get: (id) => (id === 'ann-id' ? { id, username: 'ann' } : null) };
+const auth = createAuth({ secret: 'test-secret', users });
+
+// Runs the identify middleware for a request with `cookie`
+const identify = (cookie) => {
+  const req = { headers: { cookie }, secure: false };
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+  auth.identify(req, res, () => {});
+  return { user: req.user, cookie: headers['Set-Cookie'] };
+};
+
+const sessionOf = (setCookie) => parseCookies(setCookie.split(';')[0])[COOKIE_NAME];
+
+test('makes new visitors guests with a signed cookie', () => {
+  const { user, cookie } = identify();
+  assert.equal(user.guest, true);
+  assert.match(cookie, new RegExp(`^${COOKIE_NAME}=${user.id}\\.\\d+\\.[\\w-]+; Path=/; HttpOnly; SameSite=Lax; Max-Age=2592000$`));
+
+  const again = identify(`${COOKIE_NAME}=${sessionOf(cookie)}`);
+  assert.deepEqual(again, { user, cookie: undefined });
+});
+
+test('recognises accounts and refuses tampered cookies', () => {
+  const req = { headers: {}, secure: true };
+  let cookie;
+  const signedIn = auth.signIn(req, { setHeader: (name, value) => { cookie = value; } }, 'ann-id');
+  assert.deepEqual(signedIn, { id: 'ann-id', username: 'ann', guest: false });
+  assert.match(cookie, /; Secure$/);
+
+  const [id, expires, signature] = sessionOf(cookie).split('.');
+  assert.deepEqual(identify(`${COOKIE_NAME}=${id}.${expires}.${signature}`).user, signedIn);
+  assert.notEqual(identify(`${COOKIE_NAME}=other-id.${expires}.${signature}`).user.id, 'other-id');
+  assert.notEqual(identify(`${COOKIE_NAME}=${id}.${Number(expires) + 1}.${signature}`).user.id, 'ann-id');
+});
+
+test('requires a secret', () => {
+  assert.throws(() => createAuth({ users }), /A session secret is required/);
+});
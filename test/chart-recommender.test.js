@@ -0,0 +1,47 @@
+// test/chart-recommender.test.js — ranked chart suggestions from column profiles
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChartRecommender = require('../assets/src/chart-recommender');
+const { profileDataset } = require('../lib/dataset-profile');
+
+const regions = ['North', 'South', 'East'];
+const rows = Array.from({ length: 12 }, (_, i) => ({
+  Date: `2024-0${1 + (i % 6)}-15`,
+  Region: regions[i % 3],
+  Sales: 10 + i * 3,
+  Units: 1 + (i % 4),
+  Margin: (i * 7) % 10,
+}));
+
+test('ranks suggestions by how well the columns fit each chart', () => {
+  const suggestions = new ChartRecommender().recommend(rows, profileDataset(rows));
+  assert.deepEqual(suggestions.map(({ id, score }) => [id, score]), [
+    ['time:Date:Sales', 90],
+    ['time:Date:Units', 85],
+    ['bar:Region:Sales', 80],
+    ['pie:Region:Sales', 70],
+    ['scatter:Sales:Units', 61],
+    ['heatmap:Sales:Units:Margin', 60],
+  ]);
+});
+
+test('sums the measure per category, largest first', () => {
+  const bar = new ChartRecommender().recommend(rows, profileDataset(rows)).find(({ type }) => type === 'bar');
+  assert.equal(bar.title, 'Total Sales by Region');
+  assert.deepEqual(bar.data, {
+    labels: ['East', 'South', 'North'],
+    datasets: [{ label: 'Total Sales', data: [118, 106, 94] }],
+  });
+});
+
+test('is deterministic and honours maxSuggestions', () => {
+  const profile = profileDataset(rows);
+  assert.deepEqual(new ChartRecommender().recommend(rows, profile), new ChartRecommender().recommend(rows, profile));
+  assert.equal(new ChartRecommender({ maxSuggestions: 2 }).recommend(rows, profile).length, 2);
+});
+
+test('counts records when there is no measure, and suggests nothing without data', () => {
+  const names = [{ Name: 'a' }, { Name: 'b' }, { Name: 'a' }];
+  assert.deepEqual(new ChartRecommender().recommend(names, profileDataset(names)).map(({ id }) => id), ['pie:Name:count', 'bar:Name:count']);
+  assert.deepEqual(new ChartRecommender().recommend([], profileDataset(rows)), []);
+});
@@ -0,0 +1,117 @@
+// test/chart-spec.test.js — chart types, their data shapes and validation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHART_TYPES, MAX_CHARTS, describeChartSchema, chartShape, validateChart, validateChartSpec, extractCharts } = require('../lib/chart-spec');
+
+const series = { labels: ['A', 'B', 'C'], datasets: [{ label: 'Sales', data: [10, '20', null] }] };
+
+test('accepts every chart type in its documented shape', () => {
+  assert.deepEqual(validateChart('line', series), []);
+  assert.deepEqual(validateChart('radar', series), []);
+  assert.deepEqual(validateChart('pie', { labels: ['A', 'B'], datasets: [{ data: [60, 40] }] }), []);
+  assert.deepEqual(validateChart('scatter', { datasets: [{ data: [{ x: 1.5, y: 20 }] }], trendline: true }), []);
+  assert.deepEqual(validateChart('bubble', { datasets: [{ data: [{ x: 1, y: 2, r: 8 }] }] }), []);
+  assert.deepEqual(validateChart('histogram', { datasets: [{ data: [12.5, 40, 18] }], bins: 10 }), []);
+  assert.deepEqual(validateChart('boxplot', {
+    labels: ['North', 'South'],
+    datasets: [{ data: [[12, 40, 18], { min: 5, q1: 10, median: 14, q3: 20, max: 31 }] }],
+  }), []);
+  assert.deepEqual(validateChart('heatmap', { labels: ['Price', 'Units'], matrix: [[1, -0.4], [-0.4, 1]] }), []);
+});
+
+test('groups chart types by the shape of their data', () => {
+  assert.equal(chartShape({ type: 'area', data: series }), 'series');
+  assert.equal(chartShape({ type: 'bubble', data: {} }), 'points');
+  assert.equal(chartShape({ data: { datasets: [{ data: [{ x: 1, y: 2 }] }] } }), 'points');
+  assert.equal(chartShape({ type: 'auto', data: { labels: ['A'], matrix: [[1]] } }), 'heatmap');
+  assert.equal(chartShape({ type: 'boxplot', data: {} }), 'boxplot');
+});
+
+test('describes every type for the system prompt', () => {
+  const description = describeChartSchema();
+  CHART_TYPES.forEach((type) => assert.match(description, new RegExp(`\\b${type}\\b`)));
+});
+
+test('reports data that does not fit the type', () => {
+  assert.deepEqual(validateChart('bar', { labels: ['A', 'B'], datasets: [{ data: [1] }] }), ['datasets[0] has 1 values for 2 labels']);
+  assert.deepEqual(validateChart('bar', { labels: ['A'], datasets: [{ data: ['lots'] }] }), ['datasets[0].data must contain only numbers']);
+  assert.deepEqual(validateChart('radar', { labels: ['A', 'B'], datasets: [{ data: [1, 2] }] }), ['data.labels must be an array of at least 3 labels']);
+  assert.deepEqual(validateChart('pie', { labels: ['A', 'B'], datasets: [{ data: [5, -1] }] }), ['pie charts cannot show negative values']);
+  assert.deepEqual(validateChart('bubble', { datasets: [{ data: [{ x: 1, y: 2 }] }] }), ['datasets[0].data[0] must be {x, y, r} with numeric values']);
+  assert.deepEqual(validateChart('histogram', { datasets: [{ data: [1] }], bins: 0 }), [
+    'histogram needs at least 2 values',
+    'bins must be an integer between 1 and 100',
+  ]);
+  assert.deepEqual(validateChart('boxplot', { labels: ['A'], datasets: [{ data: [{ min: 5, q1: 10, median: 4, q3: 20, max: 31 }] }] }), [
+    'datasets[0].data[0] must be an array of numbers or ordered {min, q1, median, q3, max}',
+  ]);
+  assert.deepEqual(validateChart('heatmap', { labels: ['A', 'B'], matrix: [[1, 0]] }), ['data.matrix must have one row per label (2)']);
+  assert.deepEqual(validateChart('line', { labels: ['A'] }), ['data.datasets must be a non-empty array']);
+  assert.deepEqual(validateChart('bar', 'oops'), ['chart data must be an object']);
+  assert.match(validateChart('sankey', series)[0], /^Unknown chart type "sankey"\. Use one of: line, area/);
+});
+
+const fence = (value) => `\`\`\`json\n${JSON.stringify(value)}\n\`\`\``;
+const bar = (title) => ({ title, type: 'bar', data: { labels: ['A'], datasets: [{ data: [1] }] } });
+
+test('takes every chart out of the answer, in every format models use', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const content = [
+    '# Overview',
+    fence({ charts: [bar('One'), bar('Two')] }),
+    'Between the charts.',
+    fence({ chart: bar('Three') }),
+    fence({ chartTitle: 'Four', chartType: 'line', chartData: bar('').data }),
+    fence({ labels: ['A'], datasets: [{ data: [1] }] }),
+  ].join('\n\n');
+
+  const { analysis, charts, rejected } = extractCharts(content);
+  assert.equal(analysis, '# Overview\n\nBetween the charts.');
+  assert.deepEqual(charts.map(({ title, type }) => [title, type]), [
+    ['One', 'bar'],
+    ['Two', 'bar'],
+    ['Three', 'bar'],
+    ['Four', 'line'],
+  ]);
+  assert.equal(charts.length, MAX_CHARTS);
+  assert.deepEqual(rejected, []);
+});
+
+test('keeps the first charts when an answer has too many', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { charts } = extractCharts(fence({ charts: ['1', '2', '3', '4', '5', '6'].map(bar) }));
+  assert.deepEqual(charts.map(({ title }) => title), ['1', '2', '3', '4']);
+});
+
+test('checks the whole spec and its colours', () => {
+  assert.deepEqual(validateChartSpec({ title: 'Sales', type: 'bar', data: series }), []);
+  assert.deepEqual(validateChartSpec([]), ['chart spec must be an object']);
+  assert.deepEqual(validateChartSpec({ title: 3, type: ['bar'], data: series }), ['title must be a string', 'type must be a string']);
+  assert.deepEqual(validateChartSpec({ data: { datasets: [{ data: [{ x: 1, y: 2, r: 3 }] }] } }), []);
+
+  const coloured = (colours) => ({ labels: ['A', 'B'], datasets: [{ data: [1, 2], ...colours }] });
+  assert.deepEqual(validateChart('bar', coloured({ backgroundColor: ['#36a2eb', 'rgba(255, 99, 132, 0.5)'], borderColor: 'teal' })), []);
+  assert.deepEqual(validateChart('bar', coloured({ backgroundColor: ['#36a2eb', 'rgb(1, 2, 3)', 'red'] })), ['datasets[0].backgroundColor has 3 colours for 2 values']);
+  assert.deepEqual(validateChart('bar', coloured({ borderColor: 'not a colour!' })), ['datasets[0].borderColor must be CSS colours']);
+});
+
+test('repairs malformed chart JSON and reports what cannot be drawn', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const content = [
+    "```json\n{title: 'Repaired', type: 'bar', data: {labels: ['A'], datasets: [{data: [1],}]}}\n```",
+    fence({ title: 'Mismatched', type: 'bar', data: { labels: ['A', 'B'], datasets: [{ data: [1] }] } }),
+    '```json\n{"a": }\n```',
+    'Done.',
+  ].join('\n\n');
+
+  const { analysis, charts, rejected } = extractCharts(content);
+  assert.equal(analysis, 'Done.');
+  assert.deepEqual(charts.map(({ title }) => title), ['Repaired']);
+  assert.deepEqual(rejected.map(({ title, type, errors }) => [title, type, errors.length]), [
+    ['Mismatched', 'bar', 1],
+    ['Data Visualization', 'unknown', 1],
+  ]);
+  assert.deepEqual(rejected[0].errors, ['datasets[0] has 1 values for 2 labels']);
+  assert.match(rejected[1].errors[0], /^Invalid JSON: /);
+  assert.equal(rejected[1].source, '{"a": }');
+});
@@ -0,0 +1,103 @@
+// test/chart-verify.test.js — chart numbers checked against the stored rows
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyChart, verifyCharts } = require('../lib/chart-verify');
+
+const rows = [
+  { Region: 'North', Sales: 150, Orders: 3 },
+  { Region: 'South', Sales: 200, Orders: 4 },
+  { Region: 'East', Sales: 80, Orders: 2 },
+];
+const sources = [{ name: 'data', rows }];
+
+const barChart = (title, label, data) => ({
+  title,
+  type: 'bar',
+  data: { labels: ['North', 'South', 'East'], datasets: [{ label, data }] },
+});
+
+test('verifies a series that matches an aggregate of every row', () => {
+  const { chart, verification } = verifyChart(barChart('Sales by Region', 'Sales', [150, 200, 80]), sources);
+  assert.equal(verification.status, 'verified');
+  assert.equal(verification.labelColumn, 'Region');
+  assert.deepEqual(verification.series[0], { label: 'Sales', status: 'verified', operation: 'sum', column: 'Sales' });
+  assert.equal(verification.note, 'Verified: sum of Sales by Region over 3 rows');
+  assert.deepEqual(chart.data.datasets[0].data, [150, 200, 80]);
+});
+
+test('checks the operation a series names before searching the others', () => {
+  // Every row has one unit, so the unit totals are also the row counts
+  const units = [{ Region: 'North', Units: 1 }, { Region: 'North', Units: 1 }, { Region: 'South', Units: 1 }];
+  const chart = { type: 'bar', data: { labels: ['North', 'South'], datasets: [{ label: 'Number of orders', data: [2, 1] }] } };
+  assert.deepEqual(verifyChart(chart, [{ name: 'data', rows: units }]).verification.series[0], {
+    label: 'Number of orders', status: 'verified', operation: 'count', column: null,
+  });
+  chart.data.datasets[0].label = 'Orders';
+  assert.equal(verifyChart(chart, [{ name: 'data', rows: units }]).verification.series[0].operation, 'sum');
+});
+
+test('stops searching for an unnamed operation after a bounded number of rows', () => {
+  let reads = 0;
+  // Rows whose numeric cells count their reads
+  const counted = (values) => Object.defineProperties({}, Object.fromEntries(Object.entries(values).map(([key, value]) => [
+    key,
+    { enumerable: true, get: () => (key === 'Region' ? value : (reads++, value)) },
+  ])));
+  const measures = ['Sales', 'Units', 'Price', 'Cost', 'Tax', 'Discount', 'Weight', 'Stock'];
+  const large = Array.from({ length: 100000 }, (_, i) => counted({
+    Region: i % 2 ? 'North' : 'South',
+    ...Object.fromEntries(measures.map((measure, m) => [measure, (i + m) % 7])),
+  }));
+  const chart = { type: 'bar', data: { labels: ['North', 'South'], datasets: [{ label: 'Mystery', data: [-1, -2] }] } };
+
+  const { verification } = verifyChart(chart, [{ name: 'data', rows: large }], { allowCorrection: false });
+  assert.equal(verification.status, 'unverified');
+  // Finding the label column reads every cell once; trying all 50 candidates would read over 4 million
+  assert.ok(reads < 2500000, `${reads} cells read`);
+});
+
+test('corrects a series that names a plain aggregate of a column', () => {
+  const { chart, verification } = verifyChart(barChart('Sales by Region', 'Total Sales', [140, 210, 80]), sources);
+  assert.equal(verification.status, 'corrected');
+  assert.deepEqual(verification.series[0].original, [140, 210, 80]);
+  assert.equal(verification.note, 'Corrected: recomputed sum of Sales by Region over 3 rows');
+  assert.deepEqual(chart.data.datasets[0].data, [150, 200, 80]);
+});
+
+test('leaves derived series alone and marks them unverified', () => {
+  const growth = barChart('Sales by Region', 'YoY growth (%)', [12, -3, 7]);
+  const perOrder = barChart('Sales per order by Region', 'Sales per order', [51, 49, 41]);
+
+  [growth, perOrder].forEach((original) => {
+    const { chart, verification } = verifyChart(original, sources);
+    assert.equal(verification.status, 'unverified');
+    assert.deepEqual(chart.data.datasets[0].data, original.data.datasets[0].data);
+  });
+});
+
+test('does not correct without a stated operation', () => {
+  const { chart, verification } = verifyChart(barChart('Sales by Region', 'Sales', [10, 20, 30]), sources);
+  assert.equal(verification.status, 'unverified');
+  assert.deepEqual(chart.data.datasets[0].data, [10, 20, 30]);
+});
+
+test('does not correct when the chart may be about a subset', () => {
+  const original = barChart('Sales by Region', 'Total Sales', [140, 210, 80]);
+  const { chart, verification } = verifyChart(original, sources, { allowCorrection: false });
+  assert.equal(verification.status, 'unverified');
+  assert.deepEqual(chart.data.datasets[0].data, [140, 210, 80]);
+});
+
+test('says why a chart cannot be checked', () => {
+  const notes = verifyCharts([
+    { type: 'scatter', data: { datasets: [{ data: [{ x: 1, y: 2 }] }] } },
+    { type: 'bar', data: { labels: ['West'], datasets: [{ data: [1] }] } },
+    { type: 'bar', data: { datasets: [{ data: [1] }] } },
+  ], sources).map(({ verification }) => verification.note);
+  assert.deepEqual(notes, [
+    'Unverified: scatter charts are not checked against the data',
+    'Unverified: the labels do not match values of any column',
+    'Unverified: the chart has no labels to match',
+  ]);
+  assert.equal(verifyChart(barChart('Sales', 'Sales', [1, 2, 3]), []).verification.note, 'Unverified: no stored dataset to check against');
+});
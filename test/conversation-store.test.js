@@ -0,0 +1,106 @@
+// test/conversation-store.test.js — conversation backends, eviction and persistence
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConversationStore, MemoryConversationStore, FileConversationStore } = require('../lib/conversation-store');
+
+const question = (content) => [{ role: 'user', content }];
+
+test('picks a backend by name', () => {
+  assert.ok(createConversationStore('memory') instanceof MemoryConversationStore);
+  assert.throws(() => createConversationStore('redis'), /Unknown conversation store "redis"\. Available: memory, file/);
+});
+
+test('keeps the last messages of each conversation with their owner', async () => {
+  const store = new MemoryConversationStore({ maxMessages: 3 });
+  await store.append('a', question('First?'), { owner: 'ann' });
+  await store.append('a', [{ role: 'assistant', content: 'One', timestamp: '2024-01-05T00:00:00.000Z' }], { owner: 'bo' });
+  await store.append('a', [...question('Second?'), { role: 'assistant', content: 'Two' }]);
+
+  const messages = await store.get('a');
+  assert.deepEqual(messages.map(({ content }) => content), ['One', 'Second?', 'Two']);
+  assert.equal(messages[0].timestamp, '2024-01-05T00:00:00.000Z');
+  assert.ok(!isNaN(Date.parse(messages[1].timestamp)));
+  assert.equal(await store.ownerOf('a'), 'ann');
+  assert.deepEqual(await store.get('missing'), []);
+
+  messages[0].content = 'changed';
+  assert.equal((await store.get('a'))[0].content, 'One');
+});
+
+test('evicts the least recently used conversation, and peeking does not count as use', async () => {
+  const store = new MemoryConversationStore({ maxEntries: 2 });
+  await store.append('a', question('A'));
+  await store.append('b', question('B'));
+  await store.peek('a');
+  await store.get('b');
+  await store.append('c', question('C'));
+  assert.deepEqual([...store.entries.keys()], ['b', 'c']);
+
+  await store.get('b');
+  await store.append('d', question('D'));
+  assert.deepEqual([...store.entries.keys()], ['b', 'd']);
+});
+
+test('expires conversations left idle for longer than the TTL', async (t) => {
+  let now = Date.parse('2024-01-05T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const store = new MemoryConversationStore({ ttlMs: 1000 });
+  await store.append('a', question('A'), { owner: 'ann' });
+  await store.append('b', question('B'), { owner: 'ann' });
+
+  now += 800;
+  await store.get('a');
+  now += 800;
+  assert.deepEqual(await store.peek('b'), []);
+  assert.equal(await store.ownerOf('b'), null);
+  assert.deepEqual((await store.list('ann')).map(({ id }) => id), ['a']);
+  assert.equal(await store.prune(), 1);
+  assert.equal(await store.size(), 1);
+});
+
+test('lists the conversations of one owner, most recent first', async () => {
+  const store = new MemoryConversationStore();
+  await store.append('a', [{ role: 'assistant', content: 'Hello' }, ...question('Sales by region?')], { owner: 'ann' });
+  await store.append('b', [{ role: 'assistant', content: 'Hello' }], { owner: 'ann' });
+  await store.append('c', question('Not mine'), { owner: 'bo' });
+
+  assert.deepEqual((await store.list('ann')).map(({ id, title, messages }) => [id, title, messages]), [
+    ['b', 'Untitled analysis', 1],
+    ['a', 'Sales by region?', 2],
+  ]);
+});
+
+test('persists writes and deletions but not reads', async (t) => {
+  const store = new MemoryConversationStore();
+  const changed = t.mock.method(store, 'changed');
+  await store.append('a', question('A'));
+  assert.equal(changed.mock.callCount(), 1);
+
+  await store.get('a');
+  await store.peek('a');
+  await store.get('missing');
+  assert.equal(changed.mock.callCount(), 1);
+
+  assert.equal(await store.delete('missing'), false);
+  assert.equal(await store.delete('a'), true);
+  assert.equal(changed.mock.callCount(), 2);
+});
+
+test('reloads conversations from its file', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'conversations.json');
+
+  const store = new FileConversationStore({ filePath });
+  await store.append('a', question('Kept?'), { owner: 'ann' });
+  await store.close();
+
+  const reloaded = new FileConversationStore({ filePath });
+  assert.deepEqual((await reloaded.get('a')).map(({ content }) => content), ['Kept?']);
+  assert.equal(await reloaded.ownerOf('a'), 'ann');
+  await reloaded.close();
+});
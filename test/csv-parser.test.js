@@ -0,0 +1,89 @@
+// test/csv-parser.test.js — the streaming RFC 4180 tokenizer and file parsing
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CSVParser = require('../assets/src/csv-parser');
+const { CSVTokenizer } = CSVParser;
+
+// Every record the tokenizer emits for `chunks` fed one after another
+const tokenize = (chunks, delimiter = ',') => {
+  const records = [];
+  const tokenizer = new CSVTokenizer(delimiter);
+  chunks.forEach((chunk) => tokenizer.push(chunk, (record) => records.push(record)));
+  tokenizer.flush((record) => records.push(record));
+  return records;
+};
+
+test('tokenizes quoted fields with delimiters, line breaks and escaped quotes', () => {
+  assert.deepEqual(tokenize(['a,"b, c","say ""hi""\nthere",\r\n1,2,3,4']), [
+    ['a', 'b, c', 'say "hi"\nthere', ''],
+    ['1', '2', '3', '4'],
+  ]);
+  assert.deepEqual(tokenize(['x\ry\n""\n']), [['x'], ['y'], ['']]);
+  assert.deepEqual(tokenize(['5" tall,ok']), [['5" tall', 'ok']]);
+});
+
+test('gives the same records however the text is split into chunks', () => {
+  const text = 'name,note\r\n"Ann","a ""quoted"" word"\r\nBo,"multi\r\nline"\r\n';
+  const whole = tokenize([text]);
+  for (let size = 1; size <= 7; size++) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    assert.deepEqual(tokenize(chunks), whole, `chunks of ${size}`);
+  }
+});
+
+test('detects the delimiter from the most consistent field count', () => {
+  const parser = new CSVParser();
+  assert.equal(parser.detectDelimiter('"Amount, EUR";Region\n1,5;North\n2,5;South\n'), ';');
+  assert.equal(parser.detectDelimiter('a\tb\tc\n1\t2\t3\n'), '\t');
+  assert.equal(parser.detectDelimiter('a|b\n1|2\n'), '|');
+});
+
+test('detects whether the first row is a header', () => {
+  const { rows, meta } = new CSVParser().parseText('North,10,2024-01-05\nSouth,5,2024-02-05\n');
+  assert.equal(meta.hasHeader, false);
+  assert.deepEqual(rows[0], { 'Column 1': 'North', 'Column 2': '10', 'Column 3': '2024-01-05' });
+
+  const withHeader = new CSVParser().parseText('Region,Sales\nNorth,10\nSouth,5\n');
+  assert.equal(withHeader.meta.hasHeader, true);
+  assert.deepEqual(withHeader.rows, [{ Region: 'North', Sales: '10' }, { Region: 'South', Sales: '5' }]);
+});
+
+test('names blank and duplicate headers, skips blank lines and counts ragged rows', () => {
+  const { rows, meta } = new CSVParser().parseText('\uFEFFName,,Name\nAnn,1,x\n\nBo,2\n');
+  assert.deepEqual(meta.headers, ['Name', 'Column 2', 'Name_2']);
+  assert.deepEqual(rows, [
+    { Name: 'Ann', 'Column 2': '1', Name_2: 'x' },
+    { Name: 'Bo', 'Column 2': '2', Name_2: '' },
+  ]);
+  assert.equal(meta.rowCount, 2);
+  assert.equal(meta.malformedRows, 1);
+});
+
+test('detects byte order marks and falls back to Windows-1252', () => {
+  const parser = new CSVParser();
+  assert.equal(parser.detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61])), 'utf-8');
+  assert.equal(parser.detectEncoding(new Uint8Array([0xFF, 0xFE, 0x61, 0x00])), 'utf-16le');
+  assert.equal(parser.detectEncoding(new Uint8Array([0xFE, 0xFF, 0x00, 0x61])), 'utf-16be');
+  assert.equal(parser.detectEncoding(Buffer.from('café', 'utf8')), 'utf-8');
+  assert.equal(parser.detectEncoding(Buffer.from('caf\xe9 au lait', 'latin1')), 'windows-1252');
+});
+
+test('parses files in chunks in their own encoding', async () => {
+  const parser = new CSVParser({ chunkSize: 5 });
+  const latin1 = new Blob([Buffer.from('City;Price\nK\xf6ln;3,50\nM\xfcnchen;4\n', 'latin1')]);
+  const progress = [];
+  const { rows, meta } = await parser.parseFile(latin1, { onProgress: (done, total) => progress.push([done, total]) });
+
+  assert.equal(meta.encoding, 'windows-1252');
+  assert.equal(meta.delimiter, ';');
+  assert.deepEqual(rows, [{ City: 'Köln', Price: '3,50' }, { City: 'München', Price: '4' }]);
+  assert.deepEqual(progress.at(-1), [latin1.size, latin1.size]);
+
+  const utf16 = new Blob([Buffer.from('\uFEFFName,Sales\nZoë,7\n', 'utf16le')]);
+  const batches = [];
+  const result = await parser.parseFile(utf16, { onRows: (batch) => batches.push(batch) });
+  assert.equal(result.meta.encoding, 'utf-16le');
+  assert.equal(result.rows, undefined);
+  assert.deepEqual(batches.flat(), [{ Name: 'Zoë', Sales: '7' }]);
+});
@@ -0,0 +1,87 @@
+// test/data-export.test.js — chart data and derived tables written as CSV, XLSX and JSON
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { toFilename, chartToTable, derivedRecipes, materializeDerived, writeTable, writeChart } = require('../lib/data-export');
+
+const rows = [
+  { Region: 'North', Sales: 10 },
+  { Region: 'South', Sales: 5 },
+  { Region: 'North', Sales: 7 },
+  { Region: 'East', Sales: 1 },
+];
+const entry = { tables: [{ name: 'sales.csv', rows }] };
+
+test('names downloads after their title', () => {
+  assert.equal(toFilename('Total Sales by Region (2024)'), 'total-sales-by-region-2024');
+  assert.equal(toFilename('***'), 'data');
+  assert.equal(toFilename('', 'chart'), 'chart');
+});
+
+test('turns every chart shape into a table', () => {
+  assert.deepEqual(chartToTable({ type: 'bar', data: { labels: ['A', 'B'], datasets: [{ label: 'Sales', data: [1, 2] }, { data: [3] }] } }), {
+    columns: ['Label', 'Sales', 'Series 2'],
+    rows: [['A', 1, 3], ['B', 2, null]],
+  });
+  assert.deepEqual(chartToTable({ type: 'bubble', data: { datasets: [{ label: 'P', data: [{ x: 1, y: 2, r: 3 }] }] } }), {
+    columns: ['Series', 'x', 'y', 'r'],
+    rows: [['P', 1, 2, 3]],
+  });
+  assert.deepEqual(chartToTable({ type: 'histogram', data: { datasets: [{ data: [4, 5] }] } }).rows, [['Series 1', 4], ['Series 1', 5]]);
+  assert.deepEqual(chartToTable({ type: 'boxplot', data: { labels: ['A'], datasets: [{ data: [[1, 2, 3, 4, 5]] }] } }).rows, [
+    ['A', 'Series 1', 1, 2, 3, 4, 5],
+  ]);
+  assert.deepEqual(chartToTable({ type: 'heatmap', data: { labels: ['x', 'y'], matrix: [[1, 0.5], [0.5, 1]] } }), {
+    columns: ['', 'x', 'y'],
+    rows: [['x', 1, 0.5], ['y', 0.5, 1]],
+  });
+});
+
+test('records the tool calls and focused rows an answer was built from', () => {
+  const toolTrace = [
+    { tool: 'group_by', arguments: { group_by: 'Region', metrics: [{ operation: 'sum', column: 'Sales' }] }, result: { rows: [], totalRows: 3 } },
+    { tool: 'describe_column', arguments: { column: 'Sales' }, result: { mean: 5.75 } },
+    { tool: 'top_n', arguments: { column: 'Sales' }, result: { error: 'bad column' } },
+  ];
+  const focus = { filters: [{ column: 'Region', values: ['North'] }], rows: rows.slice(0, 1) };
+  const recipes = derivedRecipes(toolTrace, focus);
+  assert.deepEqual(recipes.map(({ source, name, rowCount }) => [source, name, rowCount]), [
+    ['focus', 'Rows where Region = "North"', 1],
+    ['tool', 'sum of Sales by Region', 3],
+  ]);
+});
+
+test('recomputes derived tables over every stored row', () => {
+  const [focus, grouped] = derivedRecipes(
+    [{ tool: 'group_by', arguments: { group_by: 'Region', metrics: [{ operation: 'sum', column: 'Sales' }], limit: 1 }, result: { rows: [] } }],
+    { filters: [{ column: 'Region', values: ['North'] }], rows: rows.slice(0, 1) },
+  );
+  assert.deepEqual(materializeDerived(entry, focus), { columns: ['Region', 'Sales'], rows: [['North', 10], ['North', 7]] });
+  assert.deepEqual(materializeDerived(entry, grouped).columns, ['Region', 'sum_Sales']);
+  assert.throws(() => materializeDerived(entry, { ...grouped, arguments: { group_by: 'Missing' } }), /Missing/);
+});
+
+test('writes CSV, JSON and XLSX', () => {
+  const table = { columns: ['Name', 'Note', 'When'], rows: [['Ann', '=SUM(A1)', new Date('2024-01-05')], ['Bo', '-5', null]] };
+
+  const csv = writeTable(table, 'csv');
+  assert.equal(csv.contentType, 'text/csv; charset=utf-8');
+  assert.equal(csv.body.toString(), "\uFEFFName,Note,When\nAnn,'=SUM(A1),2024-01-05\nBo,-5,");
+
+  assert.deepEqual(JSON.parse(writeTable(table, 'json').body), [
+    { Name: 'Ann', Note: '=SUM(A1)', When: '2024-01-05' },
+    { Name: 'Bo', Note: '-5', When: null },
+  ]);
+
+  const book = XLSX.read(writeTable(table, 'xlsx', { sheetName: 'Sales: by region?' }).body);
+  assert.deepEqual(book.SheetNames, ['Sales  by region']);
+  assert.deepEqual(XLSX.utils.sheet_to_json(book.Sheets[book.SheetNames[0]], { header: 1 })[1], ['Ann', '=SUM(A1)', '2024-01-05']);
+
+  assert.throws(() => writeTable(table, 'pdf'), /Unknown export format "pdf"\. Use one of: csv, xlsx, json/);
+});
+
+test('writes charts as their JSON spec or as a table', () => {
+  const chart = { title: 'Sales', type: 'pie', data: { labels: ['A'], datasets: [{ data: [1] }] } };
+  assert.deepEqual(JSON.parse(writeChart(chart, 'json').body), { title: 'Sales', type: 'pie', labels: ['A'], datasets: [{ data: [1] }] });
+  assert.equal(writeChart(chart, 'csv').body.toString(), '\uFEFFLabel,Series 1\nA,1');
+});
@@ -0,0 +1,95 @@
+// test/dataset-profile.test.js — statistics over every row and the Key Metrics built from them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  profileDataset,
+  buildKeyMetrics,
+  buildMultiTableMetrics,
+  formatProfileForPrompt,
+  replaceKeyMetricsSection,
+  formatNumber,
+} = require('../lib/dataset-profile');
+
+const rows = [
+  { Date: '2024-01-01', Region: 'North', Sales: 100, Units: 2 },
+  { Date: '2024-02-01', Region: 'South', Sales: 50.5, Units: null },
+  { Date: '2024-03-01', Region: 'North', Sales: 150, Units: 4 },
+];
+
+test('profiles every row of a table', () => {
+  const profile = profileDataset(rows);
+  assert.equal(profile.totalRows, 3);
+  assert.deepEqual(profile.columnTypes, { Date: 'date', Region: 'text', Sales: 'numeric', Units: 'numeric' });
+  assert.deepEqual(profile.dataQuality, { missingValues: 1, duplicateRows: 0 });
+  assert.equal(profile.statisticalSummary.Sales.sum, 300.5);
+  assert.equal(profile.statisticalSummary.Sales.median, 100);
+  assert.equal(profileDataset([]), null);
+  assert.equal(profileDataset({ text: 'not rows' }), null);
+});
+
+test('builds Key Metrics from the profile', () => {
+  const metrics = buildKeyMetrics(profileDataset(rows), rows);
+  assert.deepEqual(metrics.map(({ label, value }) => `${label}: ${value}`), [
+    'Total Records: 3',
+    'Columns: 4',
+    'Total Sales: 300.50',
+    'Average Sales: 100.17',
+    'Max Sales: 150',
+    'Min Sales: 50.50',
+    'Total Units: 6',
+    'Average Units: 3',
+    'Max Units: 4',
+    'Min Units: 2',
+    'Sales Growth: +50.0%',
+    'Missing Values: 1',
+  ]);
+});
+
+test('prefixes the metrics of joined tables with the table name', () => {
+  const metrics = buildMultiTableMetrics([
+    { name: 'Orders', profile: profileDataset(rows) },
+    { name: 'Regions', profile: profileDataset([{ Region: 'North' }, { Region: 'South' }]) },
+  ]);
+  assert.deepEqual(metrics.map(({ label }) => label), [
+    'Orders Records',
+    'Orders Total Sales',
+    'Orders Average Sales',
+    'Regions Records',
+  ]);
+});
+
+test('describes the profile for the prompt', () => {
+  const text = formatProfileForPrompt(profileDataset(rows));
+  assert.match(text, /^Rows: 3\nColumns: 4\nMissing values: 1\nDuplicate rows: 0\nColumn statistics:\n/);
+  assert.match(text, /^- Sales \(numeric: decimal\): 3 values, 0 nulls, 3 distinct, min 50.50, max 150, .*sum 300.50$/m);
+  assert.match(text, /^- Region \(text\): .*most common "North" \(66.7%\)/m);
+  assert.match(text, /^- Date \(date\): .*from 2024-01-01/m);
+});
+
+test('replaces the Key Metrics the model wrote', () => {
+  const metrics = [{ label: 'Total Records', value: '3' }];
+  assert.equal(
+    replaceKeyMetricsSection('# Sales\n\n## Key Metrics\nTotal Records: 999\nGuess\n\n## Key Insights\n- a', metrics),
+    '# Sales\n\n## Key Metrics\nTotal Records: 3\n\n## Key Insights\n- a'
+  );
+  assert.equal(
+    replaceKeyMetricsSection('## Key Metrics\nTotal Records: 2\n```json\n{}\n```', metrics),
+    '## Key Metrics\nTotal Records: 3\n\n```json\n{}\n```'
+  );
+});
+
+test('adds Key Metrics when the model left them out', () => {
+  const metrics = [{ label: 'Total Records', value: '3' }];
+  assert.equal(
+    replaceKeyMetricsSection('# Sales\nIntro\n## Key Insights\n- a', metrics),
+    '# Sales\nIntro\n## Key Metrics\nTotal Records: 3\n\n## Key Insights\n- a'
+  );
+  assert.equal(replaceKeyMetricsSection('Plain answer', metrics), 'Plain answer\n\n## Key Metrics\nTotal Records: 3');
+});
+
+test('formats numbers for the metrics', () => {
+  assert.equal(formatNumber(1234.567), '1,234.57');
+  assert.equal(formatNumber(5), '5');
+  assert.equal(formatNumber(NaN), 'N/A');
+  assert.equal(formatNumber('3'), 'N/A');
+});
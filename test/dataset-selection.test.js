@@ -0,0 +1,37 @@
+// test/dataset-selection.test.js — columns and rows deselected in the data preview
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExclusions, applyExclusions } = require('../lib/dataset-selection');
+
+const rows = [
+  { Region: 'North', Sales: 10, Notes: 'a' },
+  { Region: 'South', Sales: 5, Notes: 'b' },
+  { Region: 'East', Sales: 1, Notes: 'c' },
+];
+
+test('drops deselected rows by position and deselected columns', () => {
+  const exclusions = parseExclusions({ excludedColumns: '["Notes"]', excludedRows: '[1]' });
+  assert.deepEqual(applyExclusions(rows, exclusions), [
+    { Region: 'North', Sales: 10 },
+    { Region: 'East', Sales: 1 },
+  ]);
+});
+
+test('applies row exclusions per sheet for workbooks', () => {
+  const exclusions = parseExclusions({ excludedRows: { Orders: [0, 2] } });
+  assert.deepEqual(applyExclusions(rows, exclusions, 'Orders'), [rows[1]]);
+  assert.equal(applyExclusions(rows, exclusions, 'Customers'), rows);
+});
+
+test('leaves the rows alone without exclusions', () => {
+  assert.equal(applyExclusions(rows, parseExclusions({})), rows);
+  assert.equal(applyExclusions(rows, parseExclusions({ excludedColumns: '', excludedRows: null })), rows);
+});
+
+test('rejects malformed exclusions', () => {
+  assert.throws(() => parseExclusions({ excludedColumns: '"Notes"' }), /excludedColumns must be a JSON array or object/);
+  assert.throws(() => parseExclusions({ excludedColumns: [1] }), /excludedColumns must be an array of column names/);
+  assert.throws(() => parseExclusions({ excludedRows: [-1] }), /excludedRows must list non-negative row indices/);
+  assert.throws(() => parseExclusions({ excludedRows: { Orders: ['1'] } }), /excludedRows\.Orders must list non-negative row indices/);
+  assert.throws(() => parseExclusions({ excludedRows: '[1,' }), SyntaxError);
+});
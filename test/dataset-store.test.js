@@ -0,0 +1,66 @@
+// test/dataset-store.test.js — datasets kept per conversation for follow-up questions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DatasetStore = require('../lib/dataset-store');
+
+const rows = (count) => Array.from({ length: count }, (_, i) => ({ Region: i % 2 ? 'North' : 'South', Sales: i }));
+
+test('stores typed rows with a profile of the kept rows', () => {
+  const store = new DatasetStore({ maxRows: 3 });
+  const entry = store.set('c1', { rows: rows(5), name: 'sales.csv', owner: 'u1' });
+
+  assert.equal(entry.rows.length, 3);
+  assert.equal(entry.truncated, true);
+  assert.equal(entry.originalRowCount, 5);
+  assert.equal(entry.profile.totalRows, 3);
+  assert.equal(entry.owner, 'u1');
+  assert.equal(store.get('c1'), entry);
+  assert.equal(store.set('c2', { rows: [] }), null);
+  assert.equal(store.set(null, { rows: rows(2) }), null);
+});
+
+test('keeps every table of a workbook, the first one primary', () => {
+  const store = new DatasetStore();
+  const entry = store.set('c1', {
+    tables: [{ name: 'Orders', rows: rows(2) }, { name: 'Empty', rows: [] }, { name: 'Regions', rows: [{ Region: 'North' }] }],
+  });
+  assert.deepEqual(entry.tables.map(({ name }) => name), ['Orders', 'Regions']);
+  assert.equal(entry.rows, entry.tables[0].rows);
+});
+
+test('evicts the least recently used dataset beyond maxEntries', () => {
+  const store = new DatasetStore({ maxEntries: 2 });
+  store.set('a', { rows: rows(1) });
+  store.set('b', { rows: rows(1) });
+  store.get('a');
+  store.set('c', { rows: rows(1) });
+  assert.deepEqual([...store.entries.keys()], ['a', 'c']);
+});
+
+test('refuses datasets over the size budget', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = new DatasetStore({ maxBytes: 100 });
+  assert.equal(store.set('big', { rows: rows(50) }), null);
+  assert.equal(store.size, 0);
+});
+
+test('expires datasets left idle for longer than the TTL', () => {
+  const store = new DatasetStore({ ttlMs: 1000 });
+  store.set('c1', { rows: rows(1) }).lastAccessed -= 2000;
+  assert.equal(store.get('c1'), null);
+  assert.equal(store.has('c1'), false);
+});
+
+test('keeps the latest derived table recipes, filters and personal data policy', () => {
+  const store = new DatasetStore({ maxDerived: 2 });
+  store.set('c1', { rows: rows(2) });
+  const [first] = store.addDerived('c1', [{ name: 'one', source: 'tool' }]);
+  store.addDerived('c1', [{ name: 'two', source: 'tool' }, { name: 'three', source: 'focus' }]);
+
+  assert.equal(store.getDerived('c1', first.id), null);
+  assert.deepEqual(store.get('c1').derived.map(({ name }) => name), ['two', 'three']);
+  assert.equal(store.setFilters('c1', [{ column: 'Region', op: 'eq', value: 'North' }]), true);
+  assert.equal(store.setPiiPolicy('c1', { mode: 'mask', columns: {} }), true);
+  assert.equal(store.setFilters('missing', []), false);
+  assert.deepEqual(store.addDerived('missing', [{ name: 'x' }]), []);
+});
@@ -0,0 +1,105 @@
+// test/helpers/server.js — runs server.js against the mock provider for end-to-end tests
+// The server starts on a free port with in-memory conversations and a throwaway data directory
+// (also its working directory, where uploads/ and .env are looked up) and is stopped with SIGTERM.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT_MS = 15000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// env: extra settings for this server (e.g. { PII_MODE: 'keep' })
+const startServer = async (env = {}) => {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-examiner-test-'));
+  const settings = {
+    ...process.env,
+    PORT: String(port),
+    DATA_DIR: dir,
+    LLM_PROVIDER: 'mock',
+    CONVERSATION_STORE: 'memory',
+    ...env,
+  };
+  const child = spawn(process.execPath, [SERVER], { cwd: dir, env: settings, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline && child.exitCode === null) {
+    try {
+      if ((await fetch(`${url}/api/health`)).ok) return { url, child, dir };
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  child.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+  throw new Error(`Server did not start:\n${output}`);
+};
+
+const stopServer = async ({ child, dir }) => {
+  if (child.exitCode === null) {
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+    child.kill('SIGTERM');
+    await exited;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+};
+
+// One browser: keeps the guest session cookie between requests.
+// Returns request(method, route, body) → { status, headers, body }; body is parsed when it is JSON.
+const createClient = (url) => {
+  const cookies = new Map();
+  return async (method, route, body) => {
+    const headers = { cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') };
+    const init = { method, headers };
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const response = await fetch(`${url}${route}`, init);
+    response.headers.getSetCookie().forEach((cookie) => {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer()),
+    };
+  };
+};
+
+const uploadForm = (csv, fileName, question = 'Summarize the sales') => {
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), fileName);
+  form.append('question', question);
+  return form;
+};
+
+module.exports = {
+  startServer,
+  stopServer,
+  createClient,
+  uploadForm,
+};
@@ -0,0 +1,42 @@
+// test/json-repair.test.js — lenient parsing of model-written JSON
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { repairJson, parseLenientJson } = require('../lib/json-repair');
+
+const parse = (text) => parseLenientJson(text).value;
+
+test('leaves valid JSON alone', () => {
+  assert.deepEqual(parseLenientJson('{"a": [1, 2]}'), { value: { a: [1, 2] }, repaired: false });
+});
+
+test('repairs comments, trailing commas, unquoted keys and single quotes', () => {
+  const text = `{
+    // the chart
+    title: 'Sales',  /* by region */
+    data: { labels: ['A', 'B',], },
+  }`;
+  assert.deepEqual(parseLenientJson(text), { value: { title: 'Sales', data: { labels: ['A', 'B'] } }, repaired: true });
+});
+
+test('maps Python and JavaScript literals to JSON', () => {
+  assert.deepEqual(parse('[True, False, None, NaN, undefined, Infinity, -Infinity, 1e5]'), [true, false, null, null, null, null, null, 100000]);
+});
+
+test('repairs quotes and line breaks inside strings', () => {
+  assert.deepEqual(parse('{"title": “Sales ‘Q1’”}'), { title: 'Sales ‘Q1’' });
+  assert.deepEqual(parse("{'note': 'say \"hi\"', 'it': 'it\\'s'}"), { note: 'say "hi"', it: "it's" });
+  assert.deepEqual(parse('{"note": "two\nlines"}'), { note: 'two\nlines' });
+});
+
+test('closes what a cut-off answer left open', () => {
+  assert.equal(repairJson('{"data": {"labels": ["A", "B'), '{"data": {"labels": ["A", "B"]}}');
+  assert.deepEqual(parse('{"charts": [{"title": "One", "data": [1, 2,'), { charts: [{ title: 'One', data: [1, 2] }] });
+});
+
+test('throws the original error when repair does not help', () => {
+  assert.throws(() => parseLenientJson('{"a": }'), (err) => {
+    assert.ok(err instanceof SyntaxError);
+    assert.match(err.message, /Unexpected token/);
+    return true;
+  });
+});
@@ -0,0 +1,86 @@
+// test/pivot.test.js — pivot tables over parsed rows
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PivotTable = require('../assets/src/pivot');
+
+const rows = [
+  { Region: 'North', Date: '2024-01-05', Product: 'A', Sales: 10 },
+  { Region: 'South', Date: '2024-02-05', Product: 'B', Sales: '5' },
+  { Region: 'North', Date: '2024-04-05', Product: 'B', Sales: 7 },
+  { Region: 'East', Date: '2024-05-05', Product: 'A', Sales: 1 },
+  { Region: '', Date: '2024-05-06', Product: 'A', Sales: 'n/a' },
+];
+const pivot = new PivotTable();
+
+test('normalizes specs and rejects the ones it cannot run', () => {
+  assert.deepEqual(PivotTable.normalize({ rows: ['Region'], values: [{ operation: 'count' }] }), {
+    rows: [{ column: 'Region', bucket: null }],
+    columns: [],
+    values: [{ column: null, operation: 'count' }],
+    filters: [],
+  });
+  const columns = Object.keys(rows[0]);
+  const reject = (spec, message) => assert.throws(() => PivotTable.normalize(spec, columns), message);
+  reject(null, /A pivot spec is required/);
+  reject({ rows: [], values: [{ operation: 'count' }] }, /Pick at least one row field/);
+  reject({ rows: ['Region', 'Product', 'Date'], values: [{ operation: 'count' }] }, /Rows takes at most 2 field\(s\)/);
+  reject({ rows: ['Country'], values: [{ operation: 'count' }] }, /Unknown column "Country"/);
+  reject({ rows: [{ column: 'Date', bucket: 'week' }], values: [{ operation: 'count' }] }, /Unknown date grouping "week"/);
+  reject({ rows: ['Region'], values: [] }, /Pick 1 to 4 values/);
+  reject({ rows: ['Region'], values: [{ column: 'Sales', operation: 'median' }] }, /Unknown operation "median"/);
+  reject({ rows: ['Region'], values: [{ operation: 'sum' }] }, /Every field needs a column/);
+  reject({ rows: ['Region'], values: [{ operation: 'count' }], filters: [{ column: 'Region', values: [] }] }, /Every filter needs at least one value/);
+});
+
+test('groups rows and columns, with totals and blanks last', () => {
+  const result = pivot.compute(rows, {
+    rows: ['Region'],
+    columns: ['Product'],
+    values: [{ column: 'Sales', operation: 'sum' }],
+  });
+  assert.deepEqual(result.columnKeys, ['A', 'B']);
+  assert.deepEqual(result.rows.map(({ keys, cells, totals }) => [keys[0], cells, totals]), [
+    ['East', [[1], [null]], [1]],
+    ['North', [[10], [7]], [17]],
+    ['South', [[null], [5]], [5]],
+    ['(blank)', [[null], [null]], [null]],
+  ]);
+  assert.deepEqual(result.totals, { cells: [[11], [12]], totals: [23] });
+  assert.equal(result.rowCount, 5);
+});
+
+test('buckets dates and applies filters case-insensitively', () => {
+  const result = pivot.compute(rows, {
+    rows: [{ column: 'Date', bucket: 'quarter' }],
+    values: [{ operation: 'count' }, { column: 'Sales', operation: 'avg' }],
+    filters: [{ column: 'Region', values: ['north', 'EAST'] }],
+  });
+  assert.deepEqual(result.rowFields, ['Date (quarter)']);
+  assert.deepEqual(result.valueLabels, ['Count of rows', 'Average of Sales']);
+  assert.deepEqual(result.rows.map(({ keys, totals }) => [keys[0], totals]), [['2024-Q1', [1, 10]], ['2024-Q2', [2, 4]]]);
+  assert.equal(result.rowCount, 3);
+  assert.equal(PivotTable.keyOf('2024-11-30', 'month'), '2024-11');
+  assert.equal(PivotTable.keyOf(new Date('2024-11-30T00:00:00Z')), '2024-11-30');
+});
+
+test('hands the pivot to the chat as a chart and a markdown table', () => {
+  const result = pivot.compute(rows, {
+    rows: ['Region'],
+    columns: ['Product'],
+    values: [{ column: 'Sales', operation: 'sum' }],
+    filters: [{ column: 'Region', values: ['North', 'South'] }],
+  });
+  assert.equal(pivot.chartTitle(result), 'Sum of Sales by Region by Product');
+  assert.deepEqual(pivot.toChartData(result), {
+    labels: ['North', 'South'],
+    datasets: [{ label: 'A', data: [10, 0] }, { label: 'B', data: [7, 5] }],
+  });
+  assert.equal(pivot.toMarkdown(result), [
+    '| Region | A | B | Total |',
+    '| --- | --- | --- | --- |',
+    '| North | 10 | 7 | 17 |',
+    '| South |  | 5 | 5 |',
+    '| Total | 10 | 12 | 22 |',
+  ].join('\n'));
+  assert.match(pivot.toMarkdown(result, { maxRows: 1 }), /\n\n\(first 1 of 2 rows\)$/);
+});
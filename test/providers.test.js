@@ -0,0 +1,203 @@
+// test/providers.test.js — the provider registry, the offline mock and the OpenAI wire format
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { getProvider, listProviders, isKnownProvider } = require('../lib/providers');
+const createMockProvider = require('../lib/providers/mock');
+const createOpenAICompatibleProvider = require('../lib/providers/openai-compatible');
+const { profileDataset, formatProfileForPrompt } = require('../lib/dataset-profile');
+
+const rows = [
+  { Region: 'North', Sales: 10 },
+  { Region: 'South', Sales: 5 },
+  { Region: 'North', Sales: 7 },
+];
+const prompt = (question) => `${formatProfileForPrompt(profileDataset(rows))}\n\nQuestion: ${question}`;
+const tools = [
+  { type: 'function', function: { name: 'group_by' } },
+  { type: 'function', function: { name: 'set_view_filters' } },
+];
+
+// Settings read by the registry, restored after each test
+const withEnv = (values, fn) => async () => {
+  const saved = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  try {
+    await fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+};
+
+test('lists the built-in providers and refuses unknown ones', () => {
+  assert.deepEqual(listProviders(), ['groq', 'openai', 'ollama', 'mock']);
+  assert.equal(isKnownProvider('mock'), true);
+  assert.equal(isKnownProvider('toString'), false);
+  assert.throws(() => getProvider('claude'), /Unknown LLM provider "claude"/);
+});
+
+test('picks the default provider from LLM_PROVIDER, with LLM_MODEL for it alone', withEnv(
+  { LLM_PROVIDER: 'Mock', LLM_MODEL: 'mock-large', OLLAMA_MODEL: undefined },
+  () => {
+    assert.equal(getProvider().name, 'mock');
+    assert.equal(getProvider().model, 'mock-large');
+    assert.equal(getProvider('ollama').model, 'llama3.1');
+    assert.equal(getProvider('ollama', { model: 'qwen2.5' }).model, 'qwen2.5');
+  }
+));
+
+test('mock: queries the data before answering', async () => {
+  const provider = createMockProvider();
+  const messages = [{ role: 'user', content: prompt('Which region sells most?') }];
+
+  const { message: call, usage } = await provider.complete({ messages, tools });
+  assert.equal(call.content, null);
+  assert.equal(call.tool_calls[0].function.name, 'group_by');
+  assert.deepEqual(JSON.parse(call.tool_calls[0].function.arguments), {
+    group_by: ['Region'],
+    metrics: [{ column: 'Sales', operation: 'sum' }],
+    limit: 10,
+  });
+  assert.equal(usage.total_tokens, usage.prompt_tokens + usage.completion_tokens);
+
+  messages.push(call, {
+    role: 'tool',
+    tool_call_id: call.tool_calls[0].id,
+    content: JSON.stringify({ groups: 2, rows: [{ Region: 'North', sum_Sales: 17 }, { Region: 'South', sum_Sales: 5 }] }),
+  });
+  const { message: answer } = await provider.complete({ messages, tools });
+  assert.match(answer.content, /## Key Metrics\nTotal Records: 3\nColumns: 2/);
+  assert.match(answer.content, /North has the highest total Sales \(17\)/);
+
+  const { charts } = JSON.parse(answer.content.match(/```json\n([\s\S]*?)\n```/)[1]);
+  assert.deepEqual(charts.map(({ type }) => type), ['bar', 'pie']);
+  assert.deepEqual(charts[0].data, { labels: ['North', 'South'], datasets: [{ label: 'Total Sales', data: [17, 5] }] });
+});
+
+test('mock: sets view filters for "only show rows where ..." questions', async () => {
+  const provider = createMockProvider();
+  const { message } = await provider.complete({
+    messages: [{ role: 'user', content: prompt('Only show rows where Region is North') }],
+    tools,
+  });
+  assert.equal(message.tool_calls[0].function.name, 'set_view_filters');
+  assert.deepEqual(JSON.parse(message.tool_calls[0].function.arguments), {
+    filters: [{ column: 'Region', op: 'eq', value: 'North' }],
+  });
+});
+
+test('mock: answers straight away without tools and streams the same answer', async () => {
+  const provider = createMockProvider({ model: 'mock-small' });
+  const messages = [{ role: 'user', content: prompt('Summarize') }];
+  const { message } = await provider.complete({ messages, tools, toolChoice: 'none' });
+  assert.equal(message.tool_calls, undefined);
+  assert.match(message.content, /^# Overview\nDeterministic mock analysis for "Summarize" over 3 rows and 2 columns\./);
+
+  const tokens = [];
+  const streamed = await provider.stream({ messages, onToken: (token) => tokens.push(token) });
+  assert.equal(provider.model, 'mock-small');
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), message.content);
+  assert.equal(streamed.message.content, message.content);
+});
+
+// A local chat completions endpoint: replies with `reply(body)` and records the requests
+const startEndpoint = (reply) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      reply(JSON.parse(body), res);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1/` }));
+});
+
+test('openai-compatible: posts the chat request with tools and returns message and usage', async () => {
+  const { server, requests, baseUrl } = await startEndpoint((body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      choices: [{ message: { role: 'assistant', content: 'Hello' } }],
+      usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+    }));
+  });
+  try {
+    const provider = createOpenAICompatibleProvider({ name: 'local', baseUrl, apiKey: 'secret', model: 'm1', maxTokens: 50 });
+    const result = await provider.complete({ messages: [{ role: 'user', content: 'Hi' }], tools, toolChoice: 'auto' });
+
+    assert.deepEqual(result, {
+      message: { role: 'assistant', content: 'Hello' },
+      usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+    });
+    const [request] = requests;
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.body.model, 'm1');
+    assert.equal(request.body.max_tokens, 50);
+    assert.equal(request.body.tool_choice, 'auto');
+    assert.equal(request.body.tools.length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('openai-compatible: assembles streamed content, tool call fragments and usage', async () => {
+  const chunks = [
+    { choices: [{ delta: { content: 'Let me ' } }] },
+    { choices: [{ delta: { content: 'check.' } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'group_by', arguments: '{"group_by":' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '["Region"]}' } }] } }] },
+    { choices: [], x_groq: { usage: { prompt_tokens: 9, completion_tokens: 4, total_tokens: 13 } } },
+  ];
+  const { server, requests, baseUrl } = await startEndpoint((body, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    chunks.forEach((chunk) => res.write(`data: ${JSON.stringify(chunk)}\n\n`));
+    res.end('data: [DONE]\n\n');
+  });
+  try {
+    const provider = createOpenAICompatibleProvider({ name: 'local', baseUrl, model: 'm1' });
+    const tokens = [];
+    const { message, usage } = await provider.stream({
+      messages: [{ role: 'user', content: 'Hi' }],
+      onToken: (token) => tokens.push(token),
+    });
+
+    assert.equal(requests[0].body.stream, true);
+    assert.equal(requests[0].headers.authorization, undefined);
+    assert.deepEqual(tokens, ['Let me ', 'check.']);
+    assert.equal(message.content, 'Let me check.');
+    assert.deepEqual(message.tool_calls, [
+      { id: 'call_1', type: 'function', function: { name: 'group_by', arguments: '{"group_by":["Region"]}' } },
+    ]);
+    assert.deepEqual(usage, { prompt_tokens: 9, completion_tokens: 4, total_tokens: 13 });
+  } finally {
+    server.close();
+  }
+});
+
+test('openai-compatible: needs a base URL and a model, and reports HTTP errors', async () => {
+  assert.throws(() => createOpenAICompatibleProvider({ name: 'x', model: 'm' }), /needs a base URL/);
+  assert.throws(() => createOpenAICompatibleProvider({ name: 'x', baseUrl: 'http://localhost' }), /needs a model name/);
+
+  const { server, baseUrl } = await startEndpoint((body, res) => {
+    res.statusCode = 429;
+    res.end('slow down');
+  });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const provider = createOpenAICompatibleProvider({ name: 'local', baseUrl, model: 'm1' });
+    await assert.rejects(provider.complete({ messages: [] }), /local HTTP 429 – slow down/);
+  } finally {
+    console.error = error;
+    server.close();
+  }
+});
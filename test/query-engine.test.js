@@ -0,0 +1,117 @@
+// test/query-engine.test.js — the tools the model calls over the stored dataset
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  executeTool,
+  applyFilters,
+  aggregate,
+  toNumber,
+  toolDefinitions,
+  withTableParameter,
+  MAX_RESULT_ROWS,
+} = require('../lib/query-engine');
+
+const rows = [
+  { Region: 'North', Month: '2024-01', Sales: 10, Rep: 'Ann' },
+  { Region: 'South', Month: '2024-01', Sales: 5, Rep: 'Bo' },
+  { Region: 'North', Month: '2024-02', Sales: '1,200', Rep: 'Cy' },
+  { Region: 'East', Month: '2024-02', Sales: null, Rep: '' },
+];
+
+test('reads whole-string numbers only', () => {
+  assert.equal(toNumber('1,200'), 1200);
+  assert.equal(toNumber(' -3.5e2 '), -350);
+  assert.ok(isNaN(toNumber('2024-01-02')));
+  assert.ok(isNaN(toNumber('12 units')));
+  assert.ok(isNaN(toNumber('')));
+});
+
+test('filters with every operator, case-insensitively', () => {
+  const repsWhere = (filters) => applyFilters(rows, filters).map(({ Rep }) => Rep);
+  assert.deepEqual(repsWhere([{ column: 'Region', op: 'eq', value: 'north' }]), ['Ann', 'Cy']);
+  assert.deepEqual(repsWhere([{ column: 'Region', op: 'neq', value: 'North' }]), ['Bo', '']);
+  assert.deepEqual(repsWhere([{ column: 'Sales', op: 'gt', value: 5 }]), ['Ann', 'Cy']);
+  assert.deepEqual(repsWhere([{ column: 'Sales', op: 'between', value: [5, 10] }]), ['Ann', 'Bo']);
+  assert.deepEqual(repsWhere([{ column: 'Region', op: 'in', value: ['South', 'East'] }]), ['Bo', '']);
+  assert.deepEqual(repsWhere([{ column: 'Rep', op: 'contains', value: 'Y' }]), ['Cy']);
+  assert.deepEqual(repsWhere([{ column: 'Sales', op: 'is_null' }]), ['']);
+  assert.deepEqual(repsWhere([{ column: 'Region', op: 'eq', value: 'North' }, { column: 'Month', op: 'gte', value: '2024-02' }]), ['Cy']);
+  assert.equal(applyFilters(rows, []), rows);
+  assert.throws(() => applyFilters(rows, [{ column: 'Sales', op: 'like', value: 1 }]), /Unsupported filter operator "like"/);
+});
+
+test('aggregates numeric values and counts non-empty cells', () => {
+  assert.equal(aggregate(rows, 'Sales', 'sum'), 1215);
+  assert.equal(aggregate(rows, 'Sales', 'avg'), 405);
+  assert.equal(aggregate(rows, 'Sales', 'median'), 10);
+  assert.equal(aggregate(rows, 'Sales', 'max'), 1200);
+  assert.equal(aggregate(rows, 'Rep', 'count'), 3);
+  assert.equal(aggregate(rows, null, 'count'), 4);
+  assert.equal(aggregate(rows, 'Month', 'count_distinct'), 2);
+  assert.equal(aggregate(rows, 'Rep', 'sum'), null);
+});
+
+test('groups rows and sorts by the first measure', () => {
+  const result = executeTool(rows, 'group_by', {
+    group_by: ['Region'],
+    metrics: [{ column: 'Sales', operation: 'sum' }, { operation: 'count' }],
+  });
+  assert.deepEqual(result, {
+    groups: 3,
+    rows: [
+      { Region: 'North', sum_Sales: 1210, count: 2 },
+      { Region: 'South', sum_Sales: 5, count: 1 },
+      { Region: 'East', sum_Sales: null, count: 1 },
+    ],
+    totalRows: 3,
+    truncated: false,
+  });
+  assert.deepEqual(
+    executeTool(rows, 'group_by', { group_by: 'Month', sort_by: 'Month', order: 'asc' }).rows,
+    [{ Month: '2024-01', count: 2 }, { Month: '2024-02', count: 2 }]
+  );
+});
+
+test('ranks, sorts and lists distinct values', () => {
+  assert.deepEqual(executeTool(rows, 'top_n', { column: 'Sales', n: 2, columns: ['Rep'] }).rows, [{ Rep: 'Cy' }, { Rep: 'Ann' }]);
+  assert.deepEqual(executeTool(rows, 'sort_rows', { column: 'Rep', order: 'desc', columns: ['Rep'], limit: 1 }), {
+    rows: [{ Rep: 'Cy' }],
+    totalRows: 4,
+    truncated: true,
+  });
+  assert.deepEqual(executeTool(rows, 'distinct_values', { column: 'Region' }).rows[0], { value: 'North', count: 2 });
+  assert.deepEqual(executeTool(rows, 'percentile', { column: 'Sales', percentiles: [0, 50, 150] }).percentiles, {
+    p0: 5,
+    p50: 10,
+    p150: 1200,
+  });
+  assert.deepEqual(executeTool(rows, 'aggregate', { column: 'Sales', operation: 'sum', filters: [{ column: 'Region', op: 'eq', value: 'North' }] }), {
+    column: 'Sales',
+    operation: 'sum',
+    value: 1210,
+    rowsConsidered: 2,
+  });
+});
+
+test('caps row results for the prompt unless told otherwise', () => {
+  const many = Array.from({ length: MAX_RESULT_ROWS + 10 }, (_, i) => ({ n: i }));
+  const capped = executeTool(many, 'filter_rows', { limit: 1000 });
+  assert.equal(capped.rows.length, MAX_RESULT_ROWS);
+  assert.equal(capped.truncated, true);
+  assert.equal(executeTool(many, 'filter_rows', {}, { maxRows: Infinity }).rows.length, MAX_RESULT_ROWS + 10);
+});
+
+test('reports bad calls as errors instead of throwing', () => {
+  assert.deepEqual(executeTool(rows, 'drop_table', {}), { error: 'Unknown tool "drop_table"' });
+  assert.match(executeTool(rows, 'group_by', { group_by: ['Country'] }).error, /Unknown column "Country"\. Available: Region, Month, Sales, Rep/);
+  assert.deepEqual(executeTool(rows, 'aggregate', { operation: 'sum' }), { error: 'A column is required' });
+});
+
+test('offers a table argument on every tool for multi-table datasets', () => {
+  const definitions = withTableParameter(toolDefinitions, ['Orders', 'Regions']);
+  assert.equal(definitions.length, toolDefinitions.length);
+  definitions.forEach((definition) => {
+    assert.deepEqual(definition.function.parameters.properties.table.enum, ['Orders', 'Regions']);
+  });
+  assert.equal(toolDefinitions[0].function.parameters.properties.table, undefined);
+});
@@ -0,0 +1,47 @@
+// test/rate-limit.test.js — in-memory request limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimits } = require('../lib/rate-limit');
+
+const rejectsWith429 = (promise, message, retryAfter) => assert.rejects(promise, (err) => {
+  assert.equal(err.status, 429);
+  assert.match(err.message, message);
+  if (retryAfter) assert.equal(err.retryAfter, retryAfter);
+  return true;
+});
+
+test('limits sign-in attempts per address and username', async () => {
+  const limits = createRateLimits({ perSignIn: 2, signInWindowSeconds: 900 });
+  await limits.checkSignIn('10.0.0.1', 'ann');
+  await limits.checkSignIn('10.0.0.1', ' ANN ');
+  await rejectsWith429(limits.checkSignIn('10.0.0.1', 'Ann'), /Too many sign-in attempts for this account/, 900);
+
+  await limits.checkSignIn('10.0.0.1', 'bob');
+  await limits.checkSignIn('10.0.0.2', 'ann');
+});
+
+test('gives sign-in attempts back after a successful sign-in', async () => {
+  const limits = createRateLimits({ perSignIn: 1 });
+  await limits.checkSignIn('10.0.0.1', 'ann');
+  await limits.clearSignIn('10.0.0.1', 'ann');
+  await limits.checkSignIn('10.0.0.1', 'ann');
+  await rejectsWith429(limits.checkSignIn('10.0.0.1', 'ann'), /Too many sign-in attempts/);
+});
+
+test('keeps sign-in attempts apart from the analysis limits', async () => {
+  const limits = createRateLimits({ perIp: 1, perSignIn: 1 });
+  await limits.checkSignIn('10.0.0.1', 'ann');
+  await limits.checkIp('10.0.0.1');
+});
+
+test('limits analysis requests per address and per API key', async () => {
+  const limits = createRateLimits({ perIp: 2, perKey: 1, windowSeconds: 60 });
+  await limits.checkIp('10.0.0.1');
+  await limits.checkIp('10.0.0.1');
+  await rejectsWith429(limits.checkIp('10.0.0.1'), /Too many requests from this address/, 60);
+  await limits.checkIp('10.0.0.2');
+
+  await limits.checkKey('key-1');
+  await rejectsWith429(limits.checkKey('key-1'), /Too many requests with this API key/, 60);
+  await limits.checkKey('key-2');
+});
@@ -0,0 +1,49 @@
+// test/report.test.js — posted reports validated and rendered to PDF
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normaliseReport, buildReport, renderReportPdf } = require('../lib/report');
+const { profileDataset } = require('../lib/dataset-profile');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const profile = profileDataset([{ Region: 'North', Sales: 10 }, { Region: 'South', Sales: 5 }]);
+
+test('keeps the report fields it knows and drops the rest', () => {
+  const report = normaliseReport({
+    title: 'Q1 sales',
+    generatedAt: 'yesterday',
+    charts: [{ title: 'Sales', image: PNG, extra: true }],
+    profile: { columns: ['forged'] },
+    conversation: [{ role: 'user', content: 'Which region?' }, { role: 'system', content: 'hidden' }],
+  });
+  assert.equal(report.title, 'Q1 sales');
+  assert.ok(!isNaN(Date.parse(report.generatedAt)));
+  assert.deepEqual(report.charts, [{ title: 'Sales', note: '', image: PNG }]);
+  assert.equal(report.profile, null);
+  assert.deepEqual(report.conversation, [{ role: 'user', content: 'Which region?', timestamp: '' }]);
+});
+
+test('rejects reports that cannot be rendered', () => {
+  assert.throws(() => normaliseReport(null), /Report must be a JSON object/);
+  assert.throws(() => normaliseReport({ charts: {} }), /charts must be an array/);
+  assert.throws(() => normaliseReport({ charts: [{ image: 'data:image/svg+xml;base64,PHN2Zz4=' }] }), /Chart 1 must be a PNG or JPEG data URL/);
+  assert.throws(() => normaliseReport({ charts: Array(25).fill({ image: PNG }) }), /at most 24 charts/);
+});
+
+test('prefers the server profile and decodes chart images', () => {
+  const report = buildReport({ title: 'Q1 sales', charts: [{ image: PNG }], profile: { ...profile, totalRows: 99 } }, { profile });
+  assert.equal(report.filename, 'q1-sales');
+  assert.equal(report.profile, profile);
+  assert.ok(Buffer.isBuffer(report.charts[0].image));
+  assert.equal(buildReport({ profile }).profile, profile);
+});
+
+test('renders a PDF document', async () => {
+  const doc = renderReportPdf(buildReport({
+    summary: '# Overview\n\n**North** leads.\n\n```json\n{"chart": {}}\n```',
+    charts: [{ title: 'Sales', image: PNG }],
+    conversation: [{ role: 'assistant', content: 'North leads.' }],
+  }, { profile }));
+  const chunks = [];
+  for await (const chunk of doc) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).subarray(0, 5).toString(), '%PDF-');
+});
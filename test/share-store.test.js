@@ -0,0 +1,72 @@
+// test/share-store.test.js — read-only conversation snapshots behind tokens
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ShareStore = require('../lib/share-store');
+
+const snapshot = { title: 'Sales by region?', messages: [{ role: 'user', content: 'Sales by region?' }], profile: null, rows: null };
+
+const createStore = (t, options = {}) => {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'share-store-test-'));
+  t.after(() => fs.rmSync(dirPath, { recursive: true, force: true }));
+  return { dirPath, store: new ShareStore({ dirPath, ...options }) };
+};
+
+test('shares a frozen snapshot with anyone holding the token', async (t) => {
+  const { store } = createStore(t);
+  const conversation = { ...snapshot, messages: [...snapshot.messages] };
+  const meta = await store.create('ann', 'conversation-1', conversation);
+  assert.match(meta.token, /^[\w-]{32}$/);
+  assert.deepEqual(
+    [meta.owner, meta.conversationId, meta.title, meta.expiresAt, meta.includesRows],
+    ['ann', 'conversation-1', 'Sales by region?', null, false],
+  );
+
+  conversation.messages.push({ role: 'assistant', content: 'Added later' });
+  const shared = await store.get(meta.token);
+  assert.deepEqual(shared.snapshot.messages, [{ role: 'user', content: 'Sales by region?' }]);
+
+  assert.equal(await store.get('x'.repeat(32)), null);
+  await store.close();
+});
+
+test('lists, counts and revokes the shares of their owner only', async (t) => {
+  const { store } = createStore(t, { maxPerUser: 2 });
+  const first = await store.create('ann', 'c1', snapshot);
+  const second = await store.create('ann', 'c2', { ...snapshot, rows: [{ Region: 'North' }] });
+  assert.deepEqual(store.list('ann').map(({ token, includesRows }) => [token, includesRows]), [[second.token, true], [first.token, false]]);
+  assert.equal(store.isFull('ann'), true);
+  assert.equal(store.isFull('bob'), false);
+
+  assert.equal(await store.revoke('bob', first.token), false);
+  assert.equal(await store.revoke('ann', first.token), true);
+  assert.equal(await store.get(first.token), null);
+  assert.equal(store.isFull('ann'), false);
+  await store.close();
+});
+
+test('hides expired shares and prunes them', async (t) => {
+  const { dirPath, store } = createStore(t);
+  const expired = await store.create('ann', 'c1', snapshot, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+  const live = await store.create('ann', 'c2', snapshot, { expiresAt: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(await store.get(expired.token), null);
+  assert.deepEqual(store.list('ann').map(({ token }) => token), [live.token]);
+
+  assert.equal(await store.prune(), 1);
+  assert.ok(!fs.existsSync(path.join(dirPath, `${expired.token}.json`)));
+  assert.ok(await store.get(live.token));
+  await store.close();
+});
+
+test('only maps well-formed tokens to files and reloads its index', async (t) => {
+  const { dirPath, store } = createStore(t);
+  const meta = await store.create('ann', 'c1', snapshot);
+  assert.throws(() => store.sharePath('../users'), /Invalid share token/);
+  await store.close();
+
+  const reloaded = new ShareStore({ dirPath });
+  assert.equal((await reloaded.get(meta.token)).snapshot.title, 'Sales by region?');
+  await reloaded.close();
+});
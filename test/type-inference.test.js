@@ -0,0 +1,65 @@
+// test/type-inference.test.js — locale-aware number and date detection and type overrides
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TypeInferrer = require('../assets/src/type-inference');
+
+const inferrer = new TypeInferrer();
+const typeOf = (values, column) => inferrer.inferColumn(values, column);
+
+test('reads decimal commas, currencies, percentages and negatives in parentheses', () => {
+  assert.deepEqual(typeOf(['1.234,50', '12,5', '3,75']), { type: 'decimal', confidence: 1, decimalComma: true });
+  assert.deepEqual(typeOf(['€1.234,50', '€12,00', '€3,75']), { type: 'currency', confidence: 1, decimalComma: true, currency: '€' });
+  assert.equal(typeOf(['$1,200.00', '($300.00)', '$45.10']).type, 'currency');
+  assert.equal(typeOf(['12%', '5.5%', '-3%']).type, 'percentage');
+
+  assert.equal(inferrer.parseNumber('(1,234.50)').value, -1234.5);
+  assert.deepEqual(inferrer.parseNumber('USD 12'), { value: 12, percent: false, currency: 'USD' });
+  assert.deepEqual(inferrer.parseNumber('12 EUR'), { value: 12, percent: false, currency: 'EUR' });
+  assert.equal(inferrer.parseNumber('1 234,5', true).value, 1234.5);
+  assert.equal(inferrer.parseNumber('$5%'), null);
+});
+
+test('keeps leading-zero codes and unique numbers in id columns as ids', () => {
+  assert.equal(typeOf(['00123', '00456', '00789']).type, 'id');
+  assert.equal(typeOf([101, 102, 103], 'OrderId').type, 'id');
+  assert.equal(typeOf([101, 102, 103], 'Amount').type, 'integer');
+});
+
+test('tells day-first from month-first dates', () => {
+  assert.deepEqual(typeOf(['31/12/2023', '01/02/2024', '15/03/2024']), { type: 'date', confidence: 1, dayFirst: true, ambiguous: false });
+  assert.deepEqual(typeOf(['12/31/2023', '01/02/2024']), { type: 'date', confidence: 1, dayFirst: false, ambiguous: false });
+  assert.deepEqual(typeOf(['03/04/2024', '05/06/2024']), { type: 'date', confidence: 1, dayFirst: false, ambiguous: true });
+  assert.equal(typeOf(['2024-01-05 10:30', '2024-02-05 11:00']).type, 'datetime');
+  // Both orders in one column is not a date column
+  assert.notEqual(typeOf(['31/12/2023', '12/31/2023']).type, 'date');
+});
+
+test('classifies booleans, categories and free text', () => {
+  assert.equal(typeOf(['yes', 'no', 'yes']).type, 'boolean');
+  assert.equal(typeOf(['North', 'South', 'North', 'North', 'South', 'East']).type, 'categorical');
+  assert.equal(typeOf(['apple pie', 'banana split', 'cherry tart']).type, 'text');
+  assert.deepEqual(typeOf(['', null, '  ']), { type: 'unknown', confidence: 0 });
+});
+
+test('converts values to their type and keeps what does not parse', () => {
+  const { rows, types } = inferrer.applyTypes([
+    { Amount: '1.234,50', Day: '31/12/2023', Paid: 'yes', Note: '1,5' },
+    { Amount: '12,5', Day: '01/02/2024', Paid: 'no', Note: 'x' },
+    { Amount: '', Day: '15/03/2024', Paid: 'no', Note: 'y' },
+  ]);
+  assert.deepEqual(rows, [
+    { Amount: 1234.5, Day: '2023-12-31', Paid: true, Note: '1,5' },
+    { Amount: 12.5, Day: '2024-02-01', Paid: false, Note: 'x' },
+    { Amount: '', Day: '2024-03-15', Paid: false, Note: 'y' },
+  ]);
+  assert.equal(types.Note.type, 'text');
+  assert.equal(TypeInferrer.family(types.Amount.type), 'numeric');
+});
+
+test('applies type overrides, including day-first dates', () => {
+  const { rows, types } = inferrer.applyTypes([{ Day: '03/04/2024' }, { Day: '05/06/2024' }], { Day: 'date-dmy' });
+  assert.deepEqual(rows, [{ Day: '2024-04-03' }, { Day: '2024-06-05' }]);
+  assert.equal(types.Day.overridden, true);
+  assert.equal(types.Day.dayFirst, true);
+  assert.throws(() => inferrer.parseOverride('money'), /Unknown column type "money"/);
+});
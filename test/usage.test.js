@@ -0,0 +1,57 @@
+// test/usage.test.js — token tallies and estimated cost
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyUsage, addUsage, priceUsage, sumUsage } = require('../lib/usage');
+
+const tally = (...calls) => {
+  const total = emptyUsage();
+  calls.forEach((usage) => addUsage(total, usage));
+  return total;
+};
+
+test('adds up the calls of one answer, with or without reported usage', () => {
+  assert.deepEqual(tally(
+    { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 },
+    { prompt_tokens: 500, completion_tokens: 100 },
+    undefined,
+  ), { promptTokens: 1500, completionTokens: 300, totalTokens: 1800, calls: 3 });
+  assert.doesNotThrow(() => addUsage(null, { prompt_tokens: 1 }));
+});
+
+test('prices usage by provider and model', () => {
+  const usage = tally({ prompt_tokens: 1000000, completion_tokens: 500000 });
+  assert.equal(priceUsage(usage, { name: 'openai', model: 'gpt-4o-mini' }).estimatedCost, 0.45);
+  assert.equal(priceUsage(usage, { name: 'ollama', model: 'llama3.1' }).estimatedCost, 0);
+  assert.deepEqual(priceUsage(usage, { name: 'groq', model: 'unknown-model' }), {
+    ...usage,
+    provider: 'groq',
+    model: 'unknown-model',
+    estimatedCost: null,
+  });
+});
+
+test('uses the configured prices for every model', (t) => {
+  t.after(() => {
+    delete process.env.LLM_PRICE_INPUT;
+    delete process.env.LLM_PRICE_OUTPUT;
+  });
+  process.env.LLM_PRICE_INPUT = '1';
+  process.env.LLM_PRICE_OUTPUT = '2';
+  const usage = tally({ prompt_tokens: 2000, completion_tokens: 1000 });
+  assert.equal(priceUsage(usage, { name: 'mock', model: 'mock' }).estimatedCost, 0.004);
+  process.env.LLM_PRICE_OUTPUT = 'free';
+  assert.equal(priceUsage(usage, { name: 'mock', model: 'mock' }).estimatedCost, 0);
+});
+
+test('sums answers and earlier sums, keeping the cost unknown only when every price is', () => {
+  const priced = priceUsage(tally({ prompt_tokens: 1000000, completion_tokens: 0 }), { name: 'openai', model: 'gpt-4o' });
+  const unpriced = priceUsage(tally({ prompt_tokens: 10, completion_tokens: 5 }), { name: 'groq', model: 'unknown-model' });
+
+  const conversation = sumUsage([priced, null, unpriced]);
+  assert.deepEqual(conversation, {
+    promptTokens: 1000010, completionTokens: 5, totalTokens: 1000015, calls: 2, requests: 2, estimatedCost: 2.5,
+  });
+  assert.equal(sumUsage([conversation, priced]).requests, 3);
+  assert.equal(sumUsage([unpriced]).estimatedCost, null);
+  assert.deepEqual(sumUsage([]), { ...emptyUsage(), requests: 0, estimatedCost: null });
+});
@@ -0,0 +1,60 @@
+// test/user-store.test.js — local accounts with scrypt-hashed passwords
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UserStore = require('../lib/user-store');
+
+// A store writing to a throwaway directory
+const createStore = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'users.json');
+  return { filePath, store: new UserStore({ filePath }) };
+};
+
+test('registers case-insensitive usernames under the guest id', async (t) => {
+  const { store } = createStore(t);
+  const user = await store.register('  Ann.Lee ', 'correct horse', { id: 'guest-1' });
+  assert.deepEqual(Object.keys(user), ['id', 'username', 'createdAt']);
+  assert.equal(user.id, 'guest-1');
+  assert.equal(user.username, 'ann.lee');
+  assert.deepEqual(store.get('guest-1'), user);
+  assert.equal(store.get('missing'), null);
+  await store.close();
+});
+
+test('rejects unusable and duplicate credentials', async (t) => {
+  const { store } = createStore(t);
+  await store.register('ann', 'correct horse', { id: 'guest-1' });
+  await assert.rejects(store.register('a!', 'correct horse'), /Username must be 3-32 characters/);
+  await assert.rejects(store.register('bob', 'short'), /Password must be at least 8 characters/);
+  await assert.rejects(store.register('bob', 'x'.repeat(201)), /Password must be at most 200 characters/);
+  await assert.rejects(store.register('ANN', 'another one'), /That username is taken/);
+  await assert.rejects(store.register('bob', 'another one', { id: 'guest-1' }), /Already signed in to an account/);
+  assert.equal(store.size, 1);
+  await store.close();
+});
+
+test('authenticates only the right password', async (t) => {
+  const { store } = createStore(t);
+  await store.register('ann', 'correct horse', { id: 'guest-1' });
+  assert.equal((await store.authenticate('Ann', 'correct horse')).id, 'guest-1');
+  assert.equal(await store.authenticate('ann', 'wrong horse'), null);
+  assert.equal(await store.authenticate('bob', 'correct horse'), null);
+  assert.equal(await store.authenticate('ann', undefined), null);
+  await store.close();
+});
+
+test('stores only password hashes and reloads accounts', async (t) => {
+  const { filePath, store } = createStore(t);
+  await store.register('ann', 'correct horse', { id: 'guest-1' });
+  await store.close();
+
+  const saved = fs.readFileSync(filePath, 'utf-8');
+  assert.ok(!saved.includes('correct horse'));
+  const reloaded = new UserStore({ filePath });
+  assert.equal((await reloaded.authenticate('ann', 'correct horse')).username, 'ann');
+  await reloaded.close();
+});
@@ -0,0 +1,67 @@
+// test/view-filters.test.js — filters that narrow a conversation's data until removed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeViewFilters,
+  applyViewFilters,
+  describeViewFilters,
+  summarizeView,
+  viewFilterTool,
+} = require('../lib/view-filters');
+const { profileDataset } = require('../lib/dataset-profile');
+
+const orderRows = [
+  { Region: 'North', Date: '2024-01-05', Sales: 10 },
+  { Region: 'South', Date: '2024-02-05', Sales: 5 },
+  { Region: 'North', Date: '2024-04-05', Sales: 7 },
+  { Region: 'East', Date: '2024-05-05', Sales: 1 },
+];
+const orders = { name: 'Orders', rows: orderRows, profile: profileDataset(orderRows) };
+const customers = { name: 'Customers', rows: [{ Name: 'Jo', Region: 'North' }] };
+
+test('validates filters and labels them for the chips', () => {
+  assert.deepEqual(normalizeViewFilters([
+    { column: 'Region', value: 'North' },
+    { column: 'Date', op: 'between', value: ['2024-01-01', '2024-03-31T23:59:59'] },
+    { column: 'Sales', op: 'not_null', value: 'ignored' },
+  ], [orders]), [
+    { table: 'Orders', column: 'Region', op: 'eq', value: 'North', label: 'Region = North' },
+    { table: 'Orders', column: 'Date', op: 'between', value: ['2024-01-01', '2024-03-31T23:59:59'], label: 'Date between 2024-01-01 and 2024-03-31T23:59:59' },
+    { table: 'Orders', column: 'Sales', op: 'not_null', label: 'Sales is not empty' },
+  ]);
+  const [filter] = normalizeViewFilters([{ table: 'Customers', column: 'Name', op: 'in', value: ['Jo', 'Al'] }], [orders, customers]);
+  assert.equal(filter.label, 'Customers: Name is Jo or Al');
+});
+
+test('rejects filters the data cannot answer', () => {
+  const reject = (filters, message, options) => assert.throws(() => normalizeViewFilters(filters, [orders], options), message);
+  reject({}, /filters must be an array/);
+  reject([null], /Filter 1 must be an object/);
+  reject([{ table: 'Staff', column: 'Region', value: 'North' }], /Unknown table "Staff"\. Available: Orders/);
+  reject([{ column: 'Country', value: 'UK' }], /Unknown column "Country"\. Available: Region, Date, Sales/);
+  reject([{ column: 'Region', op: 'like', value: 'N%' }], /Unsupported filter operator "like"/);
+  reject([{ column: 'Region', op: 'in', value: [] }], /"in" on Region needs a list of 1 to 100 values/);
+  reject([{ column: 'Sales', op: 'between', value: [1] }], /"between" on Sales needs \[from, to\]/);
+  reject([{ column: 'Sales', op: 'gt' }], /Filter on Sales needs a value/);
+  reject([{ column: 'Region', value: 'North' }], /"Region" holds personal data and cannot be filtered on/, { lockedColumns: ['Region'] });
+  reject(Array(21).fill({ column: 'Region', value: 'North' }), /At most 20 filters can be active/);
+});
+
+test('narrows only the tables the filters name and re-profiles them', () => {
+  const filters = normalizeViewFilters([{ column: 'Region', value: 'North' }, { column: 'Sales', op: 'gte', value: 8 }], [orders, customers]);
+  const [narrowed, untouched] = applyViewFilters([orders, customers], filters);
+  assert.deepEqual(narrowed.rows, [orderRows[0]]);
+  assert.equal(narrowed.profile.totalRows, 1);
+  assert.equal(untouched, customers);
+  assert.equal(describeViewFilters(filters), 'Orders: Region = North AND Orders: Sales ≥ 8');
+  assert.deepEqual(summarizeView([orders], filters), { filters, rowCount: 1, totalRows: 4 });
+  assert.deepEqual(summarizeView([orders]), { filters: [], rowCount: 4, totalRows: 4 });
+});
+
+test('offers the tool with a table choice only for several tables', () => {
+  const single = viewFilterTool(['Orders']).function;
+  assert.equal(single.name, 'set_view_filters');
+  assert.equal(single.parameters.properties.filters.items.properties.table, undefined);
+  const several = viewFilterTool(['Orders', 'Customers']).function;
+  assert.deepEqual(several.parameters.properties.filters.items.properties.table.enum, ['Orders', 'Customers']);
+});
@@ -0,0 +1,48 @@
+// test/workbook.test.js — sheet selection and joins for multi-sheet Excel uploads
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeSheets, selectSheets, joinTables } = require('../lib/workbook');
+
+const sheets = {
+  Orders: [
+    { OrderId: 1, CustomerId: 'c1', Amount: 20 },
+    { OrderId: 2, CustomerId: 'c2', Amount: 35 },
+    { OrderId: 3, CustomerId: 'c9', Amount: 5 },
+  ],
+  Customers: [
+    { CustomerId: 'c1', Name: 'Ann', Amount: 1 },
+    { CustomerId: 'c2', Name: 'Bo', Amount: 2 },
+  ],
+  Notes: [],
+};
+
+test('describes every sheet', () => {
+  assert.deepEqual(describeSheets(sheets), [
+    { name: 'Orders', rowCount: 3, columns: ['OrderId', 'CustomerId', 'Amount'] },
+    { name: 'Customers', rowCount: 2, columns: ['CustomerId', 'Name', 'Amount'] },
+    { name: 'Notes', rowCount: 0, columns: [] },
+  ]);
+});
+
+test('selects sheets by list, JSON or comma separated names', () => {
+  const names = (selection) => selectSheets(sheets, selection).map(({ name }) => name);
+  assert.deepEqual(names(undefined), ['Orders', 'Customers']);
+  assert.deepEqual(names(['Customers']), ['Customers']);
+  assert.deepEqual(names('["Notes","Orders"]'), ['Notes', 'Orders']);
+  assert.deepEqual(names(' Customers , Orders '), ['Customers', 'Orders']);
+  assert.throws(() => selectSheets(sheets, 'Orders,Invoices'), /Unknown sheet\(s\): Invoices\. Available: Orders, Customers, Notes/);
+});
+
+test('left-joins later sheets onto the first, prefixing clashing columns', () => {
+  const joined = joinTables(selectSheets(sheets, 'Orders,Customers'), 'CustomerId');
+  assert.equal(joined.name, 'Orders + Customers (joined on CustomerId)');
+  assert.deepEqual(joined.rows, [
+    { OrderId: 1, CustomerId: 'c1', Amount: 20, Name: 'Ann', 'Customers.Amount': 1 },
+    { OrderId: 2, CustomerId: 'c2', Amount: 35, Name: 'Bo', 'Customers.Amount': 2 },
+    { OrderId: 3, CustomerId: 'c9', Amount: 5 },
+  ]);
+});
+
+test('refuses a join column some sheet lacks', () => {
+  assert.throws(() => joinTables(selectSheets(sheets, 'Orders,Customers'), 'OrderId'), /Join column "OrderId" is missing from: Customers/);
+});